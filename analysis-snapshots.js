@@ -0,0 +1,443 @@
+/**
+ * Analysis Snapshots
+ *
+ * Records a compact, versioned snapshot of the graph after every analysis
+ * run and compares two runs:
+ * - Documents are matched by title, themes by normalized label, so runs
+ *   with different ids can be compared
+ * - Lists added/removed themes, shared themes that appeared/disappeared and
+ *   documents whose connections changed
+ * - Reports the changed node and link ids of the newer run for highlighting
+ * - Document content is compared by SHA-256 digest
+ * - Optional persistence through a store with saveSnapshot / listSnapshots /
+ *   deleteSnapshot (see SessionStore), keyed by scope and version so
+ *   separate sessions keep separate histories
+ * - The scope can be remembered (localStorage in the browser) so a page
+ *   reload continues the same history
+ */
+
+class AnalysisSnapshots {
+  constructor(store = null, maxSnapshots = 50, scope = null) {
+    this.store = store;
+    this.maxSnapshots = maxSnapshots;
+    this.scope = scope || AnalysisSnapshots.createScope();
+    this.snapshots = []; // oldest first
+  }
+
+  static createScope() {
+    return `session-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+  }
+
+  static get SCOPE_STORAGE_KEY() {
+    return "connect-the-docs-snapshot-scope";
+  }
+
+  /**
+   * The scope remembered in a Storage (e.g. localStorage), or a new one
+   * that is remembered from now on
+   */
+  static rememberedScope(storage) {
+    let scope = null;
+    try {
+      scope = storage?.getItem(AnalysisSnapshots.SCOPE_STORAGE_KEY) || null;
+    } catch (error) {
+      console.warn("Could not read the snapshot scope:", error);
+    }
+    if (!scope) {
+      scope = AnalysisSnapshots.createScope();
+      AnalysisSnapshots.rememberScope(storage, scope);
+    }
+    return scope;
+  }
+
+  static rememberScope(storage, scope) {
+    try {
+      storage?.setItem(AnalysisSnapshots.SCOPE_STORAGE_KEY, scope);
+    } catch (error) {
+      console.warn("Could not save the snapshot scope:", error);
+    }
+  }
+
+  /**
+   * Load this scope's persisted snapshots (merged with any recorded this
+   * session)
+   */
+  async load() {
+    if (!this.store) return this.snapshots;
+
+    try {
+      const stored = await this.store.listSnapshots(this.scope);
+      const known = new Set(this.snapshots.map((s) => s.version));
+      this.snapshots = [
+        ...stored.filter((s) => !known.has(s.version)),
+        ...this.snapshots,
+      ].sort((a, b) => a.version - b.version);
+    } catch (error) {
+      console.warn("Could not load analysis snapshots:", error);
+    }
+    return this.snapshots;
+  }
+
+  /**
+   * Snapshot the analyzer's current graph and store it as the next version
+   */
+  async record(analyzer, details = {}) {
+    const latest = this.latest();
+    const snapshot = this.createSnapshot(analyzer, {
+      ...details,
+      version: latest ? latest.version + 1 : 1,
+    });
+
+    this.snapshots.push(snapshot);
+    const dropped = this.snapshots.splice(
+      0,
+      Math.max(0, this.snapshots.length - this.maxSnapshots)
+    );
+
+    if (this.store) {
+      try {
+        await this.store.saveSnapshot(snapshot);
+        for (const old of dropped) {
+          await this.store.deleteSnapshot(this.scope, old.version);
+        }
+      } catch (error) {
+        console.warn("Could not persist analysis snapshot:", error);
+      }
+    }
+
+    analyzer.log(`📸 Recorded analysis snapshot v${snapshot.version}`);
+    return snapshot;
+  }
+
+  createSnapshot(analyzer, details) {
+    const storage = analyzer.themeStorage;
+    const graph = analyzer.graphData || { nodes: [], links: [] };
+
+    // Documents are keyed by title (numbered when titles repeat)
+    const docKeys = new Map();
+    const titleCounts = new Map();
+    const documents = (analyzer.documentIds || [])
+      .filter((id) => storage.documents.has(id))
+      .map((id) => {
+        const doc = storage.documents.get(id);
+        const count = (titleCounts.get(doc.title) || 0) + 1;
+        titleCounts.set(doc.title, count);
+        const key = count > 1 ? `${doc.title} #${count}` : doc.title;
+        docKeys.set(id, key);
+
+        return {
+          id,
+          key,
+          title: doc.title,
+          contentHash: EmbeddingCache.sha256Sync(doc.content || ""),
+        };
+      });
+
+    const themes = Array.from(storage.themes.values()).map((theme) => ({
+      id: theme.id,
+      key: theme.normalizedLabel,
+      label: theme.label,
+      documents: storage
+        .getThemeDocuments(theme.id)
+        .map((id) => docKeys.get(id))
+        .filter(Boolean)
+        .sort(),
+    }));
+
+    const nodeKey = (id) => {
+      if (docKeys.has(id)) return `doc:${docKeys.get(id)}`;
+      if (storage.themes.has(id)) {
+        return `theme:${storage.themes.get(id).normalizedLabel}`;
+      }
+      if (storage.definitions.has(id)) {
+        return `def:${storage.definitions.get(id).normalizedTerm}`;
+      }
+      return id;
+    };
+
+    return {
+      scope: this.scope,
+      version: details.version,
+      createdAt: new Date().toISOString(),
+      kind: details.kind || "analysis",
+      label: details.label || "",
+      processingId: details.processingId || null,
+      model: analyzer.llmProvider?.model || null,
+      promptFingerprint: analyzer.promptGenerator.getPromptFingerprint(),
+      config: this.pickSettings(details.config || analyzer.config),
+      documents,
+      themes,
+      nodes: graph.nodes.map((node) => ({
+        id: node.id,
+        key: nodeKey(node.id),
+        type: node.type,
+      })),
+      links: graph.links.map((link) => ({
+        source: link.source,
+        target: link.target,
+        type: link.type,
+        strength: link.strength,
+        // Undirected: the same pair matches across runs in either order
+        key: `${[nodeKey(link.source), nodeKey(link.target)]
+          .sort()
+          .join("|")}|${link.type}`,
+      })),
+    };
+  }
+
+  /**
+   * Keep only plain settings (numbers, strings, booleans)
+   */
+  pickSettings(config) {
+    return Object.fromEntries(
+      Object.entries(config || {}).filter(([, value]) =>
+        ["number", "string", "boolean"].includes(typeof value)
+      )
+    );
+  }
+
+  list() {
+    return this.snapshots.map((snapshot) => ({
+      version: snapshot.version,
+      createdAt: snapshot.createdAt,
+      kind: snapshot.kind,
+      label: snapshot.label,
+      documentCount: snapshot.documents.length,
+      themeCount: snapshot.themes.length,
+      linkCount: snapshot.links.length,
+    }));
+  }
+
+  get(version) {
+    return this.snapshots.find((snapshot) => snapshot.version === version);
+  }
+
+  latest() {
+    return this.snapshots[this.snapshots.length - 1] || null;
+  }
+
+  compare(fromVersion, toVersion) {
+    const before = this.get(fromVersion);
+    const after = this.get(toVersion);
+    if (!before || !after) {
+      throw new Error(
+        `Snapshot v${before ? toVersion : fromVersion} not found`
+      );
+    }
+    return this.diff(before, after);
+  }
+
+  /**
+   * Compare two snapshots. Highlight ids refer to the `after` snapshot.
+   */
+  diff(before, after) {
+    const byKey = (items) => new Map(items.map((item) => [item.key, item]));
+    const onlyIn = (a, b) => Array.from(a.keys()).filter((key) => !b.has(key));
+    const isShared = (theme) => theme?.documents.length >= 2;
+
+    const docsBefore = byKey(before.documents);
+    const docsAfter = byKey(after.documents);
+    const themesBefore = byKey(before.themes);
+    const themesAfter = byKey(after.themes);
+
+    const sharedThemesAppeared = after.themes.filter(
+      (theme) => isShared(theme) && !isShared(themesBefore.get(theme.key))
+    );
+    const sharedThemesDisappeared = before.themes.filter(
+      (theme) => isShared(theme) && !isShared(themesAfter.get(theme.key))
+    );
+
+    // Per-document connections (other documents) and themes
+    const connectionsBefore = this.documentConnections(before);
+    const connectionsAfter = this.documentConnections(after);
+    const themesOf = (snapshot) => {
+      const map = new Map();
+      snapshot.themes.forEach((theme) =>
+        theme.documents.forEach((docKey) => {
+          if (!map.has(docKey)) map.set(docKey, new Set());
+          map.get(docKey).add(theme.key);
+        })
+      );
+      return map;
+    };
+    const docThemesBefore = themesOf(before);
+    const docThemesAfter = themesOf(after);
+    const difference = (a = new Set(), b = new Set()) =>
+      Array.from(a).filter((item) => !b.has(item));
+
+    const changedDocuments = [];
+    for (const [key, doc] of docsAfter) {
+      if (!docsBefore.has(key)) continue;
+
+      const change = {
+        id: doc.id,
+        title: doc.title,
+        contentChanged: docsBefore.get(key).contentHash !== doc.contentHash,
+        gainedConnections: difference(
+          connectionsAfter.get(key),
+          connectionsBefore.get(key)
+        ),
+        lostConnections: difference(
+          connectionsBefore.get(key),
+          connectionsAfter.get(key)
+        ),
+        gainedThemes: difference(
+          docThemesAfter.get(key),
+          docThemesBefore.get(key)
+        ).map((themeKey) => themesAfter.get(themeKey).label),
+        lostThemes: difference(
+          docThemesBefore.get(key),
+          docThemesAfter.get(key)
+        ).map((themeKey) => themesBefore.get(themeKey).label),
+      };
+
+      if (
+        change.contentChanged ||
+        change.gainedConnections.length ||
+        change.lostConnections.length ||
+        change.gainedThemes.length ||
+        change.lostThemes.length
+      ) {
+        changedDocuments.push(change);
+      }
+    }
+
+    // Graph elements of the newer run to highlight
+    const nodesBefore = byKey(before.nodes);
+    const linksBefore = new Set(before.links.map((link) => link.key));
+    const addedNodeIds = after.nodes
+      .filter((node) => !nodesBefore.has(node.key))
+      .map((node) => node.id);
+    const changedNodeIds = after.nodes
+      .filter(
+        (node) =>
+          nodesBefore.has(node.key) &&
+          nodesBefore.get(node.key).type !== node.type
+      )
+      .map((node) => node.id)
+      .concat(changedDocuments.map((doc) => doc.id));
+    const addedLinks = after.links.filter((link) => !linksBefore.has(link.key));
+    const linksAfter = new Set(after.links.map((link) => link.key));
+
+    return {
+      from: before.version,
+      to: after.version,
+      settingChanges: this.settingChanges(before, after),
+      documentsAdded: onlyIn(docsAfter, docsBefore).map(
+        (key) => docsAfter.get(key).title
+      ),
+      documentsRemoved: onlyIn(docsBefore, docsAfter).map(
+        (key) => docsBefore.get(key).title
+      ),
+      themesAdded: onlyIn(themesAfter, themesBefore).map(
+        (key) => themesAfter.get(key).label
+      ),
+      themesRemoved: onlyIn(themesBefore, themesAfter).map(
+        (key) => themesBefore.get(key).label
+      ),
+      sharedThemesAppeared: sharedThemesAppeared.map((theme) => theme.label),
+      sharedThemesDisappeared: sharedThemesDisappeared.map(
+        (theme) => theme.label
+      ),
+      changedDocuments,
+      highlight: {
+        addedNodeIds,
+        changedNodeIds: Array.from(new Set(changedNodeIds)),
+        addedLinkKeys: addedLinks.map(
+          (link) => `${link.source}|${link.target}|${link.type}`
+        ),
+      },
+      summary: {
+        nodesAdded: addedNodeIds.length,
+        nodesRemoved: before.nodes.filter(
+          (node) => !after.nodes.some((n) => n.key === node.key)
+        ).length,
+        linksAdded: addedLinks.length,
+        linksRemoved: before.links.filter((link) => !linksAfter.has(link.key))
+          .length,
+      },
+    };
+  }
+
+  /**
+   * docKey -> Set of connected document titles (document-connection links)
+   */
+  documentConnections(snapshot) {
+    const titles = new Map(
+      snapshot.documents.map((doc) => [`doc:${doc.key}`, doc.key])
+    );
+    const connections = new Map();
+    const nodeKeys = new Map(snapshot.nodes.map((n) => [n.id, n.key]));
+
+    snapshot.links
+      .filter((link) => link.type === "document-connection")
+      .forEach((link) => {
+        const source = titles.get(nodeKeys.get(link.source));
+        const target = titles.get(nodeKeys.get(link.target));
+        if (!source || !target) return;
+
+        if (!connections.has(source)) connections.set(source, new Set());
+        if (!connections.has(target)) connections.set(target, new Set());
+        connections.get(source).add(target);
+        connections.get(target).add(source);
+      });
+
+    return connections;
+  }
+
+  settingChanges(before, after) {
+    const changes = [];
+    const keys = new Set([
+      ...Object.keys(before.config || {}),
+      ...Object.keys(after.config || {}),
+    ]);
+
+    keys.forEach((key) => {
+      if (before.config?.[key] !== after.config?.[key]) {
+        changes.push({
+          key,
+          before: before.config?.[key],
+          after: after.config?.[key],
+        });
+      }
+    });
+
+    if (before.model !== after.model) {
+      changes.push({ key: "model", before: before.model, after: after.model });
+    }
+    if (before.promptFingerprint !== after.promptFingerprint) {
+      changes.push({
+        key: "prompts",
+        before: before.promptFingerprint,
+        after: after.promptFingerprint,
+      });
+    }
+
+    return changes;
+  }
+
+  export() {
+    return this.snapshots;
+  }
+
+  /**
+   * Replace the history with an exported one and continue in its scope
+   */
+  import(snapshots = []) {
+    this.scope =
+      snapshots.find((snapshot) => snapshot.scope)?.scope ||
+      AnalysisSnapshots.createScope();
+    this.snapshots = snapshots
+      .map((snapshot) => ({ ...snapshot, scope: this.scope }))
+      .sort((a, b) => a.version - b.version);
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.AnalysisSnapshots = AnalysisSnapshots;
+} else if (typeof module !== "undefined") {
+  module.exports = AnalysisSnapshots;
+}
@@ -0,0 +1,227 @@
+/**
+ * LLM Response Validator
+ *
+ * Validates and coerces the JSON returned for the analysis prompts against
+ * the schemas from DocumentAnalysisPrompts.getResponseSchemas():
+ * - Clamps scores (importance, confidence, strengths) to the 0-1 range
+ * - Drops document numbers outside the analyzed collection
+ * - Drops malformed themes, definitions and concepts
+ * - Reports every correction, plus errors that are worth a retry
+ */
+
+class AnalysisResponseValidator {
+  constructor(schemas) {
+    this.schemas = schemas;
+  }
+
+  /**
+   * Validate a parsed response.
+   *
+   * @param {*} data - parsed JSON
+   * @param {string} schemaName - "analysis", "chunk" or "reconciliation"
+   * @param {object} options - { documentCount }
+   * @returns {{ value: object|null, errors: string[], corrections: string[] }}
+   */
+  validate(data, schemaName, options = {}) {
+    const errors = [];
+    const corrections = [];
+    const context = {
+      documentCount: options.documentCount,
+      errors,
+      corrections,
+    };
+
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      errors.push("Response must be a JSON object");
+      return { value: null, errors, corrections };
+    }
+
+    const value = this.coerceObject(data, schemaName, "", context, true);
+
+    if (value && schemaName === "analysis") {
+      this.checkDocumentEntries(value, context);
+    }
+
+    return { value, errors, corrections };
+  }
+
+  /**
+   * The analysis response needs exactly one entry per document, in order
+   */
+  checkDocumentEntries(value, context) {
+    const expected = context.documentCount;
+    if (!expected) return;
+
+    if (value.documents.length > expected) {
+      context.corrections.push(
+        `documents: dropped ${
+          value.documents.length - expected
+        } extra entries (expected ${expected})`
+      );
+      value.documents = value.documents.slice(0, expected);
+    } else if (value.documents.length < expected) {
+      context.errors.push(
+        `documents: expected ${expected} entries (one per document, in order), got ${value.documents.length}`
+      );
+    }
+  }
+
+  coerceObject(data, schemaName, path, context, topLevel = false) {
+    const schema = this.schemas[schemaName];
+    const result = { ...data };
+
+    for (const [field, type] of Object.entries(schema.required)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      const value = this.coerceField(data[field], type, fieldPath, context);
+
+      if (value === undefined) {
+        if (topLevel) {
+          context.errors.push(`${fieldPath}: required field is missing`);
+        }
+        return null;
+      }
+      result[field] = value;
+    }
+
+    for (const [field, type] of Object.entries(schema.optional)) {
+      if (data[field] === undefined || data[field] === null) continue;
+
+      const fieldPath = path ? `${path}.${field}` : field;
+      const value = this.coerceField(data[field], type, fieldPath, context);
+
+      if (value === undefined) {
+        context.corrections.push(`${fieldPath}: removed invalid value`);
+        delete result[field];
+      } else {
+        result[field] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Coerce one field; returns undefined when the value can't be used
+   */
+  coerceField(value, type, path, context) {
+    if (type === "string") {
+      if (typeof value === "string") {
+        return value.trim() ? value.trim() : undefined;
+      }
+      if (typeof value === "number") {
+        context.corrections.push(`${path}: converted number to string`);
+        return String(value);
+      }
+      return undefined;
+    }
+
+    if (type === "object") {
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? value
+        : undefined;
+    }
+
+    if (type === "score") {
+      return this.coerceScore(value, path, context);
+    }
+
+    if (type === "docRefs") {
+      return this.coerceDocumentNumbers(value, path, context);
+    }
+
+    if (type.endsWith("[]")) {
+      const itemType = type.slice(0, -2);
+      return this.coerceArray(value, itemType, path, context);
+    }
+
+    return value;
+  }
+
+  coerceScore(value, path, context) {
+    const number = typeof value === "string" ? parseFloat(value) : value;
+    if (typeof number !== "number" || !isFinite(number)) return undefined;
+
+    const score = Math.max(0, Math.min(1, number));
+    if (score !== number) {
+      context.corrections.push(`${path}: clamped ${number} to ${score}`);
+    } else if (typeof value === "string") {
+      context.corrections.push(`${path}: converted string to number`);
+    }
+    return score;
+  }
+
+  coerceDocumentNumbers(value, path, context) {
+    const list = Array.isArray(value) ? value : [value];
+    const max = context.documentCount || Infinity;
+    const numbers = [];
+
+    for (const item of list) {
+      const number = typeof item === "string" ? parseInt(item, 10) : item;
+      if (Number.isInteger(number) && number >= 1 && number <= max) {
+        if (!numbers.includes(number)) numbers.push(number);
+      } else {
+        context.corrections.push(
+          `${path}: dropped out-of-range document number ${JSON.stringify(
+            item
+          )}`
+        );
+      }
+    }
+
+    return numbers;
+  }
+
+  coerceArray(value, itemType, path, context) {
+    if (!Array.isArray(value)) {
+      if (itemType === "string" && typeof value === "string") {
+        context.corrections.push(`${path}: wrapped string in array`);
+        return [value];
+      }
+      return undefined;
+    }
+
+    const items = [];
+    value.forEach((item, i) => {
+      const itemPath = `${path}[${i}]`;
+
+      if (itemType === "string") {
+        const str = this.coerceField(item, "string", itemPath, context);
+        if (str === undefined) {
+          context.corrections.push(`${itemPath}: dropped non-string item`);
+        } else {
+          items.push(str);
+        }
+        return;
+      }
+
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        if (itemType === "document") {
+          // Keep positions aligned with the document order
+          context.errors.push(`${itemPath}: expected an object`);
+          items.push({});
+        } else {
+          context.corrections.push(`${itemPath}: dropped non-object item`);
+        }
+        return;
+      }
+
+      const coerced = this.coerceObject(item, itemType, itemPath, context);
+      if (coerced) {
+        items.push(coerced);
+      } else {
+        context.corrections.push(
+          `${itemPath}: dropped item missing required fields`
+        );
+      }
+    });
+
+    return items;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.AnalysisResponseValidator = AnalysisResponseValidator;
+} else if (typeof module !== "undefined") {
+  module.exports = AnalysisResponseValidator;
+}
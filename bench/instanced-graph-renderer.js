@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Instanced Graph Renderer benchmark
+ *
+ * Measures the per-frame JavaScript work of instanced-graph-renderer.js on
+ * a random graph, without a browser:
+ *
+ *   npm install --no-save three@0.128.0
+ *   npm run bench -- --nodes 5000 --links 10000
+ *
+ * - Frame: what the app does every animation frame (reset node highlight
+ *   state, orbit the camera, update()), averaged over --frames frames
+ * - Move: updateLinkPositions() after every node moved, as while the
+ *   force layout settles
+ * - Draw calls: meshes, line sets and label sprites left to draw
+ *
+ * GPU time isn't included; a 60fps frame has 16.7ms for both.
+ */
+
+const { performance } = require("perf_hooks");
+
+function requireThree() {
+  try {
+    return require("three");
+  } catch (error) {
+    throw new Error(
+      'the benchmark needs the "three" package (npm install --no-save three@0.128.0)'
+    );
+  }
+}
+
+/**
+ * Canvas stand-in for the label textures
+ */
+const headlessDocument = {
+  createElement: () => ({
+    getContext: () => ({
+      measureText: (text) => ({ width: text.length * 24 }),
+      fillText() {},
+    }),
+  }),
+};
+
+function parseOptions(args) {
+  const options = { nodes: 5000, links: 10000, frames: 200, seed: 1 };
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, "");
+    if (!(name in options) || !Number.isFinite(Number(args[i + 1]))) {
+      throw new Error(`unknown option ${args[i]} ${args[i + 1] ?? ""}`);
+    }
+    options[name] = Number(args[i + 1]);
+  }
+  return options;
+}
+
+/**
+ * Graph laid out in a cube, one document per ten nodes; seeded so every
+ * run draws the same graph
+ */
+function createGraph({ nodes: nodeCount, links: linkCount, seed }) {
+  let state = seed;
+  const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  const spread = 15 * Math.cbrt(nodeCount);
+
+  const nodes = Array.from({ length: nodeCount }, (_, i) => ({
+    id: `n${i}`,
+    label: `Node ${i}`,
+    type: i % 10 === 0 ? "document" : "shared-theme",
+    size: 5 + (i % 7),
+    color: i % 10 === 0 ? "#3B82F6" : "#10B981",
+    x: (random() - 0.5) * spread,
+    y: (random() - 0.5) * spread,
+    z: (random() - 0.5) * spread,
+  }));
+  const links = Array.from({ length: linkCount }, (_, i) => ({
+    source: nodes[Math.floor(random() * nodeCount)].id,
+    target: nodes[Math.floor(random() * nodeCount)].id,
+    type: i % 50 === 0 ? "theme-relationship" : "theme-connection",
+    color: "#94A3B8",
+    dashed: i % 100 === 0,
+    strength: 0.5,
+  }));
+  return { nodes, links };
+}
+
+function drawCalls(scene) {
+  let count = 0;
+  scene.traverseVisible((object) => {
+    if (object.isInstancedMesh) {
+      count += object.count > 0 ? 1 : 0;
+    } else if (object.isLineSegments || object.isSprite) {
+      count++;
+    }
+  });
+  return count;
+}
+
+function run(args) {
+  const options = parseOptions(args);
+  global.THREE = requireThree();
+  global.document = global.document || headlessDocument;
+  const InstancedGraphRenderer = require("../instanced-graph-renderer.js");
+
+  const graphData = createGraph(options);
+  const scene = new THREE.Scene();
+  let started = performance.now();
+  const renderer = new InstancedGraphRenderer(scene, graphData);
+  const buildMs = performance.now() - started;
+
+  const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+  const proxies = Object.values(renderer.nodeObjects);
+  const focusIds = [graphData.nodes[0].id];
+  const frame = (f) => {
+    camera.position.set(80 * Math.sin(f / 50), 10, 80 * Math.cos(f / 50));
+    camera.lookAt(0, 0, 0);
+    proxies.forEach((proxy) => {
+      proxy.scale.set(1, 1, 1);
+      proxy.material.emissiveIntensity = 0.3;
+    });
+    renderer.update(camera, { showLabels: true, focusIds });
+  };
+
+  frame(0); // warm up caches and label textures
+  started = performance.now();
+  for (let f = 1; f <= options.frames; f++) frame(f);
+  const frameMs = (performance.now() - started) / options.frames;
+
+  const moves = Math.max(1, Math.round(options.frames / 4));
+  started = performance.now();
+  for (let m = 0; m < moves; m++) {
+    proxies.forEach((proxy) => (proxy.position.x += 0.01));
+    renderer.updateLinkPositions();
+  }
+  const moveMs = (performance.now() - started) / moves;
+
+  console.log(
+    `${options.nodes} nodes, ${options.links} links (three r${THREE.REVISION}, node ${process.version})`
+  );
+  console.log(`  build       ${buildMs.toFixed(1)}ms`);
+  console.log(
+    `  frame       ${frameMs.toFixed(2)}ms (${options.frames} frames)`
+  );
+  console.log(`  move        ${moveMs.toFixed(2)}ms (${moves} moves)`);
+  const drawn = renderer.levels.reduce((sum, { mesh }) => sum + mesh.count, 0);
+  console.log(`  draw calls  ${drawCalls(scene)} (${drawn} nodes in view)`);
+  renderer.dispose();
+}
+
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * Community Detector
+ *
+ * Finds groups of closely linked nodes in a weighted, undirected graph:
+ * - Louvain modularity optimization: nodes move to the neighboring
+ *   community with the best modularity gain, then communities are merged
+ *   into single nodes and the process repeats on the smaller graph
+ * - Leiden-style refinement: a community that falls apart into unconnected
+ *   pieces is split, so every community is connected
+ * - Resolution parameter (higher = more, smaller communities)
+ * - Deterministic: nodes are visited in the order given and ties go to
+ *   the lowest community, so the same graph gives the same communities
+ * - Matching against a previous run by member overlap, for stable IDs
+ */
+
+class CommunityDetector {
+  constructor(options = {}) {
+    this.resolution = options.resolution ?? 1;
+    this.maxLevels = options.maxLevels || 10;
+    this.maxPasses = options.maxPasses || 50;
+    this.minGain = options.minGain ?? 1e-9;
+  }
+
+  /**
+   * Communities of a graph.
+   *
+   * @param {string[]} nodeIds - every node, including unlinked ones
+   * @param {object[]} edges - [{ source, target, weight }]; repeated pairs
+   *   add up, self-loops and unknown ids are ignored
+   * @returns {object} { communities: [{ members: [ids] }] biggest first,
+   *   modularity }
+   */
+  detect(nodeIds, edges) {
+    const graph = CommunityDetector.buildGraph(nodeIds, edges);
+    let level = graph;
+    let membership = nodeIds.map((_, i) => i); // original node -> community
+
+    for (let depth = 0; depth < this.maxLevels; depth++) {
+      const { assignment, moved } = this.moveNodes(level);
+      const { assignment: refined, count } =
+        CommunityDetector.splitDisconnected(level, assignment);
+      membership = membership.map((community) => refined[community]);
+      if (!moved || count === level.size) break;
+
+      level = CommunityDetector.aggregate(level, refined, count);
+    }
+
+    const groups = new Map();
+    membership.forEach((community, i) => {
+      if (!groups.has(community)) groups.set(community, []);
+      groups.get(community).push(i);
+    });
+    const ordered = Array.from(groups.values()).sort(
+      (a, b) => b.length - a.length || a[0] - b[0]
+    );
+
+    return {
+      communities: ordered.map((members) => ({
+        members: members.map((i) => nodeIds[i]),
+      })),
+      modularity: this.modularity(graph, membership, groups.size),
+    };
+  }
+
+  /**
+   * Local moving phase: repeatedly move each node to the neighboring
+   * community with the best modularity gain. Returns the community of
+   * every node, numbered 0..n-1, and whether any node moved.
+   */
+  moveNodes(graph) {
+    const { size, neighbors, degrees, totalWeight } = graph;
+    const assignment = Array.from({ length: size }, (_, i) => i);
+    const totals = degrees.slice(); // community -> sum of member degrees
+    if (totalWeight === 0) return { assignment, moved: false };
+
+    const scale = this.resolution / (2 * totalWeight);
+    let moved = false;
+
+    for (let pass = 0; pass < this.maxPasses; pass++) {
+      let changed = false;
+
+      for (let node = 0; node < size; node++) {
+        const current = assignment[node];
+        const degree = degrees[node];
+
+        // Link weight from node to each neighboring community
+        const linkWeights = new Map([[current, 0]]);
+        neighbors[node].forEach((weight, neighbor) => {
+          const community = assignment[neighbor];
+          linkWeights.set(
+            community,
+            (linkWeights.get(community) || 0) + weight
+          );
+        });
+
+        totals[current] -= degree;
+        let best = current;
+        let bestGain =
+          linkWeights.get(current) - totals[current] * degree * scale;
+        linkWeights.forEach((weight, community) => {
+          const gain = weight - totals[community] * degree * scale;
+          if (
+            gain > bestGain + this.minGain ||
+            (Math.abs(gain - bestGain) <= this.minGain && community < best)
+          ) {
+            best = community;
+            bestGain = gain;
+          }
+        });
+        totals[best] += degree;
+
+        if (best !== current) {
+          assignment[node] = best;
+          changed = true;
+          moved = true;
+        }
+      }
+
+      if (!changed) break;
+    }
+
+    return { assignment, moved };
+  }
+
+  /**
+   * Modularity of an assignment of the graph's nodes to communities
+   */
+  modularity(graph, assignment, communityCount) {
+    const { size, neighbors, selfLoops, degrees, totalWeight } = graph;
+    if (totalWeight === 0) return 0;
+
+    const internal = new Array(communityCount).fill(0);
+    const totals = new Array(communityCount).fill(0);
+    for (let node = 0; node < size; node++) {
+      const community = assignment[node];
+      totals[community] += degrees[node];
+      internal[community] += selfLoops[node];
+      neighbors[node].forEach((weight, neighbor) => {
+        // Each edge is seen from both ends
+        if (assignment[neighbor] === community) {
+          internal[community] += weight / 2;
+        }
+      });
+    }
+
+    return internal.reduce(
+      (sum, weight, community) =>
+        sum +
+        weight / totalWeight -
+        this.resolution * (totals[community] / (2 * totalWeight)) ** 2,
+      0
+    );
+  }
+
+  /**
+   * Weighted adjacency for node indexes: neighbors (Map per node),
+   * selfLoops (weight inside a merged node), degrees and total weight
+   */
+  static buildGraph(nodeIds, edges) {
+    const index = new Map(nodeIds.map((id, i) => [id, i]));
+    const neighbors = nodeIds.map(() => new Map());
+
+    (edges || []).forEach(({ source, target, weight = 1 }) => {
+      const a = index.get(source);
+      const b = index.get(target);
+      if (a === undefined || b === undefined || a === b || !(weight > 0)) {
+        return;
+      }
+      neighbors[a].set(b, (neighbors[a].get(b) || 0) + weight);
+      neighbors[b].set(a, (neighbors[b].get(a) || 0) + weight);
+    });
+
+    return CommunityDetector.withDegrees(
+      neighbors,
+      new Array(nodeIds.length).fill(0)
+    );
+  }
+
+  static withDegrees(neighbors, selfLoops) {
+    const degrees = neighbors.map((links, node) => {
+      let degree = 2 * selfLoops[node];
+      links.forEach((weight) => (degree += weight));
+      return degree;
+    });
+
+    return {
+      size: neighbors.length,
+      neighbors,
+      selfLoops,
+      degrees,
+      totalWeight: degrees.reduce((sum, degree) => sum + degree, 0) / 2,
+    };
+  }
+
+  /**
+   * Split every community into its connected pieces (the guarantee the
+   * Leiden algorithm adds to Louvain). Returns the new community of every
+   * node, numbered 0..count-1 in order of first member.
+   */
+  static splitDisconnected(graph, assignment) {
+    const refined = new Array(graph.size).fill(-1);
+    let count = 0;
+
+    for (let start = 0; start < graph.size; start++) {
+      if (refined[start] !== -1) continue;
+
+      const community = assignment[start];
+      const queue = [start];
+      refined[start] = count;
+      while (queue.length > 0) {
+        const node = queue.pop();
+        graph.neighbors[node].forEach((_, neighbor) => {
+          if (refined[neighbor] === -1 && assignment[neighbor] === community) {
+            refined[neighbor] = count;
+            queue.push(neighbor);
+          }
+        });
+      }
+      count++;
+    }
+
+    return { assignment: refined, count };
+  }
+
+  /**
+   * Graph with one node per community; links inside a community become
+   * self-loop weight
+   */
+  static aggregate(graph, assignment, count) {
+    const neighbors = Array.from({ length: count }, () => new Map());
+    const selfLoops = new Array(count).fill(0);
+
+    for (let node = 0; node < graph.size; node++) {
+      const community = assignment[node];
+      selfLoops[community] += graph.selfLoops[node];
+      graph.neighbors[node].forEach((weight, neighbor) => {
+        const other = assignment[neighbor];
+        if (other === community) {
+          selfLoops[community] += weight / 2;
+        } else {
+          neighbors[community].set(
+            other,
+            (neighbors[community].get(other) || 0) + weight
+          );
+        }
+      });
+    }
+
+    return CommunityDetector.withDegrees(neighbors, selfLoops);
+  }
+
+  /**
+   * Pair new communities with previous ones by member overlap (Jaccard),
+   * best pairs first. Returns, for every new community, the index of its
+   * previous community or -1.
+   *
+   * @param {Array<string[]>} next - members of each new community
+   * @param {Array<string[]>} previous - members of each previous community
+   */
+  static matchCommunities(next, previous, minOverlap = 0.3) {
+    const previousSets = previous.map((members) => new Set(members));
+    const pairs = [];
+    next.forEach((members, i) => {
+      previousSets.forEach((other, j) => {
+        const shared = members.filter((id) => other.has(id)).length;
+        if (shared === 0) return;
+        const overlap = shared / (members.length + other.size - shared);
+        if (overlap >= minOverlap) pairs.push({ i, j, overlap });
+      });
+    });
+
+    const matches = new Array(next.length).fill(-1);
+    const taken = new Set();
+    pairs
+      .sort((a, b) => b.overlap - a.overlap || a.i - b.i || a.j - b.j)
+      .forEach(({ i, j }) => {
+        if (matches[i] !== -1 || taken.has(j)) return;
+        matches[i] = j;
+        taken.add(j);
+      });
+    return matches;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.CommunityDetector = CommunityDetector;
+} else if (typeof module !== "undefined") {
+  module.exports = CommunityDetector;
+}
@@ -10,10 +10,49 @@
 // The .gitignore file is set up to exclude config.js
 
 window.CONFIG = {
+  // Which LLM provider to use for analysis and chat:
+  // "openai" (default), "anthropic", "local" (any OpenAI-compatible
+  // server such as Ollama or llama.cpp), or "offline" (keyphrase extraction
+  // in the browser, no API key; chat is disabled)
+  LLM_PROVIDER: "openai",
+
   // Your OpenAI API key
   // Get one at: https://platform.openai.com/api-keys
   OPENAI_API_KEY: "your-openai-api-key-here",
 
+  // Optional: Anthropic (chat only - embeddings fall back to
+  // EMBEDDING_PROVIDER or the local TF-IDF fallback)
+  // ANTHROPIC_API_KEY: "your-anthropic-api-key-here",
+  // ANTHROPIC_MODEL: "claude-3-5-haiku-latest",
+
+  // Optional: local OpenAI-compatible endpoint
+  // LOCAL_LLM_BASE_URL: "http://localhost:11434/v1",
+  // LOCAL_LLM_MODEL: "llama3.1",
+  // LOCAL_EMBEDDING_MODEL: "nomic-embed-text",
+
+  // Optional: use a different provider for embeddings than for chat
+  // EMBEDDING_PROVIDER: "openai",
+
+  // Optional: server-side settings for proxy-server.js (which serves the app
+  // with LLM_PROVIDER "proxy" so this file's keys never reach the browser)
+  // PROXY_RATE_LIMIT: 30, // requests per minute per browser session
+  // PROXY_SESSION_SPEND_LIMIT: 1.0, // estimated USD per browser session
+  // PROXY_MAX_TOKENS: 4000, // cap on max_tokens per chat request
+  // JSON-lines usage log (default: ~/.cache/connect-the-docs/proxy-usage.log)
+  // PROXY_USAGE_LOG: "/var/log/connect-the-docs/proxy-usage.log",
+
+  // Optional: ask before analyses whose estimated cost may exceed this
+  // (USD, 0 = never ask)
+  // COST_CONFIRM_THRESHOLD: 0.25,
+
+  // Optional: prices for models not in LLMProvider.PRICES, used for the usage
+  // meter and cost estimates (USD per million tokens)
+  // MODEL_PRICES: { "llama3.1": { input: 0, output: 0 } },
+
+  // Optional: how many embeddings to keep in the browser's IndexedDB cache
+  // (least recently used entries are evicted first)
+  // EMBEDDING_CACHE_MAX_ENTRIES: 20000,
+
   // Optional: API configuration
   // Uncomment and modify if needed
   /*
@@ -0,0 +1,642 @@
+#!/usr/bin/env node
+/**
+ * Connect the Docs - command line interface
+ *
+ * Runs the same analysis pipeline as enhanced-analyzer.html without a
+ * browser, e.g. for nightly jobs over a shared drive:
+ *
+ *   node connect-the-docs.js analyze ./folder --out graph.json
+ *
+ * - Reads .txt, .md, .csv, .docx and .pptx files (recursively)
+ * - Provider settings come from a config file (config.js or .json),
+ *   environment variables and flags, in that order
+ * - Writes the graph, the analysis report and the exportSystemState bundle
+ *   (which the browser can open as a session)
+ *
+ * .docx files need `mammoth` and .pptx files need `jszip`
+ * (`npm install mammoth jszip`); other formats have no dependencies.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// The analysis modules expect each other as globals, as in the browser
+const {
+  LLMProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  LocalProvider,
+  OfflineProvider,
+} = require("./llm-providers.js");
+const { EmbeddingCache } = require("./embedding-cache.js");
+Object.assign(global, {
+  LLMProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  LocalProvider,
+  OfflineProvider,
+  EmbeddingCache,
+  UsageTracker: require("./usage-tracker.js"),
+  ThemeStorageSystem: require("./theme-storage-system.js"),
+  CorpusIndex: require("./corpus-index.js"),
+  SearchIndex: require("./search-index.js"),
+  EvidenceLocator: require("./evidence-locator.js"),
+  SemanticAnalyzer: require("./semantic-analyzer.js"),
+  DocumentAnalysisPrompts: require("./enhanced-prompts.js"),
+  AnalysisResponseValidator: require("./analysis-validator.js"),
+  KeyphraseExtractor: require("./keyphrase-extractor.js"),
+  AnalysisSnapshots: require("./analysis-snapshots.js"),
+  CommunityDetector: require("./community-detector.js"),
+  GraphAnalytics: require("./graph-analytics.js"),
+  ForceLayout: require("./force-layout.js"),
+});
+const DocumentConnectionAnalyzer = require("./document-connection-analyzer.js");
+const SessionStore = require("./session-store.js");
+const LayoutPresets = require("./layout-presets.js");
+
+const USAGE = `Usage: connect-the-docs analyze <folder> [options]
+
+Options:
+  --out <file>             Graph output (default: graph.json)
+  --report <file>          Analysis report (default: <out>.report.json)
+  --state <file>           Analyzer state bundle (default: <out>.state.json)
+  --session                Write the state as a browser session file instead
+  --layout[=<preset>]      Lay out the graph so the browser opens it laid
+                           out: force (default), hierarchical, radial,
+                           clustered or flat
+  --config <file>          config.js (window.CONFIG = {...}) or .json file
+  --provider <name>        LLM provider: openai, anthropic, local or offline
+                           (offline = keyphrase extraction, no API key)
+  --model <name>           Chat model
+  --embedding-provider <n> Provider for embeddings
+  --set <key=value>        Analysis option, e.g. --set minThemeConfidence=0.6
+                           (repeatable; see DocumentConnectionAnalyzer.config)
+  --max-cost <usd>         Don't start if the estimated cost is higher
+  --ext <list>             File types to read (default: txt,md,csv,docx,pptx)
+  --no-recursive           Only read files directly inside <folder>
+  --no-cache               Don't use the persistent embedding cache
+  --quiet                  Only print errors and the summary
+  -h, --help               Show this help
+
+Environment variables OPENAI_API_KEY, ANTHROPIC_API_KEY, LLM_PROVIDER,
+LLM_MODEL, LOCAL_LLM_BASE_URL, ... are used like the keys in config.js.`;
+
+// config.js keys that may also come from the environment
+const CONFIG_ENV_KEYS = [
+  "LLM_PROVIDER",
+  "LLM_MODEL",
+  "EMBEDDING_PROVIDER",
+  "EMBEDDING_MODEL",
+  "OPENAI_API_KEY",
+  "OPENAI_BASE_URL",
+  "OPENAI_MODEL",
+  "OPENAI_EMBEDDING_MODEL",
+  "ANTHROPIC_API_KEY",
+  "ANTHROPIC_BASE_URL",
+  "ANTHROPIC_MODEL",
+  "LOCAL_LLM_API_KEY",
+  "LOCAL_LLM_BASE_URL",
+  "LOCAL_LLM_MODEL",
+  "LOCAL_EMBEDDING_MODEL",
+  "EMBEDDING_CACHE_MAX_ENTRIES",
+];
+
+const DEFAULT_EXTENSIONS = ["txt", "md", "csv", "docx", "pptx"];
+
+class ConnectTheDocsCLI {
+  /**
+   * Run a command. Returns the process exit code.
+   */
+  async run(argv) {
+    let options;
+    try {
+      options = this.parseArgs(argv);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    try {
+      return await this.analyze(options);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+  }
+
+  parseArgs(argv) {
+    const options = {
+      command: null,
+      folder: null,
+      out: "graph.json",
+      report: null,
+      state: null,
+      session: false,
+      config: null,
+      provider: null,
+      model: null,
+      embeddingProvider: null,
+      settings: {},
+      extensions: DEFAULT_EXTENSIONS,
+      recursive: true,
+      cache: true,
+      layout: null,
+      quiet: false,
+      help: false,
+    };
+    const numberFlags = {
+      "--max-cost": "maxEstimatedCost",
+    };
+    const valueFlags = {
+      "--out": "out",
+      "--report": "report",
+      "--state": "state",
+      "--config": "config",
+      "--provider": "provider",
+      "--model": "model",
+      "--embedding-provider": "embeddingProvider",
+    };
+
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      const [flag, inlineValue] = arg.startsWith("--")
+        ? arg.split(/=(.*)/s)
+        : [arg];
+      const nextValue = () => {
+        if (inlineValue !== undefined) return inlineValue;
+        if (i + 1 >= argv.length) {
+          throw new Error(`${flag} needs a value`);
+        }
+        return argv[++i];
+      };
+
+      if (flag === "-h" || flag === "--help") {
+        options.help = true;
+      } else if (valueFlags[flag]) {
+        options[valueFlags[flag]] = nextValue();
+      } else if (numberFlags[flag]) {
+        const value = Number(nextValue());
+        if (isNaN(value) || value < 0) {
+          throw new Error(`${flag} expects a non-negative number`);
+        }
+        options.settings[numberFlags[flag]] = value;
+      } else if (flag === "--set") {
+        const [key, value] = nextValue().split(/=(.*)/s);
+        if (!key || value === undefined) {
+          throw new Error("--set expects key=value");
+        }
+        options.settings[key] = this.parseValue(value);
+      } else if (flag === "--ext") {
+        options.extensions = nextValue()
+          .split(",")
+          .map((ext) => ext.trim().replace(/^\./, "").toLowerCase())
+          .filter(Boolean);
+      } else if (flag === "--session") {
+        options.session = true;
+      } else if (flag === "--layout") {
+        options.layout = inlineValue || "force";
+        if (!LayoutPresets.PRESETS[options.layout]) {
+          throw new Error(`Unknown layout "${options.layout}"`);
+        }
+      } else if (flag === "--no-recursive") {
+        options.recursive = false;
+      } else if (flag === "--no-cache") {
+        options.cache = false;
+      } else if (flag === "--quiet") {
+        options.quiet = true;
+      } else if (flag.startsWith("-")) {
+        throw new Error(`Unknown option ${flag}`);
+      } else {
+        positional.push(arg);
+      }
+    }
+
+    if (options.help) return options;
+
+    [options.command, options.folder] = positional;
+    if (options.command !== "analyze") {
+      throw new Error(
+        options.command
+          ? `Unknown command "${options.command}"`
+          : "Missing command"
+      );
+    }
+    if (!options.folder) {
+      throw new Error("Missing folder to analyze");
+    }
+    if (positional.length > 2) {
+      throw new Error(`Unexpected argument "${positional[2]}"`);
+    }
+
+    const base = options.out.replace(/\.json$/i, "");
+    options.report = options.report || `${base}.report.json`;
+    options.state =
+      options.state || `${base}.${options.session ? "session" : "state"}.json`;
+    return options;
+  }
+
+  /**
+   * "0.6" -> 0.6, "true" -> true, anything else stays a string
+   */
+  parseValue(value) {
+    if (value === "true") return true;
+    if (value === "false") return false;
+    if (value.trim() !== "" && !isNaN(Number(value))) return Number(value);
+    return value;
+  }
+
+  async analyze(options) {
+    const log = options.quiet ? () => {} : console.log;
+    const config = this.loadConfig(options);
+    const documents = await this.readFolder(options, log);
+    if (documents.length === 0) {
+      throw new Error(
+        `No ${options.extensions.join("/")} files found in ${options.folder}`
+      );
+    }
+
+    const llmProvider = LLMProvider.fromConfig(config, "chat");
+    let embeddingProvider = null;
+    try {
+      embeddingProvider = LLMProvider.fromConfig(config, "embedding");
+    } catch (error) {
+      log(`ℹ️  No embedding provider configured (${error.message})`);
+    }
+
+    const analyzer = new DocumentConnectionAnalyzer(config.OPENAI_API_KEY, {
+      llmProvider,
+      embeddingProvider: embeddingProvider?.supportsEmbeddings()
+        ? embeddingProvider
+        : null,
+      embeddingCache: options.cache
+        ? new EmbeddingCache({
+            maxEntries: config.EMBEDDING_CACHE_MAX_ENTRIES,
+          })
+        : null,
+      usageTracker: new UsageTracker({ prices: config.MODEL_PRICES }),
+      log,
+    });
+
+    log(
+      `🚀 Analyzing ${documents.length} documents with ${llmProvider.name} (${llmProvider.model})`
+    );
+    const result = await analyzer.processDocuments(documents, {
+      ...config.ANALYSIS_OPTIONS,
+      ...options.settings,
+    });
+    if (!result.success) {
+      throw new Error(`Analysis failed: ${result.error}`);
+    }
+
+    if (options.layout) {
+      const started = Date.now();
+      const positions = LayoutPresets.compute(
+        options.layout,
+        analyzer.graphData,
+        {
+          hierarchy: Array.from(analyzer.themeStorage.themeHierarchy.values()),
+        }
+      );
+      ForceLayout.applyPositions(analyzer.graphData.nodes, positions);
+      analyzer.graphData.metadata.layoutComplete = true;
+      log(
+        `🧲 Laid out the graph (${options.layout}) in ${Date.now() - started}ms`
+      );
+    }
+
+    const state = analyzer.exportSystemState();
+    this.writeJSON(options.out, state.graphData);
+    this.writeJSON(options.report, result.analysisReport);
+    this.writeJSON(
+      options.state,
+      options.session
+        ? SessionStore.createBundle(path.basename(options.folder), {
+            analyzer: state,
+            documents,
+            analyzedCount: documents.length,
+            chatHistory: [],
+            layout: { preset: options.layout || "force", centerId: null },
+          })
+        : state
+    );
+
+    console.log(
+      `✅ Analyzed ${result.documentIds.length} documents in ${result.processingTime}ms: ` +
+        `${state.graphData.nodes.length} nodes, ${state.graphData.links.length} links`
+    );
+    console.log(`   Graph:  ${options.out}`);
+    console.log(`   Report: ${options.report}`);
+    console.log(`   State:  ${options.state}`);
+
+    const communities = state.graphData.metadata.communities || [];
+    if (communities.length > 0) {
+      console.log(
+        `🫧 ${communities.length} communities: ` +
+          communities
+            .map(
+              (community) => `${community.name} (${community.documentCount})`
+            )
+            .join(", ")
+      );
+    }
+    const bridgeDocuments =
+      result.analysisReport.connectivity.structure.bridgeDocuments;
+    if (bridgeDocuments.length > 0) {
+      console.log(
+        `🌉 Bridge documents: ` +
+          bridgeDocuments.map((entry) => entry.label).join(", ")
+      );
+    }
+    const contradictions =
+      result.analysisReport.relationships?.contradictions || [];
+    if (contradictions.length > 0) {
+      console.log(
+        `⚔️  ${contradictions.length} contradiction(s) between themes, listed in the report`
+      );
+    }
+    const conflictingTerms = result.analysisReport.glossary.conflictingTerms;
+    if (conflictingTerms.length > 0) {
+      console.log(
+        `📖 ${conflictingTerms.length} term(s) defined differently across documents, listed in the report`
+      );
+    }
+
+    const usage = result.usage;
+    if (usage?.calls > 0) {
+      console.log(
+        `💰 ${usage.calls} API call(s), ${
+          usage.promptTokens + usage.completionTokens
+        } tokens, ~$${usage.cost.toFixed(4)}` +
+          (usage.unpricedCalls > 0
+            ? ` (${usage.unpricedCalls} call(s) without a known price)`
+            : "")
+      );
+    }
+
+    const validation = result.validation;
+    if (validation?.truncated.length > 0) {
+      console.warn(
+        `⚠️  ${validation.truncated.length} document(s) were cut at maxChunksPerDocument sections: ` +
+          validation.truncated
+            .map(
+              (entry) =>
+                `${entry.title} (${entry.analyzedChunks}/${entry.chunkCount})`
+            )
+            .join(", ")
+      );
+    }
+    if (validation?.missing.length > 0) {
+      console.warn(
+        `⚠️  ${validation.missing.length} document(s) were left out of the model response: ` +
+          validation.missing.map((entry) => entry.title).join(", ")
+      );
+    }
+    if (validation?.unresolved.length > 0) {
+      console.warn(
+        `⚠️  ${validation.unresolved.length} model response issue(s) could not be repaired`
+      );
+    }
+    return 0;
+  }
+
+  /**
+   * Merge config file, environment and flags into a window.CONFIG style
+   * object. Analysis options go in ANALYSIS_OPTIONS.
+   */
+  loadConfig(options) {
+    let fileConfig = {};
+    if (options.config) {
+      const text = fs.readFileSync(options.config, "utf8");
+      if (options.config.endsWith(".json")) {
+        fileConfig = JSON.parse(text);
+      } else {
+        // config.js assigns window.CONFIG
+        const sandbox = { window: {} };
+        vm.runInNewContext(text, sandbox, { filename: options.config });
+        fileConfig = sandbox.window.CONFIG || sandbox.CONFIG || {};
+      }
+    }
+
+    const envConfig = {};
+    CONFIG_ENV_KEYS.forEach((key) => {
+      if (process.env[key]) envConfig[key] = process.env[key];
+    });
+
+    const config = { ...fileConfig, ...envConfig };
+    if (options.provider) config.LLM_PROVIDER = options.provider;
+    if (options.model) config.LLM_MODEL = options.model;
+    if (options.embeddingProvider) {
+      config.EMBEDDING_PROVIDER = options.embeddingProvider;
+    }
+    if (config.EMBEDDING_CACHE_MAX_ENTRIES) {
+      config.EMBEDDING_CACHE_MAX_ENTRIES = Number(
+        config.EMBEDDING_CACHE_MAX_ENTRIES
+      );
+    }
+    return config;
+  }
+
+  /**
+   * Read supported files below the folder, sorted by path
+   */
+  async readFolder(options, log) {
+    const root = path.resolve(options.folder);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      throw new Error(`Folder not found: ${options.folder}`);
+    }
+
+    const files = [];
+    const walk = (dir) => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach((entry) => {
+          if (entry.name.startsWith(".")) return;
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            if (options.recursive) walk(fullPath);
+          } else if (
+            options.extensions.includes(
+              path.extname(entry.name).slice(1).toLowerCase()
+            )
+          ) {
+            files.push(fullPath);
+          }
+        });
+    };
+    walk(root);
+
+    const documents = [];
+    for (const file of files) {
+      try {
+        const document = await this.parseFile(file);
+        if (!document.content.trim()) {
+          log(`⚠️  Skipping empty file ${path.relative(root, file)}`);
+          continue;
+        }
+        documents.push({ ...document, path: path.relative(root, file) });
+        log(`📄 ${path.relative(root, file)}`);
+      } catch (error) {
+        console.warn(
+          `⚠️  Skipping ${path.relative(root, file)}: ${error.message}`
+        );
+      }
+    }
+    return documents;
+  }
+
+  /**
+   * Same document shape as the browser's file parsers
+   */
+  async parseFile(file) {
+    const ext = path.extname(file).slice(1).toLowerCase();
+    const document = {
+      filename: path.basename(file),
+      title: path.basename(file).replace(/\.[^/.]+$/, ""),
+      size: fs.statSync(file).size,
+      type: ext === "md" ? "text" : ext,
+    };
+
+    switch (ext) {
+      case "docx": {
+        const mammoth = this.requireOptional("mammoth", ".docx");
+        const result = await mammoth.extractRawText({ path: file });
+        return { ...document, content: result.value };
+      }
+      case "pptx":
+        return this.parsePptx(file, document);
+      case "csv":
+        return this.parseCsv(fs.readFileSync(file, "utf8"), document);
+      default:
+        return { ...document, content: fs.readFileSync(file, "utf8") };
+    }
+  }
+
+  async parsePptx(file, document) {
+    const JSZip = this.requireOptional("jszip", ".pptx");
+    const zip = await JSZip.loadAsync(fs.readFileSync(file));
+
+    // Slides in presentation order (slide2.xml before slide10.xml)
+    const slides = Object.keys(zip.files)
+      .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort(
+        (a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0])
+      );
+
+    let content = `PowerPoint Presentation: ${document.filename}\n\n`;
+    for (const [i, name] of slides.entries()) {
+      const xml = await zip.file(name).async("text");
+      const text = (xml.match(/<a:t>([^<]+)<\/a:t>/g) || [])
+        .map((m) => m.replace(/<\/?a:t>/g, ""))
+        .join(" ");
+      if (text) content += `Slide ${i + 1}:\n${text}\n\n`;
+    }
+
+    return { ...document, content, slideCount: slides.length };
+  }
+
+  /**
+   * CSV rows as readable text (first 100 rows), like the browser parser
+   */
+  parseCsv(text, document) {
+    const [fields = [], ...rows] = this.parseCsvRows(text);
+
+    let content = `CSV Data from ${document.filename}\n\n`;
+    content += `Columns: ${fields.join(", ")}\n\n`;
+    rows.slice(0, 100).forEach((row, idx) => {
+      content += `Row ${idx + 1}:\n`;
+      fields.forEach((field, i) => {
+        if (row[i]) content += `  ${field}: ${row[i]}\n`;
+      });
+      content += "\n";
+    });
+    if (rows.length > 100) {
+      content += `... and ${rows.length - 100} more rows`;
+    }
+
+    return { ...document, content, rowCount: rows.length };
+  }
+
+  /**
+   * Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF)
+   */
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ",") {
+        row.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter((r) => r.some((value) => value.trim() !== ""));
+  }
+
+  requireOptional(name, extension) {
+    try {
+      return require(name);
+    } catch (error) {
+      throw new Error(
+        `reading ${extension} files needs the "${name}" package (npm install ${name})`
+      );
+    }
+  }
+
+  writeJSON(file, data) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify(
+        data,
+        (key, value) => {
+          if (value instanceof Set) return Array.from(value);
+          if (value instanceof Map) return Array.from(value.entries());
+          return value;
+        },
+        2
+      )
+    );
+  }
+}
+
+if (require.main === module) {
+  new ConnectTheDocsCLI().run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = ConnectTheDocsCLI;
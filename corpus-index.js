@@ -0,0 +1,262 @@
+/**
+ * Corpus Index
+ *
+ * Term statistics for the analyzed documents, built once per analysis run
+ * and updated as documents are added, changed or removed:
+ * - Document frequencies and smoothed IDF, so words found in most
+ *   documents count for little
+ * - Sparse TF-IDF vectors (sublinear term frequency, unit length) and
+ *   cosine similarity
+ * - BM25 scoring for queries and for document-to-document similarity
+ * - Hashed dense vectors, used as the embedding fallback
+ *
+ * Vectors are sparse Maps: indexing is linear in the text length and a
+ * similarity costs one pass over the smaller vector.
+ */
+
+class CorpusIndex {
+  constructor(options = {}) {
+    this.tokenize =
+      options.tokenize ||
+      ((text) =>
+        text
+          .toLowerCase()
+          .split(/[^\p{L}\p{N}]+/u)
+          .filter(Boolean));
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.clear();
+  }
+
+  clear() {
+    this.documents = new Map(); // id -> { termFrequencies, length }
+    this.documentFrequencies = new Map(); // term -> number of documents
+    this.totalLength = 0;
+    this.vectorCache = new Map(); // id -> TF-IDF vector for the current IDF
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index (or re-index) a document's text
+   */
+  addDocument(id, text) {
+    if (this.documents.has(id)) {
+      this.removeDocument(id);
+    }
+
+    const terms = this.tokenize(text || "");
+    const termFrequencies = this.countTerms(terms);
+    termFrequencies.forEach((count, term) => {
+      this.documentFrequencies.set(
+        term,
+        (this.documentFrequencies.get(term) || 0) + 1
+      );
+    });
+
+    this.documents.set(id, { termFrequencies, length: terms.length });
+    this.totalLength += terms.length;
+    this.vectorCache.clear();
+  }
+
+  removeDocument(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return false;
+
+    doc.termFrequencies.forEach((count, term) => {
+      const frequency = this.documentFrequencies.get(term) - 1;
+      if (frequency > 0) {
+        this.documentFrequencies.set(term, frequency);
+      } else {
+        this.documentFrequencies.delete(term);
+      }
+    });
+
+    this.documents.delete(id);
+    this.totalLength -= doc.length;
+    this.vectorCache.clear();
+    return true;
+  }
+
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  countTerms(terms) {
+    const counts = new Map();
+    terms.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  }
+
+  /**
+   * Smoothed IDF. Close to 0 for terms in every document and highest for
+   * terms the corpus has never seen.
+   */
+  idf(term) {
+    const frequency = this.documentFrequencies.get(term) || 0;
+    return Math.log((this.documents.size + 1) / (frequency + 0.5));
+  }
+
+  /**
+   * BM25 (Robertson-Sparck Jones) IDF, always positive
+   */
+  bm25Idf(term) {
+    const frequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(
+      1 + (this.documents.size - frequency + 0.5) / (frequency + 0.5)
+    );
+  }
+
+  /**
+   * Unit-length TF-IDF vector (Map term -> weight) for any text
+   */
+  vectorize(text) {
+    return this.weigh(this.countTerms(this.tokenize(text || "")));
+  }
+
+  weigh(termFrequencies) {
+    const vector = new Map();
+    let norm = 0;
+    termFrequencies.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * this.idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      vector.forEach((weight, term) => vector.set(term, weight / norm));
+    }
+    return vector;
+  }
+
+  getDocumentVector(id) {
+    if (!this.vectorCache.has(id)) {
+      const doc = this.documents.get(id);
+      this.vectorCache.set(id, doc ? this.weigh(doc.termFrequencies) : null);
+    }
+    return this.vectorCache.get(id);
+  }
+
+  /**
+   * Cosine similarity of two sparse unit vectors
+   */
+  cosine(vectorA, vectorB) {
+    if (!vectorA || !vectorB) return 0;
+
+    const [smaller, larger] =
+      vectorA.size <= vectorB.size ? [vectorA, vectorB] : [vectorB, vectorA];
+    let dot = 0;
+    smaller.forEach((weight, term) => {
+      const other = larger.get(term);
+      if (other) dot += weight * other;
+    });
+    return dot;
+  }
+
+  /**
+   * TF-IDF cosine similarity of two texts, weighted by this corpus
+   */
+  similarity(text1, text2) {
+    return this.cosine(this.vectorize(text1), this.vectorize(text2));
+  }
+
+  documentSimilarity(id1, id2) {
+    return this.cosine(
+      this.getDocumentVector(id1),
+      this.getDocumentVector(id2)
+    );
+  }
+
+  /**
+   * BM25 score of a document for a list of query terms
+   */
+  bm25(queryTerms, id) {
+    const doc = this.documents.get(id);
+    if (!doc) return 0;
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const lengthNorm = 1 - this.b + (this.b * doc.length) / averageLength;
+    let score = 0;
+    new Set(queryTerms).forEach((term) => {
+      const frequency = doc.termFrequencies.get(term);
+      if (frequency) {
+        score +=
+          (this.bm25Idf(term) * frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * lengthNorm);
+      }
+    });
+    return score;
+  }
+
+  /**
+   * Documents ranked by BM25 for a free-text query
+   */
+  search(query, limit = 10) {
+    const terms = this.tokenize(query || "");
+    if (terms.length === 0) return [];
+
+    return Array.from(this.documents.keys())
+      .map((id) => ({ id, score: this.bm25(terms, id) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Symmetric 0-1 BM25 similarity: how much of each document's score
+   * against itself the other document's vocabulary reaches, averaged
+   */
+  bm25Similarity(id1, id2) {
+    const doc1 = this.documents.get(id1);
+    const doc2 = this.documents.get(id2);
+    if (!doc1 || !doc2) return 0;
+
+    const terms1 = Array.from(doc1.termFrequencies.keys());
+    const terms2 = Array.from(doc2.termFrequencies.keys());
+    const self1 = this.bm25(terms1, id1);
+    const self2 = this.bm25(terms2, id2);
+    const coverage1 = self1 > 0 ? this.bm25(terms2, id1) / self1 : 0;
+    const coverage2 = self2 > 0 ? this.bm25(terms1, id2) / self2 : 0;
+    return Math.min(1, (coverage1 + coverage2) / 2);
+  }
+
+  /**
+   * Dense vector with the TF-IDF weights hashed into a fixed number of
+   * dimensions (for code that expects embedding arrays)
+   */
+  embed(text, dimensions = 384) {
+    const dense = new Array(dimensions).fill(0);
+    this.vectorize(text).forEach((weight, term) => {
+      dense[CorpusIndex.hashTerm(term) % dimensions] += weight;
+    });
+    return dense;
+  }
+
+  static hashTerm(term) {
+    let hash = 0;
+    for (let i = 0; i < term.length; i++) {
+      hash = (hash * 31 + term.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+  }
+
+  getStats() {
+    return {
+      documents: this.documents.size,
+      vocabulary: this.documentFrequencies.size,
+      averageLength: this.documents.size
+        ? Math.round(this.totalLength / this.documents.size)
+        : 0,
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.CorpusIndex = CorpusIndex;
+} else if (typeof module !== "undefined") {
+  module.exports = CorpusIndex;
+}
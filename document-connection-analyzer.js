@@ -7,11 +7,47 @@
  */
 
 class DocumentConnectionAnalyzer {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - OpenAI key, used when no providers are passed
+   * @param {object} providers - optional { llmProvider, embeddingProvider,
+   *   embeddingCache, snapshotStore, snapshotScope, usageTracker, log } (see
+   *   llm-providers.js / LLMProvider.fromConfig, embedding-cache.js,
+   *   session-store.js, analysis-snapshots.js and usage-tracker.js); log
+   *   receives progress messages (console.log by default)
+   */
+  constructor(apiKey, providers = {}) {
+    this.apiKey = apiKey;
+    this.llmProvider = providers.llmProvider || new OpenAIProvider({ apiKey });
+    // Without an embedding provider, similarity uses the local corpus
+    // TF-IDF vectors: document text is never sent to a provider nobody
+    // configured
+    this.embeddingProvider =
+      providers.embeddingProvider ||
+      (this.llmProvider.supportsEmbeddings()
+        ? this.llmProvider
+        : new OfflineProvider());
+
+    this.usageTracker = providers.usageTracker || new UsageTracker();
+    this.log = providers.log || ((...args) => console.log(...args));
     this.themeStorage = new ThemeStorageSystem();
-    this.semanticAnalyzer = new SemanticAnalyzer(apiKey);
+    this.semanticAnalyzer = new SemanticAnalyzer(
+      apiKey,
+      this.embeddingProvider,
+      providers.embeddingCache,
+      this.usageTracker
+    );
     this.promptGenerator = new DocumentAnalysisPrompts();
-    this.apiKey = apiKey;
+    this.keyphraseExtractor = new KeyphraseExtractor();
+    this.responseValidator = new AnalysisResponseValidator(
+      this.promptGenerator.getResponseSchemas()
+    );
+    this.snapshots = new AnalysisSnapshots(
+      providers.snapshotStore || null,
+      50,
+      providers.snapshotScope
+    );
+    this.searchIndex = new SearchIndex();
+    this.evidenceLocator = new EvidenceLocator();
 
     // Configuration
     this.config = {
@@ -22,11 +58,46 @@ class DocumentConnectionAnalyzer {
       enableSemanticAnalysis: true,
       enableHierarchicalThemes: true,
       cacheResults: true,
+      // Long documents are split into overlapping sections instead of being
+      // cut off at chunkSize characters
+      enableChunking: true,
+      chunkSize: 4000,
+      chunkOverlap: 400,
+      maxChunksPerDocument: 20,
+      // Collections larger than batchSize are analyzed in groups of
+      // batchSize documents (1 = one at a time, 0 = always one call)
+      batchSize: 8,
+      reconcileWithLLM: true,
+      // Invalid or unparseable LLM JSON is sent back to the model with the
+      // problems listed, up to this many times per call
+      maxRepairAttempts: 2,
+      // Refuse to start when the pre-flight estimate (USD) is higher
+      // (0 = no limit)
+      maxEstimatedCost: 0,
+      // "llm" or "offline" (keyphrase-extractor.js, no API calls)
+      extractionBackend: this.llmProvider.offline ? "offline" : "llm",
+      // Add a node per defined term, linked to the documents defining it
+      showDefinitionNodes: false,
+      showThemeHierarchy: false,
+      // Definitions of one term whose TF-IDF similarity is below this are
+      // flagged as conflicting in the glossary
+      definitionConflictThreshold: 0.3,
+      // Community detection over the document-theme graph: higher
+      // resolution gives more, smaller communities (1 = plain modularity)
+      communityResolution: 0.8,
+      // Documents less similar than this aren't linked directly (they can
+      // still share themes)
+      communitySimilarityThreshold: 0.1,
+      // Ask the LLM to name communities (otherwise named from keywords)
+      nameCommunitiesWithLLM: false,
+      // Color nodes by community instead of by type
+      colorByCommunity: false,
     };
 
     // Processing cache
     this.processingCache = new Map();
     this.analysisHistory = [];
+    this.validationReport = this.createValidationReport();
   }
 
   /**
@@ -36,60 +107,66 @@ class DocumentConnectionAnalyzer {
     const startTime = Date.now();
     const processingId = `analysis-${startTime}`;
 
+    // Merge config with options
+    const config = { ...this.config, ...options };
+    this.validationReport = this.createValidationReport();
+    const usageMark = this.usageTracker.mark();
+    let previousState = null;
+
     try {
-      console.log("🚀 Starting enhanced document analysis...");
+      this.log("🚀 Starting enhanced document analysis...");
 
       // Validate inputs
-      if (!documents || documents.length === 0) {
-        throw new Error("No documents provided for analysis");
-      }
+      this.validateDocumentInputs(documents);
+      const estimate = this.checkEstimatedCost(documents, config);
 
-      // Validate documents structure
-      for (let i = 0; i < documents.length; i++) {
-        if (!documents[i] || typeof documents[i] !== "object") {
-          throw new Error(
-            `Document ${
-              i + 1
-            } is invalid - must be an object with title and content`
-          );
-        }
-        if (!documents[i].content && !documents[i].title) {
-          throw new Error(
-            `Document ${i + 1} is missing both title and content`
-          );
-        }
-      }
-
-      // Merge config with options
-      const config = { ...this.config, ...options };
+      // A full analysis replaces the previous one (use addDocuments to
+      // extend). It is built into fresh state, and the previous analysis is
+      // put back if this one fails.
+      previousState = this.resetAnalysisState();
 
       // Step 1: Extract themes, definitions, and metadata from all documents
-      console.log("📊 Extracting themes and definitions...");
+      this.log("📊 Extracting themes and definitions...");
       const extractedData = await this.extractDocumentData(documents, config);
 
       // Step 2: Store in optimized data structure
-      console.log("💾 Building optimized storage structure...");
+      this.log("💾 Building optimized storage structure...");
       const documentIds = await this.storeDocuments(documents, extractedData);
+      this.semanticAnalyzer.buildCorpusIndex(
+        this.getStoredDocuments(documentIds)
+      );
 
       // Step 3: Perform semantic analysis if enabled
       if (config.enableSemanticAnalysis) {
-        console.log("🧠 Performing semantic analysis...");
+        this.log("🧠 Performing semantic analysis...");
         await this.performSemanticAnalysis(documentIds, extractedData);
       }
 
+      this.log("🫧 Detecting communities...");
+      await this.updateCommunities(documentIds, config);
+
       // Step 4: Build relationship graph
-      console.log("🔗 Building document relationship graph...");
+      this.log("🔗 Building document relationship graph...");
       const graphData = await this.buildOptimizedGraph(documentIds, config);
 
       // Step 5: Generate analysis report
-      console.log("📈 Generating analysis report...");
+      this.log("📈 Generating analysis report...");
       const analysisReport = this.generateAnalysisReport(
         documentIds,
         graphData
       );
 
       const processingTime = Date.now() - startTime;
-      console.log(`✅ Analysis completed in ${processingTime}ms`);
+      this.log(`✅ Analysis completed in ${processingTime}ms`);
+
+      // Keep the current graph so addDocuments() can extend it
+      this.documentIds = documentIds;
+      this.graphData = graphData;
+      const snapshot = await this.snapshots.record(this, {
+        kind: "analysis",
+        processingId,
+        config,
+      });
 
       // Cache results
       if (config.cacheResults) {
@@ -120,115 +197,1421 @@ class DocumentConnectionAnalyzer {
         processingTime,
         themeStorage: this.themeStorage,
         stats: this.getSystemStats(),
+        validation: this.validationReport,
+        snapshotVersion: snapshot.version,
+        estimate,
+        usage: this.usageTracker.since(usageMark),
       };
     } catch (error) {
       console.error("❌ Document processing failed:", error);
+      if (previousState) this.restoreAnalysisState(previousState);
+      return this.buildErrorResult(error, processingId, documents, config);
+    }
+  }
+
+  /**
+   * Add documents to an existing analysis. Only the new documents are sent
+   * to the LLM; their themes are merged into the stored ones (including
+   * fuzzy matches via findSimilarTheme), semantic relationships are computed
+   * for pairs involving a new document, and this.graphData is updated in
+   * place so existing nodes keep their positions.
+   */
+  async addDocuments(newDocuments, options = {}) {
+    if (!this.graphData || !this.documentIds?.length) {
+      return this.processDocuments(newDocuments, options);
+    }
+
+    const startTime = Date.now();
+    const processingId = `add-${startTime}`;
+    const config = { ...this.config, ...options };
+    this.validationReport = this.createValidationReport();
+    const usageMark = this.usageTracker.mark();
+
+    try {
+      this.log(
+        `➕ Adding ${newDocuments?.length || 0} document(s) to the analysis...`
+      );
+      this.validateDocumentInputs(newDocuments);
+      const estimate = this.checkEstimatedCost(newDocuments, config);
+
+      // Step 1: Extract only the new documents, nudging the LLM towards the
+      // theme labels already in the collection
+      this.log("📊 Extracting themes and definitions...");
+      const extractedData = await this.extractDocumentData(newDocuments, {
+        ...config,
+        existingThemes: this.getExistingThemeLabels(),
+      });
 
-      // Provide more specific error messages
-      let errorMessage = error.message;
-      if (error.message.includes("map is not a function")) {
-        errorMessage =
-          "Data structure error: Expected array but received different data type. This may be due to malformed document data.";
-      } else if (error.message.includes("API")) {
-        errorMessage = `OpenAI API error: ${error.message}`;
-      } else if (error.message.includes("JSON")) {
-        errorMessage = `Data parsing error: ${error.message}`;
+      // Step 2: Store and link to existing themes
+      this.log("💾 Linking new documents to stored themes...");
+      const addedDocumentIds = await this.storeDocuments(
+        newDocuments,
+        extractedData
+      );
+      const documentIds = [...this.documentIds, ...addedDocumentIds];
+      this.getStoredDocuments(addedDocumentIds).forEach((doc) =>
+        this.semanticAnalyzer.indexDocument(doc)
+      );
+      this.searchIndex.invalidate();
+
+      // Step 3: Semantic analysis for new document pairs only
+      if (config.enableSemanticAnalysis) {
+        this.log("🧠 Performing semantic analysis for new documents...");
+        await this.performSemanticAnalysis(
+          documentIds,
+          extractedData,
+          addedDocumentIds
+        );
       }
+      await this.updateCommunities(documentIds, config);
+
+      // Step 4: Rebuild the graph structure and merge it into the current one
+      this.log("🔗 Updating document relationship graph...");
+      const nextGraph = await this.buildOptimizedGraph(documentIds, config);
+      const changes = this.mergeGraphData(this.graphData, nextGraph);
+      this.documentIds = documentIds;
+      const snapshot = await this.snapshots.record(this, {
+        kind: "add",
+        processingId,
+        config,
+      });
+
+      this.log("📈 Generating analysis report...");
+      const analysisReport = this.generateAnalysisReport(
+        documentIds,
+        this.graphData
+      );
+
+      const processingTime = Date.now() - startTime;
+      this.log(
+        `✅ Added ${addedDocumentIds.length} document(s) in ${processingTime}ms (${changes.addedNodeIds.length} new nodes, ${changes.addedLinkCount} new links)`
+      );
+
+      this.analysisHistory.push({
+        id: processingId,
+        documentCount: newDocuments.length,
+        incremental: true,
+        timestamp: new Date(),
+        processingTime,
+        config: { ...config },
+      });
 
       return {
-        success: false,
-        error: errorMessage,
-        originalError: error.message,
+        success: true,
         processingId,
-        timestamp: new Date(),
-        debugInfo: {
-          documentsCount: documents?.length || 0,
-          config: config || {},
-        },
+        documentIds,
+        addedDocumentIds,
+        graphData: this.graphData,
+        changes,
+        analysisReport,
+        processingTime,
+        themeStorage: this.themeStorage,
+        stats: this.getSystemStats(),
+        validation: this.validationReport,
+        snapshotVersion: snapshot.version,
+        estimate,
+        usage: this.usageTracker.since(usageMark),
       };
+    } catch (error) {
+      console.error("❌ Adding documents failed:", error);
+      return this.buildErrorResult(error, processingId, newDocuments, config);
+    }
+  }
+
+  /**
+   * Remove documents from the analysis. Themes and definitions no other
+   * document uses are dropped with them, and this.graphData is updated in
+   * place.
+   */
+  async removeDocuments(docIds, options = {}) {
+    const config = { ...this.config, ...options };
+    const removed = docIds
+      .map((docId) => this.themeStorage.removeDocument(docId))
+      .filter(Boolean);
+
+    if (removed.length === 0) {
+      return { success: false, error: "No matching documents to remove" };
+    }
+
+    const removedIds = new Set(removed.map((r) => r.documentId));
+    for (const docId of removedIds) {
+      this.forgetDocumentRelationships(docId);
+      this.semanticAnalyzer.removeFromIndex(docId);
+    }
+    const documentIds = (this.documentIds || []).filter(
+      (docId) => !removedIds.has(docId)
+    );
+
+    this.log(`🗑️ Removed ${removed.length} document(s)`);
+    return this.refreshGraph(documentIds, config, {
+      removedDocumentIds: Array.from(removedIds),
+      removedThemeIds: removed.flatMap((r) => r.removedThemes),
+      removedDefinitionIds: removed.flatMap((r) => r.removedDefinitions),
+    });
+  }
+
+  /**
+   * Replace a document's title/content and re-extract it. The document keeps
+   * its id; links from the old content are cleared only once the new
+   * extraction has succeeded.
+   */
+  async updateDocument(docId, document, options = {}) {
+    const config = { ...this.config, ...options };
+    this.validationReport = this.createValidationReport();
+
+    try {
+      if (!this.themeStorage.documents.has(docId)) {
+        throw new Error(`Document ${docId} not found`);
+      }
+      this.validateDocumentInputs([document]);
+
+      this.log(`✏️ Re-analyzing updated document ${docId}...`);
+      const extractedData = await this.extractDocumentData([document], {
+        ...config,
+        existingThemes: this.getExistingThemeLabels(),
+        replacingDocumentId: docId,
+      });
+
+      const removed = this.themeStorage.updateDocumentContent(
+        docId,
+        document.content || "",
+        { title: document.title || document.filename }
+      );
+      this.forgetDocumentRelationships(docId);
+      await this.storeDocuments([document], extractedData, [docId]);
+      this.semanticAnalyzer.indexDocument(
+        this.themeStorage.documents.get(docId)
+      );
+
+      const documentIds = this.documentIds || [docId];
+      if (config.enableSemanticAnalysis) {
+        await this.performSemanticAnalysis(documentIds, extractedData, [docId]);
+      }
+
+      return this.refreshGraph(documentIds, config, {
+        updatedDocumentId: docId,
+        removedThemeIds: removed.removedThemes,
+        removedDefinitionIds: removed.removedDefinitions,
+      });
+    } catch (error) {
+      console.error("❌ Updating document failed:", error);
+      return this.buildErrorResult(
+        error,
+        `update-${docId}`,
+        [document],
+        config
+      );
+    }
+  }
+
+  /**
+   * Drop cached semantic relationships involving a document
+   */
+  forgetDocumentRelationships(docId) {
+    if (!this.documentRelationships) return;
+
+    for (const otherId of this.documentIds || []) {
+      this.documentRelationships.delete(`${docId}-${otherId}`);
+      this.documentRelationships.delete(`${otherId}-${docId}`);
     }
   }
 
   /**
-   * Extract themes and definitions using enhanced LLM prompts
+   * Rebuild the graph for documentIds and merge it into this.graphData
+   */
+  async refreshGraph(documentIds, config, details = {}) {
+    // Theme groups may reference removed themes; an empty list of new
+    // documents skips the pairwise pass and only re-runs theme semantics
+    if (config.enableSemanticAnalysis && details.removedThemeIds?.length) {
+      await this.performSemanticAnalysis(documentIds, null, []);
+    }
+
+    this.searchIndex.invalidate();
+    await this.updateCommunities(documentIds, config);
+    const nextGraph = await this.buildOptimizedGraph(documentIds, config);
+    const changes = this.graphData
+      ? this.mergeGraphData(this.graphData, nextGraph)
+      : null;
+    if (!this.graphData) this.graphData = nextGraph;
+    this.documentIds = documentIds;
+    const snapshot = await this.snapshots.record(this, {
+      kind: details.removedDocumentIds ? "remove" : "update",
+      config,
+    });
+
+    return {
+      success: true,
+      ...details,
+      documentIds,
+      graphData: this.graphData,
+      changes,
+      analysisReport: this.generateAnalysisReport(documentIds, this.graphData),
+      themeStorage: this.themeStorage,
+      stats: this.getSystemStats(),
+      validation: this.validationReport,
+      snapshotVersion: snapshot.version,
+    };
+  }
+
+  /**
+   * Rebuild the current graph with other display options (such as
+   * showDefinitionNodes) without re-analyzing or recording a snapshot
+   */
+  async rebuildGraph(config = {}) {
+    if (!this.graphData) return null;
+
+    const nextGraph = await this.buildOptimizedGraph(this.documentIds, {
+      ...this.config,
+      ...config,
+    });
+    this.mergeGraphData(this.graphData, nextGraph);
+    return this.graphData;
+  }
+
+  /**
+   * Start over with empty storage and no graph. Returns the previous state
+   * for restoreAnalysisState().
+   */
+  resetAnalysisState() {
+    const previousState = {
+      themeStorage: this.themeStorage,
+      corpusIndex: this.semanticAnalyzer.corpusIndex,
+      documentRelationships: this.documentRelationships,
+      themeSemanticData: this.themeSemanticData,
+      documentIds: this.documentIds,
+      graphData: this.graphData,
+    };
+
+    this.themeStorage = new ThemeStorageSystem();
+    // Matched by updateCommunities so community IDs and names survive a
+    // full re-analysis
+    this.previousCommunities = this.describeCommunities(
+      previousState.themeStorage
+    );
+    this.themeStorage.nextCommunityId =
+      previousState.themeStorage.nextCommunityId;
+    this.semanticAnalyzer.corpusIndex =
+      this.semanticAnalyzer.createCorpusIndex();
+    this.semanticAnalyzer.similarityCache.clear();
+    this.searchIndex.invalidate();
+    this.documentRelationships = new Map();
+    this.themeSemanticData = null;
+    this.documentIds = [];
+    this.graphData = null;
+    return previousState;
+  }
+
+  /**
+   * Put back a state returned by resetAnalysisState()
+   */
+  restoreAnalysisState(state) {
+    this.themeStorage = state.themeStorage;
+    this.previousCommunities = null;
+    this.semanticAnalyzer.corpusIndex = state.corpusIndex;
+    this.semanticAnalyzer.similarityCache.clear();
+    this.searchIndex.invalidate();
+    this.documentRelationships = state.documentRelationships;
+    this.themeSemanticData = state.themeSemanticData;
+    this.documentIds = state.documentIds;
+    this.graphData = state.graphData;
+  }
+
+  /**
+   * Search document text, theme labels and contexts, and definitions. One
+   * result per graph node, best first, each with a highlighted snippet (see
+   * search-index.js).
+   *
+   * @param {string} query - words, "quoted phrases" and prefix* terms
+   * @param {object} options - { mode: "keyword" | "semantic", limit,
+   *   kinds, minSimilarity }; semantic mode embeds every passage on first
+   *   use
+   */
+  async search(query, options = {}) {
+    if (this.searchIndex.stale) {
+      this.searchIndex.build(this.themeStorage, this.documentIds || []);
+    }
+
+    if (options.mode === "semantic") {
+      return this.searchIndex.semanticSearch(
+        query,
+        (texts) => this.semanticAnalyzer.getEmbeddings(texts),
+        options
+      );
+    }
+    return this.searchIndex.search(query, options);
+  }
+
+  /**
+   * Copy of a stored document with theme labels and definition objects in
+   * place of ids, so similarities compare words rather than id prefixes
+   */
+  withThemeLabels(doc) {
+    return {
+      ...doc,
+      themes: Array.from(
+        doc.themes,
+        (themeId) => this.themeStorage.themes.get(themeId)?.label
+      ).filter(Boolean),
+      definitions: Array.from(doc.definitions, (defId) =>
+        this.themeStorage.definitions.get(defId)
+      ).filter(Boolean),
+    };
+  }
+
+  getStoredDocuments(documentIds) {
+    return documentIds
+      .map((docId) => this.themeStorage.documents.get(docId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Throw if the document list is empty or malformed
+   */
+  validateDocumentInputs(documents) {
+    if (!documents || documents.length === 0) {
+      throw new Error("No documents provided for analysis");
+    }
+
+    // Validate documents structure
+    for (let i = 0; i < documents.length; i++) {
+      if (!documents[i] || typeof documents[i] !== "object") {
+        throw new Error(
+          `Document ${
+            i + 1
+          } is invalid - must be an object with title and content`
+        );
+      }
+      if (!documents[i].content && !documents[i].title) {
+        throw new Error(`Document ${i + 1} is missing both title and content`);
+      }
+    }
+  }
+
+  /**
+   * Failure result shared by processDocuments and addDocuments
+   */
+  buildErrorResult(error, processingId, documents, config) {
+    // Provide more specific error messages
+    let errorMessage = error.message;
+    if (error.message.includes("map is not a function")) {
+      errorMessage =
+        "Data structure error: Expected array but received different data type. This may be due to malformed document data.";
+    } else if (error.message.includes("API")) {
+      errorMessage = `LLM API error: ${error.message}`;
+    } else if (error.message.includes("JSON")) {
+      errorMessage = `Data parsing error: ${error.message}`;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+      originalError: error.message,
+      processingId,
+      timestamp: new Date(),
+      validation: this.validationReport,
+      debugInfo: {
+        documentsCount: documents?.length || 0,
+        config: config || {},
+      },
+    };
+  }
+
+  /**
+   * Most frequent stored theme labels, offered to the LLM when extracting
+   * new documents so it reuses the collection's wording
+   */
+  getExistingThemeLabels(limit = 60) {
+    return Array.from(this.themeStorage.themes.values())
+      .sort((a, b) => b.frequency - a.frequency)
+      .slice(0, limit)
+      .map((theme) => theme.label);
+  }
+
+  /**
+   * Merge a freshly built graph into `target` in place. Nodes that already
+   * exist keep their object identity and position (unless their type
+   * changed, e.g. a unique theme that is now shared); everything else is
+   * refreshed from `next`.
+   */
+  mergeGraphData(target, next) {
+    const previousNodes = new Map(target.nodes.map((node) => [node.id, node]));
+    const linkKey = (link) => `${link.source}|${link.target}|${link.type}`;
+    const previousLinks = new Set(target.links.map(linkKey));
+    const addedNodeIds = [];
+
+    const nodes = next.nodes.map((node) => {
+      const existing = previousNodes.get(node.id);
+      if (!existing) {
+        addedNodeIds.push(node.id);
+        return node;
+      }
+
+      const { x, y, z } = existing;
+      const keepPosition = existing.type === node.type;
+      Object.assign(existing, node, keepPosition ? { x, y, z } : {});
+      return existing;
+    });
+
+    const nextNodeIds = new Set(nodes.map((node) => node.id));
+    const removedNodeIds = target.nodes
+      .filter((node) => !nextNodeIds.has(node.id))
+      .map((node) => node.id);
+    const addedLinkCount = next.links.filter(
+      (link) => !previousLinks.has(linkKey(link))
+    ).length;
+
+    target.nodes.splice(0, target.nodes.length, ...nodes);
+    target.links.splice(0, target.links.length, ...next.links);
+    target.metadata = next.metadata;
+
+    return { addedNodeIds, removedNodeIds, addedLinkCount };
+  }
+
+  /**
+   * Extract themes and definitions using enhanced LLM prompts.
+   * Large collections are split into batches and reconciled afterwards.
    */
   async extractDocumentData(documents, config) {
-    const prompt = this.promptGenerator.generateAnalysisPrompt(documents, {
+    if (config.extractionBackend === "offline") {
+      return this.extractOffline(documents, config);
+    }
+
+    const batchSize = config.batchSize > 0 ? config.batchSize : 0;
+    if (!batchSize || documents.length <= batchSize) {
+      return this.extractBatch(documents, config);
+    }
+
+    const batchResults = [];
+    const batchCount = Math.ceil(documents.length / batchSize);
+    for (let offset = 0; offset < documents.length; offset += batchSize) {
+      const batch = documents.slice(offset, offset + batchSize);
+      this.log(
+        `📦 Extracting batch ${batchResults.length + 1}/${batchCount} (${
+          batch.length
+        } documents)`
+      );
+
+      batchResults.push({
+        offset,
+        size: batch.length,
+        data: await this.extractBatch(batch, config),
+      });
+    }
+
+    const combined = this.combineBatchResults(batchResults, documents.length);
+
+    this.log("🧩 Reconciling shared concepts across batches...");
+    combined.shared_concepts = await this.reconcileSharedConcepts(
+      combined,
+      documents,
+      config
+    );
+
+    return combined;
+  }
+
+  /**
+   * Keyphrase, TF-IDF and definition-pattern extraction without the LLM.
+   * Documents already in storage count towards the corpus statistics.
+   */
+  extractOffline(documents, config) {
+    this.log("🔌 Extracting keyphrases offline (no LLM calls)...");
+    const backgroundDocuments = Array.from(
+      this.themeStorage.documents.values()
+    ).filter((doc) => doc.id !== config.replacingDocumentId);
+
+    return this.keyphraseExtractor.extract(documents, {
+      maxThemesPerDoc: config.maxThemesPerDocument,
+      minThemeConfidence: config.minThemeConfidence,
+      existingThemes: config.existingThemes || [],
+      backgroundDocuments,
+    });
+  }
+
+  /**
+   * Extract one group of documents in a single LLM call (plus per-section
+   * calls for long documents)
+   */
+  async extractBatch(documents, config) {
+    const chunkedDocuments = this.findChunkedDocuments(documents, config);
+    const prompt = this.promptGenerator.generateAnalysisPrompt(
+      documents,
+      this.getAnalysisPromptOptions(config, chunkedDocuments)
+    );
+
+    const extractedData = await this.requestJSON(prompt, 6000, {
+      schema: "analysis",
+      documentCount: documents.length,
+      maxRetries: config.maxRepairAttempts,
+    });
+
+    // Analyze the full text of long documents section by section
+    if (chunkedDocuments.length > 0) {
+      if (!Array.isArray(extractedData.documents)) {
+        extractedData.documents = [];
+      }
+
+      for (const docIndex of chunkedDocuments) {
+        const doc = documents[docIndex];
+        this.log(
+          `📑 Chunked extraction for "${doc.title}" (${doc.content.length} chars)`
+        );
+        extractedData.documents[docIndex] = await this.extractChunkedDocument(
+          doc,
+          extractedData.documents[docIndex] || {},
+          config
+        );
+      }
+
+      this.extendSharedConcepts(extractedData, chunkedDocuments);
+    }
+
+    return extractedData;
+  }
+
+  /**
+   * Indices of the documents that are analyzed section by section
+   */
+  findChunkedDocuments(documents, config) {
+    return config.enableChunking
+      ? documents
+          .map((doc, i) =>
+            (doc.content || "").length > config.chunkSize ? i : -1
+          )
+          .filter((i) => i >= 0)
+      : [];
+  }
+
+  getAnalysisPromptOptions(config, chunkedDocuments) {
+    return {
       focusOnHierarchy: config.enableHierarchicalThemes,
       includeDefinitions: true,
       detectRelationships: true,
       categorizeThemes: true,
       minThemeConfidence: config.minThemeConfidence,
       maxThemesPerDoc: config.maxThemesPerDocument,
-    });
+      contentLimit: config.chunkSize,
+      chunkedDocuments,
+      existingThemes: config.existingThemes || [],
+    };
+  }
 
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${this.apiKey}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.2,
-        max_tokens: 4000,
+  /**
+   * Chat completion through the LLM provider, recording its token usage
+   * under `stage` (e.g. "extraction", "highlight", "chat")
+   */
+  async chat(messages, options = {}, stage = "chat") {
+    const result = await this.llmProvider.chat(messages, options);
+    this.usageTracker.record(
+      stage,
+      result.model || this.llmProvider.model,
+      result.usage
+    );
+    return result;
+  }
+
+  /**
+   * Pre-flight estimate of what processing these documents would use,
+   * built from the actual extraction prompts (about 4 characters per
+   * token). `cost` assumes typical response lengths and `maxCost` that
+   * every response fills its token budget; neither counts repair retries
+   * or embedding cache hits. Costs only include models with a known price
+   * (see `unpricedModels`).
+   */
+  estimateProcessingCost(documents, options = {}) {
+    const config = { ...this.config, ...options };
+    const estimateTokens = UsageTracker.estimateTokens;
+    // Roughly what one document's themes, definitions (with evidence quotes)
+    // and summary take
+    const outputPerDocument = config.maxThemesPerDocument * 70 + 250;
+    const stages = {};
+    const addCall = (stage, promptTokens, completionTokens, maxTokens) => {
+      if (!stages[stage]) {
+        stages[stage] = {
+          calls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          maxCompletionTokens: 0,
+        };
+      }
+      stages[stage].calls++;
+      stages[stage].promptTokens += promptTokens;
+      stages[stage].completionTokens += Math.min(completionTokens, maxTokens);
+      stages[stage].maxCompletionTokens += maxTokens;
+    };
+
+    // Offline extraction makes no LLM calls
+    const llmDocuments =
+      config.extractionBackend === "offline" ? [] : documents;
+    const batchSize =
+      config.batchSize > 0 ? config.batchSize : llmDocuments.length || 1;
+    let batchCount = 0;
+    const truncatedDocuments = []; // { title, chunkCount, analyzedChunks }
+    for (let offset = 0; offset < llmDocuments.length; offset += batchSize) {
+      const batch = llmDocuments.slice(offset, offset + batchSize);
+      const chunkedDocuments = this.findChunkedDocuments(batch, config);
+      const prompt = this.promptGenerator.generateAnalysisPrompt(
+        batch,
+        this.getAnalysisPromptOptions(config, chunkedDocuments)
+      );
+      addCall(
+        "extraction",
+        estimateTokens(prompt),
+        batch.length * outputPerDocument,
+        6000
+      );
+      batchCount++;
+
+      chunkedDocuments.forEach((docIndex) => {
+        const doc = batch[docIndex];
+        const chunks = this.splitIntoChunks(
+          doc.content,
+          config.chunkSize,
+          config.chunkOverlap
+        );
+        if (chunks.length > config.maxChunksPerDocument) {
+          truncatedDocuments.push({
+            title: doc.title,
+            chunkCount: chunks.length,
+            analyzedChunks: config.maxChunksPerDocument,
+          });
+        }
+        chunks.slice(0, config.maxChunksPerDocument).forEach((chunk) => {
+          const chunkPrompt = this.promptGenerator.generateChunkAnalysisPrompt(
+            doc,
+            chunk,
+            {
+              minThemeConfidence: config.minThemeConfidence,
+              maxThemesPerDoc: config.maxThemesPerDocument,
+            }
+          );
+          addCall(
+            "extraction",
+            estimateTokens(chunkPrompt),
+            outputPerDocument,
+            3000
+          );
+        });
+      });
+    }
+
+    if (batchCount > 1 && config.reconcileWithLLM) {
+      // Digest of titles, theme labels and summaries for every document
+      addCall(
+        "reconciliation",
+        500 + documents.length * (config.maxThemesPerDocument * 6 + 60),
+        600,
+        3000
+      );
+    }
+
+    if (
+      config.nameCommunitiesWithLLM &&
+      config.extractionBackend !== "offline"
+    ) {
+      // Theme labels, titles and keywords of each community
+      addCall("naming", 300 + documents.length * 40, 200, 600);
+    }
+
+    let embeddingTokens = 0;
+    if (
+      config.enableSemanticAnalysis &&
+      this.embeddingProvider.supportsEmbeddings()
+    ) {
+      // Document openings for content similarity, plus theme labels
+      embeddingTokens = documents.reduce(
+        (sum, doc) =>
+          sum +
+          estimateTokens((doc.content || "").slice(0, 1000)) +
+          config.maxThemesPerDocument * 4,
+        0
+      );
+    }
+
+    const totals = Object.values(stages).reduce(
+      (sum, stage) => ({
+        calls: sum.calls + stage.calls,
+        promptTokens: sum.promptTokens + stage.promptTokens,
+        completionTokens: sum.completionTokens + stage.completionTokens,
+        maxCompletionTokens:
+          sum.maxCompletionTokens + stage.maxCompletionTokens,
       }),
-    });
+      { calls: 0, promptTokens: 0, completionTokens: 0, maxCompletionTokens: 0 }
+    );
+
+    const model = this.llmProvider.model;
+    const embeddingModel = this.embeddingProvider.embeddingModel;
+    const unpricedModels = [];
+    const price = (modelName, usage) => {
+      const cost = this.usageTracker.estimateCost(modelName, usage);
+      if (cost === null && !unpricedModels.includes(modelName)) {
+        unpricedModels.push(modelName);
+      }
+      return cost || 0;
+    };
+    const embeddingCost = embeddingTokens
+      ? price(embeddingModel, { promptTokens: embeddingTokens })
+      : 0;
 
-    const data = await response.json();
+    return {
+      documentCount: documents.length,
+      ...totals,
+      embeddingTokens,
+      model,
+      embeddingModel: embeddingTokens ? embeddingModel : null,
+      cost:
+        price(model, {
+          promptTokens: totals.promptTokens,
+          completionTokens: totals.completionTokens,
+        }) + embeddingCost,
+      maxCost:
+        price(model, {
+          promptTokens: totals.promptTokens,
+          completionTokens: totals.maxCompletionTokens,
+        }) + embeddingCost,
+      unpricedModels,
+      truncatedDocuments,
+      stages,
+    };
+  }
 
-    if (!response.ok) {
+  /**
+   * Log the pre-flight estimate and throw if it is over maxEstimatedCost
+   */
+  checkEstimatedCost(documents, config) {
+    const estimate = this.estimateProcessingCost(documents, config);
+    this.log(
+      `💰 Estimated ${estimate.calls} LLM call(s), ~${
+        estimate.promptTokens + estimate.completionTokens
+      } tokens, ~$${estimate.cost.toFixed(
+        4
+      )} (up to $${estimate.maxCost.toFixed(4)})`
+    );
+    if (estimate.unpricedModels.length > 0) {
+      console.warn(
+        `⚠️ No price known for ${estimate.unpricedModels.join(
+          ", "
+        )}; set MODEL_PRICES to include it in cost estimates`
+      );
+    }
+
+    if (estimate.truncatedDocuments.length > 0) {
+      console.warn(
+        `⚠️ ${estimate.truncatedDocuments.length} document(s) have more than ${config.maxChunksPerDocument} sections; only the first ${config.maxChunksPerDocument} of each are analyzed and estimated (maxChunksPerDocument)`
+      );
+    }
+
+    if (
+      config.maxEstimatedCost > 0 &&
+      estimate.cost > config.maxEstimatedCost
+    ) {
       throw new Error(
-        `OpenAI API error: ${data.error?.message || "Unknown error"}`
+        `Estimated cost $${estimate.cost.toFixed(4)} is over the limit of $${
+          config.maxEstimatedCost
+        } (maxEstimatedCost)`
       );
     }
+    return estimate;
+  }
+
+  /**
+   * Send a prompt to the LLM and parse the JSON object in its response.
+   *
+   * With a `validation` option ({ schema, documentCount, maxRetries }) the
+   * response is checked against that schema from getResponseSchemas().
+   * Parse or validation errors are sent back to the model, which gets up
+   * to maxRetries attempts to fix them. Corrections are recorded in
+   * this.validationReport.
+   */
+  async requestJSON(prompt, maxTokens, validation = null) {
+    const messages = [{ role: "user", content: prompt }];
+    const maxRetries = validation ? validation.maxRetries ?? 2 : 0;
+    const stage = validation?.schema || "response";
+    let problems = [];
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const { content } = await this.chat(
+        messages,
+        { temperature: 0.2, maxTokens },
+        stage === "reconciliation" ? "reconciliation" : "extraction"
+      );
+      this.validationReport.attempts++;
+
+      let parsed = null;
+      try {
+        parsed = this.parseJSONResponse(content);
+      } catch (parseError) {
+        console.error("Failed to parse LLM response:", content);
+        problems = [parseError.message];
+      }
+
+      if (parsed && !validation) {
+        return parsed;
+      }
+
+      if (parsed) {
+        const result = this.responseValidator.validate(
+          parsed,
+          validation.schema,
+          validation
+        );
+        problems = result.errors;
+
+        const isLastAttempt = attempt === maxRetries;
+        if (result.value && (problems.length === 0 || isLastAttempt)) {
+          this.recordValidation(stage, result.corrections, problems);
+          return result.value;
+        }
+      }
+
+      if (attempt < maxRetries) {
+        console.warn(
+          `⚠️ Invalid ${stage} response, asking the model to repair it:`,
+          problems
+        );
+        this.validationReport.retries++;
+        messages.push(
+          { role: "assistant", content: content || "" },
+          {
+            role: "user",
+            content: this.promptGenerator.generateRepairPrompt(problems),
+          }
+        );
+      }
+    }
+
+    this.validationReport.failures.push({ stage, problems });
+    throw new Error(`Failed to parse LLM response: ${problems.join("; ")}`);
+  }
 
-    // Extract and parse JSON from response
-    const content = data.choices?.[0]?.message?.content;
+  /**
+   * Pull the JSON object out of an LLM response (tolerates code fences and
+   * text around the object)
+   */
+  parseJSONResponse(content) {
     if (!content) {
       throw new Error("No content in LLM response");
     }
 
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error("No JSON found in LLM response");
-      }
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("No JSON found in LLM response");
+    }
+
+    try {
+      return JSON.parse(jsonMatch[0]);
+    } catch (parseError) {
+      throw new Error(`Invalid JSON in LLM response: ${parseError.message}`);
+    }
+  }
+
+  createValidationReport() {
+    return {
+      attempts: 0,
+      retries: 0,
+      corrections: [], // { stage, message }
+      unresolved: [], // { stage, message } - accepted after the last retry
+      failures: [], // { stage, problems } - calls that never produced usable JSON
+      truncated: [], // { title, chunkCount, analyzedChunks } - sections past maxChunksPerDocument
+      missing: [], // { title } - documents the model response left out
+    };
+  }
+
+  recordValidation(stage, corrections, unresolved) {
+    corrections.forEach((message) =>
+      this.validationReport.corrections.push({ stage, message })
+    );
+    unresolved.forEach((message) =>
+      this.validationReport.unresolved.push({ stage, message })
+    );
+  }
+
+  /**
+   * Run extraction on every section of a long document and merge the
+   * results into the document entry from the collection-wide pass
+   */
+  async extractChunkedDocument(doc, overviewEntry, config) {
+    const allChunks = this.splitIntoChunks(
+      doc.content,
+      config.chunkSize,
+      config.chunkOverlap
+    );
+    const chunks = allChunks.slice(0, config.maxChunksPerDocument);
+    if (chunks.length < allChunks.length) {
+      console.warn(
+        `⚠️ "${doc.title}" has ${allChunks.length} sections; only the first ${chunks.length} are analyzed (maxChunksPerDocument)`
+      );
+      this.validationReport.truncated.push({
+        title: doc.title,
+        chunkCount: allChunks.length,
+        analyzedChunks: chunks.length,
+      });
+    }
+
+    const chunkResults = [];
+    for (const chunk of chunks) {
+      const prompt = this.promptGenerator.generateChunkAnalysisPrompt(
+        doc,
+        chunk,
+        {
+          minThemeConfidence: config.minThemeConfidence,
+          maxThemesPerDoc: config.maxThemesPerDocument,
+        }
+      );
+
+      try {
+        chunkResults.push(
+          await this.requestJSON(prompt, 3000, {
+            schema: "chunk",
+            maxRetries: config.maxRepairAttempts,
+          })
+        );
+      } catch (error) {
+        console.warn(
+          `Chunk ${chunk.index + 1}/${chunk.total} of "${doc.title}" failed:`,
+          error
+        );
+      }
+    }
+
+    if (chunkResults.length === 0) {
+      return overviewEntry;
+    }
+
+    const merged = this.mergeChunkResults(chunkResults, config);
+
+    return {
+      ...overviewEntry,
+      main_themes: merged.themes,
+      definitions: merged.definitions,
+      section_summaries: chunkResults.map((r) => r.section_summary || ""),
+      chunking: {
+        chunkCount: allChunks.length,
+        skippedChunks: allChunks.length - chunks.length,
+        analyzedChunks: chunkResults.length,
+        chunkSize: config.chunkSize,
+        chunkOverlap: config.chunkOverlap,
+      },
+    };
+  }
+
+  /**
+   * Split text into overlapping chunks, preferring paragraph and sentence
+   * boundaries so sections don't start or end mid-sentence
+   */
+  splitIntoChunks(text, chunkSize = 4000, overlap = 400) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + chunkSize, text.length);
+
+      if (end < text.length) {
+        const window = text.slice(start, end);
+        const minCut = Math.floor(chunkSize * 0.5);
+        const paragraphBreak = window.lastIndexOf("\n\n");
+        const sentenceBreak = Math.max(
+          window.lastIndexOf(". "),
+          window.lastIndexOf("! "),
+          window.lastIndexOf("? "),
+          window.lastIndexOf("\n")
+        );
+
+        if (paragraphBreak >= minCut) {
+          end = start + paragraphBreak + 2;
+        } else if (sentenceBreak >= minCut) {
+          end = start + sentenceBreak + 1;
+        }
+      }
+
+      chunks.push({ text: text.slice(start, end), start, end });
+
+      if (end >= text.length) break;
+
+      // Step back by the overlap, then forward to the next word boundary
+      let nextStart = Math.max(start + 1, end - overlap);
+      const wordBreak = text.slice(nextStart, end).search(/\s/);
+      if (wordBreak >= 0) nextStart += wordBreak + 1;
+      start = nextStart;
+    }
+
+    return chunks.map((chunk, index) => ({
+      ...chunk,
+      index,
+      total: chunks.length,
+    }));
+  }
+
+  /**
+   * Merge per-chunk themes and definitions into one document entry.
+   *
+   * Themes are matched with the same label similarity the storage system
+   * uses, so each merged theme maps to exactly one stored theme. Confidence
+   * is the highest seen in any chunk; importance is the mean importance
+   * where the theme appears, scaled by how much of the document covers it.
+   */
+  mergeChunkResults(chunkResults, config) {
+    const storage = this.themeStorage;
+    const mergedThemes = [];
+    const mergedDefinitions = new Map();
+
+    chunkResults.forEach((result, chunkIndex) => {
+      for (const themeData of result.main_themes || []) {
+        if (!themeData || !themeData.theme) continue;
+
+        const normalizedLabel = storage.normalizeText(themeData.theme);
+        let merged = mergedThemes.find(
+          (t) =>
+            storage.calculateSimilarity(normalizedLabel, t.normalizedLabel) >=
+            storage.themeSimilarityThreshold
+        );
+
+        if (!merged) {
+          merged = {
+            theme: themeData.theme,
+            normalizedLabel,
+            category: themeData.category,
+            importanceByChunk: new Map(),
+            confidence: 0,
+            subthemes: new Set(),
+            contexts: [],
+            evidence: [],
+          };
+          mergedThemes.push(merged);
+        }
+
+        const importance = themeData.importance ?? 1.0;
+        merged.importanceByChunk.set(
+          chunkIndex,
+          Math.max(merged.importanceByChunk.get(chunkIndex) || 0, importance)
+        );
+        merged.confidence = Math.max(
+          merged.confidence,
+          themeData.confidence ?? 1.0
+        );
+        merged.category = merged.category || themeData.category;
+        (themeData.subthemes || []).forEach((sub) => merged.subthemes.add(sub));
+        if (themeData.context) merged.contexts.push(themeData.context);
+        merged.evidence.push(...(themeData.evidence || []));
+      }
+
+      for (const defData of result.definitions || []) {
+        if (!defData || !defData.term || !defData.definition) continue;
+
+        const key = storage.normalizeText(defData.term);
+        const existing = mergedDefinitions.get(key);
+        if (
+          !existing ||
+          (defData.importance ?? 1.0) > (existing.importance ?? 1.0)
+        ) {
+          mergedDefinitions.set(key, defData);
+        }
+      }
+    });
+
+    const totalChunks = chunkResults.length;
+    const themes = mergedThemes
+      .map((merged) => {
+        const importances = Array.from(merged.importanceByChunk.values());
+        const meanImportance =
+          importances.reduce((sum, v) => sum + v, 0) / importances.length;
+        const coverage = merged.importanceByChunk.size / totalChunks;
+
+        return {
+          theme: merged.theme,
+          category: merged.category || "general",
+          importance: Math.min(1, meanImportance * (0.5 + 0.5 * coverage)),
+          confidence: Math.min(1, merged.confidence),
+          subthemes: Array.from(merged.subthemes),
+          context: merged.contexts.slice(0, 2).join(" … "),
+          evidence: merged.evidence,
+          chunkCoverage: coverage,
+        };
+      })
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, config.maxThemesPerDocument);
+
+    return {
+      themes,
+      definitions: Array.from(mergedDefinitions.values()),
+    };
+  }
+
+  /**
+   * The collection-wide pass only saw the start of chunked documents, so
+   * add them to shared concepts that their merged themes also cover
+   */
+  extendSharedConcepts(extractedData, chunkedDocuments) {
+    const storage = this.themeStorage;
+
+    for (const concept of extractedData.shared_concepts || []) {
+      if (!concept || !concept.concept) continue;
+
+      const labels = [concept.concept, ...(concept.variations || [])].map(
+        (label) => storage.normalizeText(String(label))
+      );
+      concept.appears_in = Array.isArray(concept.appears_in)
+        ? concept.appears_in
+        : [];
+
+      for (const docIndex of chunkedDocuments) {
+        const docNumber = docIndex + 1;
+        if (concept.appears_in.includes(docNumber)) continue;
+
+        const themes = extractedData.documents[docIndex]?.main_themes || [];
+        const covered = themes.some((themeData) => {
+          const normalized = storage.normalizeText(themeData.theme);
+          return labels.some(
+            (label) =>
+              storage.calculateSimilarity(normalized, label) >=
+              storage.themeSimilarityThreshold
+          );
+        });
+
+        if (covered) concept.appears_in.push(docNumber);
+      }
+    }
+  }
+
+  /**
+   * Combine per-batch results into one extractedData object, remapping the
+   * batch-local document numbers (1-based) to collection-wide numbers
+   */
+  combineBatchResults(batchResults, totalDocuments) {
+    const combined = {
+      analysis_metadata: {
+        total_documents: totalDocuments,
+        analysis_timestamp: new Date().toISOString(),
+        batch_count: batchResults.length,
+      },
+      shared_concepts: [],
+      documents: new Array(totalDocuments),
+      thematic_relationships: [],
+      conceptual_clusters: [],
+    };
+
+    for (const { offset, size, data } of batchResults) {
+      const remap = (indices) =>
+        this.validDocumentNumbers(indices, size).map((n) => n + offset);
+
+      (data.documents || []).slice(0, size).forEach((doc, i) => {
+        if (doc) {
+          combined.documents[offset + i] = {
+            ...doc,
+            document_id: offset + i + 1,
+          };
+        }
+      });
+
+      for (const concept of data.shared_concepts || []) {
+        combined.shared_concepts.push({
+          ...concept,
+          appears_in: remap(concept.appears_in),
+        });
+      }
+
+      for (const relationship of data.thematic_relationships || []) {
+        combined.thematic_relationships.push({
+          ...relationship,
+          documents: remap(relationship.documents),
+        });
+      }
+
+      for (const cluster of data.conceptual_clusters || []) {
+        combined.conceptual_clusters.push({
+          ...cluster,
+          documents: remap(cluster.documents),
+        });
+      }
+    }
+
+    return combined;
+  }
+
+  /**
+   * Keep only integer 1-based document numbers within [1, documentCount]
+   */
+  validDocumentNumbers(indices, documentCount) {
+    return (Array.isArray(indices) ? indices : []).filter(
+      (n) => Number.isInteger(n) && n >= 1 && n <= documentCount
+    );
+  }
+
+  /**
+   * Recompute shared_concepts across batches. Concepts and themes are first
+   * grouped by label similarity; if enabled, the LLM then gets a digest of
+   * every document's themes to catch differently worded matches.
+   */
+  async reconcileSharedConcepts(combined, documents, config) {
+    let concepts = this.mergeSimilarConcepts(
+      combined.shared_concepts,
+      combined.documents
+    );
+
+    if (config.reconcileWithLLM) {
+      const digests = documents.map((doc, i) => ({
+        number: i + 1,
+        title: doc.title || doc.filename || `Document ${i + 1}`,
+        themes: (combined.documents[i]?.main_themes || [])
+          .map((t) => t?.theme)
+          .filter(Boolean),
+        summary: combined.documents[i]?.summary || "",
+      }));
+
+      try {
+        const prompt = this.promptGenerator.generateReconciliationPrompt(
+          digests,
+          concepts
+        );
+        const result = await this.requestJSON(prompt, 3000, {
+          schema: "reconciliation",
+          documentCount: documents.length,
+          maxRetries: config.maxRepairAttempts,
+        });
+
+        concepts = this.mergeSimilarConcepts(
+          [...concepts, ...result.shared_concepts],
+          []
+        );
+      } catch (error) {
+        console.warn(
+          "LLM reconciliation failed, using label matching only:",
+          error
+        );
+      }
+    }
+
+    return concepts;
+  }
+
+  /**
+   * Group concepts (and, optionally, every document's main themes) whose
+   * labels match under the storage similarity threshold. Returns the groups
+   * that span at least two documents, in the shared_concepts shape.
+   */
+  mergeSimilarConcepts(concepts, documentEntries = []) {
+    const storage = this.themeStorage;
+    const groups = [];
+
+    const candidates = [...concepts];
+    documentEntries.forEach((entry, i) => {
+      for (const themeData of entry?.main_themes || []) {
+        if (!themeData || !themeData.theme) continue;
+        candidates.push({
+          concept: themeData.theme,
+          category: themeData.category,
+          appears_in: [i + 1],
+          importance: themeData.importance,
+          relationship_strength: themeData.confidence,
+        });
+      }
+    });
+
+    for (const candidate of candidates) {
+      const labels = [candidate.concept, ...(candidate.variations || [])].map(
+        (label) => storage.normalizeText(String(label))
+      );
+
+      const group = groups.find((g) =>
+        labels.some((label) =>
+          g.labels.some(
+            (existing) =>
+              storage.calculateSimilarity(label, existing) >=
+              storage.themeSimilarityThreshold
+          )
+        )
+      );
 
-      return JSON.parse(jsonMatch[0]);
-    } catch (parseError) {
-      console.error("Failed to parse LLM response:", content);
-      throw new Error(`Failed to parse LLM response: ${parseError.message}`);
+      if (group) {
+        labels.forEach((label) => {
+          if (!group.labels.includes(label)) group.labels.push(label);
+        });
+        (candidate.appears_in || []).forEach((n) => group.appearsIn.add(n));
+        group.variations.add(candidate.concept);
+        (candidate.variations || []).forEach((v) => group.variations.add(v));
+        group.importance = Math.max(
+          group.importance,
+          candidate.importance ?? 1.0
+        );
+        group.strengths.push(candidate.relationship_strength ?? 1.0);
+      } else {
+        groups.push({
+          concept: candidate.concept,
+          category: candidate.category || "shared",
+          labels,
+          appearsIn: new Set(candidate.appears_in || []),
+          variations: new Set(candidate.variations || []),
+          importance: candidate.importance ?? 1.0,
+          strengths: [candidate.relationship_strength ?? 1.0],
+        });
+      }
     }
+
+    return groups
+      .filter((group) => group.appearsIn.size >= 2)
+      .map((group) => ({
+        concept: group.concept,
+        category: group.category,
+        appears_in: Array.from(group.appearsIn).sort((a, b) => a - b),
+        variations: Array.from(group.variations).filter(
+          (v) => v !== group.concept
+        ),
+        relationship_strength:
+          group.strengths.reduce((sum, v) => sum + v, 0) /
+          group.strengths.length,
+        importance: group.importance,
+      }));
   }
 
   /**
    * Store documents in optimized data structure
    */
-  async storeDocuments(originalDocuments, extractedData) {
+  async storeDocuments(
+    originalDocuments,
+    extractedData,
+    existingDocIds = null
+  ) {
     const documentIds = [];
+    const docIdByNumber = new Map(); // 1-based document number -> docId
 
     for (let i = 0; i < originalDocuments.length; i++) {
       const originalDoc = originalDocuments[i];
       const extractedDoc = extractedData.documents?.[i];
 
-      if (!extractedDoc) continue;
+      if (!extractedDoc) {
+        console.warn(
+          `⚠️ The model response has no entry for "${originalDoc.title}"; it is left out of the graph`
+        );
+        this.validationReport.missing.push({ title: originalDoc.title });
+        continue;
+      }
 
-      // Add document to storage
-      const docId = this.themeStorage.addDocument(
-        originalDoc.title || originalDoc.filename || `Document ${i + 1}`,
-        originalDoc.content || "",
-        {
-          originalFilename: originalDoc.filename,
-          fileSize: originalDoc.content?.length || 0,
-          extractedAt: new Date(),
-          thematicFocus: extractedDoc.thematic_focus || [],
-          summary: extractedDoc.summary || "",
-        }
-      );
+      const metadata = {
+        originalFilename: originalDoc.filename,
+        fileSize: originalDoc.content?.length || 0,
+        extractedAt: new Date(),
+        thematicFocus: extractedDoc.thematic_focus || [],
+        summary: extractedDoc.summary || "",
+        sectionSummaries: extractedDoc.section_summaries || [],
+        chunking: extractedDoc.chunking || null,
+      };
+
+      // Add document to storage, or refresh a document being re-analyzed
+      let docId = existingDocIds?.[i];
+      if (docId) {
+        const existingDoc = this.themeStorage.documents.get(docId);
+        existingDoc.metadata = { ...existingDoc.metadata, ...metadata };
+      } else {
+        docId = this.themeStorage.addDocument(
+          originalDoc.title || originalDoc.filename || `Document ${i + 1}`,
+          originalDoc.content || "",
+          metadata
+        );
+      }
 
       documentIds.push(docId);
+      docIdByNumber.set(i + 1, docId);
+      const content = this.themeStorage.documents.get(docId).content || "";
 
       // Add themes
       if (extractedDoc.main_themes) {
@@ -244,8 +1627,36 @@ class DocumentConnectionAnalyzer {
             docId,
             themeId,
             themeData.confidence || 1.0,
-            themeData.context || ""
+            themeData.context || "",
+            this.locateEvidence(content, themeData.evidence, themeData.theme)
           );
+
+          // Subthemes become themes of their own under the main theme
+          for (const subtheme of themeData.subthemes || []) {
+            if (typeof subtheme !== "string" || !subtheme.trim()) continue;
+
+            const subthemeId = this.themeStorage.addTheme(
+              subtheme,
+              themeData.category || "general",
+              (themeData.importance || 1.0) * 0.7
+            );
+            if (subthemeId === themeId) continue;
+
+            this.themeStorage.linkDocumentToTheme(
+              docId,
+              subthemeId,
+              (themeData.confidence || 1.0) * 0.8,
+              "",
+              this.locateEvidence(content, [], subtheme),
+              "subtheme"
+            );
+            this.themeStorage.addThemeHierarchyLink(
+              themeId,
+              subthemeId,
+              "extracted",
+              docId
+            );
+          }
         }
       }
 
@@ -259,7 +1670,17 @@ class DocumentConnectionAnalyzer {
             defData.importance || 1.0
           );
 
-          this.themeStorage.linkDocumentToDefinition(docId, defId);
+          this.themeStorage.linkDocumentToDefinition(
+            docId,
+            defId,
+            1.0,
+            this.locateEvidence(content, defData.evidence, defData.term),
+            {
+              definition: defData.definition,
+              context: defData.context || "",
+              type: defData.type || null,
+            }
+          );
         }
       }
 
@@ -278,29 +1699,146 @@ class DocumentConnectionAnalyzer {
         );
 
         // Link to all documents that mention this shared concept
-        for (const docIndex of sharedConcept.appears_in || []) {
-          if (docIndex - 1 < documentIds.length) {
+        const docNumbers = this.validDocumentNumbers(
+          sharedConcept.appears_in,
+          originalDocuments.length
+        );
+        for (const docNumber of docNumbers) {
+          if (docIdByNumber.has(docNumber)) {
+            const docId = docIdByNumber.get(docNumber);
             this.themeStorage.linkDocumentToTheme(
-              documentIds[docIndex - 1],
+              docId,
               themeId,
-              sharedConcept.relationship_strength || 1.0
+              sharedConcept.relationship_strength || 1.0,
+              "",
+              this.locateEvidence(
+                this.themeStorage.documents.get(docId).content,
+                [],
+                [sharedConcept.concept, ...(sharedConcept.variations || [])]
+              )
             );
           }
         }
       }
     }
 
+    this.storeThemeStructure(
+      extractedData,
+      docIdByNumber,
+      originalDocuments.length
+    );
+
     return documentIds;
   }
 
   /**
-   * Perform semantic analysis on stored documents
+   * Store the typed relationships and conceptual clusters from extraction.
+   * Themes are matched by label; relationships naming a theme that wasn't
+   * extracted are dropped and noted in the validation report. Without a
+   * document list, a relationship is attributed to the documents of this
+   * run that have either theme.
+   */
+  storeThemeStructure(extractedData, docIdByNumber, documentCount) {
+    const toDocIds = (numbers) =>
+      this.validDocumentNumbers(numbers, documentCount)
+        .map((n) => docIdByNumber.get(n))
+        .filter(Boolean);
+    const runDocIds = Array.from(docIdByNumber.values());
+    const corrections = [];
+
+    for (const relationship of extractedData.thematic_relationships || []) {
+      const { theme_1: label1, theme_2: label2 } = relationship;
+      const sourceId = this.themeStorage.findThemeId(label1);
+      const targetId = this.themeStorage.findThemeId(label2);
+      const type = ThemeStorageSystem.normalizeRelationshipType(
+        relationship.relationship_type
+      );
+      if (!sourceId || !targetId || !type) {
+        const reason = !type
+          ? `unknown relationship type "${relationship.relationship_type}"`
+          : "theme not found among the extracted themes";
+        corrections.push(`${label1} → ${label2}: dropped, ${reason}`);
+        continue;
+      }
+
+      let documents = toDocIds(relationship.documents);
+      if (documents.length === 0) {
+        documents = runDocIds.filter((docId) => {
+          const themes = this.themeStorage.themesByDocument.get(docId);
+          return themes?.has(sourceId) || themes?.has(targetId);
+        });
+      }
+
+      this.themeStorage.addThemeRelationship(sourceId, targetId, type, {
+        strength: relationship.strength,
+        explanation: relationship.explanation,
+        documents,
+      });
+    }
+
+    for (const cluster of extractedData.conceptual_clusters || []) {
+      this.themeStorage.addConceptualCluster(
+        cluster.cluster_name,
+        (cluster.themes || [])
+          .map((label) => this.themeStorage.findThemeId(label))
+          .filter(Boolean),
+        toDocIds(cluster.documents),
+        cluster.cohesion_score ?? 0.5
+      );
+    }
+
+    this.recordValidation("relationships", corrections, []);
+  }
+
+  /**
+   * Verified spans for the quotes given for a theme or definition. Quotes
+   * not found in the text are dropped and noted in the validation report;
+   * without a usable quote, the sentence where the label first appears is
+   * used instead (source "mention").
+   */
+  locateEvidence(content, quotes, labels) {
+    const { spans, rejected } = this.evidenceLocator.resolve(
+      content || "",
+      quotes
+    );
+    const label = [].concat(labels)[0];
+    this.recordValidation(
+      "evidence",
+      rejected.map((quote) => {
+        const excerpt = quote.slice(0, 80);
+        return `${label}: dropped quote not found in the text: "${excerpt}"`;
+      }),
+      []
+    );
+
+    if (spans.length === 0) {
+      const mention = this.evidenceLocator.findMention(content, labels);
+      if (mention) spans.push(mention);
+    }
+    return spans;
+  }
+
+  /**
+   * Perform semantic analysis on stored documents. When newDocumentIds is
+   * given, only pairs involving at least one of them are (re)analyzed.
    */
-  async performSemanticAnalysis(documentIds, extractedData) {
+  async performSemanticAnalysis(
+    documentIds,
+    extractedData,
+    newDocumentIds = null
+  ) {
+    const isNew = newDocumentIds ? new Set(newDocumentIds) : null;
+
     try {
       // Analyze cross-document relationships
       for (let i = 0; i < documentIds.length; i++) {
         for (let j = i + 1; j < documentIds.length; j++) {
+          const involvesNew =
+            !isNew || isNew.has(documentIds[i]) || isNew.has(documentIds[j]);
+          if (!involvesNew) {
+            continue;
+          }
+
           const doc1 = this.themeStorage.documents.get(documentIds[i]);
           const doc2 = this.themeStorage.documents.get(documentIds[j]);
 
@@ -312,7 +1850,10 @@ class DocumentConnectionAnalyzer {
           }
 
           const relationship =
-            await this.semanticAnalyzer.analyzeDocumentRelationship(doc1, doc2);
+            await this.semanticAnalyzer.analyzeDocumentRelationship(
+              this.withThemeLabels(doc1),
+              this.withThemeLabels(doc2)
+            );
 
           // Store relationship metadata
           if (!this.documentRelationships) {
@@ -324,6 +1865,7 @@ class DocumentConnectionAnalyzer {
             score: relationship.score,
             connections: relationship.semanticConnections,
             contentSimilarity: relationship.contentSimilarity,
+            lexicalSimilarity: relationship.lexicalSimilarity,
             recommendedStrength: relationship.recommendedLinkStrength,
             analyzedAt: new Date(),
           });
@@ -336,6 +1878,7 @@ class DocumentConnectionAnalyzer {
         const themeSemantics =
           await this.semanticAnalyzer.analyzeThemeSemantics(allThemes);
         this.themeSemanticData = themeSemantics;
+        this.storeSemanticHierarchy(themeSemantics.hierarchicalStructure);
       }
     } catch (error) {
       console.warn("Semantic analysis failed, continuing without it:", error);
@@ -346,13 +1889,300 @@ class DocumentConnectionAnalyzer {
     }
   }
 
+  /**
+   * Replace the inferred ("semantic") parent/child links with the ones from
+   * SemanticAnalyzer.buildThemeHierarchy. Links listed by the extraction
+   * are kept, and inferred links that would create a cycle are skipped.
+   */
+  storeSemanticHierarchy(hierarchicalStructure) {
+    this.themeStorage.clearThemeHierarchy("semantic");
+
+    Object.entries(hierarchicalStructure?.children || {}).forEach(
+      ([parentLabel, children]) => {
+        const parentId = this.themeStorage.findThemeId(parentLabel);
+        if (!parentId) return;
+
+        children.forEach((child) => {
+          const childId =
+            typeof child === "string"
+              ? this.themeStorage.findThemeId(child)
+              : child?.id;
+          if (childId) {
+            this.themeStorage.addThemeHierarchyLink(
+              parentId,
+              childId,
+              "semantic"
+            );
+          }
+        });
+      }
+    );
+  }
+
+  /**
+   * Detect communities over the weighted document-theme graph and store
+   * them. Documents are linked to their shared themes by link confidence
+   * (subtheme links are left out) and to each other by content similarity
+   * (from communitySimilarityThreshold); a theme only one document has
+   * joins that document's community. A
+   * community that overlaps one from the previous run keeps its ID, and
+   * its name unless that was generated from keywords. Members are matched
+   * by document title and theme label, so this also holds after a full
+   * re-analysis (see resetAnalysisState).
+   */
+  async updateCommunities(documentIds, config) {
+    const storage = this.themeStorage;
+    const isDocument = new Set(documentIds);
+    const themeIds = new Set();
+    const ownThemes = new Map(); // docId -> themes no other document has
+    const edges = [];
+    documentIds.forEach((docId) => {
+      ownThemes.set(docId, []);
+      (storage.themesByDocument.get(docId) || []).forEach((themeId) => {
+        if (storage.isSubthemeLink(docId, themeId)) return;
+
+        const sharedBy = storage
+          .getThemeDocuments(themeId)
+          .filter((id) => isDocument.has(id)).length;
+        if (sharedBy < 2) {
+          ownThemes.get(docId).push(themeId);
+          return;
+        }
+
+        themeIds.add(themeId);
+        edges.push({
+          source: docId,
+          target: themeId,
+          weight: this.calculateLinkStrength(docId, themeId),
+        });
+      });
+    });
+    documentIds.forEach((docId, i) => {
+      documentIds.slice(i + 1).forEach((otherId) => {
+        const similarity = this.getSemanticSimilarity(docId, otherId);
+        if (
+          similarity > 0 &&
+          similarity >= config.communitySimilarityThreshold
+        ) {
+          edges.push({ source: docId, target: otherId, weight: similarity });
+        }
+      });
+    });
+
+    const detector = new CommunityDetector({
+      resolution: config.communityResolution,
+    });
+    const { communities, modularity } = detector.detect(
+      [...documentIds, ...themeIds],
+      edges
+    );
+    communities.forEach((community) => {
+      community.members
+        .filter((id) => isDocument.has(id))
+        .forEach((docId) => community.members.push(...ownThemes.get(docId)));
+    });
+    const previous = this.previousCommunities || this.describeCommunities();
+    this.previousCommunities = null;
+    const matches = CommunityDetector.matchCommunities(
+      communities.map((community) =>
+        community.members.map((id) => storage.getMemberKey(id))
+      ),
+      previous.map((community) => community.memberKeys)
+    );
+
+    const stored = storage.setCommunities(
+      communities.map(({ members }, i) => {
+        const earlier = previous[matches[i]];
+        const documents = members.filter((id) => isDocument.has(id));
+        const themes = this.rankCommunityThemes(
+          members.filter((id) => !isDocument.has(id)),
+          documents
+        );
+        const keywords = this.getCommunityKeywords(documents);
+        const keepName = earlier && earlier.nameSource !== "keywords";
+
+        return {
+          id: earlier?.id,
+          createdAt: earlier?.createdAt,
+          name: keepName
+            ? earlier.name
+            : this.nameCommunity(documents, themes, keywords),
+          nameSource: keepName ? earlier.nameSource : "keywords",
+          keywords,
+          documents,
+          themes,
+        };
+      }),
+      modularity
+    );
+
+    if (
+      config.nameCommunitiesWithLLM &&
+      config.extractionBackend !== "offline"
+    ) {
+      await this.nameCommunitiesWithLLM(
+        stored.filter(
+          (community) =>
+            community.nameSource === "keywords" &&
+            community.documents.size + community.themes.size > 1
+        )
+      );
+    }
+
+    this.log(
+      `🫧 ${stored.length} communities (modularity ${modularity.toFixed(2)})`
+    );
+    return stored;
+  }
+
+  /**
+   * Stored communities with the keys of their members (see
+   * ThemeStorageSystem.getMemberKey)
+   */
+  describeCommunities(storage = this.themeStorage) {
+    return storage.getCommunities().map((community) => ({
+      ...community,
+      memberKeys: [...community.documents, ...community.themes].map((id) =>
+        storage.getMemberKey(id)
+      ),
+    }));
+  }
+
+  /**
+   * Theme ids of a community, the ones most of its documents share first
+   */
+  rankCommunityThemes(themeIds, documentIds) {
+    const score = (themeId) =>
+      documentIds.reduce(
+        (sum, docId) =>
+          this.themeStorage.themesByDocument.get(docId)?.has(themeId)
+            ? sum + this.calculateLinkStrength(docId, themeId)
+            : sum,
+        0
+      );
+    const scores = new Map(themeIds.map((id) => [id, score(id)]));
+    return themeIds.sort((a, b) => scores.get(b) - scores.get(a));
+  }
+
+  /**
+   * Words that stand out in a group of documents: the biggest summed
+   * TF-IDF weights over their texts
+   */
+  getCommunityKeywords(documentIds, limit = 5) {
+    const corpusIndex = this.semanticAnalyzer.corpusIndex;
+    const totals = new Map();
+    documentIds.forEach((docId) => {
+      corpusIndex.getDocumentVector(docId)?.forEach((weight, term) => {
+        if (term.length < 3 || /^\d+$/.test(term)) return;
+        totals.set(term, (totals.get(term) || 0) + weight);
+      });
+    });
+
+    return Array.from(totals.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([term]) => term);
+  }
+
+  /**
+   * Keyword name for a community: its two leading themes, else its top
+   * keywords, else its document's title
+   */
+  nameCommunity(documentIds, themeIds, keywords) {
+    const labels = themeIds
+      .slice(0, 2)
+      .map((themeId) => this.themeStorage.themes.get(themeId)?.label)
+      .filter(Boolean);
+    if (labels.length > 0) return labels.join(" & ");
+
+    if (keywords.length > 0) {
+      return keywords
+        .slice(0, 2)
+        .map((word) => word[0].toUpperCase() + word.slice(1))
+        .join(" & ");
+    }
+    return (
+      this.themeStorage.documents.get(documentIds[0])?.title || "Community"
+    );
+  }
+
+  /**
+   * Replace keyword names with names from the LLM in one call. Keeps the
+   * keyword names if the call fails.
+   */
+  async nameCommunitiesWithLLM(communities) {
+    if (communities.length === 0) return;
+
+    const digests = communities.map((community, i) => ({
+      number: i + 1,
+      themes: Array.from(community.themes)
+        .slice(0, 8)
+        .map((themeId) => this.themeStorage.themes.get(themeId)?.label)
+        .filter(Boolean),
+      documents: Array.from(community.documents)
+        .slice(0, 5)
+        .map((docId) => this.themeStorage.documents.get(docId)?.title)
+        .filter(Boolean),
+      keywords: community.keywords,
+    }));
+
+    try {
+      const prompt =
+        this.promptGenerator.generateCommunityNamingPrompt(digests);
+      const { content } = await this.chat(
+        [{ role: "user", content: prompt }],
+        { temperature: 0.2, maxTokens: 600 },
+        "naming"
+      );
+      const result = this.parseJSONResponse(content);
+      (result.communities || []).forEach((entry) => {
+        const community = communities[entry?.number - 1];
+        if (community && typeof entry.name === "string") {
+          this.themeStorage.renameCommunity(
+            community.id,
+            entry.name.slice(0, 60),
+            "llm"
+          );
+        }
+      });
+    } catch (error) {
+      console.warn(
+        "LLM community naming failed, keeping keyword names:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Color of a community, picked by its number so it stays the same when
+   * communities are detected again
+   */
+  getCommunityColor(communityId) {
+    const palette = [
+      "#F97316",
+      "#22C55E",
+      "#A855F7",
+      "#EAB308",
+      "#06B6D4",
+      "#EC4899",
+      "#84CC16",
+      "#6366F1",
+      "#14B8A6",
+      "#F43F5E",
+      "#0EA5E9",
+      "#D946EF",
+    ];
+    const number = parseInt(String(communityId).split("-").pop(), 10) || 1;
+    return palette[(number - 1) % palette.length];
+  }
+
   /**
    * Build optimized graph structure for visualization
    */
   async buildOptimizedGraph(documentIds, config) {
     const nodes = [];
     const links = [];
-    const nodePositions = this.calculateOptimalPositions(documentIds);
+    const nodePositions = this.calculateOptimalPositions(documentIds, config);
 
     // Document nodes
     documentIds.forEach((docId, index) => {
@@ -377,8 +2207,12 @@ class DocumentConnectionAnalyzer {
       });
     });
 
-    // Shared theme nodes
-    const sharedThemes = this.themeStorage.getSharedThemes(2);
+    // Shared theme nodes. Themes documents only list as subthemes are
+    // shared only when the hierarchy is shown.
+    const sharedThemes = this.themeStorage.getSharedThemes(
+      2,
+      config.showThemeHierarchy
+    );
     sharedThemes.forEach((theme, index) => {
       const position = nodePositions.sharedThemes[index] || {
         x: 0,
@@ -441,19 +2275,24 @@ class DocumentConnectionAnalyzer {
 
     // Unique theme nodes (for documents with unique themes)
     documentIds.forEach((docId) => {
-      const doc = this.themeStorage.documents.get(docId);
       const docThemes = this.themeStorage.themesByDocument.get(docId);
 
       let uniqueThemeIndex = 0;
       docThemes.forEach((themeId) => {
         const theme = this.themeStorage.themes.get(themeId);
-        if (theme.documents.size === 1) {
+        const isSubtheme = this.themeStorage.isSubthemeLink(docId, themeId);
+        if (isSubtheme && !config.showThemeHierarchy) return;
+
+        const themeDocuments = this.themeStorage.getThemeDocuments(
+          themeId,
+          config.showThemeHierarchy
+        );
+        if (themeDocuments.length === 1) {
           // Unique to this document - position radially outward from parent
           const docNode = nodes.find((n) => n.id === docId);
           
           // Create spherical offset using spherical coordinates
           const phi = (uniqueThemeIndex / 5) * Math.PI * 2;
-          const theta = Math.PI / 4; // 45 degrees outward
           const offsetRadius = 15;
           
           // Calculate direction vector from origin through document node
@@ -477,6 +2316,7 @@ class DocumentConnectionAnalyzer {
               parent: docId,
               category: theme.category,
               importance: theme.importance,
+              subtheme: isSubtheme,
             },
           });
 
@@ -493,12 +2333,138 @@ class DocumentConnectionAnalyzer {
       });
     });
 
+    // Definition nodes (optional), placed outside the documents defining
+    // them; terms defined differently get their own color
+    if (config.showDefinitionNodes) {
+      const docNodes = new Map(
+        nodes
+          .filter((node) => node.type === "document")
+          .map((node) => [node.id, node])
+      );
+      this.getGlossary(documentIds, config).forEach((entry, index) => {
+        const parents = entry.variants.map((v) => docNodes.get(v.documentId));
+        const center = ["x", "y", "z"].map(
+          (axis) =>
+            parents.reduce((sum, parent) => sum + parent[axis], 0) /
+            parents.length
+        );
+        const distance = Math.hypot(...center) || 1;
+        const offset = 12 + (index % 3) * 4;
+        const angle = index * 2.4; // golden angle, spreads siblings apart
+
+        nodes.push({
+          id: entry.id,
+          type: "definition",
+          label: entry.term,
+          data: this.themeStorage.definitions.get(entry.id),
+          size: 3 + Math.min(entry.variants.length, 4),
+          color: this.getNodeColor(
+            "definition",
+            entry.conflicting ? "conflicting" : "general"
+          ),
+          x: center[0] + (center[0] / distance) * offset + Math.cos(angle) * 6,
+          y: center[1] + (center[1] / distance) * offset + Math.sin(angle) * 6,
+          z: center[2] + (center[2] / distance) * offset,
+          community:
+            this.themeStorage.getCommunityOf(parents[0].id)?.id || null,
+          metadata: {
+            documentCount: entry.variants.length,
+            importance: entry.importance,
+            conflicting: entry.conflicting,
+            agreement: entry.agreement,
+          },
+        });
+
+        parents.forEach((parent) => {
+          links.push({
+            source: parent.id,
+            target: entry.id,
+            type: "definition-connection",
+            strength: 0.6,
+            color: this.getLinkColor(0.6, 0.6),
+          });
+        });
+      });
+    }
+
+    // Typed relationships between themes that are on the graph
+    const nodeIds = new Set(nodes.map((node) => node.id));
+    const relationshipCounts = {};
+    this.themeStorage.getThemeRelationships().forEach((relationship) => {
+      const { source, target, type } = relationship;
+      if (!nodeIds.has(source) || !nodeIds.has(target)) return;
+
+      const style = this.getRelationshipStyle(type);
+      relationshipCounts[type] = (relationshipCounts[type] || 0) + 1;
+      links.push({
+        source,
+        target,
+        type: "theme-relationship",
+        relationType: type,
+        directed: relationship.directed,
+        strength: relationship.strength,
+        explanation: relationship.explanation,
+        documents: Array.from(relationship.documents),
+        color: style.color,
+        dashed: style.dashed,
+        width: style.width,
+      });
+    });
+
+    // Parent/child edges between themes that are on the graph (optional)
+    let hierarchyEdgeCount = 0;
+    if (config.showThemeHierarchy) {
+      this.themeStorage.themeHierarchy.forEach((link) => {
+        if (!nodeIds.has(link.parent) || !nodeIds.has(link.child)) return;
+
+        hierarchyEdgeCount++;
+        links.push({
+          source: link.parent,
+          target: link.child,
+          type: "theme-hierarchy",
+          origin: link.source,
+          directed: true,
+          strength: link.source === "extracted" ? 0.7 : 0.4,
+          color: "#38BDF8",
+          dashed: link.source === "semantic",
+        });
+      });
+    }
+
+    // Community of every node (definitions take their first document's)
+    nodes.forEach((node) => {
+      if (node.community === undefined) {
+        node.community = this.themeStorage.getCommunityOf(node.id)?.id || null;
+      }
+      if (config.colorByCommunity && node.community) {
+        node.color = this.getCommunityColor(node.community);
+      }
+    });
+    const communities = this.themeStorage
+      .getCommunities()
+      .map((community) => ({
+        id: community.id,
+        name: community.name,
+        nameSource: community.nameSource,
+        keywords: community.keywords,
+        color: this.getCommunityColor(community.id),
+        documentCount: community.documents.size,
+        themeCount: community.themes.size,
+        nodeCount: nodes.filter((node) => node.community === community.id)
+          .length,
+      }))
+      .filter((community) => community.nodeCount > 0);
+
     return {
       nodes,
       links,
       metadata: {
         documentCount: documentIds.length,
         sharedThemeCount: sharedThemes.length,
+        relationshipCounts,
+        hierarchyEdgeCount,
+        communities,
+        modularity: this.themeStorage.communityModularity,
         totalConnections: links.length,
         avgConnectionStrength:
           links.length > 0
@@ -514,6 +2480,7 @@ class DocumentConnectionAnalyzer {
    * Generate comprehensive analysis report
    */
   generateAnalysisReport(documentIds, graphData) {
+    const glossary = this.getGlossary(documentIds);
     const report = {
       overview: {
         totalDocuments: documentIds.length,
@@ -530,6 +2497,7 @@ class DocumentConnectionAnalyzer {
         graphDensity: graphData.metadata.graphDensity,
         mostConnectedDocument: this.findMostConnectedDocument(documentIds),
         isolatedDocuments: this.findIsolatedDocuments(documentIds),
+        structure: new GraphAnalytics(graphData).summary(5),
       },
       themeAnalysis: {
         topSharedThemes: this.themeStorage.getSharedThemes(2).slice(0, 10),
@@ -537,6 +2505,57 @@ class DocumentConnectionAnalyzer {
         themeClusters: this.themeSemanticData?.semanticGroups || [],
         hierarchicalStructure:
           this.themeSemanticData?.hierarchicalStructure || {},
+        themeTree: this.themeStorage.getThemeTree(documentIds),
+        themeRollup: this.themeStorage
+          .getThemeRollup(documentIds)
+          .filter((entry) => entry.descendantCount > 0)
+          .slice(0, 10),
+        communities: this.themeStorage.getCommunities().map((community) => ({
+          id: community.id,
+          name: community.name,
+          keywords: community.keywords,
+          documents: Array.from(community.documents).map(
+            (docId) => this.themeStorage.documents.get(docId)?.title
+          ),
+          themes: Array.from(community.themes)
+            .slice(0, 10)
+            .map((themeId) => this.themeStorage.themes.get(themeId)?.label),
+        })),
+        modularity: this.themeStorage.communityModularity,
+      },
+      relationships: {
+        counts: graphData.metadata.relationshipCounts || {},
+        contradictions: this.describeRelationships(
+          this.themeStorage.getThemeRelationships({
+            types: ["contradicts"],
+            documentIds,
+          })
+        ),
+        conceptualClusters: Array.from(
+          this.themeStorage.conceptualClusters.values()
+        ).map((cluster) => ({
+          name: cluster.name,
+          themes: Array.from(cluster.themes).map(
+            (themeId) => this.themeStorage.themes.get(themeId)?.label
+          ),
+          documents: Array.from(cluster.documents),
+          cohesion: cluster.cohesion,
+        })),
+      },
+      glossary: {
+        terms: glossary.length,
+        sharedTerms: glossary.filter((entry) => entry.variants.length > 1)
+          .length,
+        conflictingTerms: glossary
+          .filter((entry) => entry.conflicting)
+          .map((entry) => ({
+            term: entry.term,
+            agreement: entry.agreement,
+            definitions: entry.variants.map((variant) => ({
+              document: variant.title,
+              definition: variant.definition,
+            })),
+          })),
       },
       recommendations: this.generateRecommendations(documentIds, graphData),
     };
@@ -544,6 +2563,63 @@ class DocumentConnectionAnalyzer {
     return report;
   }
 
+  /**
+   * Every defined term in documentIds with its definition from each
+   * document (see ThemeStorageSystem.getGlossary). `agreement` is the
+   * lowest TF-IDF similarity between two different wordings (1 when all
+   * documents agree); below definitionConflictThreshold the term is
+   * flagged `conflicting`.
+   */
+  getGlossary(documentIds = this.documentIds, config = this.config) {
+    const corpusIndex = this.semanticAnalyzer.corpusIndex;
+    const threshold =
+      config.definitionConflictThreshold ??
+      this.config.definitionConflictThreshold;
+
+    return this.themeStorage.getGlossary(documentIds).map((entry) => {
+      const wordings = Array.from(
+        new Set(
+          entry.variants.map((variant) =>
+            this.themeStorage.normalizeText(variant.definition)
+          )
+        )
+      );
+
+      let agreement = 1;
+      for (let i = 0; i < wordings.length; i++) {
+        for (let j = i + 1; j < wordings.length; j++) {
+          agreement = Math.min(
+            agreement,
+            corpusIndex.similarity(wordings[i], wordings[j])
+          );
+        }
+      }
+
+      return {
+        ...entry,
+        agreement,
+        conflicting: entry.variants.length > 1 && agreement < threshold,
+      };
+    });
+  }
+
+  /**
+   * Relationships with theme labels and document titles, for reports
+   */
+  describeRelationships(relationships) {
+    const label = (themeId) => this.themeStorage.themes.get(themeId)?.label;
+    return relationships.map((relationship) => ({
+      type: relationship.type,
+      source: label(relationship.source),
+      target: label(relationship.target),
+      strength: relationship.strength,
+      explanation: relationship.explanation,
+      documents: Array.from(relationship.documents).map(
+        (docId) => this.themeStorage.documents.get(docId)?.title || docId
+      ),
+    }));
+  }
+
   /**
    * Get system statistics
    */
@@ -553,15 +2629,20 @@ class DocumentConnectionAnalyzer {
       themesExtracted: this.themeStorage.themes.size,
       definitionsFound: this.themeStorage.definitions.size,
       totalConnections: this.themeStorage.getDocumentConnectivityMap().length,
+      themeRelationships: this.themeStorage.themeRelationships.size,
       cacheSize: this.processingCache.size,
       analysisHistory: this.analysisHistory.length,
       lastAnalysis: this.analysisHistory[this.analysisHistory.length - 1],
+      embeddingCache: this.semanticAnalyzer.getCacheStats(),
+      corpusIndex: this.semanticAnalyzer.corpusIndex.getStats(),
+      searchIndex: this.searchIndex.getStats(),
+      usage: this.usageTracker.getStats(),
     };
   }
 
   // Helper methods for graph optimization and visualization
 
-  calculateOptimalPositions(documentIds) {
+  calculateOptimalPositions(documentIds, config = this.config) {
     const docCount = documentIds.length;
     const positions = {
       documents: [],
@@ -586,7 +2667,10 @@ class DocumentConnectionAnalyzer {
     });
 
     // Position shared themes on an inner sphere
-    const sharedThemes = this.themeStorage.getSharedThemes(2);
+    const sharedThemes = this.themeStorage.getSharedThemes(
+      2,
+      config.showThemeHierarchy
+    );
     const innerRadius = Math.max(20, docCount * 3);
 
     sharedThemes.forEach((theme, index) => {
@@ -618,10 +2702,13 @@ class DocumentConnectionAnalyzer {
         general: "#FBBF24",
       },
       "unique-theme": "#6B7280",
-      definition: "#F472B6",
+      definition: {
+        general: "#F472B6",
+        conflicting: "#FB923C", // defined differently across documents
+      },
     };
 
-    if (type === "shared-theme" && typeof colors[type] === "object") {
+    if (typeof colors[type] === "object") {
       return colors[type][category] || colors[type].general;
     }
 
@@ -635,6 +2722,21 @@ class DocumentConnectionAnalyzer {
     return `rgba(156, 163, 175, ${opacity})`; // Very weak - Gray
   }
 
+  /**
+   * Edge style per relationship type. Contradictions are the ones users
+   * look for, so they get the most visible style.
+   */
+  getRelationshipStyle(type) {
+    const styles = {
+      supports: { color: "#22C55E", dashed: false, width: 0.35 },
+      contradicts: { color: "#EF4444", dashed: true, width: 0.6 },
+      extends: { color: "#A855F7", dashed: false, width: 0.35 },
+      causes: { color: "#F97316", dashed: false, width: 0.45 },
+      similar: { color: "#94A3B8", dashed: true, width: 0.25 },
+    };
+    return styles[type] || styles.similar;
+  }
+
   calculateLinkStrength(docId, themeId) {
     // Get link metadata if available
     const linkKey = `${docId}-${themeId}`;
@@ -713,6 +2815,17 @@ class DocumentConnectionAnalyzer {
       }));
   }
 
+  /**
+   * How two nodes of the current graph connect: the shortest path between
+   * them with a sentence per step, or null when they aren't connected
+   */
+  explainConnection(sourceId, targetId) {
+    if (!this.graphData) {
+      throw new Error("No graph available. Process documents first.");
+    }
+    return new GraphAnalytics(this.graphData).shortestPath(sourceId, targetId);
+  }
+
   analyzeThemeCategories() {
     const categories = {};
 
@@ -762,6 +2875,35 @@ class DocumentConnectionAnalyzer {
       });
     }
 
+    // Sources that disagree are worth a closer read
+    const contradictions = this.themeStorage.getThemeRelationships({
+      types: ["contradicts"],
+      documentIds,
+    });
+    if (contradictions.length > 0) {
+      recommendations.push({
+        type: "contradictions",
+        priority: "high",
+        message: `${contradictions.length} contradiction(s) found between themes. Review the red dashed edges to see where sources disagree.`,
+        action: "review_contradictions",
+        contradictions: this.describeRelationships(contradictions),
+      });
+    }
+
+    // Jargon used with different meanings
+    const conflictingTerms = this.getGlossary(documentIds).filter(
+      (entry) => entry.conflicting
+    );
+    if (conflictingTerms.length > 0) {
+      recommendations.push({
+        type: "definitions",
+        priority: "medium",
+        message: `${conflictingTerms.length} term(s) are defined differently across documents. Check the glossary before comparing what the documents say about them.`,
+        action: "review_glossary",
+        terms: conflictingTerms.map((entry) => entry.term),
+      });
+    }
+
     // Check for potential missing themes
     const avgThemesPerDoc =
       documentIds.reduce((sum, docId) => {
@@ -783,17 +2925,30 @@ class DocumentConnectionAnalyzer {
   }
 
   /**
-   * Export complete system state
+   * Export system state as a JSON-safe object. Graph nodes are saved with
+   * their positions but without `data` (re-attached from storage on import)
+   * and theme semantics reference themes by id.
    */
   exportSystemState() {
     return {
+      version: 2,
       themeStorage: this.themeStorage.export(),
       config: this.config,
       analysisHistory: this.analysisHistory,
       documentRelationships: this.documentRelationships
         ? Array.from(this.documentRelationships.entries())
         : [],
-      themeSemanticData: this.themeSemanticData,
+      themeSemanticData: this.serializeThemeSemantics(this.themeSemanticData),
+      documentIds: this.documentIds || [],
+      graphData: this.graphData
+        ? {
+            ...this.graphData,
+            nodes: this.graphData.nodes.map(({ data, ...node }) => node),
+          }
+        : null,
+      validationReport: this.validationReport,
+      snapshots: this.snapshots.export(),
+      usage: this.usageTracker.export(),
       exportedAt: new Date(),
     };
   }
@@ -803,6 +2958,12 @@ class DocumentConnectionAnalyzer {
    */
   importSystemState(state) {
     this.themeStorage.import(state.themeStorage);
+    const droppedEvidence = this.themeStorage.verifyEvidence();
+    if (droppedEvidence > 0) {
+      console.warn(
+        `⚠️ Dropped ${droppedEvidence} evidence span(s) that no longer match the document text`
+      );
+    }
     this.config = { ...this.config, ...state.config };
     this.analysisHistory = state.analysisHistory || [];
 
@@ -810,7 +2971,194 @@ class DocumentConnectionAnalyzer {
       this.documentRelationships = new Map(state.documentRelationships);
     }
 
-    this.themeSemanticData = state.themeSemanticData;
+    this.themeSemanticData = this.restoreThemeSemantics(
+      state.themeSemanticData
+    );
+    this.documentIds =
+      state.documentIds || Array.from(this.themeStorage.documents.keys());
+    this.semanticAnalyzer.buildCorpusIndex(
+      this.getStoredDocuments(this.documentIds)
+    );
+    this.searchIndex.invalidate();
+    this.validationReport = {
+      ...this.createValidationReport(),
+      ...state.validationReport,
+    };
+    if (state.snapshots) {
+      this.snapshots.import(state.snapshots);
+    }
+    if (state.usage) {
+      this.usageTracker.import(state.usage);
+    }
+
+    this.graphData = state.graphData
+      ? {
+          ...state.graphData,
+          nodes: state.graphData.nodes.map((node) => ({
+            ...node,
+            data: this.getNodeData(node),
+          })),
+        }
+      : null;
+  }
+
+  /**
+   * Storage object shown for a graph node (same shapes buildOptimizedGraph
+   * uses)
+   */
+  getNodeData(node) {
+    if (node.type === "document") {
+      return this.themeStorage.documents.get(node.id);
+    }
+    if (node.type === "shared-theme") {
+      const theme = this.themeStorage.themes.get(node.id);
+      if (!theme) return undefined;
+
+      // Documents listing the theme only as a subtheme aren't on the node
+      const sharedBy = node.metadata?.sharedBy || Array.from(theme.documents);
+      return {
+        ...theme,
+        documents: sharedBy.map((id) => this.themeStorage.documents.get(id)),
+        sharedBy,
+      };
+    }
+    return (
+      this.themeStorage.themes.get(node.id) ||
+      this.themeStorage.definitions.get(node.id)
+    );
+  }
+
+  /**
+   * Evidence behind a graph node, for the details panel: for a document,
+   * the passages supporting each of its themes and definitions; for a theme
+   * or definition, its passages in each document.
+   *
+   * @returns {Array<{ id, label, documentId, passages }>} passages are
+   *   evidence spans with the text before and after them
+   */
+  getNodeEvidence(node, contextLength = 80) {
+    const storage = this.themeStorage;
+    const passages = (doc, itemId) =>
+      storage
+        .getEvidence(doc.id, itemId)
+        .map((span) => this.toPassage(doc.content, span, contextLength));
+
+    if (node.type === "document") {
+      const doc = storage.documents.get(node.id);
+      if (!doc) return [];
+
+      return [...doc.themes, ...doc.definitions]
+        .map((itemId) => ({
+          id: itemId,
+          label:
+            storage.themes.get(itemId)?.label ||
+            storage.definitions.get(itemId)?.term,
+          documentId: doc.id,
+          passages: passages(doc, itemId),
+        }))
+        .filter((group) => group.passages.length > 0);
+    }
+
+    const item =
+      storage.themes.get(node.id) || storage.definitions.get(node.id);
+    if (!item) return [];
+
+    return Array.from(item.documents)
+      .map((docId) => storage.documents.get(docId))
+      .filter(Boolean)
+      .map((doc) => ({
+        id: doc.id,
+        label: doc.title,
+        documentId: doc.id,
+        passages: passages(doc, node.id),
+      }))
+      .filter((group) => group.passages.length > 0);
+  }
+
+  /**
+   * Shared themes and definitions behind a document-to-document connection,
+   * each with its passages in both documents (source = docId1)
+   */
+  getConnectionEvidence(docId1, docId2, contextLength = 80) {
+    const content1 = this.themeStorage.documents.get(docId1)?.content || "";
+    const content2 = this.themeStorage.documents.get(docId2)?.content || "";
+
+    return this.themeStorage
+      .getConnectionEvidence(docId1, docId2)
+      .map((item) => ({
+        ...item,
+        source: item.source.map((span) =>
+          this.toPassage(content1, span, contextLength)
+        ),
+        target: item.target.map((span) =>
+          this.toPassage(content2, span, contextLength)
+        ),
+      }));
+  }
+
+  /**
+   * An evidence span with up to contextLength characters of surrounding
+   * text on each side, cut at word boundaries
+   */
+  toPassage(content, span, contextLength = 80) {
+    let before = content.slice(
+      Math.max(0, span.start - contextLength),
+      span.start
+    );
+    let after = content.slice(span.end, span.end + contextLength);
+    if (span.start > contextLength) {
+      before = "…" + before.replace(/^\S*\s/, "");
+    }
+    if (span.end + contextLength < content.length) {
+      after = after.replace(/\s\S*$/, "") + "…";
+    }
+    return { ...span, before, after };
+  }
+
+  /**
+   * Replace theme objects in theme semantics with their ids
+   */
+  serializeThemeSemantics(semantics) {
+    if (!semantics) return semantics;
+
+    const toIds = (themes = []) => themes.map((t) => t?.id ?? t);
+    const mapValues = (obj = {}) =>
+      Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, toIds(v)]));
+
+    return {
+      ...semantics,
+      semanticGroups: (semantics.semanticGroups || []).map((group) => ({
+        ...group,
+        themes: toIds(group.themes),
+      })),
+      hierarchicalStructure: semantics.hierarchicalStructure && {
+        root: toIds(semantics.hierarchicalStructure.root),
+        children: mapValues(semantics.hierarchicalStructure.children),
+      },
+      conceptualCategories: mapValues(semantics.conceptualCategories),
+    };
+  }
+
+  restoreThemeSemantics(semantics) {
+    if (!semantics) return semantics;
+
+    const toThemes = (ids = []) =>
+      ids.map((id) => this.themeStorage.themes.get(id) || id);
+    const mapValues = (obj = {}) =>
+      Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, toThemes(v)]));
+
+    return {
+      ...semantics,
+      semanticGroups: (semantics.semanticGroups || []).map((group) => ({
+        ...group,
+        themes: toThemes(group.themes),
+      })),
+      hierarchicalStructure: semantics.hierarchicalStructure && {
+        root: toThemes(semantics.hierarchicalStructure.root),
+        children: mapValues(semantics.hierarchicalStructure.children),
+      },
+      conceptualCategories: mapValues(semantics.conceptualCategories),
+    };
   }
 }
 
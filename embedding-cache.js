@@ -0,0 +1,543 @@
+/**
+ * Persistent Embedding Cache
+ *
+ * Keeps embedding vectors across page reloads and CLI runs so the same text
+ * is only embedded once per model:
+ * - Keys are `${model}:${sha256(text)}` (no collisions between texts or models)
+ * - In-memory LRU in front of a persistent store
+ * - IndexedDB store in the browser, append-only JSON-lines file under Node
+ * - Size limits with least-recently-used eviction in both layers
+ * - Hit/miss statistics
+ */
+
+class EmbeddingCache {
+  constructor(options = {}) {
+    this.maxMemoryEntries = options.maxMemoryEntries || 2000;
+    this.maxEntries = options.maxEntries || 20000;
+    this.store =
+      options.store !== undefined
+        ? options.store
+        : EmbeddingCache.createDefaultStore(options);
+
+    this.memory = new Map(); // key -> embedding, oldest first
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      memoryHits: 0,
+      persistentHits: 0,
+      writes: 0,
+      evictions: 0,
+      storeErrors: 0,
+    };
+  }
+
+  /**
+   * IndexedDB in browsers, a JSON file under Node, otherwise memory only
+   */
+  static createDefaultStore(options = {}) {
+    if (typeof indexedDB !== "undefined") {
+      return new IndexedDBEmbeddingStore(options.dbName);
+    }
+    if (typeof process !== "undefined" && process.versions?.node) {
+      return new FileEmbeddingStore(options.filePath);
+    }
+    return null;
+  }
+
+  /**
+   * Look up embeddings for texts; returns an array with null for misses
+   */
+  async getMany(model, texts) {
+    const keys = await Promise.all(
+      texts.map((text) => this.keyFor(model, text))
+    );
+    const results = new Array(texts.length).fill(null);
+    const memoryHitKeys = [];
+    const missingKeys = [];
+
+    keys.forEach((key, i) => {
+      if (this.memory.has(key)) {
+        results[i] = this.touch(key, this.memory.get(key));
+        this.stats.memoryHits++;
+        memoryHitKeys.push(key);
+      } else {
+        missingKeys.push(key);
+      }
+    });
+
+    // Memory hits refresh the persistent last-use time too, so entries used
+    // on every run aren't the first evicted from the store
+    if (memoryHitKeys.length > 0 && this.store) {
+      try {
+        await this.store.touchMany(memoryHitKeys);
+      } catch (error) {
+        this.stats.storeErrors++;
+        console.warn("Embedding cache store update failed:", error);
+      }
+    }
+
+    if (missingKeys.length > 0 && this.store) {
+      try {
+        const stored = await this.store.getMany(missingKeys);
+        keys.forEach((key, i) => {
+          if (results[i] === null && stored.has(key)) {
+            results[i] = this.touch(key, stored.get(key));
+            this.stats.persistentHits++;
+          }
+        });
+      } catch (error) {
+        this.stats.storeErrors++;
+        console.warn("Embedding cache store read failed:", error);
+      }
+    }
+
+    const hits = results.filter((r) => r !== null).length;
+    this.stats.hits += hits;
+    this.stats.misses += texts.length - hits;
+
+    return results;
+  }
+
+  /**
+   * Store embeddings for texts (same order)
+   */
+  async setMany(model, texts, embeddings) {
+    const keys = await Promise.all(
+      texts.map((text) => this.keyFor(model, text))
+    );
+    const entries = keys.map((key, i) => ({ key, embedding: embeddings[i] }));
+
+    entries.forEach(({ key, embedding }) => this.touch(key, embedding));
+    this.stats.writes += entries.length;
+
+    if (this.store) {
+      try {
+        const evicted = await this.store.putMany(entries, this.maxEntries);
+        this.stats.evictions += evicted || 0;
+      } catch (error) {
+        this.stats.storeErrors++;
+        console.warn("Embedding cache store write failed:", error);
+      }
+    }
+  }
+
+  async clear() {
+    this.memory.clear();
+    if (this.store) await this.store.clear();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      memoryEntries: this.memory.size,
+      maxEntries: this.maxEntries,
+      backend: this.store ? this.store.name : "memory",
+    };
+  }
+
+  /**
+   * Move a key to the most recently used end of the memory LRU
+   */
+  touch(key, embedding) {
+    this.memory.delete(key);
+    this.memory.set(key, embedding);
+
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    return embedding;
+  }
+
+  async keyFor(model, text) {
+    return `${model}:${await EmbeddingCache.sha256(text)}`;
+  }
+
+  static async sha256(text) {
+    if (typeof crypto !== "undefined" && crypto.subtle) {
+      const bytes = new TextEncoder().encode(text);
+      const digest = await crypto.subtle.digest("SHA-256", bytes);
+      return Array.from(new Uint8Array(digest))
+        .map((b) => b.toString(16).padStart(2, "0"))
+        .join("");
+    }
+    if (typeof process !== "undefined" && process.versions?.node) {
+      return require("crypto").createHash("sha256").update(text).digest("hex");
+    }
+    // crypto.subtle only exists on secure origins (https, localhost)
+    return EmbeddingCache.sha256Fallback(text);
+  }
+
+  /**
+   * Synchronous SHA-256 (Node crypto when available)
+   */
+  static sha256Sync(text) {
+    if (typeof process !== "undefined" && process.versions?.node) {
+      return require("crypto").createHash("sha256").update(text).digest("hex");
+    }
+    return EmbeddingCache.sha256Fallback(text);
+  }
+
+  /**
+   * SHA-256 in plain JavaScript, same output as crypto.subtle
+   */
+  static sha256Fallback(text) {
+    const k = [];
+    const h = [];
+    const fraction = (x) => ((x - Math.floor(x)) * 2 ** 32) | 0;
+    for (let n = 2, found = 0; found < 64; n++) {
+      let prime = true;
+      for (let d = 2; d * d <= n; d++) {
+        if (n % d === 0) prime = false;
+      }
+      if (!prime) continue;
+      if (found < 8) h.push(fraction(Math.sqrt(n)));
+      k.push(fraction(Math.cbrt(n)));
+      found++;
+    }
+
+    // Pad to a multiple of 64 bytes: 0x80, zeros, 64-bit bit length
+    const bytes = new TextEncoder().encode(text);
+    const length = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(length);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 2 ** 29));
+    view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+    const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+    const w = new Int32Array(64);
+    for (let offset = 0; offset < length; offset += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getInt32(offset + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 =
+          rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 =
+          rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let i = 0; i < 64; i++) {
+        const t1 =
+          (hh +
+            (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) +
+            ((e & f) ^ (~e & g)) +
+            k[i] +
+            w[i]) |
+          0;
+        const t2 =
+          ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) +
+            ((a & b) ^ (a & c) ^ (b & c))) |
+          0;
+        [hh, g, f, e, d, c, b, a] = [
+          g,
+          f,
+          e,
+          (d + t1) | 0,
+          c,
+          b,
+          a,
+          (t1 + t2) | 0,
+        ];
+      }
+      [a, b, c, d, e, f, g, hh].forEach((value, i) => {
+        h[i] = (h[i] + value) | 0;
+      });
+    }
+
+    return h
+      .map((value) => (value >>> 0).toString(16).padStart(8, "0"))
+      .join("");
+  }
+}
+
+/**
+ * IndexedDB store: one record per embedding, indexed by last use
+ */
+class IndexedDBEmbeddingStore {
+  constructor(dbName = "connect-the-docs-embeddings") {
+    this.name = "indexeddb";
+    this.dbName = dbName;
+    this.storeName = "embeddings";
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, {
+            keyPath: "key",
+          });
+          store.createIndex("lastUsed", "lastUsed");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const result = run(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Fetch embeddings by key and refresh their last-use time
+   */
+  async getMany(keys) {
+    const found = new Map();
+    const now = Date.now();
+
+    await this.transaction("readwrite", (store) => {
+      keys.forEach((key) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (!record) return;
+          found.set(key, record.embedding);
+          record.lastUsed = now;
+          store.put(record);
+        };
+      });
+    });
+
+    return found;
+  }
+
+  /**
+   * Refresh the last-use time of stored keys
+   */
+  async touchMany(keys) {
+    await this.getMany(keys);
+  }
+
+  /**
+   * Write entries, then evict least recently used records above maxEntries.
+   * Returns the number of evicted records.
+   */
+  async putMany(entries, maxEntries) {
+    const now = Date.now();
+    await this.transaction("readwrite", (store) => {
+      entries.forEach(({ key, embedding }) =>
+        store.put({ key, embedding, lastUsed: now })
+      );
+    });
+
+    let evicted = 0;
+    await this.transaction("readwrite", (store) => {
+      const countRequest = store.count();
+      countRequest.onsuccess = () => {
+        let excess = countRequest.result - maxEntries;
+        if (excess <= 0) return;
+
+        const cursorRequest = store.index("lastUsed").openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || excess <= 0) return;
+          cursor.delete();
+          evicted++;
+          excess--;
+          cursor.continue();
+        };
+      };
+    });
+    return evicted;
+  }
+
+  async clear() {
+    await this.transaction("readwrite", (store) => store.clear());
+  }
+}
+
+/**
+ * JSON-lines file store for Node (CLI, server). Loaded lazily; new
+ * embeddings and last-use times are appended, and the file is only
+ * rewritten (compacted) after evictions or once most of its lines are
+ * stale.
+ */
+class FileEmbeddingStore {
+  constructor(filePath = null) {
+    const path = require("path");
+    const os = require("os");
+
+    this.name = "file";
+    this.filePath =
+      filePath ||
+      path.join(os.homedir(), ".cache", "connect-the-docs", "embeddings.json");
+    this.entries = null; // key -> { embedding, lastUsed }
+    this.lineCount = 0; // lines in the file, including superseded ones
+    this.needsCompaction = false;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    const fs = require("fs");
+    this.entries = new Map();
+    try {
+      if (fs.existsSync(this.filePath)) {
+        fs.readFileSync(this.filePath, "utf8")
+          .split("\n")
+          .filter((line) => line.trim())
+          .forEach((line) => {
+            this.lineCount++;
+            let record;
+            try {
+              record = JSON.parse(line);
+            } catch (error) {
+              this.needsCompaction = true; // e.g. a write cut short
+              return;
+            }
+
+            if (record.embedding) {
+              this.entries.set(record.key, {
+                embedding: record.embedding,
+                lastUsed: record.lastUsed,
+              });
+            } else if (this.entries.has(record.key)) {
+              this.entries.get(record.key).lastUsed = record.lastUsed;
+            }
+          });
+      }
+    } catch (error) {
+      console.warn(
+        `Ignoring unreadable embedding cache ${this.filePath}:`,
+        error
+      );
+    }
+    return this.entries;
+  }
+
+  async getMany(keys) {
+    const entries = this.load();
+    const found = new Map();
+    const now = Date.now();
+    const touched = [];
+
+    keys.forEach((key) => {
+      const record = entries.get(key);
+      if (record) {
+        record.lastUsed = now;
+        found.set(key, record.embedding);
+        touched.push({ key, lastUsed: now });
+      }
+    });
+    this.write(touched);
+    return found;
+  }
+
+  async touchMany(keys) {
+    await this.getMany(keys);
+  }
+
+  async putMany(newEntries, maxEntries) {
+    const entries = this.load();
+    const now = Date.now();
+    const lines = newEntries.map(({ key, embedding }) => {
+      entries.set(key, { embedding, lastUsed: now });
+      return { key, embedding, lastUsed: now };
+    });
+
+    // Evict down to 90% of the limit so compaction isn't needed every batch
+    let evicted = 0;
+    if (entries.size > maxEntries) {
+      const oldestFirst = Array.from(entries.entries()).sort(
+        (a, b) => a[1].lastUsed - b[1].lastUsed
+      );
+      const keep = Math.floor(maxEntries * 0.9);
+      for (const [key] of oldestFirst.slice(0, entries.size - keep)) {
+        entries.delete(key);
+        evicted++;
+      }
+    }
+
+    if (evicted > 0) {
+      this.save();
+    } else {
+      this.write(lines);
+    }
+    return evicted;
+  }
+
+  async clear() {
+    this.entries = new Map();
+    this.save();
+  }
+
+  /**
+   * Append records, or compact instead once most lines would be stale
+   */
+  write(records) {
+    if (records.length === 0) return;
+
+    if (
+      this.needsCompaction ||
+      this.lineCount + records.length > 2 * this.entries.size + 1000
+    ) {
+      this.save();
+    } else {
+      this.append(records);
+    }
+  }
+
+  append(records) {
+    if (records.length === 0) return;
+
+    const fs = require("fs");
+    const path = require("path");
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(
+      this.filePath,
+      records.map((record) => JSON.stringify(record) + "\n").join("")
+    );
+    this.lineCount += records.length;
+  }
+
+  /**
+   * Rewrite the file with one line per entry
+   */
+  save() {
+    const fs = require("fs");
+    const path = require("path");
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      Array.from(this.entries)
+        .map(
+          ([key, { embedding, lastUsed }]) =>
+            JSON.stringify({ key, embedding, lastUsed }) + "\n"
+        )
+        .join("")
+    );
+    fs.renameSync(tmpPath, this.filePath);
+    this.lineCount = this.entries.size;
+    this.needsCompaction = false;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.EmbeddingCache = EmbeddingCache;
+  window.IndexedDBEmbeddingStore = IndexedDBEmbeddingStore;
+  window.FileEmbeddingStore = FileEmbeddingStore;
+} else if (typeof module !== "undefined") {
+  module.exports = {
+    EmbeddingCache,
+    IndexedDBEmbeddingStore,
+    FileEmbeddingStore,
+  };
+}
@@ -32,8 +32,29 @@ class DocumentAnalysisPrompts {
       minThemeConfidence = 0.7,
       maxThemesPerDoc = 8,
       includeSubthemes = true,
+      contentLimit = 4000,
+      chunkedDocuments = [],
+      existingThemes = [],
     } = analysisOptions;
 
+    // Documents listed in chunkedDocuments (0-based) get their remaining
+    // sections analyzed separately, so only note that the excerpt continues
+    const truncationNote = (i) =>
+      chunkedDocuments.includes(i)
+        ? "\n[Content continues - later sections are analyzed separately...]"
+        : "\n[Content truncated...]";
+
+    // When documents are added to an existing collection, list its themes so
+    // the same ideas get the same labels
+    const existingThemesSection =
+      existingThemes.length > 0
+        ? `
+EXISTING THEMES IN THE COLLECTION:
+These documents are being added to a collection that already covers the themes below. When a document covers one of them, use the EXACT existing label instead of a new wording. Still extract new themes where none of these fit.
+${existingThemes.map((label) => `- ${label}`).join("\n")}
+`
+        : "";
+
     const prompt = `You are an expert document analyst specializing in identifying thematic relationships and conceptual structures across multiple documents.
 
 ANALYSIS TASK:
@@ -48,13 +69,13 @@ ${documents
   .map(
     (doc, i) =>
       `--- DOCUMENT ${i + 1}: "${doc.title}" ---
-${doc.content.slice(0, 4000)}${
-        doc.content.length > 4000 ? "\n[Content truncated...]" : ""
+${doc.content.slice(0, contentLimit)}${
+        doc.content.length > contentLimit ? truncationNote(i) : ""
       }
 `
   )
   .join("\n")}
-
+${existingThemesSection}
 EXTRACTION GUIDELINES:
 
 🎯 THEME IDENTIFICATION:
@@ -74,11 +95,20 @@ EXTRACTION GUIDELINES:
 - Categorize definition type: ${Object.keys(this.definitionTypes).join(", ")}
 - Mark definitions that appear across multiple documents
 
+🔎 EVIDENCE:
+- For every theme and definition, copy 1-2 VERBATIM quotes from the document that show it (one sentence or less each)
+- Copy the characters exactly as written; do not paraphrase, fix typos or join separate passages
+- Quotes are checked against the document text and discarded if they can't be found
+
 🔗 RELATIONSHIP DETECTION:
 - Identify themes that appear in MULTIPLE documents (even with different wording)
 - Detect conceptual overlap (e.g., "renewable energy" and "solar power")
 - Find causal relationships between themes
 - Identify hierarchical relationships (general → specific)
+- Flag CONTRADICTIONS: claims, findings or recommendations in one document that disagree with another
+- Type each thematic relationship as one of:
+  supports (backs up or confirms), contradicts (disagrees with), extends (builds on or specializes), causes (leads to or drives), similar (same idea, different wording)
+- Use theme names exactly as they appear in main_themes or shared_concepts
 - Mark the STRENGTH of relationships: strong (0.8-1.0), medium (0.5-0.8), weak (0.3-0.5)
 
 ⚖️ IMPORTANCE WEIGHTING:
@@ -117,7 +147,8 @@ OUTPUT FORMAT (strict JSON only):
           "importance": 0.85,
           "confidence": 0.9,
           "subthemes": ["subtheme1", "subtheme2"],
-          "context": "brief context where theme appears"
+          "context": "brief context where theme appears",
+          "evidence": ["exact quote from the document"]
         }
       ],
       "definitions": [
@@ -126,6 +157,7 @@ OUTPUT FORMAT (strict JSON only):
           "definition": "precise definition from document",
           "type": "technical|conceptual|procedural|categorical|quantitative",
           "context": "surrounding context sentences",
+          "evidence": ["exact sentence where the term is defined"],
           "importance": 0.7
         }
       ],
@@ -140,8 +172,9 @@ OUTPUT FORMAT (strict JSON only):
   "thematic_relationships": [
     {
       "theme_1": "theme from doc 1",
-      "theme_2": "related theme from doc 2", 
-      "relationship_type": "identical|similar|hierarchical|causal|contradictory",
+      "theme_2": "related theme from doc 2",
+      "relationship_type": "supports|contradicts|extends|causes|similar",
+      "documents": [1, 2],
       "strength": 0.8,
       "explanation": "brief explanation of how themes relate"
     }
@@ -169,6 +202,139 @@ Begin analysis now:`;
     return prompt;
   }
 
+  /**
+   * Generate prompt for one section of a long document (chunked extraction)
+   */
+  generateChunkAnalysisPrompt(document, chunk, analysisOptions = {}) {
+    const { minThemeConfidence = 0.7, maxThemesPerDoc = 8 } = analysisOptions;
+
+    return `You are an expert document analyst. You are reading ONE SECTION of a longer document; other sections are analyzed separately and merged afterwards.
+
+DOCUMENT: "${document.title}"
+SECTION ${chunk.index + 1} OF ${chunk.total} (characters ${chunk.start}-${
+      chunk.end
+    }):
+${chunk.text}
+
+EXTRACTION GUIDELINES:
+- Extract up to ${maxThemesPerDoc} significant themes discussed IN THIS SECTION
+- Use short, reusable theme names so the same theme gets the same name in every section
+- Assign importance (0.1-1.0) based on prominence WITHIN THIS SECTION
+- Only include themes with confidence ≥ ${minThemeConfidence}
+- Extract terms that are explicitly defined in this section, with the exact definition
+- Categorize definition type: ${Object.keys(this.definitionTypes).join(", ")}
+- For every theme and definition, copy 1-2 VERBATIM quotes from this section (one sentence or less each); they are checked against the text
+- Do not guess about content outside this section
+
+OUTPUT FORMAT (strict JSON only):
+{
+  "section_summary": "1-2 sentence summary of this section",
+  "main_themes": [
+    {
+      "theme": "theme name",
+      "category": "theme category",
+      "importance": 0.85,
+      "confidence": 0.9,
+      "subthemes": ["subtheme1", "subtheme2"],
+      "context": "brief context where theme appears",
+      "evidence": ["exact quote from the section"]
+    }
+  ],
+  "definitions": [
+    {
+      "term": "exact term",
+      "definition": "precise definition from the section",
+      "type": "technical|conceptual|procedural|categorical|quantitative",
+      "context": "surrounding context sentences",
+      "evidence": ["exact sentence where the term is defined"],
+      "importance": 0.7
+    }
+  ]
+}
+
+CRITICAL REQUIREMENTS:
+- NO HALLUCINATION: Only include information present in this section
+- STRICT JSON: Response must be valid JSON with no additional text`;
+  }
+
+  /**
+   * Generate prompt that reconciles shared concepts across extraction batches.
+   * Only theme labels and summaries are sent, not document content.
+   */
+  generateReconciliationPrompt(documentDigests, candidateConcepts = []) {
+    return `You are reconciling a document analysis that was run in several batches. Each batch only saw some of the documents, so concepts shared ACROSS batches were missed.
+
+DOCUMENTS (number, title, extracted themes, summary):
+${documentDigests
+  .map(
+    (digest) =>
+      `${digest.number}. "${digest.title}"
+   Themes: ${digest.themes.join("; ") || "(none)"}
+   Summary: ${digest.summary || "(none)"}`
+  )
+  .join("\n")}
+
+SHARED CONCEPTS FOUND SO FAR:
+${
+  candidateConcepts.length > 0
+    ? candidateConcepts
+        .map((c) => `- "${c.concept}" appears in [${c.appears_in.join(", ")}]`)
+        .join("\n")
+    : "(none)"
+}
+
+TASK:
+- Identify concepts that appear in TWO OR MORE documents, including differently worded themes that mean the same thing
+- Extend the concepts found so far when other documents also cover them
+- Use the document NUMBERS above in "appears_in"
+- Only use themes listed above - NO HALLUCINATION
+
+OUTPUT FORMAT (strict JSON only):
+{
+  "shared_concepts": [
+    {
+      "concept": "shared theme name",
+      "category": "theme category",
+      "appears_in": [1, 4, 12],
+      "variations": ["wording in doc 1", "wording in doc 12"],
+      "relationship_strength": 0.8,
+      "importance": 0.9
+    }
+  ]
+}`;
+  }
+
+  /**
+   * Generate prompt naming communities (groups of documents and themes
+   * found by community detection)
+   */
+  generateCommunityNamingPrompt(communities) {
+    return `You are naming topic groups found in a document collection. Each group is a set of documents and the themes they share.
+
+GROUPS (number, themes, documents, keywords):
+${communities
+  .map(
+    (community) => `${community.number}. Themes: ${
+      community.themes.join("; ") || "(none)"
+    }
+   Documents: ${community.documents.join("; ") || "(none)"}
+   Keywords: ${community.keywords.join(", ") || "(none)"}`
+  )
+  .join("\n")}
+
+TASK:
+- Give every group a short name (2-5 words) for the topic its themes and documents have in common
+- Names must tell the groups apart
+- Use the group NUMBERS above
+
+OUTPUT FORMAT (strict JSON only):
+{
+  "communities": [
+    { "number": 1, "name": "topic name" }
+  ]
+}`;
+  }
+
   /**
    * Generate focused theme refinement prompt
    */
@@ -405,6 +571,134 @@ Return comprehensive JSON analysis:
     return this.definitionTypes;
   }
 
+  /**
+   * Schemas for the JSON responses requested by the prompts above, used by
+   * AnalysisResponseValidator. Field types:
+   * - "string", "object", "score" (number clamped to 0-1)
+   * - "string[]", "docRefs" (1-based document numbers)
+   * - "<schemaName>[]" for arrays of nested schema objects
+   * Items missing a required field are dropped; a missing required field on
+   * a top-level response is an error that triggers a retry.
+   */
+  getResponseSchemas() {
+    return {
+      theme: {
+        required: { theme: "string" },
+        optional: {
+          category: "string",
+          importance: "score",
+          confidence: "score",
+          subthemes: "string[]",
+          context: "string",
+          evidence: "string[]",
+        },
+      },
+      definition: {
+        required: { term: "string", definition: "string" },
+        optional: {
+          type: "string",
+          context: "string",
+          evidence: "string[]",
+          importance: "score",
+        },
+      },
+      sharedConcept: {
+        required: { concept: "string" },
+        optional: {
+          category: "string",
+          appears_in: "docRefs",
+          variations: "string[]",
+          relationship_strength: "score",
+          importance: "score",
+        },
+      },
+      document: {
+        required: {},
+        optional: {
+          title: "string",
+          main_themes: "theme[]",
+          definitions: "definition[]",
+          summary: "string",
+          thematic_focus: "string[]",
+          connection_strength: "object",
+        },
+      },
+      relationship: {
+        required: { theme_1: "string", theme_2: "string" },
+        optional: {
+          relationship_type: "string",
+          documents: "docRefs",
+          strength: "score",
+          explanation: "string",
+        },
+      },
+      cluster: {
+        required: { cluster_name: "string" },
+        optional: {
+          themes: "string[]",
+          documents: "docRefs",
+          cohesion_score: "score",
+        },
+      },
+      // generateAnalysisPrompt
+      analysis: {
+        required: { documents: "document[]" },
+        optional: {
+          analysis_metadata: "object",
+          shared_concepts: "sharedConcept[]",
+          thematic_relationships: "relationship[]",
+          conceptual_clusters: "cluster[]",
+        },
+      },
+      // generateChunkAnalysisPrompt
+      chunk: {
+        required: {},
+        optional: {
+          section_summary: "string",
+          main_themes: "theme[]",
+          definitions: "definition[]",
+        },
+      },
+      // generateReconciliationPrompt
+      reconciliation: {
+        required: { shared_concepts: "sharedConcept[]" },
+        optional: {},
+      },
+    };
+  }
+
+  /**
+   * Generate follow-up prompt asking the model to fix an invalid response
+   */
+  generateRepairPrompt(problems) {
+    return `Your previous response could not be used because of these problems:
+${problems
+  .slice(0, 20)
+  .map((problem) => `- ${problem}`)
+  .join("\n")}
+
+Return the COMPLETE corrected response as strict JSON in the same format as requested before. Keep it concise enough to fit in one response. Do not include any text outside the JSON.`;
+  }
+
+  /**
+   * Short fingerprint of the prompt templates, so analysis snapshots can
+   * tell when two runs used different prompts
+   */
+  getPromptFingerprint() {
+    const prototype = Object.getPrototypeOf(this);
+    const source = Object.getOwnPropertyNames(prototype)
+      .filter((name) => name.startsWith("generate"))
+      .map((name) => prototype[name].toString())
+      .join("\n");
+
+    let hash = 0;
+    for (let i = 0; i < source.length; i++) {
+      hash = (hash << 5) - hash + source.charCodeAt(i);
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return (hash >>> 0).toString(16);
+  }
+
   /**
    * Generate validation prompt for extracted data
    */
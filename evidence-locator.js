@@ -0,0 +1,262 @@
+/**
+ * Evidence Locator
+ *
+ * Turns the quotes returned by extraction into verified character spans of
+ * the source document:
+ * - Exact match first, then a match that ignores case, whitespace, quote
+ *   styles and dashes (models often normalize these)
+ * - Quotes with an ellipsis ("... ") match their parts in order
+ * - A quote found several times resolves to the occurrence nearest a hint
+ * - Quotes that can't be found are rejected, never guessed
+ * - Fallback spans for labels: the sentence where the label first appears
+ *
+ * Every span is { start, end, quote, source } with
+ * content.slice(start, end) === quote.
+ */
+
+class EvidenceLocator {
+  constructor(options = {}) {
+    this.maxSpans = options.maxSpans || 3;
+    this.minQuoteLength = options.minQuoteLength || 8;
+    this.maxMentionLength = options.maxMentionLength || 300;
+    this.normalized = null; // { content, text, positions } for the last text
+  }
+
+  /**
+   * Spans for a list of quotes, best first and without overlaps:
+   * { spans, rejected } where rejected lists the quotes not found
+   */
+  resolve(content, quotes, hint = null) {
+    const spans = [];
+    const rejected = [];
+
+    (quotes || []).forEach((quote) => {
+      if (typeof quote !== "string" || !quote.trim()) return;
+
+      const span = this.locate(content, quote, hint);
+      if (!span) {
+        rejected.push(quote);
+      } else if (
+        spans.length < this.maxSpans &&
+        !spans.some((other) => EvidenceLocator.overlaps(other, span))
+      ) {
+        spans.push(span);
+      }
+    });
+
+    return { spans, rejected };
+  }
+
+  /**
+   * Span for one quote, or null if it isn't in the text
+   */
+  locate(content, quote, hint = null) {
+    if (!content || typeof quote !== "string") return null;
+
+    const parts = quote
+      .split(/\s*(?:\.\.\.|…)\s*/)
+      .map((part) => EvidenceLocator.trimQuote(part))
+      .filter((part) => part.length >= this.minQuoteLength);
+    if (parts.length === 0) return null;
+
+    // Parts of an elided quote must appear in order, reasonably close
+    let first = null;
+    let last = null;
+    for (const part of parts) {
+      const from = last ? last.end : 0;
+      const match = this.find(content, part, first ? null : hint, from);
+      if (!match) return null;
+      if (last && match.start - last.end > quote.length + 200) return null;
+      if (!first) first = match;
+      last = match;
+    }
+
+    // Keep the sentence's closing punctuation if the quote had it
+    let end = last.end;
+    const closing = quote
+      .trim()
+      .replace(/["'”’»]+$/, "")
+      .slice(-1);
+    if (/[.!?]/.test(closing) && content[end] === closing) end++;
+
+    return {
+      start: first.start,
+      end,
+      quote: content.slice(first.start, end),
+      source: "quote",
+    };
+  }
+
+  /**
+   * Character range of text in content at or after `from`, exact or
+   * normalized, nearest to hint when it occurs more than once
+   */
+  find(content, text, hint, from = 0) {
+    const exact = this.nearest(this.allIndexes(content, text, from), hint);
+    if (exact !== null) {
+      return { start: exact, end: exact + text.length };
+    }
+
+    const { text: normalizedContent, positions } = this.normalize(content);
+    const normalizedText = EvidenceLocator.normalizeText(text).trim();
+    if (!normalizedText) return null;
+
+    const normalizedFrom = positions.findIndex((position) => position >= from);
+    if (normalizedFrom < 0) return null;
+
+    const indexes = this.allIndexes(
+      normalizedContent,
+      normalizedText,
+      normalizedFrom
+    );
+    const hintIndex =
+      hint === null
+        ? null
+        : positions.findIndex((position) => position >= hint);
+    const index = this.nearest(indexes, hintIndex < 0 ? null : hintIndex);
+    if (index === null) return null;
+
+    return {
+      start: positions[index],
+      end: positions[index + normalizedText.length - 1] + 1,
+    };
+  }
+
+  allIndexes(haystack, needle, from = 0) {
+    const indexes = [];
+    let index = haystack.indexOf(needle, from);
+    while (index >= 0) {
+      indexes.push(index);
+      index = haystack.indexOf(needle, index + 1);
+    }
+    return indexes;
+  }
+
+  nearest(indexes, hint) {
+    if (indexes.length === 0) return null;
+    if (hint === null || hint === undefined) return indexes[0];
+    return indexes.reduce((best, index) =>
+      Math.abs(index - hint) < Math.abs(best - hint) ? index : best
+    );
+  }
+
+  /**
+   * Normalized copy of content with the original position of every
+   * character (cached for the last text, since a document's quotes are
+   * located one after another)
+   */
+  normalize(content) {
+    if (this.normalized?.content === content) return this.normalized;
+
+    let text = "";
+    const positions = [];
+    let previousSpace = false;
+    for (let i = 0; i < content.length; i++) {
+      let char = EvidenceLocator.normalizeText(content[i]);
+      if (char.length !== 1) char = content[i]; // e.g. "İ" lowercases to two
+      if (char === " ") {
+        if (previousSpace) continue;
+        previousSpace = true;
+      } else {
+        previousSpace = false;
+      }
+      text += char;
+      positions.push(i);
+    }
+
+    this.normalized = { content, text, positions };
+    return this.normalized;
+  }
+
+  /**
+   * Lowercase, straight quotes, plain hyphens and single spaces. Keeps the
+   * length of single characters so positions can be mapped back.
+   */
+  static normalizeText(text) {
+    return text
+      .toLowerCase()
+      .replace(/[‘’‚‛′]/g, "'")
+      .replace(/[“”„‟″]/g, '"')
+      .replace(/[‐‑‒–—―]/g, "-")
+      .replace(/\s+/g, " ");
+  }
+
+  /**
+   * Strip surrounding whitespace, quote marks and trailing punctuation a
+   * model may add or drop
+   */
+  static trimQuote(quote) {
+    return quote
+      .trim()
+      .replace(/^["'“”‘’«»]+|["'“”‘’«»]+$/g, "")
+      .replace(/[.,;:!?]+$/, "")
+      .trim();
+  }
+
+  /**
+   * Span of the sentence where label (or one of its variations) first
+   * appears, for links the extraction gave no quote for
+   */
+  findMention(content, labels) {
+    if (!content) return null;
+
+    for (const label of [].concat(labels || [])) {
+      if (typeof label !== "string" || label.trim().length < 3) continue;
+
+      const match = this.find(content, label.trim(), null);
+      if (!match) continue;
+
+      // Expand to the enclosing sentence (or line), within maxMentionLength
+      const limit = this.maxMentionLength;
+      let start = match.start;
+      while (
+        start > 0 &&
+        match.start - start < limit / 2 &&
+        !/[.!?\n]/.test(content[start - 1])
+      ) {
+        start--;
+      }
+      let end = match.end;
+      while (
+        end < content.length &&
+        end - start < limit &&
+        !/[.!?\n]/.test(content[end])
+      ) {
+        end++;
+      }
+      if (end < content.length && /[.!?]/.test(content[end])) end++;
+
+      while (/\s/.test(content[start])) start++;
+      return {
+        start,
+        end,
+        quote: content.slice(start, end),
+        source: "mention",
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Whether a stored span still matches the text
+   */
+  static verify(content, span) {
+    return (
+      !!content &&
+      Number.isInteger(span?.start) &&
+      Number.isInteger(span?.end) &&
+      content.slice(span.start, span.end) === span.quote
+    );
+  }
+
+  static overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.EvidenceLocator = EvidenceLocator;
+} else if (typeof module !== "undefined") {
+  module.exports = EvidenceLocator;
+}
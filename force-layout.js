@@ -0,0 +1,520 @@
+/**
+ * Force Layout
+ *
+ * Force-directed 3D layout for the connection graph:
+ * - Barnes-Hut octree for node repulsion (O(n log n) per tick instead of
+ *   comparing every pair of nodes)
+ * - Springs along links, stiffer for stronger links
+ * - Weak gravity towards the center so unconnected parts stay in view
+ * - Cooling: the step size (alpha) decays every tick until the layout has
+ *   settled
+ * - Optional flat (2D) mode
+ *
+ * Runs in Node for headless layout (ForceLayout.layout), on the main thread,
+ * or in a Web Worker that streams positions back while the graph settles
+ * (ForceLayout.start). Positions are flat [x0, y0, z0, x1, ...] arrays in
+ * the order of the nodes passed in.
+ */
+
+class ForceLayout {
+  constructor(options = {}) {
+    this.options = { ...ForceLayout.DEFAULTS, ...options };
+    this.count = 0;
+    this.alpha = 1;
+    this.ticks = 0;
+  }
+
+  static get DEFAULTS() {
+    return {
+      iterations: 300, // ticks to cool from alpha 1 down to alphaMin
+      alphaMin: 0.001,
+      velocityDecay: 0.4, // share of the velocity lost every tick
+      theta: 0.9, // Barnes-Hut accuracy, 0 = exact
+      charge: -60, // repulsion per node (negative repels)
+      distanceMin: 1, // repulsion is capped below this distance
+      distanceMax: Infinity, // and ignored beyond it
+      linkDistance: 35, // spring rest length
+      linkStrength: 1, // spring stiffness, scaled by each link's strength
+      gravity: 0.1, // pull towards the origin
+      dimensions: 3, // 2 keeps every node at z = 0
+    };
+  }
+
+  /**
+   * Load nodes ({ id, x, y, z }) and links ({ source, target, strength }).
+   * Nodes without a position are placed on a sphere; links to unknown
+   * nodes are ignored.
+   */
+  setGraph(nodes, links = []) {
+    this.count = nodes.length;
+    this.positions = new Float64Array(this.count * 3);
+    this.velocities = new Float64Array(this.count * 3);
+
+    const indexById = new Map();
+    nodes.forEach((node, i) => {
+      indexById.set(node.id, i);
+      const valid = [node.x, node.y, node.z].every(Number.isFinite);
+      const seed = valid ? node : ForceLayout.spherePoint(i, this.count);
+      this.positions[i * 3] = seed.x;
+      this.positions[i * 3 + 1] = seed.y;
+      this.positions[i * 3 + 2] = this.options.dimensions === 2 ? 0 : seed.z;
+    });
+
+    const degrees = new Float64Array(this.count);
+    this.links = [];
+    links.forEach((link) => {
+      const source = indexById.get(link.source?.id ?? link.source);
+      const target = indexById.get(link.target?.id ?? link.target);
+      if (source === undefined || target === undefined || source === target) {
+        return;
+      }
+      degrees[source]++;
+      degrees[target]++;
+      this.links.push({ source, target, weight: link.strength ?? 1 });
+    });
+
+    // As in d3-force: springs on busy nodes are softer, and the less
+    // connected end of a link moves more
+    this.links.forEach((link) => {
+      const sourceDegree = degrees[link.source];
+      const targetDegree = degrees[link.target];
+      link.bias = sourceDegree / (sourceDegree + targetDegree);
+      link.strength =
+        (this.options.linkStrength * Math.max(0.1, link.weight)) /
+        Math.min(sourceDegree, targetDegree);
+    });
+
+    this.alpha = 1;
+    this.ticks = 0;
+    this.alphaDecay =
+      1 - Math.pow(this.options.alphaMin, 1 / this.options.iterations);
+  }
+
+  get settled() {
+    return this.alpha < this.options.alphaMin;
+  }
+
+  /**
+   * Restart cooling, e.g. after nodes were added; a lower alpha changes
+   * the current layout less
+   */
+  reheat(alpha = 1) {
+    this.alpha = alpha;
+  }
+
+  /**
+   * One simulation step. Returns the new alpha.
+   */
+  tick() {
+    if (this.count === 0) {
+      this.alpha = 0;
+      return this.alpha;
+    }
+
+    this.alpha += -this.alpha * this.alphaDecay;
+    this.applyLinks();
+    this.applyRepulsion();
+    this.applyGravity();
+
+    const decay = 1 - this.options.velocityDecay;
+    for (let i = 0; i < this.count * 3; i++) {
+      this.velocities[i] *= decay;
+      this.positions[i] += this.velocities[i];
+    }
+    if (this.options.dimensions === 2) {
+      for (let i = 2; i < this.count * 3; i += 3) {
+        this.velocities[i] = 0;
+        this.positions[i] = 0;
+      }
+    }
+
+    this.ticks++;
+    return this.alpha;
+  }
+
+  /**
+   * Tick until settled or maxTicks. Returns the number of ticks run.
+   */
+  run(maxTicks = this.options.iterations) {
+    let ticks = 0;
+    while (!this.settled && ticks < maxTicks) {
+      this.tick();
+      ticks++;
+    }
+    return ticks;
+  }
+
+  applyLinks() {
+    const p = this.positions;
+    const v = this.velocities;
+    const restLength = this.options.linkDistance;
+
+    this.links.forEach(({ source, target, strength, bias }) => {
+      const s = source * 3;
+      const t = target * 3;
+      let dx = p[t] + v[t] - p[s] - v[s];
+      let dy = p[t + 1] + v[t + 1] - p[s + 1] - v[s + 1];
+      let dz = p[t + 2] + v[t + 2] - p[s + 2] - v[s + 2];
+      let length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      if (length === 0) {
+        dx = ForceLayout.jitter();
+        length = Math.abs(dx);
+      }
+
+      const pull = ((length - restLength) / length) * this.alpha * strength;
+      dx *= pull;
+      dy *= pull;
+      dz *= pull;
+      v[t] -= dx * bias;
+      v[t + 1] -= dy * bias;
+      v[t + 2] -= dz * bias;
+      v[s] += dx * (1 - bias);
+      v[s + 1] += dy * (1 - bias);
+      v[s + 2] += dz * (1 - bias);
+    });
+  }
+
+  applyRepulsion() {
+    const tree = this.buildOctree();
+    const thetaSquared = this.options.theta * this.options.theta;
+    const minSquared = this.options.distanceMin * this.options.distanceMin;
+    const maxSquared = this.options.distanceMax * this.options.distanceMax;
+    const p = this.positions;
+    const v = this.velocities;
+    const stack = [];
+
+    for (let i = 0; i < this.count; i++) {
+      const x = p[i * 3];
+      const y = p[i * 3 + 1];
+      const z = p[i * 3 + 2];
+      stack.push(tree);
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        if (cell.charge === 0) continue;
+
+        let dx = cell.x - x;
+        let dy = cell.y - y;
+        let dz = cell.z - z;
+        let distanceSquared = dx * dx + dy * dy + dz * dz;
+
+        // Far enough away: treat the whole cell as one body
+        const far = (cell.size * cell.size) / thetaSquared < distanceSquared;
+        if (cell.children && !far) {
+          cell.children.forEach((child) => child && stack.push(child));
+          continue;
+        }
+        if (distanceSquared >= maxSquared) continue;
+
+        // A leaf: one body (or several at the same point)
+        let charge = cell.charge;
+        if (!cell.children && cell.bodies.includes(i)) {
+          charge -= this.options.charge;
+          if (charge === 0) continue;
+        }
+        if (distanceSquared === 0) {
+          dx = ForceLayout.jitter();
+          dy = ForceLayout.jitter();
+          dz = ForceLayout.jitter();
+          distanceSquared = dx * dx + dy * dy + dz * dz;
+        }
+        if (distanceSquared < minSquared) {
+          distanceSquared = Math.sqrt(minSquared * distanceSquared);
+        }
+
+        const push = (charge * this.alpha) / distanceSquared;
+        v[i * 3] += dx * push;
+        v[i * 3 + 1] += dy * push;
+        v[i * 3 + 2] += dz * push;
+      }
+    }
+  }
+
+  applyGravity() {
+    const strength = this.options.gravity * this.alpha;
+    for (let i = 0; i < this.count * 3; i++) {
+      this.velocities[i] -= this.positions[i] * strength;
+    }
+  }
+
+  /**
+   * Octree over the current positions. Every cell has the total charge of
+   * its bodies and their center (x, y, z); leaves list their bodies.
+   */
+  buildOctree() {
+    const p = this.positions;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < this.count * 3; i++) {
+      min = Math.min(min, p[i]);
+      max = Math.max(max, p[i]);
+    }
+    const size = Math.max(max - min, 1);
+    const root = ForceLayout.createCell(min, min, min, size);
+
+    for (let i = 0; i < this.count; i++) {
+      this.insert(root, i, 0);
+    }
+    this.accumulate(root);
+    return root;
+  }
+
+  insert(cell, index, depth) {
+    if (!cell.children) {
+      // Bodies at (nearly) the same point share a leaf
+      if (cell.bodies.length === 0 || depth >= ForceLayout.MAX_DEPTH) {
+        cell.bodies.push(index);
+        return;
+      }
+      cell.children = new Array(8).fill(null);
+      const bodies = cell.bodies;
+      cell.bodies = [];
+      bodies.forEach((body) => this.insert(cell, body, depth));
+    }
+
+    const half = cell.size / 2;
+    const x = this.positions[index * 3];
+    const y = this.positions[index * 3 + 1];
+    const z = this.positions[index * 3 + 2];
+    const right = x >= cell.x0 + half;
+    const top = y >= cell.y0 + half;
+    const back = z >= cell.z0 + half;
+    const octant = (right ? 1 : 0) + (top ? 2 : 0) + (back ? 4 : 0);
+
+    if (!cell.children[octant]) {
+      cell.children[octant] = ForceLayout.createCell(
+        cell.x0 + (right ? half : 0),
+        cell.y0 + (top ? half : 0),
+        cell.z0 + (back ? half : 0),
+        half
+      );
+    }
+    this.insert(cell.children[octant], index, depth + 1);
+  }
+
+  accumulate(cell) {
+    let charge = 0;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    const add = (weight, cx, cy, cz) => {
+      charge += weight;
+      x += weight * cx;
+      y += weight * cy;
+      z += weight * cz;
+    };
+
+    if (cell.children) {
+      cell.children.forEach((child) => {
+        if (!child) return;
+        this.accumulate(child);
+        add(child.charge, child.x, child.y, child.z);
+      });
+    } else {
+      cell.bodies.forEach((i) => {
+        const p = this.positions;
+        add(this.options.charge, p[i * 3], p[i * 3 + 1], p[i * 3 + 2]);
+      });
+    }
+
+    cell.charge = charge;
+    cell.x = charge ? x / charge : 0;
+    cell.y = charge ? y / charge : 0;
+    cell.z = charge ? z / charge : 0;
+  }
+
+  static createCell(x0, y0, z0, size) {
+    return {
+      x0,
+      y0,
+      z0,
+      size,
+      children: null,
+      bodies: [],
+      charge: 0,
+      x: 0,
+      y: 0,
+      z: 0,
+    };
+  }
+
+  static get MAX_DEPTH() {
+    return 24;
+  }
+
+  static jitter() {
+    return (Math.random() - 0.5) * 1e-6;
+  }
+
+  /**
+   * Evenly spread point on a sphere (fibonacci spiral), for unplaced nodes
+   */
+  static spherePoint(index, count, radius = 50) {
+    const inclination = Math.acos(1 - (2 * (index + 0.5)) / count);
+    const azimuth = Math.PI * (1 + Math.sqrt(5)) * index;
+    return {
+      x: radius * Math.sin(inclination) * Math.cos(azimuth),
+      y: radius * Math.sin(inclination) * Math.sin(azimuth),
+      z: radius * Math.cos(inclination),
+    };
+  }
+
+  /**
+   * Current positions as a Float32Array (cheap to post to another thread)
+   */
+  getPositions() {
+    return Float32Array.from(this.positions);
+  }
+
+  /**
+   * Write positions back onto node objects, in the order of setGraph
+   */
+  static applyPositions(nodes, positions) {
+    nodes.forEach((node, i) => {
+      node.x = positions[i * 3];
+      node.y = positions[i * 3 + 1];
+      node.z = positions[i * 3 + 2];
+    });
+  }
+
+  /**
+   * Lay out graphData ({ nodes, links }) in place and return it. Headless,
+   * e.g. for the command line.
+   */
+  static layout(graphData, options = {}) {
+    const layout = new ForceLayout(options);
+    layout.setGraph(graphData.nodes, graphData.links);
+    layout.run();
+    ForceLayout.applyPositions(graphData.nodes, layout.positions);
+    return graphData;
+  }
+
+  /**
+   * Lay out graphData in a Web Worker (or, where workers aren't available,
+   * in short slices on this thread) and report positions as it settles.
+   * Returns { stop() }.
+   *
+   * @param {object} handlers - { onTick(positions, alpha), onEnd(positions) }
+   */
+  static start(graphData, options = {}, handlers = {}) {
+    const nodes = graphData.nodes.map(({ id, x, y, z }) => ({ id, x, y, z }));
+    const links = graphData.links.map(({ source, target, strength }) => ({
+      source,
+      target,
+      strength,
+    }));
+    let stopped = false;
+    let fallback = null;
+
+    const runHere = () => {
+      if (stopped || fallback) return;
+      worker?.terminate();
+      fallback = ForceLayout.startInline(nodes, links, options, handlers);
+    };
+
+    let worker = null;
+    if (typeof Worker !== "undefined" && ForceLayout.scriptUrl) {
+      try {
+        worker = new Worker(ForceLayout.scriptUrl);
+        worker.onmessage = ({ data }) => {
+          if (stopped) return;
+          if (data.type === "tick") {
+            handlers.onTick?.(data.positions, data.alpha);
+          } else if (data.type === "end") {
+            handlers.onEnd?.(data.positions);
+            worker.terminate();
+          }
+        };
+        // e.g. pages opened from file://, where workers are refused
+        worker.onerror = (event) => {
+          event.preventDefault?.();
+          console.warn("⚠️ Layout worker failed, laying out on this thread");
+          runHere();
+        };
+        worker.postMessage({ type: "start", nodes, links, options });
+      } catch (error) {
+        console.warn("⚠️ Layout worker unavailable:", error.message);
+        worker = null;
+      }
+    }
+    if (!worker) runHere();
+
+    return {
+      stop: () => {
+        stopped = true;
+        worker?.terminate();
+        fallback?.stop();
+      },
+    };
+  }
+
+  /**
+   * Main-thread version of start(): ticks in slices of sliceMs so the page
+   * stays responsive
+   */
+  static startInline(nodes, links, options, handlers, sliceMs = 12) {
+    const layout = new ForceLayout(options);
+    layout.setGraph(nodes, links);
+    let timer = null;
+
+    const slice = () => {
+      const started = Date.now();
+      while (!layout.settled && Date.now() - started < sliceMs) {
+        layout.tick();
+      }
+      if (layout.settled) {
+        handlers.onEnd?.(layout.getPositions());
+      } else {
+        handlers.onTick?.(layout.getPositions(), layout.alpha);
+        timer = setTimeout(slice, 0);
+      }
+    };
+    timer = setTimeout(slice, 0);
+
+    return { stop: () => clearTimeout(timer) };
+  }
+
+  /**
+   * Message handler when this file runs as a worker: "start" lays out the
+   * posted graph, streaming "tick" messages about every postMs, then "end"
+   */
+  static runWorker(scope, postMs = 40) {
+    let timer = null;
+
+    scope.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      if (data.type !== "start") return;
+
+      const layout = new ForceLayout(data.options);
+      layout.setGraph(data.nodes, data.links);
+
+      const slice = () => {
+        const started = Date.now();
+        while (!layout.settled && Date.now() - started < postMs) {
+          layout.tick();
+        }
+        const positions = layout.getPositions();
+        if (layout.settled) {
+          scope.postMessage({ type: "end", positions }, [positions.buffer]);
+        } else {
+          scope.postMessage({ type: "tick", positions, alpha: layout.alpha }, [
+            positions.buffer,
+          ]);
+          timer = setTimeout(slice, 0);
+        }
+      };
+      slice();
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  // Workers are started from this same file
+  ForceLayout.scriptUrl = document.currentScript?.src || "force-layout.js";
+  window.ForceLayout = ForceLayout;
+} else if (typeof module !== "undefined") {
+  module.exports = ForceLayout;
+} else if (typeof self !== "undefined" && typeof importScripts === "function") {
+  ForceLayout.runWorker(self);
+}
@@ -0,0 +1,521 @@
+/**
+ * Graph Analytics
+ *
+ * Structural measures over the `{ nodes, links }` graph from
+ * buildOptimizedGraph (undirected, links weighted by strength):
+ * - Weighted degree, betweenness (Brandes, sampled sources on big graphs)
+ *   and PageRank centrality
+ * - Articulation points and bridges that separate documents from each
+ *   other (not just a document from its own unique themes)
+ * - Bridge documents: documents linked, directly or through shared
+ *   themes, to documents of several communities
+ * - Shortest path between two nodes, explained step by step through the
+ *   themes and relationships along it
+ *
+ * Path lengths count hops, plus up to one more for a weak link, so paths
+ * are as short as possible and go through strong links when there is a
+ * choice.
+ */
+
+class GraphAnalytics {
+  constructor(graphData, options = {}) {
+    if (!graphData || !Array.isArray(graphData.nodes)) {
+      throw new Error("No graph to analyze");
+    }
+
+    this.maxSources = options.maxSources || 300;
+    this.nodes = graphData.nodes;
+    this.index = new Map(this.nodes.map((node, i) => [node.id, i]));
+
+    // One entry per connected pair: summed strength and every link
+    this.neighbors = this.nodes.map(() => new Map()); // i -> Map j -> pair
+    (graphData.links || []).forEach((link) => {
+      const a = this.index.get(link.source);
+      const b = this.index.get(link.target);
+      if (a === undefined || b === undefined || a === b) return;
+
+      let pair = this.neighbors[a].get(b);
+      if (!pair) {
+        pair = { weight: 0, links: [] };
+        this.neighbors[a].set(b, pair);
+        this.neighbors[b].set(a, pair);
+      }
+      pair.weight += link.strength ?? 1;
+      pair.links.push(link);
+    });
+
+    this.cache = new Map();
+  }
+
+  /**
+   * Length of a hop between two connected nodes
+   */
+  static cost(weight) {
+    return 2 - Math.min(1, Math.max(0, weight));
+  }
+
+  memo(key, compute) {
+    if (!this.cache.has(key)) this.cache.set(key, compute());
+    return this.cache.get(key);
+  }
+
+  isDocument(i) {
+    return this.nodes[i].type === "document";
+  }
+
+  /**
+   * Map node id -> summed strength of its links
+   */
+  weightedDegree() {
+    return this.memo("degree", () => {
+      const degrees = new Map();
+      this.nodes.forEach((node, i) => {
+        let degree = 0;
+        this.neighbors[i].forEach((pair) => (degree += pair.weight));
+        degrees.set(node.id, degree);
+      });
+      return degrees;
+    });
+  }
+
+  /**
+   * Map node id -> normalized betweenness (share of shortest paths between
+   * other nodes that pass through it). Graphs with more than maxSources
+   * nodes use evenly spaced sample sources.
+   */
+  betweenness() {
+    return this.memo("betweenness", () => {
+      const n = this.nodes.length;
+      const scores = new Float64Array(n);
+      const step = Math.max(1, n / this.maxSources);
+      let sourceCount = 0;
+
+      for (let s = 0; s < n; s += step) {
+        const source = Math.floor(s);
+        sourceCount++;
+
+        // Dijkstra, counting shortest paths (sigma) and predecessors
+        const distance = new Float64Array(n).fill(Infinity);
+        const sigma = new Float64Array(n);
+        const predecessors = Array.from({ length: n }, () => []);
+        const order = [];
+        const heap = [];
+        distance[source] = 0;
+        sigma[source] = 1;
+        GraphAnalytics.heapPush(heap, [0, source]);
+
+        while (heap.length > 0) {
+          const [d, v] = GraphAnalytics.heapPop(heap);
+          if (d > distance[v]) continue;
+          order.push(v);
+          this.neighbors[v].forEach((pair, w) => {
+            const next = d + GraphAnalytics.cost(pair.weight);
+            if (next < distance[w] - 1e-9) {
+              distance[w] = next;
+              sigma[w] = sigma[v];
+              predecessors[w] = [v];
+              GraphAnalytics.heapPush(heap, [next, w]);
+            } else if (Math.abs(next - distance[w]) <= 1e-9) {
+              sigma[w] += sigma[v];
+              predecessors[w].push(v);
+            }
+          });
+        }
+
+        // Accumulate dependencies from the farthest node back
+        const delta = new Float64Array(n);
+        for (let k = order.length - 1; k >= 0; k--) {
+          const w = order[k];
+          predecessors[w].forEach((v) => {
+            delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+          });
+          if (w !== source) scores[w] += delta[w];
+        }
+      }
+
+      // Every pair is counted from both ends; scale samples up to all
+      // sources, then divide by the number of pairs of other nodes
+      const scale = n / sourceCount / 2;
+      const pairs = ((n - 1) * (n - 2)) / 2;
+      return new Map(
+        this.nodes.map((node, i) => [
+          node.id,
+          pairs > 0 ? (scores[i] * scale) / pairs : 0,
+        ])
+      );
+    });
+  }
+
+  /**
+   * Map node id -> PageRank, with rank flowing along links in proportion
+   * to their strength
+   */
+  pageRank(damping = 0.85, maxIterations = 100, tolerance = 1e-6) {
+    return this.memo(`pageRank:${damping}`, () => {
+      const n = this.nodes.length;
+      if (n === 0) return new Map();
+
+      const degrees = this.nodes.map((node) =>
+        this.weightedDegree().get(node.id)
+      );
+      let ranks = new Float64Array(n).fill(1 / n);
+
+      for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const next = new Float64Array(n);
+        let dangling = 0;
+        for (let v = 0; v < n; v++) {
+          if (degrees[v] === 0) {
+            dangling += ranks[v];
+            continue;
+          }
+          this.neighbors[v].forEach((pair, w) => {
+            next[w] += (damping * ranks[v] * pair.weight) / degrees[v];
+          });
+        }
+
+        const base = (1 - damping) / n + (damping * dangling) / n;
+        let change = 0;
+        for (let v = 0; v < n; v++) {
+          next[v] += base;
+          change += Math.abs(next[v] - ranks[v]);
+        }
+        ranks = next;
+        if (change < tolerance) break;
+      }
+
+      return new Map(this.nodes.map((node, i) => [node.id, ranks[i]]));
+    });
+  }
+
+  /**
+   * Cut points found with an iterative Tarjan search. Only cuts that
+   * leave documents on both sides are kept:
+   * { articulationPoints: [{ id, pieces }], bridges: [{ source, target,
+   * documents: [on the source side, on the target side] }] }, where pieces
+   * is the number of parts with documents that removing the node leaves
+   */
+  cuts() {
+    return this.memo("cuts", () => {
+      const n = this.nodes.length;
+      const adjacency = this.neighbors.map((pairs) => Array.from(pairs.keys()));
+      const discovered = new Int32Array(n).fill(-1);
+      const low = new Int32Array(n);
+      const parent = new Int32Array(n).fill(-1);
+      const nextNeighbor = new Int32Array(n);
+      const documents = new Int32Array(n); // documents in the DFS subtree
+      const separatedDocuments = new Int32Array(n);
+      const pieces = new Int32Array(n);
+      const articulationPoints = [];
+      const bridges = [];
+      let time = 0;
+
+      for (let root = 0; root < n; root++) {
+        if (discovered[root] !== -1) continue;
+
+        const component = [];
+        const candidateBridges = [];
+        const stack = [root];
+        discovered[root] = low[root] = time++;
+        component.push(root);
+
+        while (stack.length > 0) {
+          const v = stack[stack.length - 1];
+          if (nextNeighbor[v] < adjacency[v].length) {
+            const w = adjacency[v][nextNeighbor[v]++];
+            if (discovered[w] === -1) {
+              parent[w] = v;
+              discovered[w] = low[w] = time++;
+              component.push(w);
+              stack.push(w);
+            } else if (w !== parent[v]) {
+              low[v] = Math.min(low[v], discovered[w]);
+            }
+            continue;
+          }
+
+          stack.pop();
+          documents[v] += this.isDocument(v) ? 1 : 0;
+          const p = parent[v];
+          if (p === -1) continue;
+
+          documents[p] += documents[v];
+          low[p] = Math.min(low[p], low[v]);
+          if (low[v] >= discovered[p]) {
+            separatedDocuments[p] += documents[v];
+            if (documents[v] > 0) pieces[p]++;
+          }
+          if (low[v] > discovered[p]) candidateBridges.push([p, v]);
+        }
+
+        // What's left of the component besides the separated subtrees
+        const total = documents[root];
+        component.forEach((v) => {
+          const rest =
+            v === root
+              ? 0
+              : total - separatedDocuments[v] - (this.isDocument(v) ? 1 : 0);
+          const count = pieces[v] + (rest > 0 ? 1 : 0);
+          if (count >= 2) {
+            articulationPoints.push({ id: this.nodes[v].id, pieces: count });
+          }
+        });
+        candidateBridges.forEach(([p, v]) => {
+          if (documents[v] > 0 && total - documents[v] > 0) {
+            bridges.push({
+              source: this.nodes[p].id,
+              target: this.nodes[v].id,
+              documents: [total - documents[v], documents[v]],
+            });
+          }
+        });
+      }
+
+      return {
+        articulationPoints: articulationPoints.sort(
+          (a, b) => b.pieces - a.pieces
+        ),
+        bridges: bridges.sort(
+          (a, b) => Math.min(...b.documents) - Math.min(...a.documents)
+        ),
+      };
+    });
+  }
+
+  /**
+   * Documents connected (directly or through a shared theme) to documents
+   * of more than one community, best bridges first. `participation` is
+   * 1 - sum of squared community shares: 0 when all of a document's
+   * connections are in one community.
+   *
+   * @param {Map} communities - node id -> community; defaults to
+   *   node.community
+   */
+  bridgeDocuments(communities = null) {
+    const communityOf =
+      communities ||
+      new Map(
+        this.nodes
+          .filter((node) => node.community)
+          .map((node) => [node.id, node.community])
+      );
+    if (communityOf.size === 0) return [];
+
+    const results = [];
+    this.nodes.forEach((node, i) => {
+      if (!this.isDocument(i)) return;
+
+      const shares = new Map(); // community -> connection weight
+      const add = (j, weight) => {
+        const community = communityOf.get(this.nodes[j].id);
+        if (community === undefined) return;
+        shares.set(community, (shares.get(community) || 0) + weight);
+      };
+      this.neighbors[i].forEach((pair, j) => {
+        if (this.isDocument(j)) {
+          add(j, pair.weight);
+          return;
+        }
+        this.neighbors[j].forEach((second, k) => {
+          if (k !== i && this.isDocument(k)) {
+            add(k, pair.weight * second.weight);
+          }
+        });
+      });
+      if (shares.size < 2) return;
+
+      const total = Array.from(shares.values()).reduce((a, b) => a + b, 0);
+      const participation =
+        1 -
+        Array.from(shares.values()).reduce(
+          (sum, weight) => sum + (weight / total) ** 2,
+          0
+        );
+      results.push({
+        id: node.id,
+        participation,
+        communities: Array.from(shares.entries())
+          .sort((a, b) => b[1] - a[1])
+          .map(([community, weight]) => ({
+            community,
+            share: weight / total,
+          })),
+      });
+    });
+
+    return results.sort((a, b) => b.participation - a.participation);
+  }
+
+  /**
+   * Shortest path between two nodes:
+   * { nodeIds, steps: [{ from, to, text }], hops, length, explanation },
+   * or null when they aren't connected
+   */
+  shortestPath(sourceId, targetId) {
+    const source = this.index.get(sourceId);
+    const target = this.index.get(targetId);
+    if (source === undefined || target === undefined) return null;
+
+    const n = this.nodes.length;
+    const distance = new Float64Array(n).fill(Infinity);
+    const previous = new Int32Array(n).fill(-1);
+    const heap = [];
+    distance[source] = 0;
+    GraphAnalytics.heapPush(heap, [0, source]);
+
+    while (heap.length > 0) {
+      const [d, v] = GraphAnalytics.heapPop(heap);
+      if (d > distance[v]) continue;
+      if (v === target) break;
+      this.neighbors[v].forEach((pair, w) => {
+        const next = d + GraphAnalytics.cost(pair.weight);
+        if (next < distance[w]) {
+          distance[w] = next;
+          previous[w] = v;
+          GraphAnalytics.heapPush(heap, [next, w]);
+        }
+      });
+    }
+    if (distance[target] === Infinity) return null;
+
+    const path = [target];
+    while (path[0] !== source) path.unshift(previous[path[0]]);
+
+    const steps = path.slice(1).map((to, k) => ({
+      from: this.nodes[path[k]].id,
+      to: this.nodes[to].id,
+      text: this.describeStep(path[k], to),
+    }));
+    return {
+      nodeIds: path.map((i) => this.nodes[i].id),
+      steps,
+      hops: steps.length,
+      length: distance[target],
+      explanation: steps.map((step) => step.text).join("; "),
+    };
+  }
+
+  /**
+   * One sentence for the links between two neighboring nodes
+   */
+  describeStep(a, b) {
+    const pair = this.neighbors[a].get(b);
+    const link = pair.links
+      .slice()
+      .sort((x, y) => (y.strength ?? 1) - (x.strength ?? 1))[0];
+    const label = (id) => `"${this.nodes[this.index.get(id)]?.label || id}"`;
+    const [from, to] = [this.nodes[a], this.nodes[b]];
+
+    switch (link.type) {
+      case "document-connection":
+        return link.sharedThemes?.length > 0
+          ? `${label(from.id)} and ${label(to.id)} share ${link.sharedThemes
+              .slice(0, 3)
+              .map((theme) => `"${theme}"`)
+              .join(", ")}`
+          : `${label(from.id)} and ${label(to.id)} have similar content`;
+      case "theme-relationship":
+        return `${label(link.source)} ${link.relationType} ${label(
+          link.target
+        )}`;
+      case "theme-hierarchy":
+        return `${label(link.target)} is a subtheme of ${label(link.source)}`;
+      case "definition-connection":
+        return `${label(link.source)} defines ${label(link.target)}`;
+      default:
+        return from.type === "document"
+          ? `${label(from.id)} covers ${label(to.id)}`
+          : `${label(from.id)} is covered by ${label(to.id)}`;
+    }
+  }
+
+  /**
+   * Top entries of every measure for a sidebar panel. Entries are { id,
+   * label, type, value, nodeIds } where nodeIds are the nodes to
+   * highlight.
+   */
+  summary(limit = 10) {
+    const entry = (id, value, extra = {}) => {
+      const node = this.nodes[this.index.get(id)];
+      return {
+        id,
+        label: node.label,
+        type: node.type,
+        value,
+        nodeIds: [id],
+        ...extra,
+      };
+    };
+    const top = (scores) =>
+      Array.from(scores.entries())
+        .filter(([, value]) => value > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([id, value]) => entry(id, value));
+    const { articulationPoints, bridges } = this.cuts();
+
+    return {
+      degree: top(this.weightedDegree()),
+      betweenness: top(this.betweenness()),
+      pageRank: top(this.pageRank()),
+      articulationPoints: articulationPoints
+        .slice(0, limit)
+        .map((point) => entry(point.id, point.pieces)),
+      bridges: bridges.slice(0, limit).map((bridge) => ({
+        ...entry(bridge.source, Math.min(...bridge.documents)),
+        id: `${bridge.source}|${bridge.target}`,
+        label: `${entry(bridge.source).label} — ${entry(bridge.target).label}`,
+        nodeIds: [bridge.source, bridge.target],
+      })),
+      bridgeDocuments: this.bridgeDocuments()
+        .slice(0, limit)
+        .map((bridge) =>
+          entry(bridge.id, bridge.participation, {
+            communities: bridge.communities,
+          })
+        ),
+    };
+  }
+
+  // Binary min-heap of [priority, value] pairs
+  static heapPush(heap, item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  static heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) {
+          smallest = left;
+        }
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.GraphAnalytics = GraphAnalytics;
+} else if (typeof module !== "undefined") {
+  module.exports = GraphAnalytics;
+}
@@ -0,0 +1,518 @@
+/**
+ * Graph Exporter
+ *
+ * Writes the `{ nodes, links, metadata }` graph from buildOptimizedGraph to
+ * formats other tools can open:
+ * - GraphML (yEd, Gephi, NetworkX)
+ * - GEXF 1.3 with positions, colors and sizes (Gephi)
+ * - Neo4j Cypher CREATE script
+ * - Node and edge CSV files (Gephi spreadsheet import, pandas, R)
+ *
+ * Every format carries the same attributes: node type, category, importance,
+ * community, link type and strength, shared themes/definitions and semantic
+ * similarity.
+ */
+
+class GraphExporter {
+  constructor(graphData) {
+    if (!graphData || !Array.isArray(graphData.nodes)) {
+      throw new Error("No graph to export");
+    }
+    this.graphData = graphData;
+  }
+
+  /**
+   * Node attributes: name, type ("string" | "double" | "integer") and how to
+   * read the value from a node
+   */
+  static get NODE_ATTRIBUTES() {
+    return [
+      { name: "label", type: "string", get: (n) => n.label },
+      { name: "type", type: "string", get: (n) => n.type },
+      { name: "category", type: "string", get: (n) => n.metadata?.category },
+      {
+        name: "importance",
+        type: "double",
+        get: (n) => n.metadata?.importance,
+      },
+      { name: "frequency", type: "integer", get: (n) => n.metadata?.frequency },
+      {
+        name: "themeCount",
+        type: "integer",
+        get: (n) => n.metadata?.themeCount,
+      },
+      {
+        name: "definitionCount",
+        type: "integer",
+        get: (n) => n.metadata?.definitionCount,
+      },
+      {
+        name: "sharedBy",
+        type: "string",
+        get: (n) => GraphExporter.joinList(n.metadata?.sharedBy),
+      },
+      { name: "parent", type: "string", get: (n) => n.metadata?.parent },
+      { name: "community", type: "string", get: (n) => n.community },
+      { name: "size", type: "double", get: (n) => n.size },
+      { name: "color", type: "string", get: (n) => n.color },
+      { name: "x", type: "double", get: (n) => n.x },
+      { name: "y", type: "double", get: (n) => n.y },
+      { name: "z", type: "double", get: (n) => n.z },
+    ];
+  }
+
+  static get EDGE_ATTRIBUTES() {
+    return [
+      { name: "type", type: "string", get: (l) => l.type },
+      { name: "strength", type: "double", get: (l) => l.strength },
+      {
+        name: "sharedThemes",
+        type: "string",
+        get: (l) => GraphExporter.joinList(l.sharedThemes),
+      },
+      {
+        name: "sharedDefinitions",
+        type: "string",
+        get: (l) => GraphExporter.joinList(l.sharedDefinitions),
+      },
+      {
+        name: "totalShared",
+        type: "integer",
+        get: (l) => l.metadata?.totalShared,
+      },
+      {
+        name: "semanticSimilarity",
+        type: "double",
+        get: (l) => l.metadata?.semanticSimilarity,
+      },
+      { name: "relationType", type: "string", get: (l) => l.relationType },
+      { name: "explanation", type: "string", get: (l) => l.explanation },
+      { name: "origin", type: "string", get: (l) => l.origin },
+    ];
+  }
+
+  /**
+   * Supported formats for the UI: { id, label, extension }
+   */
+  static get FORMATS() {
+    return [
+      { id: "graphml", label: "GraphML", extension: "graphml" },
+      { id: "gexf", label: "GEXF", extension: "gexf" },
+      { id: "cypher", label: "Cypher", extension: "cypher" },
+      { id: "csv", label: "CSV", extension: "csv" },
+    ];
+  }
+
+  /**
+   * Export in one format.
+   *
+   * @param {string} format - "graphml", "gexf", "cypher" or "csv"
+   * @param {string} baseName - file name without extension
+   * @returns {{ fileName: string, mimeType: string, content: string }[]}
+   *   one file, or two for CSV (nodes and edges)
+   */
+  export(format, baseName = "knowledge-graph") {
+    switch (format) {
+      case "graphml":
+        return [
+          {
+            fileName: `${baseName}.graphml`,
+            mimeType: "application/xml",
+            content: this.toGraphML(),
+          },
+        ];
+      case "gexf":
+        return [
+          {
+            fileName: `${baseName}.gexf`,
+            mimeType: "application/xml",
+            content: this.toGEXF(),
+          },
+        ];
+      case "cypher":
+        return [
+          {
+            fileName: `${baseName}.cypher`,
+            mimeType: "text/plain",
+            content: this.toCypher(),
+          },
+        ];
+      case "csv": {
+        const { nodes, edges } = this.toCSV();
+        return [
+          {
+            fileName: `${baseName}-nodes.csv`,
+            mimeType: "text/csv",
+            content: nodes,
+          },
+          {
+            fileName: `${baseName}-edges.csv`,
+            mimeType: "text/csv",
+            content: edges,
+          },
+        ];
+      }
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  /**
+   * Links whose endpoints are both nodes of the graph
+   */
+  getLinks() {
+    const nodeIds = new Set(this.graphData.nodes.map((node) => node.id));
+    return this.graphData.links.filter(
+      (link) => nodeIds.has(link.source) && nodeIds.has(link.target)
+    );
+  }
+
+  /**
+   * Defined attribute values of an item: [{ name, type, value }]
+   */
+  attributeValues(attributes, item) {
+    return attributes
+      .map((attr) => ({ ...attr, value: attr.get(item) }))
+      .filter(
+        ({ value, type }) =>
+          value !== undefined &&
+          value !== null &&
+          value !== "" &&
+          (type === "string" || isFinite(value))
+      );
+  }
+
+  toGraphML() {
+    const keys = [
+      ...GraphExporter.NODE_ATTRIBUTES.map((attr) => ({
+        ...attr,
+        for: "node",
+      })),
+      ...GraphExporter.EDGE_ATTRIBUTES.map((attr) => ({
+        ...attr,
+        for: "edge",
+      })),
+    ];
+    const keyId = (kind, name) => `${kind === "node" ? "n" : "e"}_${name}`;
+    const xml = GraphExporter.escapeXML;
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ];
+
+    keys.forEach((key) => {
+      lines.push(
+        `  <key id="${keyId(key.for, key.name)}" for="${key.for}" attr.name="${
+          key.name
+        }" attr.type="${key.type === "integer" ? "int" : key.type}"/>`
+      );
+    });
+
+    lines.push('  <graph id="G" edgedefault="undirected">');
+    this.graphData.nodes.forEach((node) => {
+      lines.push(`    <node id="${xml(node.id)}">`);
+      this.attributeValues(GraphExporter.NODE_ATTRIBUTES, node).forEach(
+        ({ name, value }) => {
+          lines.push(
+            `      <data key="${keyId("node", name)}">${xml(value)}</data>`
+          );
+        }
+      );
+      lines.push("    </node>");
+    });
+
+    this.getLinks().forEach((link, i) => {
+      lines.push(
+        `    <edge id="e${i}" source="${xml(link.source)}" target="${xml(
+          link.target
+        )}">`
+      );
+      this.attributeValues(GraphExporter.EDGE_ATTRIBUTES, link).forEach(
+        ({ name, value }) => {
+          lines.push(
+            `      <data key="${keyId("edge", name)}">${xml(value)}</data>`
+          );
+        }
+      );
+      lines.push("    </edge>");
+    });
+
+    lines.push("  </graph>", "</graphml>");
+    return lines.join("\n");
+  }
+
+  toGEXF() {
+    const xml = GraphExporter.escapeXML;
+    // Label and positions/colors/sizes have dedicated GEXF elements
+    const nodeAttributes = GraphExporter.NODE_ATTRIBUTES.filter(
+      (attr) => !["label", "size", "color", "x", "y", "z"].includes(attr.name)
+    );
+    const edgeAttributes = GraphExporter.EDGE_ATTRIBUTES;
+    const date = new Date().toISOString().slice(0, 10);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+      `  <meta lastmodifieddate="${date}">`,
+      "    <creator>Document Knowledge Graph Analyzer</creator>",
+      "  </meta>",
+      '  <graph defaultedgetype="undirected" mode="static">',
+    ];
+
+    [
+      ["node", nodeAttributes],
+      ["edge", edgeAttributes],
+    ].forEach(([kind, attributes]) => {
+      lines.push(`    <attributes class="${kind}">`);
+      attributes.forEach((attr) => {
+        lines.push(
+          `      <attribute id="${attr.name}" title="${attr.name}" type="${attr.type}"/>`
+        );
+      });
+      lines.push("    </attributes>");
+    });
+
+    const attValues = (attributes, item, indent) => {
+      const values = this.attributeValues(attributes, item);
+      if (values.length === 0) return;
+      lines.push(`${indent}<attvalues>`);
+      values.forEach(({ name, value }) => {
+        lines.push(
+          `${indent}  <attvalue for="${name}" value="${xml(value)}"/>`
+        );
+      });
+      lines.push(`${indent}</attvalues>`);
+    };
+
+    lines.push("    <nodes>");
+    this.graphData.nodes.forEach((node) => {
+      lines.push(
+        `      <node id="${xml(node.id)}" label="${xml(
+          node.label || node.id
+        )}">`
+      );
+      attValues(nodeAttributes, node, "        ");
+
+      const rgb = GraphExporter.parseColor(node.color);
+      if (rgb) {
+        lines.push(
+          `        <viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>`
+        );
+      }
+      if ([node.x, node.y].every((v) => isFinite(v))) {
+        lines.push(
+          `        <viz:position x="${node.x}" y="${node.y}" z="${
+            isFinite(node.z) ? node.z : 0
+          }"/>`
+        );
+      }
+      if (isFinite(node.size)) {
+        lines.push(`        <viz:size value="${node.size}"/>`);
+      }
+      lines.push("      </node>");
+    });
+    lines.push("    </nodes>");
+
+    lines.push("    <edges>");
+    this.getLinks().forEach((link, i) => {
+      const weight = isFinite(link.strength)
+        ? ` weight="${link.strength}"`
+        : "";
+      lines.push(
+        `      <edge id="e${i}" source="${xml(link.source)}" target="${xml(
+          link.target
+        )}"${weight}>`
+      );
+      attValues(edgeAttributes, link, "        ");
+      lines.push("      </edge>");
+    });
+    lines.push("    </edges>");
+
+    lines.push("  </graph>", "</gexf>");
+    return lines.join("\n");
+  }
+
+  /**
+   * One CREATE statement, so node variables can be reused by relationships
+   */
+  toCypher() {
+    const nodeLabels = {
+      document: "Document",
+      "shared-theme": "Theme:SharedTheme",
+      "unique-theme": "Theme:UniqueTheme",
+      definition: "Definition",
+    };
+    const relationshipTypes = {
+      "theme-connection": "HAS_THEME",
+      "unique-theme-connection": "HAS_THEME",
+      "document-connection": "CONNECTED_TO",
+      "theme-hierarchy": "HAS_SUBTHEME",
+      "definition-connection": "DEFINES",
+    };
+    const variables = new Map();
+    const elements = [];
+
+    this.graphData.nodes.forEach((node, i) => {
+      variables.set(node.id, `n${i}`);
+      const properties = { id: node.id };
+      this.attributeValues(GraphExporter.NODE_ATTRIBUTES, node).forEach(
+        ({ name, value }) => {
+          properties[name] = value;
+        }
+      );
+      const label = nodeLabels[node.type] || "Node";
+      elements.push(
+        `  (n${i}:${label} ${GraphExporter.cypherMap(properties)})`
+      );
+    });
+
+    this.getLinks().forEach((link) => {
+      const properties = {};
+      this.attributeValues(GraphExporter.EDGE_ATTRIBUTES, link).forEach(
+        ({ name, value }) => {
+          properties[name] = value;
+        }
+      );
+      // Lists are exported as Cypher lists rather than joined strings
+      if (link.sharedThemes?.length)
+        properties.sharedThemes = link.sharedThemes;
+      if (link.sharedDefinitions?.length) {
+        properties.sharedDefinitions = link.sharedDefinitions;
+      }
+
+      const type =
+        relationshipTypes[link.type] ||
+        String(link.relationType || link.type || "RELATED_TO")
+          .toUpperCase()
+          .replace(/[^A-Z0-9]+/g, "_");
+      elements.push(
+        `  (${variables.get(link.source)})-[:${type} ${GraphExporter.cypherMap(
+          properties
+        )}]->(${variables.get(link.target)})`
+      );
+    });
+
+    return [
+      "// Document knowledge graph",
+      `// ${this.graphData.nodes.length} nodes, ${
+        elements.length - this.graphData.nodes.length
+      } relationships`,
+      "CREATE",
+      elements.join(",\n") + ";",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Node and edge tables using Gephi's column names (Id, Label, Source,
+   * Target, Type, Weight)
+   */
+  toCSV() {
+    const nodeAttributes = GraphExporter.NODE_ATTRIBUTES.filter(
+      (attr) => attr.name !== "label"
+    );
+    const nodeRows = [["Id", "Label", ...nodeAttributes.map((a) => a.name)]];
+    this.graphData.nodes.forEach((node) => {
+      nodeRows.push([
+        node.id,
+        node.label,
+        ...nodeAttributes.map((attr) => attr.get(node)),
+      ]);
+    });
+
+    // Gephi reads "Type" as the edge direction, so the link type is "kind"
+    const edgeAttributes = GraphExporter.EDGE_ATTRIBUTES.filter(
+      (attr) => !["type", "strength"].includes(attr.name)
+    );
+    const edgeRows = [
+      [
+        "Source",
+        "Target",
+        "Type",
+        "Weight",
+        "kind",
+        ...edgeAttributes.map((a) => a.name),
+      ],
+    ];
+    this.getLinks().forEach((link) => {
+      edgeRows.push([
+        link.source,
+        link.target,
+        "Undirected",
+        link.strength,
+        link.type,
+        ...edgeAttributes.map((attr) => attr.get(link)),
+      ]);
+    });
+
+    const toText = (rows) =>
+      rows.map((row) => row.map(GraphExporter.csvCell).join(",")).join("\n") +
+      "\n";
+    return { nodes: toText(nodeRows), edges: toText(edgeRows) };
+  }
+
+  static joinList(list) {
+    return Array.isArray(list) && list.length > 0 ? list.join("; ") : undefined;
+  }
+
+  static escapeXML(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  static csvCell(value) {
+    if (value === undefined || value === null) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  static cypherValue(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((v) => GraphExporter.cypherValue(v)).join(", ")}]`;
+    }
+    if (typeof value === "number" || typeof value === "boolean") {
+      return String(value);
+    }
+    return `"${String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, "\\n")
+      .replace(/\r/g, "\\r")}"`;
+  }
+
+  static cypherMap(properties) {
+    const entries = Object.entries(properties).map(
+      ([key, value]) => `${key}: ${GraphExporter.cypherValue(value)}`
+    );
+    return `{${entries.join(", ")}}`;
+  }
+
+  /**
+   * "#RRGGBB" or "rgb(a)(r, g, b...)" -> { r, g, b }
+   */
+  static parseColor(color) {
+    if (typeof color !== "string") return null;
+
+    const hex = color.match(/^#([0-9a-f]{6})$/i);
+    if (hex) {
+      const value = parseInt(hex[1], 16);
+      return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    }
+
+    const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    if (rgb) {
+      return { r: +rgb[1], g: +rgb[2], b: +rgb[3] };
+    }
+    return null;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.GraphExporter = GraphExporter;
+} else if (typeof module !== "undefined") {
+  module.exports = GraphExporter;
+}
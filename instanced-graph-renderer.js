@@ -0,0 +1,486 @@
+/**
+ * Instanced Graph Renderer
+ *
+ * Draws large graphs (thousands of nodes) with a handful of draw calls
+ * instead of one mesh per node and link:
+ * - Nodes as InstancedMesh spheres, one mesh per level of detail; each
+ *   frame a node goes to the mesh matching its distance from the camera,
+ *   and nodes outside the view aren't drawn
+ * - Links as merged line segments (one solid, one dashed) with vertex
+ *   colors
+ * - Labels from a small pool of sprites, given each frame to the focused
+ *   nodes (selected, hovered, highlighted), then documents and nearby
+ *   nodes; label textures are cached
+ * - Node and link stand-ins with the same surface as the app's meshes
+ *   (position, scale, visible, material color / emissive / opacity /
+ *   emissiveIntensity, userData), so the app's highlighting, filtering
+ *   and layout code works unchanged
+ *
+ * Needs THREE (r128) as a global.
+ */
+
+class InstancedGraphRenderer {
+  /** Graphs with more nodes than this are drawn with instancing */
+  static get NODE_THRESHOLD() {
+    return 300;
+  }
+
+  /** Sphere detail by camera distance (scene units) */
+  static get DETAIL_LEVELS() {
+    return [
+      { maxDistance: 40, widthSegments: 16, heightSegments: 12 },
+      { maxDistance: 100, widthSegments: 8, heightSegments: 6 },
+      { maxDistance: Infinity, widthSegments: 5, heightSegments: 3 },
+    ];
+  }
+
+  static shouldUse(graphData) {
+    return (graphData?.nodes?.length || 0) > this.NODE_THRESHOLD;
+  }
+
+  /**
+   * @param {THREE.Scene} scene
+   * @param {object} graphData - { nodes, links } with node x, y, z
+   * @param {object} options - { scale (graph to scene units, 0.1),
+   *   background (color nodes fade to when dimmed), labelLimit (40),
+   *   labelDistance (nodes closer than this get labels, 30) }
+   */
+  constructor(scene, graphData, options = {}) {
+    this.scene = scene;
+    this.scale = options.scale ?? 0.1;
+    this.background = new THREE.Color(options.background ?? 0x0a0a0a);
+    this.labelLimit = options.labelLimit ?? 40;
+    this.labelDistance = options.labelDistance ?? 30;
+    this.nodes = graphData.nodes;
+    this.disposed = false;
+
+    // Scratch objects reused every frame
+    this.matrix = new THREE.Matrix4();
+    this.color = new THREE.Color();
+    this.sphere = new THREE.Sphere();
+    this.frustum = new THREE.Frustum();
+    this.viewProjection = new THREE.Matrix4();
+
+    this.createNodes();
+    this.createLinks(graphData.links || []);
+    this.createLabels();
+  }
+
+  createNodes() {
+    this.nodeObjects = {};
+    this.proxies = this.nodes.map((node, index) => {
+      const color = new THREE.Color(node.color || "#60a5fa");
+      const proxy = {
+        position: new THREE.Vector3(
+          node.x * this.scale,
+          node.y * this.scale,
+          node.z * this.scale
+        ),
+        scale: new THREE.Vector3(1, 1, 1),
+        visible: true,
+        material: {
+          color,
+          emissive: color.clone(),
+          emissiveIntensity: 0.3,
+          opacity: 1,
+          transparent: false,
+        },
+        userData: {
+          nodeId: node.id,
+          nodeData: node,
+          size: ((node.size || 5) / 10) * 2,
+          index,
+        },
+      };
+      this.nodeObjects[node.id] = proxy;
+      return proxy;
+    });
+
+    const count = this.proxies.length;
+    this.distances = new Float32Array(count);
+    this.levels = InstancedGraphRenderer.DETAIL_LEVELS.map((level) => {
+      const mesh = new THREE.InstancedMesh(
+        new THREE.SphereGeometry(1, level.widthSegments, level.heightSegments),
+        new THREE.MeshLambertMaterial({ color: 0xffffff }),
+        count
+      );
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.setColorAt(0, this.color.set(0xffffff)); // creates instanceColor
+      mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+      mesh.frustumCulled = false; // culled per node in update()
+      mesh.count = 0;
+      this.scene.add(mesh);
+      return { ...level, mesh };
+    });
+  }
+
+  createLinks(links) {
+    this.linkObjects = [];
+    const groups = { solid: [], dashed: [] };
+
+    links.forEach((link) => {
+      const source = this.nodeObjects[link.source];
+      const target = this.nodeObjects[link.target];
+      if (!source || !target) return;
+
+      // Same colors and dash style as the app's tube links
+      const isStyled =
+        link.type === "theme-relationship" || link.type === "theme-hierarchy";
+      const baseColor = isStyled
+        ? new THREE.Color(link.color).getHex()
+        : 0x60a5fa;
+      const dashed = isStyled && !!link.dashed;
+      const group = dashed ? groups.dashed : groups.solid;
+      const proxy = {
+        visible: true,
+        material: {
+          color: new THREE.Color(baseColor),
+          opacity: 0.8,
+          transparent: true,
+        },
+        userData: {
+          sourceId: link.source,
+          targetId: link.target,
+          linkData: link,
+          baseColor,
+          dashed,
+          source,
+          target,
+          offset: group.length * 6,
+        },
+      };
+      group.push(proxy);
+      this.linkObjects.push(proxy);
+    });
+
+    this.lines = Object.entries(groups).map(([style, proxies]) => {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.BufferAttribute(new Float32Array(proxies.length * 6), 3)
+      );
+      geometry.setAttribute(
+        "color",
+        new THREE.BufferAttribute(new Float32Array(proxies.length * 6), 3)
+      );
+      geometry.attributes.position.setUsage(THREE.DynamicDrawUsage);
+      geometry.attributes.color.setUsage(THREE.DynamicDrawUsage);
+
+      const options = {
+        vertexColors: true,
+        transparent: true,
+        opacity: 0.8,
+        depthWrite: false,
+      };
+      const segments = new THREE.LineSegments(
+        geometry,
+        style === "dashed"
+          ? new THREE.LineDashedMaterial({
+              ...options,
+              dashSize: 0.6,
+              gapSize: 0.4,
+            })
+          : new THREE.LineBasicMaterial(options)
+      );
+      segments.frustumCulled = false;
+      this.scene.add(segments);
+
+      return {
+        segments,
+        proxies,
+        shown: new Uint8Array(proxies.length).fill(1), // visible last frame
+        // r, g, b, opacity last written per link (-1 = not written yet)
+        drawn: new Float64Array(proxies.length * 4).fill(-1),
+      };
+    });
+    this.updateLinkPositions();
+  }
+
+  createLabels() {
+    this.labelTextures = new Map(); // node id -> CanvasTexture, oldest first
+    this.labelsUpdatedAt = 0;
+    this.labelSprites = Array.from({ length: this.labelLimit }, () => {
+      const sprite = new THREE.Sprite(
+        new THREE.SpriteMaterial({ transparent: true, depthWrite: false })
+      );
+      sprite.visible = false;
+      sprite.userData = { index: -1 };
+      this.scene.add(sprite);
+      return sprite;
+    });
+  }
+
+  /**
+   * Rewrite link endpoints from the nodes' positions, after nodes move
+   */
+  updateLinkPositions() {
+    this.lines.forEach((lines) => {
+      const positions = lines.segments.geometry.attributes.position;
+      lines.proxies.forEach((proxy, i) => {
+        lines.shown[i] = proxy.visible ? 1 : 0;
+        this.writeLinkPosition(proxy, positions.array);
+      });
+      positions.needsUpdate = true;
+      if (lines.segments.material.isLineDashedMaterial) {
+        lines.segments.computeLineDistances();
+      }
+    });
+  }
+
+  // Hidden links collapse to a point at their source
+  writeLinkPosition(proxy, array) {
+    const { source, target, offset } = proxy.userData;
+    const end = proxy.visible ? target.position : source.position;
+    source.position.toArray(array, offset);
+    end.toArray(array, offset + 3);
+  }
+
+  /**
+   * Instance color of a node: its color brightened by emissiveIntensity
+   * and faded towards the background by (1 - opacity)
+   */
+  nodeColor(proxy) {
+    const { color, emissiveIntensity, opacity } = proxy.material;
+    return this.color
+      .copy(color)
+      .multiplyScalar(0.7 + emissiveIntensity * 0.5)
+      .lerp(this.background, 1 - opacity);
+  }
+
+  /**
+   * Sync the scene with the stand-ins for one frame: detail levels, view
+   * culling, colors and labels.
+   *
+   * @param {THREE.Camera} camera
+   * @param {object} options - { showLabels, focusIds: node ids whose
+   *   labels always show }
+   */
+  update(camera, { showLabels = false, focusIds = [] } = {}) {
+    if (this.disposed) return;
+
+    camera.updateMatrixWorld();
+    this.viewProjection.multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse
+    );
+    this.frustum.setFromProjectionMatrix(this.viewProjection);
+
+    const counts = this.levels.map(() => 0);
+    this.proxies.forEach((proxy, i) => {
+      const radius = proxy.userData.size * proxy.scale.x;
+      this.sphere.set(proxy.position, radius);
+      if (!proxy.visible || !this.frustum.intersectsSphere(this.sphere)) {
+        this.distances[i] = Infinity;
+        return;
+      }
+
+      const distance = camera.position.distanceTo(proxy.position);
+      this.distances[i] = distance;
+      const level = this.levels.findIndex(
+        (candidate) => distance < candidate.maxDistance
+      );
+      const slot = counts[level]++;
+      const { mesh } = this.levels[level];
+      this.matrix.makeScale(radius, radius, radius).setPosition(proxy.position);
+      mesh.setMatrixAt(slot, this.matrix);
+      mesh.setColorAt(slot, this.nodeColor(proxy));
+    });
+    this.levels.forEach(({ mesh }, level) => {
+      mesh.count = counts[level];
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    });
+
+    this.updateLinkColors();
+    this.updateLabels(camera, showLabels, new Set(focusIds));
+  }
+
+  /**
+   * Copy link visibility and colors from the stand-ins. Only links whose
+   * color, opacity or visibility changed are rewritten, and only the
+   * changed range of the color buffer is uploaded.
+   */
+  updateLinkColors() {
+    this.lines.forEach((lines) => {
+      const { position, color } = lines.segments.geometry.attributes;
+      let moved = false;
+      let first = Infinity;
+      let last = -1;
+      lines.proxies.forEach((proxy, i) => {
+        if (lines.shown[i] !== (proxy.visible ? 1 : 0)) {
+          lines.shown[i] = proxy.visible ? 1 : 0;
+          this.writeLinkPosition(proxy, position.array);
+          moved = true;
+        }
+
+        const { color: linkColor, opacity } = proxy.material;
+        const drawn = i * 4;
+        if (
+          lines.drawn[drawn] === linkColor.r &&
+          lines.drawn[drawn + 1] === linkColor.g &&
+          lines.drawn[drawn + 2] === linkColor.b &&
+          lines.drawn[drawn + 3] === opacity
+        ) {
+          return;
+        }
+        lines.drawn.set(
+          [linkColor.r, linkColor.g, linkColor.b, opacity],
+          drawn
+        );
+
+        const { offset } = proxy.userData;
+        this.color.copy(linkColor).lerp(this.background, 1 - opacity);
+        this.color.toArray(color.array, offset);
+        this.color.toArray(color.array, offset + 3);
+        first = Math.min(first, offset);
+        last = Math.max(last, offset + 6);
+      });
+
+      if (last >= 0) {
+        color.updateRange.offset = first;
+        color.updateRange.count = last - first;
+        color.needsUpdate = true;
+      }
+      if (moved) {
+        position.needsUpdate = true;
+        if (lines.segments.material.isLineDashedMaterial) {
+          lines.segments.computeLineDistances();
+        }
+      }
+    });
+  }
+
+  /**
+   * Give the label sprites to the focused nodes first, then (with
+   * showLabels) documents and nodes within labelDistance, closest first.
+   * The choice is redone at most every 150ms; positions follow every
+   * frame.
+   */
+  updateLabels(camera, showLabels, focusIds) {
+    const now = performance.now();
+    if (now - this.labelsUpdatedAt > 150) {
+      this.labelsUpdatedAt = now;
+
+      const candidates = [];
+      this.nodes.forEach((node, i) => {
+        const distance = this.distances[i];
+        if (distance === Infinity) return;
+        if (focusIds.has(node.id)) {
+          candidates.push([i, -1]);
+        } else if (showLabels && node.type === "document") {
+          candidates.push([i, distance / 2]); // documents count as closer
+        } else if (showLabels && distance < this.labelDistance) {
+          candidates.push([i, distance]);
+        }
+      });
+      candidates.sort((a, b) => a[1] - b[1]);
+
+      this.labelSprites.forEach((sprite, k) => {
+        const index = candidates[k]?.[0] ?? -1;
+        sprite.userData.index = index;
+        sprite.visible = index !== -1;
+        if (index === -1) return;
+
+        const texture = this.labelTexture(this.nodes[index]);
+        if (sprite.material.map !== texture) {
+          sprite.material.map = texture;
+          sprite.material.needsUpdate = true;
+        }
+      });
+    }
+
+    this.labelSprites.forEach((sprite) => {
+      if (!sprite.visible) return;
+      const proxy = this.proxies[sprite.userData.index];
+      sprite.position.copy(proxy.position);
+      sprite.position.x += proxy.userData.size * 2;
+
+      // Same sizing as the app's labels: larger further away
+      const scaleFactor = Math.max(
+        0.5,
+        Math.min(2.5, camera.position.distanceTo(proxy.position) / 50)
+      );
+      sprite.scale.set(12 * scaleFactor, 3 * scaleFactor, 1);
+    });
+  }
+
+  labelTexture(node) {
+    let texture = this.labelTextures.get(node.id);
+    if (texture) {
+      this.labelTextures.delete(node.id); // most recently used goes last
+    } else {
+      texture = InstancedGraphRenderer.createLabelTexture(node.label);
+    }
+    this.labelTextures.set(node.id, texture);
+
+    // Keep a few screens' worth of labels
+    if (this.labelTextures.size > this.labelLimit * 4) {
+      const [oldestId, oldest] = this.labelTextures.entries().next().value;
+      oldest.dispose();
+      this.labelTextures.delete(oldestId);
+    }
+    return texture;
+  }
+
+  static createLabelTexture(text) {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    canvas.width = 512;
+    canvas.height = 128;
+    context.font = "Bold 40px 'Fira Code', 'Monaco', 'Consolas', monospace";
+    const label = text || "Document";
+    const width = context.measureText(label).width;
+    context.fillStyle = "rgba(255, 255, 255, 0.95)";
+    context.fillText(label, (canvas.width - width) / 2, 80);
+    return new THREE.CanvasTexture(canvas);
+  }
+
+  /**
+   * Nearest node stand-in under a ray (from Raycaster.setFromCamera),
+   * among the nodes drawn in the last frame
+   */
+  pick(raycaster) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    this.proxies.forEach((proxy, i) => {
+      if (this.distances[i] === Infinity) return;
+      const radius = proxy.userData.size * proxy.scale.x;
+      if (raycaster.ray.distanceSqToPoint(proxy.position) > radius * radius) {
+        return;
+      }
+      const distance = raycaster.ray.origin.distanceTo(proxy.position);
+      if (distance < nearestDistance) {
+        nearest = proxy;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.levels.forEach(({ mesh }) => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.lines.forEach(({ segments }) => {
+      this.scene.remove(segments);
+      segments.geometry.dispose();
+      segments.material.dispose();
+    });
+    this.labelSprites.forEach((sprite) => {
+      this.scene.remove(sprite);
+      sprite.material.dispose();
+    });
+    this.labelTextures.forEach((texture) => texture.dispose());
+    this.labelTextures.clear();
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.InstancedGraphRenderer = InstancedGraphRenderer;
+} else if (typeof module !== "undefined") {
+  module.exports = InstancedGraphRenderer;
+}
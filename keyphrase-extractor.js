@@ -0,0 +1,794 @@
+/**
+ * Offline Keyphrase Extractor
+ *
+ * Theme and definition extraction without an LLM, for demos and
+ * air-gapped machines:
+ * - RAKE-style candidate phrases (runs of content words between stop words
+ *   and punctuation)
+ * - TextRank word scores from a co-occurrence graph
+ * - Corpus-level TF-IDF so phrases specific to a document rank higher
+ * - Pattern-based definitions ("X is defined as ...", "X refers to ...")
+ * - Extractive summaries from the highest-scoring sentences
+ *
+ * Produces the same extractedData shape as the LLM analysis prompt, so the
+ * result can go straight into storeDocuments().
+ */
+
+class KeyphraseExtractor {
+  constructor(options = {}) {
+    this.options = {
+      maxPhraseWords: 3, // longer runs are split into phrases of this size
+      windowSize: 4, // co-occurrence window for TextRank
+      damping: 0.85,
+      iterations: 30,
+      maxSubthemes: 3,
+      maxDefinitionsPerDoc: 10,
+      summarySentences: 2,
+      ...options,
+    };
+    this.stopWords = new Set(KeyphraseExtractor.STOP_WORDS);
+    this.sectionLabels = new Set(KeyphraseExtractor.SECTION_LABELS);
+  }
+
+  static get STOP_WORDS() {
+    // prettier-ignore
+    return [
+      "a", "about", "above", "after", "again", "against", "all", "also",
+      "although", "am", "among", "an", "and", "any", "are", "as", "at", "be",
+      "because", "been", "before", "being", "below", "between", "both", "but",
+      "by", "can", "could", "did", "do", "does", "doing", "down", "during",
+      "each", "either", "etc", "even", "ever", "every", "few", "for", "from",
+      "further", "had", "has", "have", "having", "he", "her", "here", "hers",
+      "herself", "him", "himself", "his", "how", "however", "i", "if", "in",
+      "into", "is", "it", "its", "itself", "just", "least", "less", "let",
+      "like", "may", "me", "might", "more", "most", "much", "must", "my",
+      "myself", "neither", "no", "nor", "not", "now", "of", "off", "often",
+      "on", "once", "one", "only", "or", "other", "others", "our", "ours",
+      "ourselves", "out", "over", "own", "per", "rather", "really", "same",
+      "several", "shall", "she", "should", "since", "so", "some", "such",
+      "than", "that", "the", "their", "theirs", "them", "themselves", "then",
+      "there", "therefore", "these", "they", "this", "those", "though",
+      "through", "thus", "to", "too", "under", "until", "up", "upon", "us",
+      "use", "used", "using", "very", "via", "was", "we", "well", "were",
+      "what", "when", "where", "whether", "which", "while", "who", "whom",
+      "whose", "why", "will", "with", "within", "without", "would", "yet",
+      "you", "your", "yours", "yourself", "yourselves",
+      // Common verbs and fillers that otherwise end up inside phrases
+      "allow", "allows", "become", "becomes", "becoming", "contribute",
+      "contributes", "due", "enable", "enables", "especially", "get", "gets",
+      "give", "gives", "help", "helping", "helps", "include", "includes",
+      "including", "make", "makes", "making", "many", "need", "needs", "new",
+      "play", "plays", "provide", "provides", "providing", "rely", "relies",
+      "remain", "remains", "require", "requires", "say", "says", "see",
+      "seems", "show", "shows", "take", "takes",
+      // Prepositions that otherwise trail a phrase ("light across")
+      "across", "along", "around", "behind", "beside", "beyond", "onto",
+      "toward", "towards",
+      // Definition and relationship cue verbs ("X refers to", "X uses Y")
+      "affect", "affects", "balanced", "called", "cause", "causes", "combine",
+      "combines", "combining", "comprise", "comprises", "consist", "consists",
+      "define", "defined", "defines", "denote", "denotes", "depend",
+      "depends", "describe", "described", "describes", "drive", "drives",
+      "introduce", "introduces", "involve", "involves", "known", "lead",
+      "leads", "mean", "means", "meant", "refer", "referred", "refers",
+      "relate", "related", "relates", "represent", "represents", "stands",
+      "uses",
+    ];
+  }
+
+  /**
+   * Headings that label a section rather than describe its content
+   */
+  static get SECTION_LABELS() {
+    return [
+      "abstract",
+      "conclusion",
+      "definition",
+      "glossary",
+      "introduction",
+      "key term",
+      "note",
+      "overview",
+      "reference",
+      "summary",
+      "title",
+    ];
+  }
+
+  /**
+   * Sentence patterns that introduce a definition. `term` and `definition`
+   * are the capture group numbers.
+   */
+  static get DEFINITION_PATTERNS() {
+    const term = `["“']?([\\p{L}][\\p{L}\\p{N}'’\\- ]{0,60}?)["”']?`;
+    return [
+      {
+        regex: new RegExp(
+          `(?:^|[,;:]\\s+)${term}\\s+(?:is|are)\\s+(?:defined|described)\\s+as\\s+(.+)`,
+          "iu"
+        ),
+        term: 1,
+        definition: 2,
+      },
+      {
+        regex: new RegExp(
+          `(?:^|[,;:]\\s+)${term}\\s+(?:refers?|is\\s+used\\s+to\\s+refer)\\s+to\\s+(.+)`,
+          "iu"
+        ),
+        term: 1,
+        definition: 2,
+      },
+      {
+        regex: new RegExp(
+          `(?:^|[,;:]\\s+)${term}\\s+(?:means|denotes|stands\\s+for)\\s+(.+)`,
+          "iu"
+        ),
+        term: 1,
+        definition: 2,
+      },
+      {
+        regex: new RegExp(
+          `(?:^|[,;:]\\s+)${term}\\s+(?:is|are)\\s+(?:a|the)\\s+(?:term|name)\\s+(?:used\\s+)?for\\s+(.+)`,
+          "iu"
+        ),
+        term: 1,
+        definition: 2,
+      },
+      {
+        regex: new RegExp(`^we\\s+define\\s+${term}\\s+as\\s+(.+)`, "iu"),
+        term: 1,
+        definition: 2,
+      },
+      {
+        // Glossary entries: "- Term: definition"
+        regex: new RegExp(`^[-*•]\\s*${term}\\s*[:–—]\\s+(.+)`, "u"),
+        term: 1,
+        definition: 2,
+      },
+      {
+        // "The process of ... is called photosynthesis."
+        regex: new RegExp(
+          `^(.{10,}?)\\s+(?:is|are)\\s+(?:called|known\\s+as|termed|referred\\s+to\\s+as)\\s+${term}[.!?]?$`,
+          "iu"
+        ),
+        term: 2,
+        definition: 1,
+      },
+    ];
+  }
+
+  /**
+   * Extract themes, definitions and shared concepts for a collection.
+   *
+   * @param {Array} documents - { title, filename, content }
+   * @param {object} options - { maxThemesPerDoc, minThemeConfidence,
+   *   existingThemes, backgroundDocuments }. Background documents (e.g. the
+   *   ones already analyzed) only count towards document frequencies.
+   */
+  extract(documents, options = {}) {
+    const {
+      maxThemesPerDoc = 8,
+      minThemeConfidence = 0.7,
+      existingThemes = [],
+      backgroundDocuments = [],
+    } = options;
+
+    const analyses = documents.map((doc) => this.analyzeDocument(doc));
+    const idf = this.computeIDF([
+      ...analyses.map((analysis) => new Set(analysis.phrases.keys())),
+      ...backgroundDocuments.map((doc) => this.collectPhraseKeys(doc.content)),
+    ]);
+    const existingLabels = new Map(
+      existingThemes.map((label) => [this.phraseKey(label), label])
+    );
+
+    const entries = analyses.map((analysis, i) =>
+      this.buildDocumentEntry(analysis, i, idf, existingLabels, {
+        maxThemesPerDoc,
+        minThemeConfidence,
+      })
+    );
+
+    return {
+      analysis_metadata: {
+        total_documents: documents.length,
+        analysis_timestamp: new Date().toISOString(),
+        confidence_threshold: minThemeConfidence,
+        extraction_backend: "offline",
+      },
+      shared_concepts: this.findSharedConcepts(
+        analyses,
+        existingLabels,
+        maxThemesPerDoc
+      ),
+      documents: entries,
+    };
+  }
+
+  /**
+   * Candidate phrases, TextRank word scores, sentences and definitions for
+   * one document
+   */
+  analyzeDocument(doc) {
+    const title = doc.title || doc.filename || "";
+    const sentences = this.splitSentences(doc.content || "");
+    const phrases = new Map(); // key -> { key, words, count, forms, sentences }
+    const sentenceWords = []; // content words per sentence, for TextRank
+
+    sentences.forEach((sentence, sentenceIndex) => {
+      const words = [];
+      this.findCandidatePhrases(sentence).forEach((candidate) => {
+        words.push(...candidate.words);
+        let phrase = phrases.get(candidate.key);
+        if (!phrase) {
+          phrase = {
+            key: candidate.key,
+            words: candidate.words,
+            count: 0,
+            forms: new Map(),
+            sentence: sentenceIndex,
+            sentences: [],
+          };
+          phrases.set(candidate.key, phrase);
+        }
+        phrase.count++;
+        if (phrase.sentences[phrase.sentences.length - 1] !== sentenceIndex) {
+          phrase.sentences.push(sentenceIndex);
+        }
+        phrase.forms.set(
+          candidate.text,
+          (phrase.forms.get(candidate.text) || 0) + 1
+        );
+      });
+      sentenceWords.push(words);
+    });
+
+    const wordScores = this.textRank(sentenceWords);
+    phrases.forEach((phrase) => {
+      phrase.rank = phrase.words.reduce(
+        (sum, word) => sum + (wordScores.get(word) || 0),
+        0
+      );
+    });
+
+    return {
+      title,
+      titleWords: new Set(
+        // File names often use underscores or hyphens between words
+        this.findCandidatePhrases(title.replace(/[_-]+/g, " ")).flatMap(
+          (candidate) => candidate.words
+        )
+      ),
+      sentences,
+      sentenceWords,
+      phrases,
+      wordScores,
+      definitions: this.findDefinitions(sentences),
+    };
+  }
+
+  /**
+   * Split text into sentences. Hard-wrapped lines are joined back together;
+   * blank lines, list items and lines ending in ":" start a new block.
+   */
+  splitSentences(text) {
+    const blocks = [];
+    let current = [];
+    const endBlock = () => {
+      if (current.length > 0) blocks.push(current.join(" "));
+      current = [];
+    };
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) {
+        endBlock();
+        return;
+      }
+      if (/^(?:[-*•]|\d+[.)])\s/.test(line)) endBlock();
+      current.push(line);
+      if (line.endsWith(":")) endBlock();
+    });
+    endBlock();
+
+    return blocks
+      .flatMap((block) => block.split(/(?<=[.!?])\s+(?=[^a-z])/))
+      .map((sentence) => sentence.replace(/\s+/g, " ").trim())
+      .filter((sentence) => sentence.length > 0);
+  }
+
+  /**
+   * RAKE-style candidates: runs of content words between stop words and
+   * punctuation, split into phrases of at most maxPhraseWords words
+   */
+  findCandidatePhrases(sentence) {
+    const candidates = [];
+    sentence.split(/[,;:()[\]{}"“”‘!?.…–—|/\\]+|\s-\s/).forEach((fragment) => {
+      let run = [];
+      const flush = () => {
+        // Without part-of-speech tags, a leading gerund is usually a verb
+        // ("maintaining grid stability")
+        if (run.length > 1 && /.{4,}ing$/i.test(run[0])) run.shift();
+        for (let i = 0; i < run.length; i += this.options.maxPhraseWords) {
+          const words = run.slice(i, i + this.options.maxPhraseWords);
+          const text = words.join(" ");
+          const keys = words.map((word) => this.wordKey(word));
+          const key = keys.join(" ");
+          if (words.length === 1 && text.length < 3) continue;
+          if (this.sectionLabels.has(key)) continue;
+          candidates.push({ text, words: keys, key });
+        }
+        run = [];
+      };
+
+      const words = fragment
+        .split(/\s+/)
+        .map((rawWord) =>
+          rawWord.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, "")
+        );
+      words.forEach((word, i) => {
+        if (this.isContentWord(word) && !this.isLikelyVerb(words, i, run)) {
+          run.push(word);
+        } else {
+          flush();
+        }
+      });
+      flush();
+    });
+    return candidates;
+  }
+
+  /**
+   * Part-of-speech guesses for content words that end a phrase: a
+   * comparative before "than" ("fish faster than"), a verb after a relative
+   * pronoun ("waste that harms marine life") and a lowercase verb after a
+   * plural subject ("operators face challenges")
+   */
+  isLikelyVerb(words, i, run) {
+    const word = words[i];
+    const previous = (words[i - 1] || "").toLowerCase();
+    const next = words[i + 1] || "";
+
+    if (/..er$/i.test(word) && next.toLowerCase() === "than") return true;
+    if (
+      ["that", "which", "who"].includes(previous) &&
+      /[^s]s$/i.test(word) &&
+      this.isContentWord(next)
+    ) {
+      return true;
+    }
+
+    const subject = run[run.length - 1];
+    return (
+      Boolean(subject) &&
+      /^[a-z]+$/.test(word) &&
+      !/(s|ing)$/.test(word) &&
+      this.isPluralNoun(subject)
+    );
+  }
+
+  /**
+   * Plural-looking noun (not "business", "status", "analysis", "analytics",
+   * "series", ...)
+   */
+  isPluralNoun(word) {
+    const lower = word.toLowerCase();
+    return (
+      /^\p{L}{3,}s$/u.test(lower) &&
+      !/(ss|us|is|ics|ws)$/.test(lower) &&
+      !["series", "species"].includes(lower)
+    );
+  }
+
+  collectPhraseKeys(text) {
+    const keys = new Set();
+    this.splitSentences(text || "").forEach((sentence) =>
+      this.findCandidatePhrases(sentence).forEach((candidate) =>
+        keys.add(candidate.key)
+      )
+    );
+    return keys;
+  }
+
+  isContentWord(word) {
+    return (
+      word.length >= 2 &&
+      /\p{L}/u.test(word) &&
+      !this.stopWords.has(word.toLowerCase())
+    );
+  }
+
+  /**
+   * Lowercased word with a light plural stem, so "systems" and "system"
+   * count as the same word
+   */
+  wordKey(word) {
+    const lower = word.toLowerCase().replace(/['’]s$/, "");
+    if (lower.length > 4 && lower.endsWith("ies")) {
+      return lower.slice(0, -3) + "y";
+    }
+    if (lower.length > 3 && /[^su]s$/.test(lower)) {
+      return lower.slice(0, -1);
+    }
+    return lower;
+  }
+
+  phraseKey(text) {
+    return (text || "")
+      .split(/\s+/)
+      .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+      .filter(Boolean)
+      .map((word) => this.wordKey(word))
+      .join(" ");
+  }
+
+  /**
+   * TextRank over a word co-occurrence graph. Scores are scaled so the
+   * highest-ranked word has 1.
+   */
+  textRank(sentenceWords) {
+    const neighbors = new Map();
+    const connect = (a, b) => {
+      if (a === b) return;
+      if (!neighbors.has(a)) neighbors.set(a, new Map());
+      neighbors.get(a).set(b, (neighbors.get(a).get(b) || 0) + 1);
+    };
+
+    sentenceWords.forEach((words) => {
+      words.forEach((word, i) => {
+        if (!neighbors.has(word)) neighbors.set(word, new Map());
+        for (
+          let j = i + 1;
+          j < Math.min(words.length, i + this.options.windowSize);
+          j++
+        ) {
+          connect(word, words[j]);
+          connect(words[j], word);
+        }
+      });
+    });
+
+    const weightTotals = new Map();
+    neighbors.forEach((edges, word) => {
+      let total = 0;
+      edges.forEach((weight) => (total += weight));
+      weightTotals.set(word, total);
+    });
+
+    const { damping, iterations } = this.options;
+    let scores = new Map(Array.from(neighbors.keys(), (word) => [word, 1]));
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      const next = new Map();
+      neighbors.forEach((edges, word) => {
+        let sum = 0;
+        edges.forEach((weight, neighbor) => {
+          sum += (weight / weightTotals.get(neighbor)) * scores.get(neighbor);
+        });
+        next.set(word, 1 - damping + damping * sum);
+      });
+      scores = next;
+    }
+
+    const max = Math.max(0, ...scores.values());
+    if (max > 0) {
+      scores.forEach((score, word) => scores.set(word, score / max));
+    }
+    return scores;
+  }
+
+  /**
+   * Smoothed inverse document frequency per phrase key
+   */
+  computeIDF(documentKeySets) {
+    const documentFrequency = new Map();
+    documentKeySets.forEach((keys) =>
+      keys.forEach((key) =>
+        documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1)
+      )
+    );
+
+    const total = documentKeySets.length;
+    const idf = new Map();
+    documentFrequency.forEach((frequency, key) => {
+      idf.set(key, Math.log(1 + total / frequency));
+    });
+    return idf;
+  }
+
+  /**
+   * Phrases of one document ranked by TextRank x TF-IDF, with title,
+   * defined-term and existing-theme boosts
+   */
+  scorePhrases(analysis, idf, existingLabels) {
+    const definedTerms = new Set(
+      analysis.definitions.map((definition) => this.phraseKey(definition.term))
+    );
+
+    return Array.from(analysis.phrases.values())
+      .map((phrase) => {
+        let score =
+          phrase.rank *
+          (1 + Math.log(phrase.count)) *
+          (idf.get(phrase.key) || 1);
+        if (phrase.words.every((word) => analysis.titleWords.has(word))) {
+          score *= 1.5;
+        }
+        if (definedTerms.has(phrase.key)) score *= 1.3;
+        if (existingLabels.has(phrase.key)) score *= 1.2;
+        return { phrase, score };
+      })
+      .filter(({ phrase }) => phrase.words.length > 1 || phrase.count > 1)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  buildDocumentEntry(analysis, index, idf, existingLabels, options) {
+    const ranked = this.scorePhrases(analysis, idf, existingLabels);
+    const topScore = ranked[0]?.score || 1;
+
+    // A phrase that overlaps a better one (e.g. "solar" vs "solar panel")
+    // becomes a subtheme of it instead of a theme of its own
+    const chosen = [];
+    for (const { phrase, score } of ranked) {
+      const overlapping = chosen.find((theme) =>
+        this.phrasesOverlap(theme.phrase, phrase)
+      );
+      if (overlapping) {
+        if (
+          phrase.words.length > overlapping.phrase.words.length &&
+          overlapping.subthemes.length < this.options.maxSubthemes
+        ) {
+          overlapping.subthemes.push(this.labelFor(phrase, existingLabels));
+        }
+        continue;
+      }
+      if (chosen.length >= options.maxThemesPerDoc) continue;
+
+      const confidence = 0.5 + 0.5 * Math.sqrt(score / topScore);
+      if (chosen.length > 0 && confidence < options.minThemeConfidence) {
+        continue;
+      }
+      chosen.push({ phrase, score, confidence, subthemes: [] });
+    }
+
+    const mainThemes = chosen.map((theme) => ({
+      theme: this.labelFor(theme.phrase, existingLabels),
+      category: "keyphrase",
+      importance: this.round(theme.score / topScore),
+      confidence: this.round(theme.confidence),
+      subthemes: theme.subthemes,
+      context: this.truncate(analysis.sentences[theme.phrase.sentence], 200),
+      // Whole sentences; the analyzer maps them back to the source text
+      evidence: theme.phrase.sentences
+        .slice(0, 2)
+        .map((sentence) => analysis.sentences[sentence]),
+    }));
+
+    const themeKeys = new Set(chosen.map((theme) => theme.phrase.key));
+    const definitions = analysis.definitions
+      .slice(0, this.options.maxDefinitionsPerDoc)
+      .map((definition) => ({
+        ...definition,
+        importance: themeKeys.has(this.phraseKey(definition.term)) ? 0.8 : 0.6,
+      }));
+
+    return {
+      document_id: index + 1,
+      title: analysis.title,
+      main_themes: mainThemes,
+      definitions,
+      summary: this.summarize(analysis),
+      thematic_focus: mainThemes.slice(0, 3).map((theme) => theme.theme),
+    };
+  }
+
+  phrasesOverlap(a, b) {
+    const shorter = a.words.length <= b.words.length ? a : b;
+    const longer = shorter === a ? b : a;
+    return shorter.words.every((word) => longer.words.includes(word));
+  }
+
+  /**
+   * Phrases found in several documents, ranked by how central they are in
+   * each (TextRank only; IDF would penalize exactly these phrases)
+   */
+  findSharedConcepts(analyses, existingLabels, limit) {
+    if (analyses.length < 2) return [];
+
+    const concepts = new Map();
+    analyses.forEach((analysis, index) => {
+      const maxRank = Math.max(
+        0,
+        ...Array.from(analysis.phrases.values(), (phrase) => phrase.rank)
+      );
+      analysis.phrases.forEach((phrase) => {
+        if (phrase.words.length === 1 && phrase.count < 2) return;
+        if (!concepts.has(phrase.key)) {
+          concepts.set(phrase.key, { phrases: [], documents: [], scores: [] });
+        }
+        const concept = concepts.get(phrase.key);
+        concept.phrases.push(phrase);
+        concept.documents.push(index + 1);
+        concept.scores.push(maxRank > 0 ? phrase.rank / maxRank : 0);
+      });
+    });
+
+    return Array.from(concepts.values())
+      .filter((concept) => concept.documents.length > 1)
+      .map((concept) => {
+        const strength =
+          concept.scores.reduce((sum, score) => sum + score, 0) /
+          concept.scores.length;
+        return {
+          ...concept,
+          strength,
+          total: strength * concept.documents.length,
+        };
+      })
+      .sort((a, b) => b.total - a.total)
+      .slice(0, limit)
+      .map((concept) => {
+        const merged = this.mergePhrases(concept.phrases);
+        return {
+          concept: this.labelFor(merged, existingLabels),
+          category: "keyphrase",
+          appears_in: concept.documents,
+          variations: Array.from(merged.forms.keys()).slice(0, 3),
+          relationship_strength: this.round(0.5 + 0.5 * concept.strength),
+          importance: this.round(
+            Math.min(1, 0.4 + (0.6 * concept.total) / analyses.length)
+          ),
+        };
+      });
+  }
+
+  mergePhrases(phrases) {
+    const forms = new Map();
+    phrases.forEach((phrase) =>
+      phrase.forms.forEach((count, form) =>
+        forms.set(form, (forms.get(form) || 0) + count)
+      )
+    );
+    return { ...phrases[0], forms };
+  }
+
+  /**
+   * Existing theme label if the phrase matches one, otherwise its most
+   * frequent spelling with lowercase words capitalized
+   */
+  labelFor(phrase, existingLabels) {
+    if (existingLabels.has(phrase.key)) return existingLabels.get(phrase.key);
+
+    const [form] = Array.from(phrase.forms.entries()).sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    return form
+      .split(" ")
+      .map((word) =>
+        word === word.toLowerCase()
+          ? word.charAt(0).toUpperCase() + word.slice(1)
+          : word
+      )
+      .join(" ");
+  }
+
+  /**
+   * Sentences matching a definition pattern, one definition per term
+   */
+  findDefinitions(sentences) {
+    const definitions = [];
+    const seen = new Set();
+
+    sentences.forEach((sentence) => {
+      for (const pattern of KeyphraseExtractor.DEFINITION_PATTERNS) {
+        const match = sentence.match(pattern.regex);
+        if (!match) continue;
+
+        const term = this.cleanTerm(match[pattern.term]);
+        const definition = match[pattern.definition]
+          .trim()
+          .replace(/[.;:,!?]+$/, "");
+        const key = this.phraseKey(term);
+        if (!term || definition.split(/\s+/).length < 3 || seen.has(key)) {
+          continue;
+        }
+
+        seen.add(key);
+        definitions.push({
+          term,
+          definition: this.truncate(
+            definition.charAt(0).toUpperCase() + definition.slice(1),
+            300
+          ),
+          context: this.truncate(sentence, 300),
+          evidence: [sentence],
+        });
+        break;
+      }
+    });
+    return definitions;
+  }
+
+  /**
+   * Strip articles and quotes; null for pronouns ("It means ...") and
+   * anything longer than six words
+   */
+  cleanTerm(raw) {
+    const term = (raw || "")
+      .trim()
+      .replace(/^(?:the\s+term|the|a|an|term)\s+/i, "")
+      .replace(/^["“'‘]+|["”'’]+$/g, "")
+      .trim();
+    const words = term.split(/\s+/);
+    if (!term || words.length > 6) return null;
+    if (this.sectionLabels.has(this.phraseKey(term))) return null;
+    if (
+      /^(?:it|this|that|these|those|they|he|she|which|who|what|there|here)$/i.test(
+        words[0]
+      )
+    ) {
+      return null;
+    }
+    return term;
+  }
+
+  /**
+   * The highest-scoring sentences (TextRank of their words, normalized for
+   * length), in document order
+   */
+  summarize(analysis) {
+    const scored = analysis.sentences
+      .map((sentence, index) => {
+        const words = analysis.sentenceWords[index];
+        const total = words.reduce(
+          (sum, word) => sum + (analysis.wordScores.get(word) || 0),
+          0
+        );
+        return {
+          sentence,
+          index,
+          score: words.length >= 3 ? total / Math.sqrt(words.length) : 0,
+        };
+      })
+      // Prose only, not list items or headings
+      .filter(
+        (item) =>
+          item.score > 0 &&
+          /[.!?]$/.test(item.sentence) &&
+          !/^(?:[-*•]|\d+[.)])\s/.test(item.sentence)
+      );
+
+    const pool =
+      scored.length > 0
+        ? scored
+        : analysis.sentences.map((sentence, index) => ({
+            sentence,
+            index,
+            score: 0,
+          }));
+    return this.truncate(
+      pool
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.options.summarySentences)
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.sentence)
+        .join(" "),
+      400
+    );
+  }
+
+  truncate(text, length) {
+    if (!text) return "";
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.KeyphraseExtractor = KeyphraseExtractor;
+} else if (typeof module !== "undefined") {
+  module.exports = KeyphraseExtractor;
+}
@@ -0,0 +1,430 @@
+/**
+ * Layout Presets
+ *
+ * Alternative node positions for the connection graph:
+ * - Force: the force-directed layout (force-layout.js)
+ * - Hierarchy: documents on top, then the theme tree level by level, each
+ *   level a ring ordered so children sit below their parents
+ * - Radial: a chosen node in the center and rings by hop distance
+ * - Clusters: the analysis's communities (or, without them, groups of
+ *   closely linked nodes) placed together
+ * - 2D: the force layout flattened onto one plane
+ *
+ * Every preset returns positions as a flat [x0, y0, z0, x1, ...] array in
+ * the order of graphData.nodes, like ForceLayout.
+ */
+
+class LayoutPresets {
+  static get PRESETS() {
+    return {
+      force: { label: "Force", icon: "🧲" },
+      hierarchical: { label: "Hierarchy", icon: "🌳" },
+      radial: { label: "Radial", icon: "🎯" },
+      clustered: { label: "Clusters", icon: "🫧" },
+      flat: { label: "2D", icon: "🗺️" },
+    };
+  }
+
+  /**
+   * Whether a preset runs the force simulation (slow enough on large
+   * graphs to belong in a worker)
+   */
+  static usesForce(preset) {
+    return preset === "force" || preset === "flat";
+  }
+
+  static forceOptions(preset) {
+    return preset === "flat" ? { dimensions: 2 } : {};
+  }
+
+  /**
+   * Positions for a preset.
+   *
+   * @param {object} options - { hierarchy: [{ parent, child }] for
+   *   "hierarchical", centerId for "radial", communities (Map node id ->
+   *   community) for "clustered", force (ForceLayout options) }
+   */
+  static compute(preset, graphData, options = {}) {
+    switch (preset) {
+      case "hierarchical":
+        return LayoutPresets.hierarchical(graphData, options);
+      case "radial":
+        return LayoutPresets.radial(graphData, options);
+      case "clustered":
+        return LayoutPresets.clustered(graphData, options);
+      case "force":
+      case "flat": {
+        const layout = new ForceLayout({
+          ...LayoutPresets.forceOptions(preset),
+          ...options.force,
+        });
+        layout.setGraph(graphData.nodes, graphData.links);
+        layout.run();
+        return layout.getPositions();
+      }
+      default:
+        throw new Error(`Unknown layout preset "${preset}"`);
+    }
+  }
+
+  /**
+   * Cone tree: documents on the top ring, themes below at their depth in
+   * the theme hierarchy, other nodes (definitions) at the bottom
+   */
+  static hierarchical(
+    graphData,
+    { hierarchy = [], levelGap = 40, spacing = 18 } = {}
+  ) {
+    const { nodes } = graphData;
+    if (nodes.length === 0) return new Float32Array(0);
+
+    const neighbors = LayoutPresets.adjacency(graphData);
+    const nodeIds = new Set(nodes.map((node) => node.id));
+    const parents = new Map();
+    hierarchy.forEach(({ parent, child }) => {
+      if (!nodeIds.has(parent) || !nodeIds.has(child)) return;
+      if (!parents.has(child)) parents.set(child, []);
+      parents.get(child).push(parent);
+    });
+
+    // Themes sit one level below their deepest parent on the graph
+    const depths = new Map();
+    const depthOf = (id, path = new Set()) => {
+      if (depths.has(id)) return depths.get(id);
+      path.add(id);
+      const depth =
+        1 +
+        Math.max(
+          0,
+          ...(parents.get(id) || [])
+            .filter((parentId) => !path.has(parentId))
+            .map((parentId) => depthOf(parentId, path))
+        );
+      path.delete(id);
+      depths.set(id, depth);
+      return depth;
+    };
+
+    const isTheme = (node) => node.type.endsWith("theme");
+    const themeDepths = nodes.filter(isTheme).map((node) => depthOf(node.id));
+    const bottom = Math.max(0, ...themeDepths) + 1;
+    const levelOf = (node) => {
+      if (node.type === "document") return 0;
+      return isTheme(node) ? depthOf(node.id) : bottom;
+    };
+
+    const levels = new Map();
+    nodes.forEach((node) => {
+      const level = levelOf(node);
+      if (!levels.has(level)) levels.set(level, []);
+      levels.get(level).push(node.id);
+    });
+
+    const maxLevel = Math.max(...levels.keys());
+    const placed = new Map();
+    const angles = new Map();
+    Array.from(levels.keys())
+      .sort((a, b) => a - b)
+      .forEach((level) => {
+        // Line nodes up under their parents, or under the nodes above that
+        // they link to
+        const anchorsOf = (id) => {
+          const above = (parents.get(id) || []).filter((p) => angles.has(p));
+          return above.length > 0
+            ? above
+            : Array.from(neighbors.get(id) || []).filter((n) => angles.has(n));
+        };
+        const ring = LayoutPresets.orderRing(
+          levels.get(level),
+          anchorsOf,
+          angles
+        );
+        const radius =
+          ring.length === 1
+            ? 0
+            : Math.max(
+                level === 0 ? spacing * 2 : spacing,
+                (ring.length * spacing) / (2 * Math.PI)
+              );
+        const y = (maxLevel / 2 - level) * levelGap;
+        ring.forEach((id, i) => {
+          const angle = (i / ring.length) * Math.PI * 2;
+          angles.set(id, angle);
+          placed.set(id, {
+            x: radius * Math.cos(angle),
+            y,
+            z: radius * Math.sin(angle),
+          });
+        });
+      });
+
+    return LayoutPresets.toPositions(nodes, placed);
+  }
+
+  /**
+   * Concentric rings around centerId (the best-connected document when not
+   * given or not on the graph); nodes it can't reach go on an outer ring
+   */
+  static radial(
+    graphData,
+    { centerId = null, ringGap = 35, spacing = 14 } = {}
+  ) {
+    const { nodes } = graphData;
+    if (nodes.length === 0) return new Float32Array(0);
+
+    const neighbors = LayoutPresets.adjacency(graphData);
+    const center = nodes.some((node) => node.id === centerId)
+      ? centerId
+      : LayoutPresets.mostConnected(nodes, neighbors);
+
+    // Breadth-first hop distances, remembering who reached each node
+    const hops = new Map([[center, 0]]);
+    const reachedFrom = new Map();
+    const queue = [center];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      (neighbors.get(id) || new Set()).forEach((next) => {
+        if (hops.has(next)) return;
+        hops.set(next, hops.get(id) + 1);
+        reachedFrom.set(next, id);
+        queue.push(next);
+      });
+    }
+    const outer = Math.max(...hops.values()) + 1;
+
+    const rings = new Map();
+    nodes.forEach((node) => {
+      const hop = hops.has(node.id) ? hops.get(node.id) : outer;
+      if (!rings.has(hop)) rings.set(hop, []);
+      rings.get(hop).push(node.id);
+    });
+
+    const placed = new Map([[center, { x: 0, y: 0, z: 0 }]]);
+    const angles = new Map([[center, 0]]);
+    let radius = 0;
+    Array.from(rings.keys())
+      .filter((hop) => hop > 0)
+      .sort((a, b) => a - b)
+      .forEach((hop) => {
+        const ring = LayoutPresets.orderRing(
+          rings.get(hop),
+          (id) => (reachedFrom.has(id) ? [reachedFrom.get(id)] : []),
+          angles
+        );
+        radius = Math.max(
+          radius + ringGap,
+          (ring.length * spacing) / (2 * Math.PI)
+        );
+        ring.forEach((id, i) => {
+          const angle = (i / ring.length) * Math.PI * 2;
+          angles.set(id, angle);
+          placed.set(id, {
+            x: radius * Math.cos(angle),
+            y: radius * Math.sin(angle),
+            z: 0,
+          });
+        });
+      });
+
+    return LayoutPresets.toPositions(nodes, placed);
+  }
+
+  /**
+   * Communities as balls spread over a sphere, biggest first; documents
+   * in the middle of their ball. Uses the communities on the nodes
+   * (node.community) when the analysis detected them.
+   */
+  static clustered(
+    graphData,
+    { communities = null, spacing = 12, clusterGap = 30 } = {}
+  ) {
+    const { nodes } = graphData;
+    const neighbors = LayoutPresets.adjacency(graphData);
+    const communityOf =
+      communities ||
+      LayoutPresets.nodeCommunities(graphData) ||
+      LayoutPresets.detectCommunities(graphData);
+
+    const groups = new Map();
+    nodes.forEach((node) => {
+      const community = communityOf.get(node.id) ?? `single:${node.id}`;
+      if (!groups.has(community)) groups.set(community, []);
+      groups.get(community).push(node);
+    });
+
+    const rank = (node) => (node.type === "document" ? 0 : 1);
+    const members = Array.from(groups.values())
+      .map((group) =>
+        group.sort(
+          (a, b) =>
+            rank(a) - rank(b) ||
+            (neighbors.get(b.id)?.size || 0) - (neighbors.get(a.id)?.size || 0)
+        )
+      )
+      .sort((a, b) => b.length - a.length);
+
+    const radii = members.map((group) => spacing * Math.cbrt(group.length));
+    const sphereRadius =
+      members.length === 1
+        ? 0
+        : Math.sqrt(
+            radii.reduce((sum, r) => sum + (r + clusterGap / 2) ** 2, 0)
+          );
+
+    const placed = new Map();
+    members.forEach((group, g) => {
+      const center = LayoutPresets.spherePoint(g, members.length, sphereRadius);
+      group.forEach((node, i) => {
+        // Fill the ball from the middle out
+        const offset = LayoutPresets.spherePoint(
+          i,
+          group.length,
+          radii[g] * Math.cbrt(i / group.length)
+        );
+        placed.set(node.id, {
+          x: center.x + offset.x,
+          y: center.y + offset.y,
+          z: center.z + offset.z,
+        });
+      });
+    });
+
+    return LayoutPresets.toPositions(nodes, placed);
+  }
+
+  /**
+   * Map node id -> node.community, or null if no node has a community
+   */
+  static nodeCommunities(graphData) {
+    const communities = new Map(
+      graphData.nodes
+        .filter((node) => node.community)
+        .map((node) => [node.id, node.community])
+    );
+    return communities.size > 0 ? communities : null;
+  }
+
+  /**
+   * Communities by weighted label propagation: every node repeatedly takes
+   * the label with the strongest links among its neighbors. Returns a Map
+   * node id -> community number, 0 for the biggest.
+   */
+  static detectCommunities(graphData, maxRounds = 20) {
+    const weights = new Map();
+    graphData.nodes.forEach((node) => weights.set(node.id, new Map()));
+    graphData.links.forEach((link) => {
+      if (!weights.has(link.source) || !weights.has(link.target)) return;
+      if (link.source === link.target) return;
+      const weight = link.strength ?? 1;
+      const add = (from, to) =>
+        weights.get(from).set(to, (weights.get(from).get(to) || 0) + weight);
+      add(link.source, link.target);
+      add(link.target, link.source);
+    });
+
+    const labels = new Map(graphData.nodes.map((node, i) => [node.id, i]));
+    for (let round = 0; round < maxRounds; round++) {
+      let changed = false;
+      graphData.nodes.forEach((node) => {
+        const totals = new Map();
+        weights.get(node.id).forEach((weight, neighborId) => {
+          const label = labels.get(neighborId);
+          totals.set(label, (totals.get(label) || 0) + weight);
+        });
+
+        let best = labels.get(node.id);
+        let bestTotal = totals.get(best) || 0;
+        totals.forEach((total, label) => {
+          if (total > bestTotal || (total === bestTotal && label < best)) {
+            best = label;
+            bestTotal = total;
+          }
+        });
+        if (best !== labels.get(node.id)) {
+          labels.set(node.id, best);
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+
+    // Renumber by size
+    const sizes = new Map();
+    labels.forEach((label) => sizes.set(label, (sizes.get(label) || 0) + 1));
+    const order = Array.from(sizes.keys()).sort(
+      (a, b) => sizes.get(b) - sizes.get(a) || a - b
+    );
+    const numbers = new Map(order.map((label, i) => [label, i]));
+    return new Map(
+      Array.from(labels, ([id, label]) => [id, numbers.get(label)])
+    );
+  }
+
+  /**
+   * Order the ids of one ring by the mean angle of their anchors (nodes
+   * already placed), so connected nodes face each other. Ids without
+   * anchors keep their order at the end.
+   */
+  static orderRing(ids, anchorsOf, angles) {
+    const keyed = ids.map((id, index) => {
+      const anchors = anchorsOf(id).filter((anchor) => angles.has(anchor));
+      if (anchors.length === 0) return { id, index, key: Infinity };
+
+      const sin = anchors.reduce((sum, a) => sum + Math.sin(angles.get(a)), 0);
+      const cos = anchors.reduce((sum, a) => sum + Math.cos(angles.get(a)), 0);
+      const angle = Math.atan2(sin, cos);
+      return { id, index, key: angle < 0 ? angle + Math.PI * 2 : angle };
+    });
+    return keyed
+      .sort((a, b) => a.key - b.key || a.index - b.index)
+      .map((item) => item.id);
+  }
+
+  /**
+   * Undirected neighbors of every node (links to unknown nodes ignored)
+   */
+  static adjacency(graphData) {
+    const neighbors = new Map(
+      graphData.nodes.map((node) => [node.id, new Set()])
+    );
+    graphData.links.forEach(({ source, target }) => {
+      if (!neighbors.has(source) || !neighbors.has(target)) return;
+      if (source === target) return;
+      neighbors.get(source).add(target);
+      neighbors.get(target).add(source);
+    });
+    return neighbors;
+  }
+
+  static mostConnected(nodes, neighbors) {
+    const degree = (node) =>
+      (neighbors.get(node.id)?.size || 0) +
+      (node.type === "document" ? 0.5 : 0);
+    return nodes.reduce((best, node) =>
+      degree(node) > degree(best) ? node : best
+    ).id;
+  }
+
+  static spherePoint(index, count, radius) {
+    if (count <= 1 || radius === 0) return { x: 0, y: 0, z: 0 };
+    return ForceLayout.spherePoint(index, count, radius);
+  }
+
+  static toPositions(nodes, placed) {
+    const positions = new Float32Array(nodes.length * 3);
+    nodes.forEach((node, i) => {
+      const point = placed.get(node.id) || { x: 0, y: 0, z: 0 };
+      positions[i * 3] = point.x;
+      positions[i * 3 + 1] = point.y;
+      positions[i * 3 + 2] = point.z;
+    });
+    return positions;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.LayoutPresets = LayoutPresets;
+} else if (typeof module !== "undefined") {
+  module.exports = LayoutPresets;
+}
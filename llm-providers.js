@@ -0,0 +1,442 @@
+/**
+ * LLM Provider Layer
+ *
+ * Small adapter layer so the analysis pipeline and chat UI can talk to
+ * different model vendors through one interface:
+ * - chat(messages, options) -> { content, usage, raw }
+ * - embed(texts) -> { embeddings, usage }
+ *
+ * Implementations:
+ * - OpenAIProvider (api.openai.com)
+ * - AnthropicProvider (api.anthropic.com, chat only)
+ * - LocalProvider (any OpenAI-compatible server: Ollama, llama.cpp, mocks)
+ * - ProxyProvider (proxy-server.js, which keeps the API key server-side)
+ * - OfflineProvider (no network; pairs with the offline keyphrase extractor)
+ */
+
+class LLMProvider {
+  constructor(options = {}) {
+    this.name = "LLM";
+    this.apiKey = options.apiKey || "";
+    this.model = options.model;
+    this.embeddingModel = options.embeddingModel;
+  }
+
+  /**
+   * Send a chat completion request. Messages use the OpenAI shape
+   * ({ role: "system" | "user" | "assistant", content }).
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * Get embedding vectors for an array of texts
+   */
+  async embed(texts) {
+    throw new Error(`${this.name} provider does not support embeddings`);
+  }
+
+  supportsEmbeddings() {
+    return false;
+  }
+
+  /**
+   * USD per million tokens. Models are matched by prefix, so dated
+   * versions (e.g. "gpt-4o-mini-2024-07-18") use their base model's price.
+   */
+  static get PRICES() {
+    return {
+      "gpt-4o-mini": { input: 0.15, output: 0.6 },
+      "gpt-4o": { input: 2.5, output: 10 },
+      "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+      "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+      "gpt-4.1": { input: 2, output: 8 },
+      "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+      "text-embedding-3-small": { input: 0.02, output: 0 },
+      "text-embedding-3-large": { input: 0.13, output: 0 },
+      "text-embedding-ada-002": { input: 0.1, output: 0 },
+      "claude-3-5-haiku": { input: 0.8, output: 4 },
+      "claude-3-haiku": { input: 0.25, output: 1.25 },
+      "claude-3-5-sonnet": { input: 3, output: 15 },
+      "claude-3-7-sonnet": { input: 3, output: 15 },
+      "claude-sonnet-4": { input: 3, output: 15 },
+      "claude-3-opus": { input: 15, output: 75 },
+      "claude-opus-4": { input: 15, output: 75 },
+      offline: { input: 0, output: 0 },
+    };
+  }
+
+  /**
+   * Estimated cost in USD of a { promptTokens, completionTokens } usage,
+   * or null when the model's price is unknown (e.g. local models)
+   */
+  static estimateCost(model, usage, prices = LLMProvider.PRICES) {
+    const match = Object.keys(prices)
+      .sort((a, b) => b.length - a.length)
+      .find((name) => (model || "").startsWith(name));
+    if (!match) return null;
+
+    return (
+      ((usage?.promptTokens || 0) * prices[match].input +
+        (usage?.completionTokens || 0) * prices[match].output) /
+      1e6
+    );
+  }
+
+  /**
+   * Build a provider from a window.CONFIG style object.
+   * `purpose` is "chat" or "embedding"; EMBEDDING_PROVIDER overrides
+   * LLM_PROVIDER for embeddings so chat and embeddings can be split.
+   */
+  static fromConfig(config = {}, purpose = "chat") {
+    const providerName = (
+      (purpose === "embedding" && config.EMBEDDING_PROVIDER) ||
+      config.LLM_PROVIDER ||
+      "openai"
+    ).toLowerCase();
+
+    switch (providerName) {
+      case "openai":
+        if (!config.OPENAI_API_KEY) {
+          throw new Error("OpenAI API key not found (OPENAI_API_KEY)");
+        }
+        return new OpenAIProvider({
+          apiKey: config.OPENAI_API_KEY,
+          baseUrl: config.OPENAI_BASE_URL,
+          model: config.LLM_MODEL || config.OPENAI_MODEL,
+          embeddingModel:
+            config.EMBEDDING_MODEL || config.OPENAI_EMBEDDING_MODEL,
+        });
+      case "anthropic":
+        if (!config.ANTHROPIC_API_KEY) {
+          throw new Error("Anthropic API key not found (ANTHROPIC_API_KEY)");
+        }
+        return new AnthropicProvider({
+          apiKey: config.ANTHROPIC_API_KEY,
+          baseUrl: config.ANTHROPIC_BASE_URL,
+          model: config.LLM_MODEL || config.ANTHROPIC_MODEL,
+        });
+      case "local":
+        return new LocalProvider({
+          apiKey: config.LOCAL_LLM_API_KEY,
+          baseUrl: config.LOCAL_LLM_BASE_URL,
+          model: config.LLM_MODEL || config.LOCAL_LLM_MODEL,
+          embeddingModel:
+            config.EMBEDDING_MODEL || config.LOCAL_EMBEDDING_MODEL,
+        });
+      case "proxy":
+        return new ProxyProvider({
+          baseUrl: config.PROXY_BASE_URL,
+          model: config.PROXY_MODEL,
+          embeddingModel: config.PROXY_EMBEDDING_MODEL,
+          embeddings: config.PROXY_EMBEDDINGS,
+        });
+      case "offline":
+        return new OfflineProvider();
+      default:
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+    }
+  }
+}
+
+/**
+ * OpenAI chat completions + embeddings
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "OpenAI";
+    this.baseUrl = (options.baseUrl || "https://api.openai.com/v1").replace(
+      /\/$/,
+      ""
+    );
+    this.model = options.model || "gpt-4o-mini";
+    this.embeddingModel = options.embeddingModel || "text-embedding-3-small";
+  }
+
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model: options.model || this.model,
+        messages,
+        temperature: options.temperature ?? 0.7,
+        max_tokens: options.maxTokens || 2000,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(
+        `${this.name} API error: ${data.error?.message || "Unknown error"}`
+      );
+    }
+
+    return {
+      content: data.choices?.[0]?.message?.content || "",
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: data.usage?.completion_tokens || 0,
+      },
+      model: data.model || options.model || this.model,
+      raw: data,
+    };
+  }
+
+  async embed(texts) {
+    const response = await fetch(`${this.baseUrl}/embeddings`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model: this.embeddingModel,
+        input: texts,
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.data) {
+      throw new Error(
+        `${this.name} API error: ${data.error?.message || "Unknown error"}`
+      );
+    }
+
+    return {
+      embeddings: data.data
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map((item) => item.embedding),
+      usage: {
+        promptTokens: data.usage?.prompt_tokens || 0,
+        completionTokens: 0,
+      },
+      model: this.embeddingModel,
+    };
+  }
+
+  supportsEmbeddings() {
+    return true;
+  }
+}
+
+/**
+ * Anthropic Messages API (no embeddings endpoint)
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "Anthropic";
+    this.baseUrl = (options.baseUrl || "https://api.anthropic.com/v1").replace(
+      /\/$/,
+      ""
+    );
+    this.model = options.model || "claude-3-5-haiku-latest";
+    this.apiVersion = options.apiVersion || "2023-06-01";
+  }
+
+  async chat(messages, options = {}) {
+    // Anthropic takes the system prompt as a top-level field
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+    const conversation = messages.filter((m) => m.role !== "system");
+
+    const body = {
+      model: options.model || this.model,
+      messages: conversation,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || 2000,
+    };
+    if (system) body.system = system;
+
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": this.apiKey,
+        "anthropic-version": this.apiVersion,
+        // Required for calls made straight from the browser
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(
+        `${this.name} API error: ${data.error?.message || "Unknown error"}`
+      );
+    }
+
+    return {
+      content: (data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0,
+      },
+      model: data.model || body.model,
+      raw: data,
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible local endpoint (Ollama, llama.cpp server, test mocks)
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      baseUrl: options.baseUrl || "http://localhost:11434/v1",
+      model: options.model || "llama3.1",
+      embeddingModel: options.embeddingModel || "nomic-embed-text",
+    });
+    this.name = "Local LLM";
+  }
+}
+
+/**
+ * The app's own backend (proxy-server.js). The server holds the API key,
+ * picks the model and enforces rate/spend limits per browser session.
+ */
+class ProxyProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "Proxy";
+    this.baseUrl = (options.baseUrl || "/api").replace(/\/$/, "");
+    this.model = options.model || "server default";
+    this.embeddingModel = options.embeddingModel || "server default";
+    this.embeddingsEnabled = options.embeddings !== false;
+  }
+
+  async post(path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "same-origin",
+      body: JSON.stringify(body),
+    });
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw new Error(`${this.name} error: HTTP ${response.status}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `${this.name} error: ${data.error?.message || "Unknown error"}`
+      );
+    }
+    return data;
+  }
+
+  async chat(messages, options = {}) {
+    const data = await this.post("/chat", {
+      messages,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+    });
+    return { ...data, raw: data };
+  }
+
+  async embed(texts) {
+    return this.post("/embeddings", { texts });
+  }
+
+  supportsEmbeddings() {
+    return this.embeddingsEnabled;
+  }
+}
+
+/**
+ * No network at all, for demos and air-gapped machines. Analysis uses the
+ * offline keyphrase extractor (keyphrase-extractor.js) and the
+ * SemanticAnalyzer uses its corpus TF-IDF vectors instead of embed(), which
+ * returns hashed term-frequency vectors. Chat is not available.
+ */
+class OfflineProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "Offline";
+    this.offline = true;
+    this.model = "offline-keyphrase";
+    this.embeddingModel = "offline-hashed-tf";
+    this.dimensions = options.dimensions || 384;
+  }
+
+  async chat(messages, options = {}) {
+    throw new Error(
+      "Chat needs an LLM provider (the offline provider only supports analysis)"
+    );
+  }
+
+  async embed(texts) {
+    return {
+      embeddings: texts.map((text) => this.hashedVector(text)),
+      usage: { promptTokens: 0, completionTokens: 0 },
+      model: this.embeddingModel,
+    };
+  }
+
+  supportsEmbeddings() {
+    return true;
+  }
+
+  /**
+   * Word counts hashed into a fixed number of dimensions, unit length
+   */
+  hashedVector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    (text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 2)
+      .forEach((word) => {
+        let hash = 0;
+        for (let i = 0; i < word.length; i++) {
+          hash = (hash * 31 + word.charCodeAt(i)) | 0;
+        }
+        vector[Math.abs(hash) % this.dimensions] += 1;
+      });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value ** 2, 0));
+    return norm > 0 ? vector.map((value) => value / norm) : vector;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.LLMProvider = LLMProvider;
+  window.OpenAIProvider = OpenAIProvider;
+  window.AnthropicProvider = AnthropicProvider;
+  window.LocalProvider = LocalProvider;
+  window.ProxyProvider = ProxyProvider;
+  window.OfflineProvider = OfflineProvider;
+} else if (typeof module !== "undefined") {
+  module.exports = {
+    LLMProvider,
+    OpenAIProvider,
+    AnthropicProvider,
+    LocalProvider,
+    ProxyProvider,
+    OfflineProvider,
+  };
+}
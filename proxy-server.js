@@ -0,0 +1,544 @@
+#!/usr/bin/env node
+/**
+ * Local Backend Proxy
+ *
+ * Serves the app and forwards its model calls so the API key never reaches
+ * the browser:
+ *
+ *   OPENAI_API_KEY=sk-... node proxy-server.js --port 8080
+ *
+ * - Serves enhanced-analyzer.html and its scripts (nothing else in the
+ *   folder); /config.js is generated with LLM_PROVIDER "proxy" and no keys
+ * - POST /api/chat and /api/embeddings call the configured provider with the
+ *   server-side key (see ProxyProvider in llm-providers.js)
+ * - Request rate and spend limits per session (cookie) and per client
+ *   address, so dropping the cookie doesn't reset them
+ * - GET /api/usage reports the caller's usage; every call is appended to a
+ *   JSON-lines usage log (~/.cache/connect-the-docs/proxy-usage.log)
+ *
+ * Provider settings are read like the CLI: --config file, then environment
+ * variables, then --provider / --model flags.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const os = require("os");
+const { LLMProvider } = require("./llm-providers.js");
+const ConnectTheDocsCLI = require("./connect-the-docs.js");
+
+// The app page and the scripts it loads; nothing else is served
+const CLIENT_ASSETS = [
+  "enhanced-analyzer.html",
+  "llm-providers.js",
+  "usage-tracker.js",
+  "theme-storage-system.js",
+  "embedding-cache.js",
+  "corpus-index.js",
+  "semantic-analyzer.js",
+  "enhanced-prompts.js",
+  "analysis-validator.js",
+  "keyphrase-extractor.js",
+  "search-index.js",
+  "evidence-locator.js",
+  "analysis-snapshots.js",
+  "community-detector.js",
+  "graph-analytics.js",
+  "document-connection-analyzer.js",
+  "session-store.js",
+  "graph-exporter.js",
+  "force-layout.js",
+  "layout-presets.js",
+  "instanced-graph-renderer.js",
+];
+
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+};
+
+const SESSION_COOKIE = "ctd_session";
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 1000;
+
+class ProxyServer {
+  /**
+   * @param {object} config - window.CONFIG style object with the API keys
+   * @param {object} options - { port, host, root, rateLimitPerMinute,
+   *   sessionSpendLimit (USD), maxTokens, usageLog (file path or null),
+   *   log } - log receives the startup and per-call messages
+   *   (console.log by default)
+   */
+  static get CLIENT_ASSETS() {
+    return CLIENT_ASSETS;
+  }
+
+  constructor(config, options = {}) {
+    this.config = config;
+    this.port = options.port ?? 8080;
+    this.host = options.host || "127.0.0.1";
+    this.root = path.resolve(options.root || __dirname);
+    this.rateLimitPerMinute =
+      options.rateLimitPerMinute ?? Number(config.PROXY_RATE_LIMIT || 30);
+    this.sessionSpendLimit =
+      options.sessionSpendLimit ??
+      Number(config.PROXY_SESSION_SPEND_LIMIT || 1);
+    this.maxTokens =
+      options.maxTokens ?? Number(config.PROXY_MAX_TOKENS || 4000);
+    this.usageLog =
+      options.usageLog !== undefined
+        ? options.usageLog
+        : config.PROXY_USAGE_LOG ||
+          path.join(
+            os.homedir(),
+            ".cache",
+            "connect-the-docs",
+            "proxy-usage.log"
+          );
+    this.log = options.log || ((...args) => console.log(...args));
+    this.prices = { ...LLMProvider.PRICES, ...config.MODEL_PRICES };
+
+    this.llmProvider = LLMProvider.fromConfig(config, "chat");
+    try {
+      const embeddingProvider = LLMProvider.fromConfig(config, "embedding");
+      this.embeddingProvider = embeddingProvider.supportsEmbeddings()
+        ? embeddingProvider
+        : null;
+    } catch (error) {
+      this.embeddingProvider = null;
+    }
+
+    // Least recently seen first (see touch)
+    this.sessions = new Map(); // id -> usage and recent request times
+    this.clients = new Map(); // address -> spend and recent request times
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  start() {
+    if (this.usageLog) {
+      fs.mkdirSync(path.dirname(path.resolve(this.usageLog)), {
+        recursive: true,
+      });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.log(
+          `🔐 Proxy serving http://${this.host}:${port}/ with ${this.llmProvider.name} (${this.llmProvider.model})`
+        );
+        resolve(this.server);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    try {
+      if (url.pathname === "/api/chat" && req.method === "POST") {
+        await this.handleModelCall(req, res, "chat");
+      } else if (url.pathname === "/api/embeddings" && req.method === "POST") {
+        await this.handleModelCall(req, res, "embeddings");
+      } else if (url.pathname === "/api/usage" && req.method === "GET") {
+        const session = this.getSession(req, res);
+        this.sendJSON(res, 200, this.describeSession(session));
+      } else if (url.pathname.startsWith("/api/")) {
+        this.sendError(res, 404, "Unknown API endpoint");
+      } else if (req.method === "GET" || req.method === "HEAD") {
+        this.serveStatic(req, res, url.pathname);
+      } else {
+        this.sendError(res, 405, "Method not allowed");
+      }
+    } catch (error) {
+      console.error("❌ Proxy request failed:", error);
+      if (!res.headersSent) {
+        this.sendError(res, 500, "Proxy error");
+      }
+    }
+  }
+
+  /**
+   * Forward a chat or embeddings call after checking the session's limits
+   */
+  async handleModelCall(req, res, kind) {
+    const session = this.getSession(req, res);
+    const client = this.getClient(req);
+    const limitError = this.checkLimits(session, client);
+    if (limitError) {
+      this.logUsage(session, { kind, status: 429, error: limitError });
+      this.sendError(res, 429, limitError);
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+      return;
+    }
+
+    const started = Date.now();
+    session.requestTimes.push(started);
+    client.requestTimes.push(started);
+
+    let result;
+    try {
+      result =
+        kind === "chat"
+          ? await this.forwardChat(body)
+          : await this.forwardEmbeddings(body);
+    } catch (error) {
+      const status = error.statusCode || 502;
+      this.logUsage(session, { kind, status, error: error.message });
+      this.sendError(res, status, error.message);
+      return;
+    }
+
+    const cost =
+      LLMProvider.estimateCost(result.model, result.usage, this.prices) || 0;
+    session.requests++;
+    session.promptTokens += result.usage?.promptTokens || 0;
+    session.completionTokens += result.usage?.completionTokens || 0;
+    session.cost += cost;
+    client.cost += cost;
+
+    this.logUsage(session, {
+      kind,
+      status: 200,
+      model: result.model,
+      promptTokens: result.usage?.promptTokens || 0,
+      completionTokens: result.usage?.completionTokens || 0,
+      cost,
+      durationMs: Date.now() - started,
+    });
+    this.sendJSON(res, 200, result);
+  }
+
+  async forwardChat(body) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      throw Object.assign(new Error("messages must be a non-empty array"), {
+        statusCode: 400,
+      });
+    }
+
+    // The server picks the model; the client only controls sampling
+    const { content, usage, model } = await this.llmProvider.chat(
+      body.messages,
+      {
+        temperature: body.temperature,
+        maxTokens: Math.min(body.maxTokens || 2000, this.maxTokens),
+      }
+    );
+    return { content, usage, model };
+  }
+
+  async forwardEmbeddings(body) {
+    if (!this.embeddingProvider) {
+      throw Object.assign(new Error("Embeddings are not configured"), {
+        statusCode: 501,
+      });
+    }
+    if (
+      !Array.isArray(body.texts) ||
+      !body.texts.every((text) => typeof text === "string")
+    ) {
+      throw Object.assign(new Error("texts must be an array of strings"), {
+        statusCode: 400,
+      });
+    }
+
+    const { embeddings, usage, model } = await this.embeddingProvider.embed(
+      body.texts
+    );
+    return { embeddings, usage, model };
+  }
+
+  /**
+   * Returns an error message when the session or the client address is
+   * over a limit
+   */
+  checkLimits(session, client) {
+    const now = Date.now();
+    for (const [usage, owner] of [
+      [session, "this session"],
+      [client, "this address"],
+    ]) {
+      usage.requestTimes = usage.requestTimes.filter(
+        (time) => now - time < 60000
+      );
+
+      if (
+        this.rateLimitPerMinute > 0 &&
+        usage.requestTimes.length >= this.rateLimitPerMinute
+      ) {
+        return `Rate limit reached (${this.rateLimitPerMinute} requests per minute). Try again shortly.`;
+      }
+      if (this.sessionSpendLimit > 0 && usage.cost >= this.sessionSpendLimit) {
+        return `Spend limit reached for ${owner} ($${this.sessionSpendLimit.toFixed(
+          2
+        )})`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Usage of the caller's address across all its sessions
+   */
+  getClient(req) {
+    const address = req.socket.remoteAddress || "unknown";
+    if (!this.clients.has(address)) {
+      this.pruneIdle(this.clients);
+      this.clients.set(address, {
+        address,
+        cost: 0,
+        requestTimes: [],
+        lastSeen: Date.now(),
+      });
+    }
+    return this.touch(this.clients, address);
+  }
+
+  /**
+   * Find or create the caller's session from its cookie
+   */
+  getSession(req, res) {
+    const cookies = Object.fromEntries(
+      (req.headers.cookie || "")
+        .split(";")
+        .map((part) => part.trim().split("="))
+        .filter(([name]) => name)
+    );
+
+    let id = cookies[SESSION_COOKIE];
+    if (!id || !this.sessions.has(id)) {
+      this.pruneIdle(this.sessions);
+      id = crypto.randomUUID();
+      this.sessions.set(id, {
+        id,
+        createdAt: new Date().toISOString(),
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cost: 0,
+        requestTimes: [],
+        lastSeen: Date.now(),
+      });
+      res.setHeader(
+        "Set-Cookie",
+        `${SESSION_COOKIE}=${id}; HttpOnly; SameSite=Strict; Path=/`
+      );
+    }
+    return this.touch(this.sessions, id);
+  }
+
+  /**
+   * Mark an entry as just seen by moving it to the end of its map
+   */
+  touch(map, key) {
+    const entry = map.get(key);
+    entry.lastSeen = Date.now();
+    map.delete(key);
+    map.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Forget sessions or addresses idle for a day, and the least recently
+   * seen ones beyond MAX_SESSIONS (their usage stays in the log)
+   */
+  pruneIdle(map) {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [key, entry] of map) {
+      if (entry.lastSeen >= cutoff && map.size < MAX_SESSIONS) break;
+      map.delete(key);
+    }
+  }
+
+  describeSession(session) {
+    return {
+      requests: session.requests,
+      promptTokens: session.promptTokens,
+      completionTokens: session.completionTokens,
+      cost: session.cost,
+      limits: {
+        requestsPerMinute: this.rateLimitPerMinute,
+        spendUSD: this.sessionSpendLimit,
+      },
+      model: this.llmProvider.model,
+      embeddingModel: this.embeddingProvider?.embeddingModel || null,
+    };
+  }
+
+  logUsage(session, entry) {
+    const record = {
+      time: new Date().toISOString(),
+      session: session.id.slice(0, 8),
+      ...entry,
+    };
+
+    const cost =
+      typeof record.cost === "number" ? ` $${record.cost.toFixed(5)}` : "";
+    this.log(
+      `📊 ${record.session} ${record.kind} ${record.status}` +
+        (record.model
+          ? ` ${record.model} ${record.promptTokens}+${record.completionTokens} tokens${cost}`
+          : ` ${record.error}`)
+    );
+
+    if (this.usageLog) {
+      fs.appendFile(this.usageLog, JSON.stringify(record) + "\n", (error) => {
+        if (error) console.warn("Could not write usage log:", error.message);
+      });
+    }
+  }
+
+  /**
+   * The app's client assets (CLIENT_ASSETS) from the app folder, and a
+   * key-free config.js. Any other path is a 404, so the real config.js,
+   * the server's own files and logs are never served.
+   */
+  serveStatic(req, res, pathname) {
+    if (pathname === "/") pathname = "/enhanced-analyzer.html";
+
+    let name;
+    try {
+      name = path.posix.normalize(decodeURIComponent(pathname)).slice(1);
+    } catch (error) {
+      this.sendError(res, 400, "Bad request");
+      return;
+    }
+
+    if (name === "config.js") {
+      this.send(res, 200, STATIC_TYPES[".js"], this.clientConfigScript());
+      return;
+    }
+
+    const filePath = path.join(this.root, name);
+    if (!CLIENT_ASSETS.includes(name) || !fs.existsSync(filePath)) {
+      this.sendError(res, 404, "Not found");
+      return;
+    }
+
+    this.send(
+      res,
+      200,
+      STATIC_TYPES[path.extname(name)],
+      req.method === "HEAD" ? "" : fs.readFileSync(filePath)
+    );
+  }
+
+  clientConfigScript() {
+    const clientConfig = {
+      LLM_PROVIDER: "proxy",
+      PROXY_BASE_URL: "/api",
+      PROXY_MODEL: this.llmProvider.model,
+      PROXY_EMBEDDING_MODEL: this.embeddingProvider?.embeddingModel,
+      PROXY_EMBEDDINGS: Boolean(this.embeddingProvider),
+      EMBEDDING_CACHE_MAX_ENTRIES: this.config.EMBEDDING_CACHE_MAX_ENTRIES,
+      COST_CONFIRM_THRESHOLD: this.config.COST_CONFIRM_THRESHOLD,
+      MODEL_PRICES: this.config.MODEL_PRICES,
+    };
+    return `// Generated by proxy-server.js - API keys stay on the server\nwindow.CONFIG = ${JSON.stringify(
+      clientConfig,
+      null,
+      2
+    )};\n`;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error("Request body too large"));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+      req.on("error", reject);
+    });
+  }
+
+  send(res, status, type, body) {
+    res.writeHead(status, {
+      "Content-Type": type,
+      "Cache-Control": "no-store",
+    });
+    res.end(body);
+  }
+
+  sendJSON(res, status, data) {
+    this.send(res, status, "application/json", JSON.stringify(data));
+  }
+
+  sendError(res, status, message) {
+    this.sendJSON(res, status, { error: { message } });
+  }
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+
+  if (args.includes("-h") || args.includes("--help")) {
+    console.log(`Usage: node proxy-server.js [options]
+
+Options:
+  --port <n>           Port (default: 8080)
+  --host <address>     Interface to listen on (default: 127.0.0.1)
+  --config <file>      config.js or .json file with the API keys
+  --provider <name>    LLM provider: openai, anthropic or local
+  --model <name>       Chat model
+  --rate-limit <n>     Requests per minute per session and per address
+                       (default: 30, 0 = off)
+  --spend-limit <usd>  Estimated spend per session and per address
+                       (default: 1, 0 = off)
+  --usage-log <file>   JSON-lines usage log
+                       (default: ~/.cache/connect-the-docs/proxy-usage.log)`);
+  } else {
+    try {
+      const config = new ConnectTheDocsCLI().loadConfig({
+        config: flag("--config"),
+        provider: flag("--provider"),
+        model: flag("--model"),
+      });
+      const number = (value) =>
+        value === undefined ? undefined : Number(value);
+
+      new ProxyServer(config, {
+        port: number(flag("--port")),
+        host: flag("--host"),
+        rateLimitPerMinute: number(flag("--rate-limit")),
+        sessionSpendLimit: number(flag("--spend-limit")),
+        usageLog: flag("--usage-log"),
+      })
+        .start()
+        .catch((error) => {
+          console.error(`❌ ${error.message}`);
+          process.exitCode = 1;
+        });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = ProxyServer;
@@ -0,0 +1,601 @@
+/**
+ * Search Index
+ *
+ * Full-text search over what the documents say, not just node labels:
+ * - Inverted index with token positions over document passages, document
+ *   titles, theme labels and contexts, and definitions
+ * - Words, "quoted phrases" and prefix* terms (the last word while typing
+ *   is matched as a prefix too)
+ * - BM25 ranking with field boosts, one result per graph node; documents
+ *   containing a query phrase rank above labels that only name it
+ * - Snippets around the best match with highlight ranges
+ * - Optional semantic mode: passages and query compared by embedding
+ *
+ * The index is rebuilt from ThemeStorageSystem on the first search after
+ * invalidate(); building is linear in the total text length.
+ */
+
+class SearchIndex {
+  constructor(options = {}) {
+    this.passageLength = options.passageLength || 600;
+    this.snippetLength = options.snippetLength || 180;
+    this.maxPrefixExpansions = options.maxPrefixExpansions || 50;
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.clear();
+  }
+
+  /**
+   * Score multipliers per field
+   */
+  static get FIELD_BOOSTS() {
+    return { title: 2.0, definition: 1.3, context: 0.9, content: 1.0 };
+  }
+
+  clear() {
+    this.entries = new Map(); // entryId -> entry
+    this.postings = new Map(); // term -> Map<entryId, token positions>
+    this.totalLength = 0;
+    this.sortedTerms = null; // for prefix lookups, built on demand
+    this.embeddings = new Map(); // entryId -> embedding (semantic mode)
+    this.stale = true;
+  }
+
+  /**
+   * Mark the index out of date; the next search rebuilds it
+   */
+  invalidate() {
+    this.stale = true;
+  }
+
+  /**
+   * Index the given documents with their themes and definitions
+   */
+  build(themeStorage, documentIds) {
+    this.clear();
+    const seenThemes = new Set();
+    const seenDefinitions = new Set();
+
+    documentIds.forEach((docId) => {
+      const doc = themeStorage.documents.get(docId);
+      if (!doc) return;
+
+      this.addEntry({
+        kind: "document",
+        field: "title",
+        nodeId: docId,
+        documentId: docId,
+        title: doc.title,
+        text: doc.title || "",
+        offset: null,
+      });
+      this.splitPassages(doc.content || "").forEach((passage) => {
+        this.addEntry({
+          kind: "document",
+          field: "content",
+          nodeId: docId,
+          documentId: docId,
+          title: doc.title,
+          text: passage.text,
+          offset: passage.start,
+        });
+      });
+
+      (themeStorage.themesByDocument.get(docId) || []).forEach((themeId) => {
+        const theme = themeStorage.themes.get(themeId);
+        if (!theme) return;
+
+        if (!seenThemes.has(themeId)) {
+          seenThemes.add(themeId);
+          this.addEntry({
+            kind: "theme",
+            field: "title",
+            nodeId: themeId,
+            documentId: docId,
+            title: theme.label,
+            text: theme.label,
+            offset: null,
+          });
+        }
+        const context = themeStorage.linkMetadata?.get(
+          `${docId}-${themeId}`
+        )?.context;
+        if (context) {
+          this.addEntry({
+            kind: "theme",
+            field: "context",
+            nodeId: themeId,
+            documentId: docId,
+            title: theme.label,
+            text: context,
+            offset: null,
+          });
+        }
+      });
+
+      (themeStorage.definitionsByDocument.get(docId) || []).forEach((defId) => {
+        // Each document's own wording, once per distinct wording
+        const def = themeStorage.definitions.get(defId);
+        const wording =
+          themeStorage.linkMetadata?.get(`${docId}-${defId}`)?.definition ||
+          def?.definition;
+        if (!def || seenDefinitions.has(`${defId}|${wording}`)) return;
+
+        seenDefinitions.add(`${defId}|${wording}`);
+        this.addEntry({
+          kind: "definition",
+          field: "definition",
+          nodeId: defId,
+          documentId: docId,
+          title: def.term,
+          text: `${def.term}: ${wording}`,
+          offset: null,
+        });
+      });
+    });
+
+    this.stale = false;
+    return this.getStats();
+  }
+
+  addEntry(entry) {
+    const id = this.entries.size;
+    const tokens = SearchIndex.tokenize(entry.text);
+
+    tokens.forEach((token, position) => {
+      if (!this.postings.has(token.term)) {
+        this.postings.set(token.term, new Map());
+      }
+      const entryPostings = this.postings.get(token.term);
+      if (!entryPostings.has(id)) entryPostings.set(id, []);
+      entryPostings.get(id).push(position);
+    });
+
+    this.entries.set(id, { ...entry, id, length: tokens.length });
+    this.totalLength += tokens.length;
+    this.sortedTerms = null;
+    return id;
+  }
+
+  /**
+   * Lowercased words with their character ranges in the original text.
+   * Accents are folded so "café" matches "cafe"; a trailing "++" or "#"
+   * stays part of the word so "C++" and "C#" don't collapse into "c".
+   */
+  static tokenize(text) {
+    const tokens = [];
+    const words = /[\p{L}\p{N}]+(?:\+\+|#)?(?![\p{L}\p{N}])/gu;
+    for (const match of (text || "").matchAll(words)) {
+      tokens.push({
+        term: match[0].normalize("NFD").replace(/\p{M}/gu, "").toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Split text into passages of about passageLength characters, breaking
+   * at sentence ends and preferring paragraph breaks
+   */
+  splitPassages(text) {
+    const passages = [];
+    let start = -1;
+    let end = 0;
+    const flush = () => {
+      if (start >= 0) passages.push({ start, text: text.slice(start, end) });
+      start = -1;
+    };
+
+    for (const match of text.matchAll(/[^.!?\n]+[.!?]*["')\]]*/g)) {
+      const leading = match[0].length - match[0].trimStart().length;
+      if (leading === match[0].length) continue;
+
+      const pieceStart = match.index + leading;
+      const pieceEnd = match.index + match[0].trimEnd().length;
+      const paragraphBreak = /\n\s*\n/.test(text.slice(end, pieceStart));
+      if (
+        start >= 0 &&
+        (pieceEnd - start > this.passageLength ||
+          (paragraphBreak && end - start >= this.passageLength / 3))
+      ) {
+        flush();
+      }
+      if (start < 0) start = pieceStart;
+      end = pieceEnd;
+    }
+    flush();
+    return passages;
+  }
+
+  /**
+   * Split a query into phrase and term clauses. A trailing "*" makes a
+   * term a prefix; with prefixLastTerm, so does typing without a final
+   * space, unless the word ends in a symbol ("c++", "grid.") and is
+   * already complete.
+   */
+  parseQuery(query, prefixLastTerm = false) {
+    const clauses = [];
+    for (const match of (query || "").matchAll(/"([^"]*)"?|(\S+)/g)) {
+      const quoted = match[1] !== undefined;
+      const terms = SearchIndex.tokenize(quoted ? match[1] : match[2]).map(
+        (token) => token.term
+      );
+      if (terms.length === 0) continue;
+
+      if (quoted || terms.length > 1) {
+        clauses.push({ type: "phrase", terms, required: quoted });
+      } else {
+        clauses.push({
+          type: "term",
+          term: terms[0],
+          prefix: match[2].endsWith("*"),
+        });
+      }
+    }
+
+    const last = clauses[clauses.length - 1];
+    if (
+      prefixLastTerm &&
+      last?.type === "term" &&
+      /[\p{L}\p{N}]$/u.test(query)
+    ) {
+      last.prefix = true;
+    }
+    return clauses;
+  }
+
+  /**
+   * Vocabulary terms starting with prefix (exact term first)
+   */
+  expandPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedTerms[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sortedTerms.length; i++) {
+      if (!this.sortedTerms[i].startsWith(prefix)) break;
+      terms.push(this.sortedTerms[i]);
+    }
+    // Prefer the most frequent completions when there are too many
+    return terms
+      .sort(
+        (a, b) =>
+          (a === prefix ? -1 : 0) - (b === prefix ? -1 : 0) ||
+          this.postings.get(b).size - this.postings.get(a).size
+      )
+      .slice(0, this.maxPrefixExpansions);
+  }
+
+  idf(term) {
+    const frequency = this.postings.get(term)?.size || 0;
+    return Math.log(
+      1 + (this.entries.size - frequency + 0.5) / (frequency + 0.5)
+    );
+  }
+
+  bm25Term(idf, frequency, entry) {
+    const averageLength = this.totalLength / this.entries.size || 1;
+    const lengthNorm = 1 - this.b + (this.b * entry.length) / averageLength;
+    return (
+      (idf * frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm)
+    );
+  }
+
+  /**
+   * Entries matching a clause: Map entryId -> { score, positions }
+   */
+  matchClause(clause) {
+    const matches = new Map();
+    const add = (entryId, score, positions) => {
+      const match = matches.get(entryId) || { score: 0, positions: [] };
+      match.score = Math.max(match.score, score);
+      match.positions.push(...positions);
+      matches.set(entryId, match);
+    };
+
+    if (clause.type === "term") {
+      const terms = clause.prefix
+        ? this.expandPrefix(clause.term)
+        : [clause.term];
+      terms.forEach((term) => {
+        const idf = this.idf(term);
+        // Completions rank below the exact word
+        const weight = term === clause.term ? 1 : 0.7;
+        this.postings.get(term)?.forEach((positions, entryId) => {
+          const entry = this.entries.get(entryId);
+          const score = weight * this.bm25Term(idf, positions.length, entry);
+          add(entryId, score, positions);
+        });
+      });
+      return matches;
+    }
+
+    // Phrase: every term at consecutive positions
+    const [first, ...rest] = clause.terms;
+    const idf = clause.terms.reduce((sum, term) => sum + this.idf(term), 0);
+    this.postings.get(first)?.forEach((firstPositions, entryId) => {
+      const restPositions = rest.map((term) =>
+        this.postings.get(term)?.get(entryId)
+      );
+      if (restPositions.some((positions) => !positions)) return;
+
+      const restSets = restPositions.map((positions) => new Set(positions));
+      const starts = firstPositions.filter((position) =>
+        restSets.every((set, i) => set.has(position + i + 1))
+      );
+      if (starts.length === 0) return;
+
+      const entry = this.entries.get(entryId);
+      add(
+        entryId,
+        1.5 * this.bm25Term(idf, starts.length, entry),
+        starts.flatMap((start) => clause.terms.map((term, i) => start + i))
+      );
+    });
+    return matches;
+  }
+
+  /**
+   * Keyword search. Results are one per graph node, best first:
+   * { nodeId, documentId, kind, title, field, score, matchCount, snippet }
+   *
+   * @param {string} query - words, "quoted phrases" and prefix* terms
+   * @param {object} options - { limit, prefixLastTerm, kinds }
+   */
+  search(query, options = {}) {
+    const { limit = 10, prefixLastTerm = true, kinds = null } = options;
+    const clauses = this.parseQuery(query, prefixLastTerm);
+    if (clauses.length === 0 || this.entries.size === 0) return [];
+
+    const clauseMatches = clauses.map((clause) => this.matchClause(clause));
+    // Rare words count for more when checking how much of the query matched
+    const clauseWeights = clauses.map((clause) =>
+      (clause.terms || [clause.term]).reduce(
+        (sum, term) => sum + this.idf(term),
+        0
+      )
+    );
+    const totalWeight = clauseWeights.reduce((sum, weight) => sum + weight, 0);
+    const candidates = new Set();
+    clauseMatches.forEach((matches) =>
+      matches.forEach((match, entryId) => candidates.add(entryId))
+    );
+
+    const scored = [];
+    candidates.forEach((entryId) => {
+      const entry = this.entries.get(entryId);
+      if (kinds && !kinds.includes(entry.kind)) return;
+
+      let score = 0;
+      let matchedWeight = 0;
+      let phraseHit = false;
+      const positions = [];
+      for (let i = 0; i < clauses.length; i++) {
+        const match = clauseMatches[i].get(entryId);
+        if (!match) {
+          if (clauses[i].required) return;
+          continue;
+        }
+        score += match.score;
+        matchedWeight += clauseWeights[i];
+        phraseHit = phraseHit || clauses[i].type === "phrase";
+        positions.push(...match.positions);
+      }
+
+      // Entries matching every clause rank above partial matches
+      const coverage = matchedWeight / totalWeight;
+      score *= coverage * coverage * SearchIndex.FIELD_BOOSTS[entry.field];
+      // A document containing the phrase outranks short theme and
+      // definition labels that merely name it
+      const tier = phraseHit && entry.kind === "document" ? 1 : 0;
+      scored.push({ entry, score, tier, positions });
+    });
+
+    return this.groupByNode(scored, limit).map(
+      ({ entry, score, count, positions }) =>
+        this.formatResult(
+          entry,
+          score,
+          count,
+          this.createSnippet(entry, positions)
+        )
+    );
+  }
+
+  /**
+   * Semantic search: cosine similarity between the query's embedding and
+   * each entry's. Entry embeddings are computed on first use and kept
+   * until the index is rebuilt.
+   *
+   * @param {string} query
+   * @param {function} embed - async (texts) => embeddings
+   * @param {object} options - { limit, minSimilarity, kinds }
+   */
+  async semanticSearch(query, embed, options = {}) {
+    const { limit = 10, minSimilarity = 0.15, kinds = null } = options;
+    if (!query?.trim() || this.entries.size === 0) return [];
+
+    const entries = Array.from(this.entries.values()).filter(
+      (entry) => !kinds || kinds.includes(entry.kind)
+    );
+    const missing = entries.filter((entry) => !this.embeddings.has(entry.id));
+    for (let i = 0; i < missing.length; i += 100) {
+      const batch = missing.slice(i, i + 100);
+      const embeddings = await embed(batch.map((entry) => entry.text));
+      batch.forEach((entry, j) => this.embeddings.set(entry.id, embeddings[j]));
+    }
+
+    const [queryEmbedding] = await embed([query]);
+    const queryTerms = new Set(
+      SearchIndex.tokenize(query).map((token) => token.term)
+    );
+    const scored = entries
+      .map((entry) => ({
+        entry,
+        score: SearchIndex.cosine(
+          queryEmbedding,
+          this.embeddings.get(entry.id)
+        ),
+      }))
+      .filter((result) => result.score >= minSimilarity);
+
+    return this.groupByNode(scored, limit).map(({ entry, score, count }) => {
+      const positions = SearchIndex.tokenize(entry.text)
+        .map((token, position) => (queryTerms.has(token.term) ? position : -1))
+        .filter((position) => position >= 0);
+      return this.formatResult(
+        entry,
+        score,
+        count,
+        this.createSnippet(entry, positions)
+      );
+    });
+  }
+
+  /**
+   * Best entry per node, with the number of matching entries. Results
+   * with a higher tier (phrase hits in documents) come first.
+   */
+  groupByNode(scored, limit) {
+    const compare = (a, b) =>
+      (b.tier || 0) - (a.tier || 0) || b.score - a.score;
+    const byNode = new Map();
+    scored.forEach((result) => {
+      const best = byNode.get(result.entry.nodeId);
+      if (!best) {
+        byNode.set(result.entry.nodeId, { ...result, count: 1 });
+      } else {
+        best.count++;
+        if (compare(result, best) < 0) {
+          Object.assign(best, result, { count: best.count });
+        }
+      }
+    });
+
+    return Array.from(byNode.values()).sort(compare).slice(0, limit);
+  }
+
+  formatResult(entry, score, matchCount, snippet) {
+    return {
+      nodeId: entry.nodeId,
+      documentId: entry.documentId,
+      kind: entry.kind,
+      title: entry.title,
+      field: entry.field,
+      score: Math.round(score * 1000) / 1000,
+      matchCount,
+      snippet,
+    };
+  }
+
+  /**
+   * Text around the densest group of matched tokens:
+   * { text, highlights: [[start, end]], offset } with highlight ranges
+   * relative to text and offset the position in the document content
+   * (null for titles, theme contexts and definitions)
+   */
+  createSnippet(entry, positions) {
+    const text = entry.text;
+    const tokens = SearchIndex.tokenize(text);
+    const matched = Array.from(new Set(positions))
+      .sort((a, b) => a - b)
+      .map((position) => tokens[position])
+      .filter(Boolean);
+
+    // Window start: the matched token followed by the most matches
+    let best = 0;
+    let bestCount = 0;
+    matched.forEach((token, i) => {
+      let count = 0;
+      for (let j = i; j < matched.length; j++) {
+        if (matched[j].end - token.start > this.snippetLength) break;
+        count++;
+      }
+      if (count > bestCount) {
+        best = i;
+        bestCount = count;
+      }
+    });
+
+    let start = 0;
+    if (matched.length > 0 && text.length > this.snippetLength) {
+      start = Math.max(0, matched[best].start - 40);
+      const space = text.lastIndexOf(" ", matched[best].start);
+      if (start > 0 && space >= start) start = space + 1;
+    }
+    let end = Math.min(text.length, start + this.snippetLength);
+    if (end < text.length) {
+      const space = text.lastIndexOf(" ", end);
+      if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? "…" : "";
+    const highlights = [];
+    matched
+      .filter((token) => token.start >= start && token.end <= end)
+      .forEach((token) => {
+        const range = [
+          token.start - start + prefix.length,
+          token.end - start + prefix.length,
+        ];
+        const previous = highlights[highlights.length - 1];
+        // Merge the words of a phrase into one highlight
+        if (previous && range[0] - previous[1] <= 1) {
+          previous[1] = range[1];
+        } else {
+          highlights.push(range);
+        }
+      });
+
+    return {
+      text: prefix + text.slice(start, end) + (end < text.length ? "…" : ""),
+      highlights,
+      offset:
+        entry.offset === null
+          ? null
+          : entry.offset + (matched[best]?.start ?? 0),
+    };
+  }
+
+  static cosine(vecA, vecB) {
+    if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < vecA.length; i++) {
+      dot += vecA[i] * vecB[i];
+      normA += vecA[i] * vecA[i];
+      normB += vecB[i] * vecB[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.size,
+      terms: this.postings.size,
+      embeddedEntries: this.embeddings.size,
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.SearchIndex = SearchIndex;
+} else if (typeof module !== "undefined") {
+  module.exports = SearchIndex;
+}
@@ -3,16 +3,27 @@
  *
  * Provides advanced semantic analysis capabilities for theme identification
  * and document relationship scoring using multiple approaches:
- * - OpenAI embeddings for semantic similarity
- * - TF-IDF with cosine similarity as fallback
+ * - Provider embeddings (OpenAI or local) for semantic similarity
+ * - Corpus TF-IDF / BM25 index (corpus-index.js) as the embedding fallback
+ *   and as a lexical signal in relationship scores
  * - N-gram analysis for syntactic similarity
  * - Conceptual clustering based on semantic groups
  */
 
 class SemanticAnalyzer {
-  constructor(apiKey) {
+  constructor(
+    apiKey,
+    embeddingProvider = null,
+    embeddingCache = null,
+    usageTracker = null
+  ) {
     this.apiKey = apiKey;
-    this.embeddingsCache = new Map();
+    this.embeddingProvider = embeddingProvider || new OfflineProvider();
+    // Persistent across reloads (IndexedDB) / runs (file under Node)
+    this.embeddingCache = embeddingCache || new EmbeddingCache();
+    this.usageTracker = usageTracker;
+    this.stopWords = new Set(KeyphraseExtractor.STOP_WORDS);
+    this.corpusIndex = this.createCorpusIndex();
     this.similarityCache = new Map();
     this.conceptClusters = new Map();
 
@@ -21,22 +32,28 @@ class SemanticAnalyzer {
   }
 
   /**
-   * Get embeddings from OpenAI API with caching
+   * Get embeddings from the configured provider with caching
    */
   async getEmbeddings(texts) {
+    // Offline: corpus TF-IDF vectors, not cached since the IDF changes with
+    // the corpus
+    if (this.embeddingProvider.offline) {
+      return texts.map((text) => this.createFallbackEmbedding(text.trim()));
+    }
+
     const results = [];
     const textsToFetch = [];
     const indices = [];
+    const cacheKey = this.getEmbeddingModelKey();
+    const trimmedTexts = texts.map((text) => text.trim());
 
     // Check cache first
-    for (let i = 0; i < texts.length; i++) {
-      const text = texts[i].trim();
-      const cacheKey = this.hashString(text);
-
-      if (this.embeddingsCache.has(cacheKey)) {
-        results[i] = this.embeddingsCache.get(cacheKey);
+    const cached = await this.embeddingCache.getMany(cacheKey, trimmedTexts);
+    for (let i = 0; i < trimmedTexts.length; i++) {
+      if (cached[i]) {
+        results[i] = cached[i];
       } else {
-        textsToFetch.push(text);
+        textsToFetch.push(trimmedTexts[i]);
         indices.push(i);
       }
     }
@@ -44,30 +61,19 @@ class SemanticAnalyzer {
     // Fetch missing embeddings
     if (textsToFetch.length > 0) {
       try {
-        const response = await fetch("https://api.openai.com/v1/embeddings", {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            model: "text-embedding-3-small",
-            input: textsToFetch,
-          }),
-        });
-
-        const data = await response.json();
-
-        if (data.data) {
-          data.data.forEach((embedding, idx) => {
-            const originalIndex = indices[idx];
-            const text = textsToFetch[idx];
-            const cacheKey = this.hashString(text);
+        const { embeddings, usage, model } = await this.embeddingProvider.embed(
+          textsToFetch
+        );
+        this.usageTracker?.record(
+          "embeddings",
+          model || this.embeddingProvider.embeddingModel,
+          usage
+        );
 
-            results[originalIndex] = embedding.embedding;
-            this.embeddingsCache.set(cacheKey, embedding.embedding);
-          });
-        }
+        embeddings.forEach((embedding, idx) => {
+          results[indices[idx]] = embedding;
+        });
+        await this.embeddingCache.setMany(cacheKey, textsToFetch, embeddings);
       } catch (error) {
         console.warn(
           "Failed to fetch embeddings, using fallback similarity:",
@@ -86,6 +92,53 @@ class SemanticAnalyzer {
     return results;
   }
 
+  /**
+   * Cache namespace for the current embedding model; vectors from different
+   * providers/models are never mixed
+   */
+  getEmbeddingModelKey() {
+    const provider = this.embeddingProvider;
+    return `${provider.name}/${provider.embeddingModel || "default"}`;
+  }
+
+  getCacheStats() {
+    return this.embeddingCache.getStats();
+  }
+
+  /**
+   * Empty corpus index using this analyzer's tokenizer
+   */
+  createCorpusIndex() {
+    return new CorpusIndex({ tokenize: (text) => this.tokenize(text) });
+  }
+
+  /**
+   * Rebuild the corpus index from stored documents ({ id, title, content })
+   */
+  buildCorpusIndex(documents) {
+    this.corpusIndex.clear();
+    documents.forEach((doc) => this.indexDocument(doc));
+    this.similarityCache.clear();
+  }
+
+  /**
+   * Add a document to the corpus index, replacing an older version
+   */
+  indexDocument(doc) {
+    this.corpusIndex.addDocument(
+      doc.id,
+      `${doc.title || ""}\n${doc.content || ""}`
+    );
+    // Fallback similarities depend on the corpus IDF
+    this.similarityCache.clear();
+  }
+
+  removeFromIndex(docId) {
+    if (this.corpusIndex.removeDocument(docId)) {
+      this.similarityCache.clear();
+    }
+  }
+
   /**
    * Calculate semantic similarity between two texts
    */
@@ -249,6 +302,9 @@ class SemanticAnalyzer {
       );
     }
 
+    // Word overlap over the full text, discounted for common words (BM25)
+    const lexicalSimilarity = this.corpusIndex.bm25Similarity(doc1.id, doc2.id);
+
     // Calculate weighted relationship score
     const relationshipScore = this.calculateRelationshipScore({
       exactThemeMatches: exactThemeMatches.length,
@@ -262,6 +318,7 @@ class SemanticAnalyzer {
             ) / semanticConnections.length
           : 0,
       contentSimilarity,
+      lexicalSimilarity,
       themeOverlap:
         exactThemeMatches.length /
         Math.max(doc1Themes.length, doc2Themes.length),
@@ -275,6 +332,7 @@ class SemanticAnalyzer {
       exactDefMatches,
       semanticConnections,
       contentSimilarity,
+      lexicalSimilarity,
       connectionTypes: this.categorizeConnections(semanticConnections),
       recommendedLinkStrength: this.recommendLinkStrength(relationshipScore),
     };
@@ -346,33 +404,13 @@ class SemanticAnalyzer {
   }
 
   calculateTFIDFSimilarity(text1, text2) {
-    // Simple TF-IDF implementation as fallback
-    const words1 = this.tokenize(text1);
-    const words2 = this.tokenize(text2);
-    const allWords = new Set([...words1, ...words2]);
-
-    const vec1 = Array.from(allWords).map(
-      (word) => words1.filter((w) => w === word).length
-    );
-    const vec2 = Array.from(allWords).map(
-      (word) => words2.filter((w) => w === word).length
-    );
-
-    return this.cosineSimilarity(vec1, vec2);
+    // TF-IDF cosine with IDF from the analyzed documents
+    return this.corpusIndex.similarity(text1, text2);
   }
 
   createFallbackEmbedding(text) {
-    // Create a simple pseudo-embedding based on word frequency and semantic groups
-    const words = this.tokenize(text);
-    const embedding = new Array(384).fill(0); // Match embedding dimension
-
-    // Map words to pseudo-dimensions based on semantic groups
-    words.forEach((word, idx) => {
-      const hash = this.hashString(word) % embedding.length;
-      embedding[hash] += 1 / words.length;
-    });
-
-    return embedding;
+    // Corpus TF-IDF weights hashed into a fixed-size vector
+    return this.corpusIndex.embed(text, 384);
   }
 
   clusterThemesBySemantic(themes, embeddings) {
@@ -500,6 +538,7 @@ class SemanticAnalyzer {
       semanticConnections: 1.5,
       avgSemanticSimilarity: 1.0,
       contentSimilarity: 0.8,
+      lexicalSimilarity: 1.0,
       themeOverlap: 1.2,
       defOverlap: 1.3,
     };
@@ -590,23 +629,7 @@ class SemanticAnalyzer {
   }
 
   isStopWord(word) {
-    const stopWords = new Set([
-      "the",
-      "a",
-      "an",
-      "and",
-      "or",
-      "but",
-      "in",
-      "on",
-      "at",
-      "to",
-      "for",
-      "of",
-      "with",
-      "by",
-    ]);
-    return stopWords.has(word);
+    return this.stopWords.has(word);
   }
 
   tokenize(text) {
@@ -0,0 +1,214 @@
+/**
+ * Analysis Session Store
+ *
+ * Saves complete analysis sessions so a graph can be reopened without
+ * paying for another analysis:
+ * - Session bundles (analyzer state, loaded documents, chat history, UI
+ *   settings) as plain JSON for download/upload
+ * - Named sessions kept in IndexedDB
+ * - Analysis snapshots (see analysis-snapshots.js) kept in IndexedDB,
+ *   keyed by [scope, version], with old scopes pruned
+ */
+
+class SessionStore {
+  constructor(dbName = "connect-the-docs-sessions") {
+    this.dbName = dbName;
+    this.storeName = "sessions";
+    this.snapshotStoreName = "snapshots";
+    this.dbPromise = null;
+  }
+
+  /**
+   * Wrap the parts of a session in a versioned bundle
+   */
+  static createBundle(name, parts) {
+    return {
+      format: "connect-the-docs-session",
+      version: 1,
+      name,
+      savedAt: new Date().toISOString(),
+      ...parts,
+    };
+  }
+
+  /**
+   * Parse and check a bundle read from a .json file
+   */
+  static parseBundle(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Session file is not valid JSON: ${error.message}`);
+    }
+
+    if (bundle?.format !== "connect-the-docs-session" || !bundle.analyzer) {
+      throw new Error("File is not a saved analysis session");
+    }
+    if (bundle.version > 1) {
+      throw new Error(
+        `Session was saved by a newer version (format v${bundle.version})`
+      );
+    }
+    return bundle;
+  }
+
+  /**
+   * File name for downloading a bundle
+   */
+  static fileNameFor(bundle) {
+    const slug = (bundle.name || "session")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+    return `${slug || "session"}.session.json`;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+          reject(new Error("IndexedDB is not available in this browser"));
+          return;
+        }
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(this.storeName, { keyPath: "name" });
+          db.createObjectStore(this.snapshotStoreName, {
+            keyPath: ["scope", "version"],
+          }).createIndex("scope", "scope");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, run, storeName = this.storeName) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = run(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Save a bundle under its name (replacing a session with the same name)
+   */
+  async save(bundle) {
+    if (!bundle.name) {
+      throw new Error("Session name is required");
+    }
+
+    await this.transaction("readwrite", (store) =>
+      store.put({
+        name: bundle.name,
+        savedAt: bundle.savedAt,
+        documentCount: bundle.analyzer.documentIds?.length || 0,
+        bundle,
+      })
+    );
+  }
+
+  /**
+   * Saved sessions, newest first (without the bundles themselves)
+   */
+  async list() {
+    const records = await this.transaction("readonly", (store) =>
+      store.getAll()
+    );
+    return (records || [])
+      .map(({ name, savedAt, documentCount }) => ({
+        name,
+        savedAt,
+        documentCount,
+      }))
+      .sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || ""));
+  }
+
+  async load(name) {
+    const record = await this.transaction("readonly", (store) =>
+      store.get(name)
+    );
+    if (!record) {
+      throw new Error(`Session "${name}" not found`);
+    }
+    return record.bundle;
+  }
+
+  async delete(name) {
+    await this.transaction("readwrite", (store) => store.delete(name));
+  }
+
+  async saveSnapshot(snapshot) {
+    await this.transaction(
+      "readwrite",
+      (store) => store.put(snapshot),
+      this.snapshotStoreName
+    );
+  }
+
+  async listSnapshots(scope) {
+    const snapshots = await this.transaction(
+      "readonly",
+      (store) => store.index("scope").getAll(scope),
+      this.snapshotStoreName
+    );
+    return snapshots || [];
+  }
+
+  async deleteSnapshot(scope, version) {
+    await this.transaction(
+      "readwrite",
+      (store) => store.delete([scope, version]),
+      this.snapshotStoreName
+    );
+  }
+
+  /**
+   * Delete the snapshots of every scope except keepScopes and the scopes
+   * of saved sessions. Returns the number of deleted snapshots.
+   */
+  async pruneSnapshots(keepScopes = []) {
+    const keep = new Set(keepScopes);
+    const records = await this.transaction("readonly", (store) =>
+      store.getAll()
+    );
+    (records || []).forEach((record) =>
+      (record.bundle.analyzer.snapshots || []).forEach((snapshot) =>
+        keep.add(snapshot.scope)
+      )
+    );
+
+    let deleted = 0;
+    await this.transaction(
+      "readwrite",
+      (store) => {
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          if (!keep.has(cursor.value.scope)) {
+            cursor.delete();
+            deleted++;
+          }
+          cursor.continue();
+        };
+      },
+      this.snapshotStoreName
+    );
+    return deleted;
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.SessionStore = SessionStore;
+} else if (typeof module !== "undefined") {
+  module.exports = SessionStore;
+}
@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// Loads the analysis modules as globals, as in the browser
+require("../connect-the-docs.js");
+const { OfflineProvider } = require("../llm-providers.js");
+const { EmbeddingCache } = require("../embedding-cache.js");
+const DocumentConnectionAnalyzer = require("../document-connection-analyzer.js");
+const AnalysisSnapshots = require("../analysis-snapshots.js");
+
+// Stand-ins for localStorage and the IndexedDB snapshot store
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+function createSnapshotStore() {
+  const snapshots = new Map();
+  return {
+    async saveSnapshot(snapshot) {
+      snapshots.set(`${snapshot.scope}|${snapshot.version}`, snapshot);
+    },
+    async listSnapshots(scope) {
+      return Array.from(snapshots.values()).filter((s) => s.scope === scope);
+    },
+    async deleteSnapshot(scope, version) {
+      snapshots.delete(`${scope}|${version}`);
+    },
+  };
+}
+
+function createAnalyzer(snapshotStore, localStorage) {
+  return new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: new OfflineProvider(),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    snapshotStore,
+    snapshotScope: AnalysisSnapshots.rememberedScope(localStorage),
+    log: () => {},
+  });
+}
+
+const documents = [
+  {
+    title: "Grid Stability",
+    content:
+      "Grid stability depends on frequency control. Battery storage supports frequency control.",
+  },
+  {
+    title: "Battery Storage",
+    content:
+      "Battery storage absorbs surplus solar output. Battery storage supports frequency control.",
+  },
+];
+
+test("a remembered scope continues the snapshot history", async () => {
+  const snapshotStore = createSnapshotStore();
+  const localStorage = createStorage();
+
+  const first = createAnalyzer(snapshotStore, localStorage);
+  await first.processDocuments(documents);
+
+  // A page reload: new analyzer, same storage
+  const second = createAnalyzer(snapshotStore, localStorage);
+  await second.snapshots.load();
+  const edited = {
+    ...documents[0],
+    content: `${documents[0].content} Inertia matters too.`,
+  };
+  const result = await second.processDocuments([edited, documents[1]]);
+
+  assert.strictEqual(second.snapshots.scope, first.snapshots.scope);
+  assert.strictEqual(result.snapshotVersion, 2);
+  const diff = second.snapshots.compare(1, 2);
+  assert.deepStrictEqual(
+    diff.changedDocuments
+      .filter((doc) => doc.contentChanged)
+      .map((doc) => doc.title),
+    ["Grid Stability"]
+  );
+});
+
+test("separate storages get separate scopes", () => {
+  const scope = AnalysisSnapshots.rememberedScope(createStorage());
+
+  assert.notStrictEqual(
+    AnalysisSnapshots.rememberedScope(createStorage()),
+    scope
+  );
+  assert.ok(AnalysisSnapshots.rememberedScope(null));
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const DocumentAnalysisPrompts = require("../enhanced-prompts.js");
+const AnalysisResponseValidator = require("../analysis-validator.js");
+
+const validator = new AnalysisResponseValidator(
+  new DocumentAnalysisPrompts().getResponseSchemas()
+);
+
+test("scores are clamped to the 0-1 range", () => {
+  const { value, errors, corrections } = validator.validate(
+    {
+      documents: [
+        {
+          main_themes: [
+            { theme: "Grid Stability", importance: 1.7, confidence: "-0.2" },
+          ],
+        },
+      ],
+    },
+    "analysis",
+    { documentCount: 1 }
+  );
+
+  assert.deepStrictEqual(errors, []);
+  const theme = value.documents[0].main_themes[0];
+  assert.strictEqual(theme.importance, 1);
+  assert.strictEqual(theme.confidence, 0);
+  assert.deepStrictEqual(corrections, [
+    "documents[0].main_themes[0].importance: clamped 1.7 to 1",
+    "documents[0].main_themes[0].confidence: clamped -0.2 to 0",
+  ]);
+});
+
+test("document numbers outside the collection are dropped", () => {
+  const { value, corrections } = validator.validate(
+    {
+      documents: [{}, {}],
+      shared_concepts: [{ concept: "Storage", appears_in: [0, 1, "2", 5] }],
+    },
+    "analysis",
+    { documentCount: 2 }
+  );
+
+  assert.deepStrictEqual(value.shared_concepts[0].appears_in, [1, 2]);
+  assert.deepStrictEqual(corrections, [
+    "shared_concepts[0].appears_in: dropped out-of-range document number 0",
+    "shared_concepts[0].appears_in: dropped out-of-range document number 5",
+  ]);
+});
+
+test("a missing document entry is an error worth a retry", () => {
+  const { errors } = validator.validate({ documents: [{}] }, "analysis", {
+    documentCount: 2,
+  });
+
+  assert.deepStrictEqual(errors, [
+    "documents: expected 2 entries (one per document, in order), got 1",
+  ]);
+});
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const root = path.join(__dirname, "..");
+
+test("analyze --quiet prints only the summary", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "connect-the-docs-"));
+  const out = path.join(dir, "graph.json");
+  try {
+    const stdout = execFileSync(
+      process.execPath,
+      [
+        path.join(root, "connect-the-docs.js"),
+        "analyze",
+        path.join(root, "test files"),
+        "--provider",
+        "offline",
+        "--no-cache",
+        "--out",
+        out,
+        "--quiet",
+      ],
+      { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+    );
+
+    assert.match(stdout, /^✅ Analyzed \d+ documents/);
+    assert.doesNotMatch(stdout, /Starting enhanced document analysis/);
+    assert.doesNotMatch(stdout, /Recorded analysis snapshot/);
+    assert.ok(JSON.parse(fs.readFileSync(out, "utf8")).nodes.length > 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const CommunityDetector = require("../community-detector.js");
+
+/**
+ * Every pair of the given nodes linked with weight 1
+ */
+function clique(ids) {
+  return ids.flatMap((source, i) =>
+    ids.slice(i + 1).map((target) => ({ source, target, weight: 1 }))
+  );
+}
+
+test("Louvain splits two cliques joined by a bridge", () => {
+  const nodeIds = ["a1", "a2", "a3", "a4", "b1", "b2", "b3", "b4", "alone"];
+  const edges = [
+    ...clique(["a1", "a2", "a3", "a4"]),
+    ...clique(["b1", "b2", "b3", "b4"]),
+    { source: "a4", target: "b1", weight: 1 },
+    // Ignored: self-loops and unknown nodes
+    { source: "a1", target: "a1", weight: 5 },
+    { source: "a1", target: "nowhere", weight: 5 },
+  ];
+
+  const result = new CommunityDetector().detect(nodeIds, edges);
+
+  assert.deepStrictEqual(
+    result.communities.map((community) => community.members),
+    [["a1", "a2", "a3", "a4"], ["b1", "b2", "b3", "b4"], ["alone"]]
+  );
+  // 13 edges; each clique has 6 inside and degree 13:
+  // 2 * (6/13 - (13/26)^2)
+  assert.ok(Math.abs(result.modularity - 2 * (6 / 13 - 0.25)) < 1e-9);
+
+  // Same graph, same communities and numbers
+  assert.deepStrictEqual(
+    new CommunityDetector().detect(nodeIds, edges),
+    result
+  );
+});
+
+test("ties go to the lowest community, so results are reproducible", () => {
+  // A path of four: both halves are equally good partners for the middle
+  const nodeIds = ["p1", "p2", "p3", "p4"];
+  const edges = [
+    { source: "p1", target: "p2", weight: 1 },
+    { source: "p2", target: "p3", weight: 1 },
+    { source: "p3", target: "p4", weight: 1 },
+  ];
+
+  const runs = Array.from({ length: 3 }, () =>
+    new CommunityDetector()
+      .detect(nodeIds, edges)
+      .communities.map((community) => community.members)
+  );
+
+  assert.deepStrictEqual(runs[0], [
+    ["p1", "p2"],
+    ["p3", "p4"],
+  ]);
+  assert.deepStrictEqual(runs[1], runs[0]);
+  assert.deepStrictEqual(runs[2], runs[0]);
+});
+
+test("a higher resolution gives smaller communities", () => {
+  const nodeIds = ["a1", "a2", "a3", "b1", "b2", "b3"];
+  const edges = [
+    ...clique(["a1", "a2", "a3"]),
+    ...clique(["b1", "b2", "b3"]),
+    { source: "a3", target: "b1", weight: 1 },
+  ];
+  const count = (resolution) =>
+    new CommunityDetector({ resolution }).detect(nodeIds, edges).communities
+      .length;
+
+  assert.strictEqual(count(0.1), 1);
+  assert.strictEqual(count(1), 2);
+  assert.ok(count(5) > 2);
+});
+
+test("communities are matched to the previous run by overlap", () => {
+  const previous = [
+    ["doc:Grid", "doc:Storage", "theme:frequency"],
+    ["doc:Wind", "theme:turbines"],
+    ["doc:Solar"],
+  ];
+  const next = [
+    ["doc:Wind", "theme:turbines", "doc:Tides"],
+    ["doc:Grid", "doc:Storage", "doc:Solar", "theme:frequency"],
+    ["doc:Nuclear"],
+  ];
+
+  // Solar joined the grid community: its old one is left unmatched, and
+  // the new community has no predecessor
+  assert.deepStrictEqual(
+    CommunityDetector.matchCommunities(next, previous),
+    [1, 0, -1]
+  );
+  // Below the minimum overlap nothing matches
+  assert.deepStrictEqual(
+    CommunityDetector.matchCommunities(next, previous, 0.9),
+    [-1, -1, -1]
+  );
+});
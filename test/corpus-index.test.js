@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const CorpusIndex = require("../corpus-index.js");
+
+function createIndex() {
+  const index = new CorpusIndex();
+  index.addDocument(
+    "grid",
+    "The grid needs inertia and the grid needs storage."
+  );
+  index.addDocument("turbines", "The turbines add inertia to the grid.");
+  index.addDocument("fish", "The fish swim along the grid of the reef.");
+  return index;
+}
+
+test("words found in every document count for little", () => {
+  const index = createIndex();
+
+  assert.ok(index.idf("the") < 0.2);
+  assert.ok(index.idf("inertia") > index.idf("the"));
+  // "grid" and "turbines" share the rare "inertia"; "fish" only shares
+  // words every document has
+  assert.ok(
+    index.documentSimilarity("grid", "turbines") >
+      2 * index.documentSimilarity("grid", "fish")
+  );
+});
+
+test("BM25 ranks the documents containing rare query terms", () => {
+  const index = createIndex();
+
+  const ids = (query) => index.search(query).map((result) => result.id);
+
+  assert.deepStrictEqual(ids("reef"), ["fish"]);
+  // The shorter document, where the term weighs more, ranks first
+  assert.deepStrictEqual(ids("inertia"), ["turbines", "grid"]);
+  assert.deepStrictEqual(index.search("unknown words"), []);
+  assert.ok(
+    index.bm25Similarity("grid", "turbines") >
+      index.bm25Similarity("grid", "fish")
+  );
+});
+
+test("removing a document restores the term statistics", () => {
+  const index = createIndex();
+  const withoutFish = new CorpusIndex();
+  withoutFish.addDocument(
+    "grid",
+    "The grid needs inertia and the grid needs storage."
+  );
+  withoutFish.addDocument("turbines", "The turbines add inertia to the grid.");
+
+  index.removeDocument("fish");
+
+  assert.deepStrictEqual(index.getStats(), withoutFish.getStats());
+  assert.deepStrictEqual(
+    index.documentFrequencies,
+    withoutFish.documentFrequencies
+  );
+  assert.strictEqual(
+    index.documentSimilarity("grid", "turbines"),
+    withoutFish.documentSimilarity("grid", "turbines")
+  );
+});
@@ -0,0 +1,470 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// Loads the analysis modules as globals, as in the browser
+require("../connect-the-docs.js");
+const { LLMProvider } = require("../llm-providers.js");
+const { EmbeddingCache } = require("../embedding-cache.js");
+const DocumentConnectionAnalyzer = require("../document-connection-analyzer.js");
+
+const documents = [
+  {
+    title: "Grid Stability",
+    content:
+      "Grid stability refers to keeping frequency steady. Battery storage and demand response support grid stability when solar output drops.",
+  },
+  {
+    title: "Battery Storage",
+    content:
+      "Battery storage absorbs surplus solar output and releases it in the evening peak. Storage also supports grid stability and frequency control.",
+  },
+];
+
+test("an Anthropic-only config sends nothing to OpenAI", async (t) => {
+  const requested = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url) => {
+    requested.push(String(url));
+    return {
+      ok: true,
+      json: async () => ({
+        content: [{ type: "text", text: "{}" }],
+        usage: { input_tokens: 1, output_tokens: 1 },
+      }),
+    };
+  };
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const config = { LLM_PROVIDER: "anthropic", ANTHROPIC_API_KEY: "test" };
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: LLMProvider.fromConfig(config, "chat"),
+    embeddingProvider: null,
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+
+  const result = await analyzer.processDocuments(documents, {
+    extractionBackend: "offline",
+  });
+  await analyzer.semanticAnalyzer.getEmbeddings([documents[0].content]);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(
+    requested.filter((url) => url.includes("openai.com")),
+    []
+  );
+});
+
+test("documents left out of the model response are reported", async () => {
+  const llmProvider = {
+    name: "Mock",
+    model: "mock",
+    supportsEmbeddings: () => false,
+    async chat() {
+      // Always one entry for two documents, even after repair requests
+      const response = {
+        documents: [
+          {
+            title: "Grid Stability",
+            summary: "Keeping frequency steady",
+            main_themes: [{ theme: "Grid Stability", importance: 0.9 }],
+          },
+        ],
+      };
+      return {
+        content: JSON.stringify(response),
+        usage: { promptTokens: 1, completionTokens: 1 },
+        model: "mock",
+      };
+    },
+  };
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider,
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+
+  const result = await analyzer.processDocuments(documents);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.validation.missing, [
+    { title: "Battery Storage" },
+  ]);
+  assert.strictEqual(analyzer.documentIds.length, 1);
+});
+
+/**
+ * Chat provider answering every analysis prompt with the documents whose
+ * titles appear in it, in that order, each with the given themes (labels,
+ * or theme objects such as { theme, subthemes })
+ */
+function mockAnalysisProvider(themesByTitle, prompts = []) {
+  return {
+    name: "Mock",
+    model: "mock",
+    supportsEmbeddings: () => false,
+    async chat(messages) {
+      const text = messages.map((m) => m.content).join("\n");
+      // In prompt order, as the response lists one entry per document
+      const titles = Object.keys(themesByTitle)
+        .filter((title) => text.includes(title))
+        .sort((a, b) => text.indexOf(a) - text.indexOf(b));
+      prompts.push(titles);
+      const response = {
+        documents: titles.map((title) => ({
+          title,
+          summary: title,
+          main_themes: themesByTitle[title].map((theme) => ({
+            importance: 0.8,
+            confidence: 0.9,
+            ...(typeof theme === "string" ? { theme } : theme),
+          })),
+        })),
+      };
+      return {
+        content: JSON.stringify(response),
+        usage: { promptTokens: 1, completionTokens: 1 },
+        model: "mock",
+      };
+    },
+  };
+}
+
+test("batched extraction finds concepts shared across batches", async () => {
+  const prompts = [];
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: mockAnalysisProvider(
+      {
+        "Grid Stability": ["Frequency Control", "Inertia"],
+        "Battery Storage": ["Frequency Control", "Solar Surplus"],
+        "Wind Farms": ["Turbine Wakes"],
+      },
+      prompts
+    ),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+
+  const result = await analyzer.processDocuments(
+    ["Grid Stability", "Battery Storage", "Wind Farms"].map((title) => ({
+      title,
+      content: `${title} in a power system.`,
+    })),
+    { batchSize: 1, reconcileWithLLM: false }
+  );
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(prompts, [
+    ["Grid Stability"],
+    ["Battery Storage"],
+    ["Wind Farms"],
+  ]);
+  const shared = analyzer.themeStorage.getSharedThemes(2);
+  assert.deepStrictEqual(
+    shared.map((theme) => [theme.label, theme.sharedBy]),
+    [["Frequency Control", ["doc-1", "doc-2"]]]
+  );
+});
+
+test("invalid JSON is sent back to the model for repair", async () => {
+  const requests = [];
+  const replies = [
+    '{"documents": [{"title": "Grid Stability",',
+    JSON.stringify({
+      documents: documents.map((doc) => ({
+        title: doc.title,
+        main_themes: [{ theme: "Grid Stability", importance: 2 }],
+      })),
+    }),
+  ];
+  const llmProvider = {
+    name: "Mock",
+    model: "mock",
+    supportsEmbeddings: () => false,
+    async chat(messages) {
+      requests.push(messages);
+      return {
+        content: replies[requests.length - 1],
+        usage: { promptTokens: 1, completionTokens: 1 },
+        model: "mock",
+      };
+    },
+  };
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider,
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+
+  const result = await analyzer.processDocuments(documents);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(requests[1].length, 3);
+  assert.match(requests[1][2].content, /could not be used/);
+  assert.strictEqual(result.validation.retries, 1);
+  assert.strictEqual(result.validation.corrections.length, 2);
+  assert.strictEqual(analyzer.documentIds.length, 2);
+});
+
+test("documents cut at maxChunksPerDocument are recorded", async () => {
+  const longDocument = {
+    title: "Grid Stability",
+    content: Array.from(
+      { length: 12 },
+      (_, i) => `Section ${i} covers frequency control and grid inertia.`
+    ).join(" "),
+  };
+  const options = { chunkSize: 120, chunkOverlap: 10, maxChunksPerDocument: 2 };
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: mockAnalysisProvider({ "Grid Stability": ["Inertia"] }),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+  const chunkCount = analyzer.splitIntoChunks(
+    longDocument.content,
+    options.chunkSize,
+    options.chunkOverlap
+  ).length;
+
+  const estimate = analyzer.estimateProcessingCost([longDocument], options);
+  const result = await analyzer.processDocuments([longDocument], options);
+
+  const expected = [{ title: "Grid Stability", chunkCount, analyzedChunks: 2 }];
+  assert.ok(chunkCount > 2);
+  assert.deepStrictEqual(estimate.truncatedDocuments, expected);
+  assert.deepStrictEqual(result.validation.truncated, expected);
+});
+
+test("addDocuments extracts only the new documents", async () => {
+  const prompts = [];
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: mockAnalysisProvider(
+      {
+        "Grid Stability": ["Demand Response Frequency Control Markets"],
+        "Battery Storage": ["Solar Surplus"],
+        "Wind Farms": [
+          "Demand Response Frequency Control Markets Europe",
+          "Solar Surplus",
+        ],
+      },
+      prompts
+    ),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+  const toDocument = (title) => ({ title, content: `${title} in a grid.` });
+
+  await analyzer.processDocuments(
+    ["Grid Stability", "Battery Storage"].map(toDocument)
+  );
+  const graphData = analyzer.graphData;
+  const existingNode = graphData.nodes.find((node) => node.id === "doc-1");
+  existingNode.x = 12;
+
+  const result = await analyzer.addDocuments([toDocument("Wind Farms")]);
+
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.addedDocumentIds, ["doc-3"]);
+  assert.deepStrictEqual(prompts[prompts.length - 1], ["Wind Farms"]);
+  // Updated in place, existing nodes keep their positions
+  assert.strictEqual(analyzer.graphData, graphData);
+  assert.strictEqual(graphData.nodes.find((node) => node.id === "doc-1").x, 12);
+  // The reworded label joins the stored theme (findSimilarTheme)
+  assert.deepStrictEqual(
+    analyzer.themeStorage
+      .getSharedThemes(2)
+      .map((theme) => [theme.label, theme.sharedBy]),
+    [
+      ["Demand Response Frequency Control Markets", ["doc-1", "doc-3"]],
+      ["Solar Surplus", ["doc-2", "doc-3"]],
+    ]
+  );
+});
+
+test("the glossary flags terms defined differently", async () => {
+  const definitionsByTitle = {
+    "Grid Stability": {
+      Inertia: "Rotational energy stored in spinning generators",
+      Capacity: "The maximum power output a plant can deliver",
+    },
+    "Battery Storage": {
+      Inertia: "Rotational energy stored in spinning generators and motors",
+      Capacity: "Total energy a battery holds when fully charged",
+    },
+  };
+  const llmProvider = {
+    name: "Mock",
+    model: "mock",
+    supportsEmbeddings: () => false,
+    async chat(messages) {
+      const text = messages.map((m) => m.content).join("\n");
+      const response = {
+        documents: Object.keys(definitionsByTitle)
+          .filter((title) => text.includes(title))
+          .map((title) => ({
+            title,
+            summary: title,
+            main_themes: [{ theme: title, importance: 0.8 }],
+            definitions: Object.entries(definitionsByTitle[title]).map(
+              ([term, definition]) => ({ term, definition })
+            ),
+          })),
+      };
+      return {
+        content: JSON.stringify(response),
+        usage: { promptTokens: 1, completionTokens: 1 },
+        model: "mock",
+      };
+    },
+  };
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider,
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+
+  await analyzer.processDocuments(documents, { showDefinitionNodes: true });
+
+  const flags = (config) =>
+    analyzer
+      .getGlossary(undefined, config)
+      .map((entry) => [entry.term, entry.variants.length, entry.conflicting]);
+  // Reworded but alike stays above definitionConflictThreshold
+  assert.deepStrictEqual(flags(), [
+    ["Capacity", 2, true],
+    ["Inertia", 2, false],
+  ]);
+  assert.deepStrictEqual(flags({ definitionConflictThreshold: 0.99 }), [
+    ["Capacity", 2, true],
+    ["Inertia", 2, true],
+  ]);
+  // A term only one document defines can't conflict
+  assert.deepStrictEqual(
+    analyzer
+      .getGlossary(["doc-1"])
+      .map((entry) => [entry.term, entry.agreement, entry.conflicting]),
+    [
+      ["Capacity", 1, false],
+      ["Inertia", 1, false],
+    ]
+  );
+
+  const definitionNodes = analyzer.graphData.nodes
+    .filter((node) => node.type === "definition")
+    .map((node) => [node.label, node.metadata.conflicting]);
+  assert.deepStrictEqual(definitionNodes, [
+    ["Capacity", true],
+    ["Inertia", false],
+  ]);
+});
+
+test("subtheme links stay out of shared themes while the hierarchy is hidden", async () => {
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: mockAnalysisProvider({
+      "Grid Stability": [
+        { theme: "Grid Stability", subthemes: ["Frequency Control"] },
+      ],
+      "Battery Storage": ["Frequency Control"],
+    }),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+  await analyzer.processDocuments(documents, { showThemeHierarchy: false });
+  const storage = analyzer.themeStorage;
+  const frequency = storage.findThemeId("Frequency Control");
+
+  assert.strictEqual(storage.isSubthemeLink("doc-1", frequency), true);
+  assert.strictEqual(
+    storage.linkMetadata.get(`doc-1-${frequency}`).role,
+    "subtheme"
+  );
+  const shared = (includeSubthemes) =>
+    storage
+      .getSharedThemes(2, includeSubthemes)
+      .map((theme) => [theme.label, theme.sharedBy]);
+  assert.deepStrictEqual(shared(false), []);
+  assert.deepStrictEqual(shared(true), [
+    ["Frequency Control", ["doc-1", "doc-2"]],
+  ]);
+
+  // Hidden hierarchy: a theme of the second document only
+  const nodeTypes = (graphData) =>
+    graphData.nodes
+      .filter((node) => node.id === frequency)
+      .map((node) => [node.type, node.metadata.parent || null]);
+  assert.deepStrictEqual(nodeTypes(analyzer.graphData), [
+    ["unique-theme", "doc-2"],
+  ]);
+  assert.ok(
+    analyzer.graphData.links.every((link) => link.type !== "theme-hierarchy")
+  );
+
+  const withHierarchy = await analyzer.buildOptimizedGraph(
+    analyzer.documentIds,
+    { ...analyzer.config, showThemeHierarchy: true }
+  );
+  assert.deepStrictEqual(nodeTypes(withHierarchy), [["shared-theme", null]]);
+  assert.ok(
+    withHierarchy.links.some(
+      (link) => link.type === "theme-hierarchy" && link.target === frequency
+    )
+  );
+});
+
+test("communities keep their IDs and names across a re-analysis", async () => {
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: mockAnalysisProvider({
+      "Grid Operations": ["Frequency Control"],
+      "Battery Dispatch": ["Frequency Control"],
+      "Reef Surveys": ["Marine Life"],
+      "Fishing Quotas": ["Marine Life"],
+    }),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+  const contents = {
+    "Grid Operations": "Operators balance generation and load every second.",
+    "Battery Dispatch": "Cells charge at noon and discharge in the evening.",
+    "Reef Surveys": "Divers count coral species along transects.",
+    "Fishing Quotas": "Catch limits protect cod stocks in the north sea.",
+  };
+  const analyze = (titles) =>
+    analyzer.processDocuments(
+      titles.map((title) => ({ title, content: contents[title] })),
+      { communitySimilarityThreshold: 0.9 }
+    );
+  const communities = () =>
+    analyzer.themeStorage
+      .getCommunities()
+      .map((community) => [
+        community.id,
+        community.name,
+        Array.from(community.documents, (docId) =>
+          analyzer.themeStorage.getMemberKey(docId)
+        ).sort(),
+      ])
+      .sort();
+
+  await analyze(Object.keys(contents));
+  const [grid, reef] = ["doc-1", "doc-3"].map((docId) =>
+    analyzer.themeStorage.getCommunityOf(docId)
+  );
+  assert.notStrictEqual(grid.id, reef.id);
+  analyzer.themeStorage.renameCommunity(grid.id, "Grid Team");
+
+  // Document ids change with the order; members are matched by title
+  await analyze(Object.keys(contents).reverse());
+
+  assert.strictEqual(analyzer.previousCommunities, null);
+  assert.deepStrictEqual(
+    communities(),
+    [
+      [grid.id, "Grid Team", ["doc:Battery Dispatch", "doc:Grid Operations"]],
+      [reef.id, reef.name, ["doc:Fishing Quotas", "doc:Reef Surveys"]],
+    ].sort()
+  );
+  assert.strictEqual(analyzer.themeStorage.getCommunityOf("doc-4").id, grid.id);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { EmbeddingCache, FileEmbeddingStore } = require("../embedding-cache.js");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "embedding-cache-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "embeddings.json");
+}
+
+function lineCount(filePath) {
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).length;
+}
+
+test("repeated lookups don't grow the file store without bound", async (t) => {
+  const filePath = tempFile(t);
+  const store = new FileEmbeddingStore(filePath);
+  const entries = ["a", "b", "c"].map((key) => ({ key, embedding: [1, 2] }));
+  await store.putMany(entries, 100);
+
+  for (let i = 0; i < 1500; i++) {
+    await store.getMany(["a", "b"]);
+  }
+
+  assert.ok(lineCount(filePath) <= 2 * entries.length + 1000);
+  const reloaded = new FileEmbeddingStore(filePath);
+  assert.deepStrictEqual(
+    Array.from((await reloaded.getMany(["a", "b", "c"])).keys()),
+    ["a", "b", "c"]
+  );
+});
+
+test("memory hits refresh the stored last-use time", async (t) => {
+  const filePath = tempFile(t);
+  const cache = new EmbeddingCache({
+    store: new FileEmbeddingStore(filePath),
+  });
+  await cache.setMany("model", ["grid stability"], [[1, 2, 3]]);
+  const [key] = Array.from(cache.memory.keys());
+  const written = cache.store.entries.get(key).lastUsed;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+
+  const [embedding] = await cache.getMany("model", ["grid stability"]);
+
+  assert.deepStrictEqual(embedding, [1, 2, 3]);
+  assert.strictEqual(cache.getStats().memoryHits, 1);
+  const reloaded = new FileEmbeddingStore(filePath);
+  assert.ok(reloaded.load().get(key).lastUsed > written);
+});
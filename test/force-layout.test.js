@@ -0,0 +1,132 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const ForceLayout = require("../force-layout.js");
+
+/**
+ * Nodes spread on a sphere, without links
+ */
+function sphereNodes(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `n${i}`,
+    ...ForceLayout.spherePoint(i, count),
+  }));
+}
+
+/**
+ * Repulsion velocities from comparing every pair of nodes
+ */
+function exactRepulsion(layout) {
+  const p = layout.positions;
+  const velocities = new Float64Array(layout.count * 3);
+  for (let i = 0; i < layout.count; i++) {
+    for (let j = 0; j < layout.count; j++) {
+      if (i === j) continue;
+      const d = [0, 1, 2].map((axis) => p[j * 3 + axis] - p[i * 3 + axis]);
+      const distanceSquared = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+      const push = (layout.options.charge * layout.alpha) / distanceSquared;
+      d.forEach((delta, axis) => (velocities[i * 3 + axis] += delta * push));
+    }
+  }
+  return velocities;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test("octree repulsion matches the pairwise sum", () => {
+  const nodes = sphereNodes(40);
+  const relativeError = (theta) => {
+    const layout = new ForceLayout({ theta });
+    layout.setGraph(nodes);
+    layout.applyRepulsion();
+    const exact = exactRepulsion(layout);
+    let error = 0;
+    let norm = 0;
+    exact.forEach((value, i) => {
+      error += (layout.velocities[i] - value) ** 2;
+      norm += value ** 2;
+    });
+    return Math.sqrt(error / norm);
+  };
+
+  // theta 0 opens every cell, so it is exact up to rounding
+  assert.ok(relativeError(0) < 1e-9);
+  // The default approximates distant groups of nodes as one body
+  assert.ok(relativeError(ForceLayout.DEFAULTS.theta) < 0.1);
+});
+
+test("linked nodes settle closer together than unlinked ones", () => {
+  // Two groups of four, linked within each group only
+  const nodes = sphereNodes(8);
+  const links = [];
+  [0, 4].forEach((first) => {
+    for (let i = first; i < first + 4; i++) {
+      for (let j = i + 1; j < first + 4; j++) {
+        links.push({ source: `n${i}`, target: `n${j}` });
+      }
+    }
+  });
+  links.push(
+    { source: "n0", target: "missing" },
+    { source: "n1", target: "n1" }
+  );
+
+  const layout = new ForceLayout();
+  layout.setGraph(nodes, links);
+  // Links to unknown nodes and self links are ignored
+  assert.strictEqual(layout.links.length, 12);
+  assert.strictEqual(layout.run(), ForceLayout.DEFAULTS.iterations);
+  assert.strictEqual(layout.settled, true);
+  ForceLayout.applyPositions(nodes, layout.positions);
+
+  const within = [];
+  const between = [];
+  nodes.forEach((a, i) =>
+    nodes.slice(i + 1).forEach((b, k) => {
+      const j = i + 1 + k;
+      (Math.floor(i / 4) === Math.floor(j / 4) ? within : between).push(
+        distance(a, b)
+      );
+    })
+  );
+  assert.ok(
+    nodes.every((node) => [node.x, node.y, node.z].every(Number.isFinite))
+  );
+  assert.ok(Math.max(...within) < Math.min(...between));
+});
+
+test("flat layouts keep every node at z = 0", () => {
+  const graphData = {
+    nodes: [{ id: "a" }, { id: "b" }, { id: "c", x: 5, y: 5, z: 40 }],
+    links: [
+      { source: "a", target: "b", strength: 0.5 },
+      { source: "b", target: "c" },
+    ],
+  };
+
+  ForceLayout.layout(graphData, { dimensions: 2 });
+
+  assert.deepStrictEqual(
+    graphData.nodes.map((node) => node.z),
+    [0, 0, 0]
+  );
+  assert.ok(graphData.nodes.every((node) => Number.isFinite(node.x)));
+});
+
+test("start lays out on this thread without workers", async () => {
+  const graphData = { nodes: sphereNodes(5), links: [] };
+
+  const positions = await new Promise((resolve) => {
+    ForceLayout.start(graphData, {}, { onEnd: resolve });
+  });
+
+  assert.ok(positions instanceof Float32Array);
+  assert.strictEqual(positions.length, 15);
+  // Positions are reported, the nodes passed in are left alone
+  assert.deepStrictEqual(graphData.nodes[0], {
+    id: "n0",
+    ...ForceLayout.spherePoint(0, 5),
+  });
+});
@@ -0,0 +1,146 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const GraphAnalytics = require("../graph-analytics.js");
+
+/**
+ * Graph with documents "d*"/"a*"/"b*" and themes for every other id,
+ * linked with strength 1 along the given [source, target] pairs
+ */
+function createGraph(pairs) {
+  const ids = Array.from(new Set(pairs.flat()));
+  return {
+    nodes: ids.map((id) => ({
+      id,
+      type: /^[dab]\d/.test(id) ? "document" : "shared-theme",
+    })),
+    links: pairs.map(([source, target]) => ({ source, target, strength: 1 })),
+  };
+}
+
+function rounded(map) {
+  return Object.fromEntries(
+    Array.from(map, ([id, value]) => [id, Math.round(value * 1000) / 1000])
+  );
+}
+
+test("a path: betweenness peaks in the middle and inner nodes are cuts", () => {
+  // u is a theme only d1 has, so d1 separates no documents
+  const analytics = new GraphAnalytics(
+    createGraph([
+      ["u", "d1"],
+      ["d1", "t1"],
+      ["t1", "d2"],
+      ["d2", "t2"],
+      ["t2", "d3"],
+    ])
+  );
+
+  // Pairs of the other 5 nodes: 10; node k of 6 lies on k * (5 - k)
+  assert.deepStrictEqual(rounded(analytics.betweenness()), {
+    u: 0,
+    d1: 0.4,
+    t1: 0.6,
+    d2: 0.6,
+    t2: 0.4,
+    d3: 0,
+  });
+  assert.deepStrictEqual(rounded(analytics.weightedDegree()), {
+    u: 1,
+    d1: 2,
+    t1: 2,
+    d2: 2,
+    t2: 2,
+    d3: 1,
+  });
+
+  const { articulationPoints, bridges } = analytics.cuts();
+  assert.deepStrictEqual(
+    articulationPoints.map(({ id, pieces }) => [id, pieces]).sort(),
+    [
+      ["d2", 2],
+      ["t1", 2],
+      ["t2", 2],
+    ]
+  );
+  assert.deepStrictEqual(
+    bridges.map(({ source, target, documents }) => [
+      `${source}-${target}`,
+      documents,
+    ]),
+    [
+      ["t2-d3", [2, 1]],
+      ["d2-t2", [2, 1]],
+      ["t1-d2", [1, 2]],
+      ["d1-t1", [1, 2]],
+    ]
+  );
+});
+
+test("a star: the center is on every path and holds most rank", () => {
+  const analytics = new GraphAnalytics(
+    createGraph(["d1", "d2", "d3", "d4"].map((docId) => ["hub", docId]))
+  );
+
+  assert.deepStrictEqual(rounded(analytics.betweenness()), {
+    hub: 1,
+    d1: 0,
+    d2: 0,
+    d3: 0,
+    d4: 0,
+  });
+  // hub = 0.15/5 + 0.85 * 4 * leaf, leaf = 0.15/5 + 0.85 * hub / 4
+  const hub = 0.132 / 0.2775;
+  const leaf = 0.03 + 0.2125 * hub;
+  const ranks = analytics.pageRank();
+  assert.ok(Math.abs(ranks.get("hub") - hub) < 1e-4);
+  ["d1", "d2", "d3", "d4"].forEach((id) =>
+    assert.ok(Math.abs(ranks.get(id) - leaf) < 1e-4)
+  );
+
+  assert.deepStrictEqual(analytics.cuts(), {
+    articulationPoints: [{ id: "hub", pieces: 4 }],
+    bridges: [
+      { source: "hub", target: "d1", documents: [3, 1] },
+      { source: "hub", target: "d2", documents: [3, 1] },
+      { source: "hub", target: "d3", documents: [3, 1] },
+      { source: "hub", target: "d4", documents: [3, 1] },
+    ],
+  });
+});
+
+test("a bridge between two triangles", () => {
+  const analytics = new GraphAnalytics(
+    createGraph([
+      ["a1", "a2"],
+      ["a2", "a3"],
+      ["a3", "a1"],
+      ["b1", "b2"],
+      ["b2", "b3"],
+      ["b3", "b1"],
+      ["a3", "b1"],
+    ])
+  );
+
+  // a3 and b1 each lie on the 6 paths from one side to the other, of 10
+  // pairs of other nodes
+  assert.deepStrictEqual(rounded(analytics.betweenness()), {
+    a1: 0,
+    a2: 0,
+    a3: 0.6,
+    b1: 0.6,
+    b2: 0,
+    b3: 0,
+  });
+  assert.deepStrictEqual(analytics.cuts(), {
+    articulationPoints: [
+      { id: "a3", pieces: 2 },
+      { id: "b1", pieces: 2 },
+    ],
+    bridges: [{ source: "a3", target: "b1", documents: [3, 3] }],
+  });
+
+  const path = analytics.shortestPath("a1", "b2");
+  assert.deepStrictEqual(path.nodeIds, ["a1", "a3", "b1", "b2"]);
+  assert.strictEqual(path.hops, 3);
+});
@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const GraphExporter = require("../graph-exporter.js");
+
+const graphData = {
+  nodes: [
+    { id: "doc-1", label: "Grid Stability", type: "document" },
+    { id: "theme-inertia", label: "Inertia", type: "shared-theme" },
+    { id: "def-inertia", label: "Inertia", type: "definition" },
+  ],
+  links: [
+    {
+      source: "doc-1",
+      target: "theme-inertia",
+      type: "theme-connection",
+      strength: 0.8,
+    },
+    {
+      source: "doc-1",
+      target: "def-inertia",
+      type: "definition-connection",
+      strength: 0.6,
+    },
+  ],
+};
+
+test("Cypher export labels definition nodes and links", () => {
+  const cypher = new GraphExporter(graphData).toCypher();
+
+  assert.match(cypher, /\(n2:Definition \{id: "def-inertia"/);
+  assert.match(cypher, /\(n0\)-\[:DEFINES \{[^}]*\}\]->\(n2\)/);
+  assert.match(cypher, /\(n0\)-\[:HAS_THEME \{[^}]*\}\]->\(n1\)/);
+  assert.doesNotMatch(cypher, /:Node /);
+});
+
+test("CSV export keeps the definition type", () => {
+  const { nodes, edges } = new GraphExporter(graphData).toCSV();
+
+  assert.match(nodes, /^def-inertia,Inertia,definition,/m);
+  assert.match(
+    edges,
+    /^doc-1,def-inertia,Undirected,0.6,definition-connection/m
+  );
+});
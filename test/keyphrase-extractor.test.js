@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const KeyphraseExtractor = require("../keyphrase-extractor.js");
+
+const CUE_VERBS = [
+  "balanced",
+  "combining",
+  "defined",
+  "means",
+  "refers",
+  "uses",
+];
+
+const samplesFolder = path.join(__dirname, "..", "test files");
+const samples = fs
+  .readdirSync(samplesFolder)
+  .filter((file) => file.endsWith(".txt"))
+  .map((file) => ({
+    title: file,
+    content: fs.readFileSync(path.join(samplesFolder, file), "utf8"),
+  }));
+
+/**
+ * Every theme and subtheme label the extractor produces
+ */
+function themeLabels(documents) {
+  const result = new KeyphraseExtractor().extract(documents);
+  return [
+    ...result.shared_concepts.map((concept) => concept.concept),
+    ...result.documents.flatMap((doc) =>
+      doc.main_themes.flatMap((theme) => [theme.theme, ...theme.subthemes])
+    ),
+  ];
+}
+
+function assertNoCueVerbs(labels) {
+  labels.forEach((label) => {
+    const words = label.toLowerCase().split(/\s+/);
+    const cue = CUE_VERBS.find((verb) => words.includes(verb));
+    assert.ok(!cue, `"${label}" contains the cue verb "${cue}"`);
+  });
+}
+
+test("sample file themes don't contain cue verbs", () => {
+  const labels = themeLabels(samples);
+  assert.ok(labels.length > 0);
+  assertNoCueVerbs(labels);
+});
+
+test("definition and relationship cue verbs end a phrase", () => {
+  const labels = themeLabels([
+    ...samples,
+    {
+      title: "Grid Terms",
+      content:
+        "Grid stability refers to the ability of the grid to stay in balance. " +
+        "Solar forecasting uses satellite imagery and weather data. " +
+        "Dispatch planning keeps supply and demand balanced across the grid. " +
+        "Ramp rate means the speed at which output changes. " +
+        "Grid stability is defined as steady frequency under load.",
+    },
+  ]);
+  assertNoCueVerbs(labels);
+  assert.ok(labels.some((label) => /^grid stability$/i.test(label)));
+});
+
+test("phrases end before finite verbs and comparatives", () => {
+  const extractor = new KeyphraseExtractor();
+  const phrases = (sentence) =>
+    extractor.findCandidatePhrases(sentence).map((candidate) => candidate.text);
+
+  assert.deepStrictEqual(
+    phrases("Operators face challenges related to ramp events"),
+    ["Operators", "challenges", "ramp events"]
+  );
+  assert.deepStrictEqual(
+    phrases("The excessive harvesting of fish faster than they can reproduce"),
+    ["excessive harvesting", "fish", "reproduce"]
+  );
+  assert.deepStrictEqual(
+    phrases("Consumers reduce plastic waste that harms marine life"),
+    ["Consumers", "plastic waste", "marine life"]
+  );
+  // Plural-looking words that aren't subjects
+  assert.deepStrictEqual(phrases("Analytics platform for time series data"), [
+    "Analytics platform",
+    "time series data",
+  ]);
+
+  const labels = themeLabels(samples).map((label) => label.toLowerCase());
+  ["operators face challenges", "fish faster", "harms marine life"].forEach(
+    (phrase) => assert.ok(!labels.includes(phrase), `"${phrase}" is a label`)
+  );
+});
@@ -0,0 +1,141 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// Loads ForceLayout as a global, as in the browser
+require("../connect-the-docs.js");
+const ForceLayout = require("../force-layout.js");
+const LayoutPresets = require("../layout-presets.js");
+
+/**
+ * Two documents sharing "Energy", whose subtheme "Storage" has its own
+ * subtheme "Batteries"; a definition of the first document and a theme
+ * linked to nothing
+ */
+function createGraph() {
+  const node = (id, type, community) => ({ id, type, community });
+  return {
+    nodes: [
+      node("d1", "document", "c1"),
+      node("d2", "document", "c2"),
+      node("energy", "shared-theme", "c1"),
+      node("storage", "unique-theme", "c1"),
+      node("batteries", "unique-theme", "c2"),
+      node("inertia", "definition", "c1"),
+      node("orphan", "unique-theme", "c2"),
+    ],
+    links: [
+      { source: "d1", target: "energy" },
+      { source: "d2", target: "energy" },
+      { source: "d1", target: "storage" },
+      { source: "d2", target: "batteries" },
+      { source: "d1", target: "inertia" },
+    ],
+  };
+}
+
+const hierarchy = [
+  { parent: "energy", child: "storage" },
+  { parent: "storage", child: "batteries" },
+];
+
+/**
+ * Lay out a preset and return the nodes by id
+ */
+function layOut(preset, options = {}) {
+  const graphData = createGraph();
+  const positions = LayoutPresets.compute(preset, graphData, options);
+  assert.strictEqual(positions.length, graphData.nodes.length * 3);
+  ForceLayout.applyPositions(graphData.nodes, positions);
+  return new Map(graphData.nodes.map((node) => [node.id, node]));
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+test("hierarchy puts documents on top and each theme level below", () => {
+  const nodes = layOut("hierarchical", { hierarchy });
+  const y = (id) => nodes.get(id).y;
+
+  assert.strictEqual(y("d1"), y("d2"));
+  assert.ok(y("d1") > y("energy"));
+  assert.ok(y("energy") > y("storage"));
+  assert.ok(y("storage") > y("batteries"));
+  // Themes without parents share the first theme level
+  assert.strictEqual(y("orphan"), y("energy"));
+  // Definitions go below the deepest theme
+  assert.ok(y("batteries") > y("inertia"));
+});
+
+test("radial rings follow hop distance from the center", () => {
+  const nodes = layOut("radial", { centerId: "d2" });
+  const radius = (id) =>
+    Math.round(Math.hypot(nodes.get(id).x, nodes.get(id).y));
+
+  assert.strictEqual(radius("d2"), 0);
+  assert.strictEqual(radius("energy"), radius("batteries"));
+  assert.ok(radius("energy") < radius("d1"));
+  assert.ok(radius("d1") < radius("storage"));
+  assert.strictEqual(radius("storage"), radius("inertia"));
+  // Unreachable nodes go on an outer ring
+  assert.ok(radius("inertia") < radius("orphan"));
+  assert.ok(Array.from(nodes.values()).every((node) => node.z === 0));
+});
+
+test("clusters keep communities together", () => {
+  const nodes = Array.from(layOut("clustered").values());
+  const centers = new Map(
+    ["c1", "c2"].map((community) => {
+      const group = nodes.filter((node) => node.community === community);
+      const mean = (axis) =>
+        group.reduce((sum, node) => sum + node[axis], 0) / group.length;
+      return [community, { x: mean("x"), y: mean("y"), z: mean("z") }];
+    })
+  );
+
+  // Every node is nearer its own community's center than the other one
+  nodes.forEach((node) => {
+    const other = node.community === "c1" ? "c2" : "c1";
+    assert.ok(
+      distance(node, centers.get(node.community)) <
+        distance(node, centers.get(other)),
+      node.id
+    );
+  });
+});
+
+test("communities are detected from links when nodes have none", () => {
+  // Two triangles joined by one weak link
+  const ids = ["a1", "a2", "a3", "b1", "b2", "b3"];
+  const link = (source, target, strength = 1) => ({ source, target, strength });
+  const communities = LayoutPresets.detectCommunities({
+    nodes: ids.map((id) => ({ id, type: "unique-theme" })),
+    links: [
+      link("a1", "a2"),
+      link("a2", "a3"),
+      link("a3", "a1"),
+      link("b1", "b2"),
+      link("b2", "b3"),
+      link("b3", "b1"),
+      link("a3", "b1", 0.1),
+    ],
+  });
+
+  const of = (id) => communities.get(id);
+  assert.strictEqual(of("a1"), of("a2"));
+  assert.strictEqual(of("a1"), of("a3"));
+  assert.strictEqual(of("b1"), of("b2"));
+  assert.strictEqual(of("b1"), of("b3"));
+  assert.notStrictEqual(of("a1"), of("b1"));
+});
+
+test("the 2D preset flattens the force layout", () => {
+  const nodes = layOut("flat");
+
+  assert.ok(Array.from(nodes.values()).every((node) => node.z === 0));
+  assert.ok(distance(nodes.get("d1"), nodes.get("d2")) > 0);
+  assert.throws(
+    () => LayoutPresets.compute("spiral", createGraph()),
+    /Unknown layout preset "spiral"/
+  );
+});
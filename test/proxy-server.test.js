@@ -0,0 +1,150 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const ProxyServer = require("../proxy-server.js");
+const { LLMProvider } = require("../llm-providers.js");
+const { EmbeddingCache } = require("../embedding-cache.js");
+const DocumentConnectionAnalyzer = require("../document-connection-analyzer.js");
+
+const SECRET = "sk-test-not-a-real-key";
+let root;
+let proxy;
+let baseUrl;
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "connect-the-docs-proxy-"));
+  fs.writeFileSync(
+    path.join(root, "config.js"),
+    `window.CONFIG = { OPENAI_API_KEY: "${SECRET}" };\n`
+  );
+  fs.writeFileSync(path.join(root, "enhanced-analyzer.html"), "<html></html>");
+  for (const file of [
+    "llm-providers.js",
+    "proxy-server.js",
+    "proxy-usage.log",
+  ]) {
+    fs.writeFileSync(path.join(root, file), `// ${file}\n`);
+  }
+
+  proxy = new ProxyServer(
+    { LLM_PROVIDER: "offline" },
+    { port: 0, root, rateLimitPerMinute: 2, usageLog: null, log: () => {} }
+  );
+  await proxy.start();
+  baseUrl = `http://127.0.0.1:${proxy.server.address().port}`;
+});
+
+after(async () => {
+  await proxy.stop();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test("config.js is never served from disk", async () => {
+  for (const pathname of [
+    "/config.js",
+    "/%63onfig.js",
+    "/config%2Ejs",
+    "/./config.js",
+    "/x/../config.js",
+    "/CONFIG.JS",
+    "/config.js.",
+  ]) {
+    const response = await fetch(baseUrl + pathname);
+    const body = await response.text();
+    assert.ok(!body.includes(SECRET), `${pathname} leaked the key`);
+  }
+
+  const generated = await (await fetch(`${baseUrl}/%63onfig.js`)).text();
+  assert.match(generated, /LLM_PROVIDER/);
+});
+
+test("only the app's client assets are served", async () => {
+  const status = async (pathname) => {
+    const response = await fetch(baseUrl + pathname);
+    await response.text();
+    return response.status;
+  };
+
+  assert.strictEqual(await status("/"), 200);
+  assert.strictEqual(await status("/llm-providers.js"), 200);
+  for (const pathname of [
+    "/proxy-server.js",
+    "/proxy-usage.log",
+    "/x/../proxy-server.js",
+    "/package.json",
+  ]) {
+    assert.strictEqual(await status(pathname), 404, pathname);
+  }
+});
+
+test("every local script of the app page is a client asset", () => {
+  const html = fs.readFileSync(
+    path.join(__dirname, "..", "enhanced-analyzer.html"),
+    "utf8"
+  );
+  const scripts = Array.from(html.matchAll(/<script src="([^":]+)"/g))
+    .map((match) => match[1])
+    .filter((src) => src !== "config.js");
+
+  assert.deepStrictEqual(
+    scripts.filter((src) => !ProxyServer.CLIENT_ASSETS.includes(src)),
+    []
+  );
+});
+
+test("the usage log defaults to outside the served folder", () => {
+  const server = new ProxyServer({ LLM_PROVIDER: "offline" }, { root });
+
+  assert.ok(!path.resolve(server.usageLog).startsWith(root + path.sep));
+});
+
+test("a proxy without embeddings uses the local TF-IDF vectors", async (t) => {
+  const requested = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url) => {
+    requested.push(String(url));
+    throw new Error("no network in this test");
+  };
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  // The browser's wiring for the config.js the proxy generates
+  const config = { LLM_PROVIDER: "proxy", PROXY_EMBEDDINGS: false };
+  const embeddingProvider = LLMProvider.fromConfig(config, "embedding");
+  const analyzer = new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: LLMProvider.fromConfig(config, "chat"),
+    embeddingProvider: embeddingProvider.supportsEmbeddings()
+      ? embeddingProvider
+      : null,
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+  const [embedding] = await analyzer.semanticAnalyzer.getEmbeddings([
+    "grid stability",
+  ]);
+
+  assert.strictEqual(analyzer.semanticAnalyzer.embeddingProvider.offline, true);
+  assert.ok(embedding.length > 0);
+  assert.deepStrictEqual(requested, []);
+});
+
+test("malformed paths are rejected", async () => {
+  const response = await fetch(`${baseUrl}/%E0%A4%A`);
+  assert.strictEqual(response.status, 400);
+});
+
+test("rate limits apply per address without a cookie", async () => {
+  const statuses = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await fetch(`${baseUrl}/api/embeddings`, {
+      method: "POST",
+      body: JSON.stringify({ texts: ["grid stability"] }),
+    });
+    statuses.push(response.status);
+    await response.text();
+  }
+  assert.deepStrictEqual(statuses, [200, 200, 429]);
+});
@@ -0,0 +1,73 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const ThemeStorageSystem = require("../theme-storage-system.js");
+const SearchIndex = require("../search-index.js");
+
+/**
+ * Two documents with a theme each; "Frequency Response" is both a theme
+ * label and a phrase in the grid document's text
+ */
+function createIndex() {
+  const storage = new ThemeStorageSystem();
+  const grid = storage.addDocument(
+    "Grid Stability",
+    "Grid operators keep frequency within limits. Fast frequency response " +
+      "from batteries arrests the fall after a plant trips, and synthetic " +
+      "inertia helps too. Operators also schedule reserves a day ahead."
+  );
+  const firmware = storage.addDocument(
+    "Controller Firmware",
+    "The controller firmware is written in C++ and C, with a few build " +
+      "scripts in C#. Calibration code is checked by careful review."
+  );
+  storage.linkDocumentToTheme(
+    grid,
+    storage.addTheme("Frequency Response"),
+    1.0,
+    "Batteries provide frequency response"
+  );
+  storage.linkDocumentToTheme(firmware, storage.addTheme("Control Software"));
+
+  const index = new SearchIndex();
+  index.build(storage, [grid, firmware]);
+  return index;
+}
+
+test("symbols after a word make it a whole word, not a prefix", () => {
+  const index = createIndex();
+
+  assert.deepStrictEqual(
+    SearchIndex.tokenize("C++ and C#, not C").map((token) => token.term),
+    ["c++", "and", "c#", "not", "c"]
+  );
+  for (const query of ["c++", "C#", "c++ "]) {
+    assert.deepStrictEqual(
+      index.search(query).map((result) => result.title),
+      ["Controller Firmware"],
+      query
+    );
+  }
+  const [result] = index.search("c++");
+  const [[start, end]] = result.snippet.highlights;
+  assert.strictEqual(result.snippet.text.slice(start, end), "C++");
+
+  // A plain last word is still completed while typing
+  assert.ok(
+    index.search("cont").some((result) => result.title === "Control Software")
+  );
+});
+
+test("documents containing a phrase rank above labels naming it", () => {
+  const index = createIndex();
+
+  const results = index.search('"frequency response"');
+  assert.deepStrictEqual(
+    results.map((result) => [result.kind, result.title]),
+    [
+      ["document", "Grid Stability"],
+      ["theme", "Frequency Response"],
+    ]
+  );
+  assert.match(results[0].snippet.text, /frequency response from batteries/);
+});
@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// Loads the analysis modules as globals, as in the browser
+require("../connect-the-docs.js");
+const { EmbeddingCache } = require("../embedding-cache.js");
+const SemanticAnalyzer = require("../semantic-analyzer.js");
+
+test("getEmbeddings answers repeated texts from the cache", async () => {
+  let providerCalls = 0;
+  const provider = {
+    name: "OpenAI",
+    embeddingModel: "text-embedding-3-small",
+    supportsEmbeddings: () => true,
+    async embed(texts) {
+      providerCalls++;
+      return {
+        embeddings: texts.map(() => [1, 2, 3]),
+        usage: { promptTokens: texts.length },
+        model: "text-embedding-3-small",
+      };
+    },
+  };
+  const cache = new EmbeddingCache({ store: null });
+  const analyzer = new SemanticAnalyzer("", provider, cache);
+
+  const first = await analyzer.getEmbeddings(["grid stability"]);
+  const second = await analyzer.getEmbeddings(["grid stability"]);
+
+  assert.strictEqual(providerCalls, 1);
+  assert.deepStrictEqual(second, first);
+  assert.strictEqual(cache.getStats().hits, 1);
+});
@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+
+// Loads the analysis modules as globals, as in the browser
+require("../connect-the-docs.js");
+const { OfflineProvider } = require("../llm-providers.js");
+const { EmbeddingCache } = require("../embedding-cache.js");
+const DocumentConnectionAnalyzer = require("../document-connection-analyzer.js");
+const SessionStore = require("../session-store.js");
+
+function createAnalyzer() {
+  return new DocumentConnectionAnalyzer(undefined, {
+    llmProvider: new OfflineProvider(),
+    embeddingCache: new EmbeddingCache({ store: null }),
+    log: () => {},
+  });
+}
+
+// Export times are the only thing allowed to differ
+function serialize(state) {
+  return JSON.stringify(state, (key, value) =>
+    key === "exportedAt" ? undefined : value
+  );
+}
+
+test("a session bundle round-trips the analysis losslessly", async () => {
+  const folder = path.join(__dirname, "..", "test files");
+  const documents = fs
+    .readdirSync(folder)
+    .sort()
+    .slice(0, 4)
+    .map((file) => ({
+      title: file,
+      content: fs.readFileSync(path.join(folder, file), "utf8"),
+    }));
+  const analyzer = createAnalyzer();
+  await analyzer.processDocuments(documents, { showDefinitionNodes: true });
+  analyzer.graphData.nodes.forEach((node, i) => {
+    Object.assign(node, { x: i, y: 2 * i, z: -i });
+  });
+  const state = analyzer.exportSystemState();
+  const chatHistory = [{ role: "user", content: "What links these?" }];
+
+  const bundle = SessionStore.parseBundle(
+    JSON.stringify(
+      SessionStore.createBundle("Grid notes", { analyzer: state, chatHistory })
+    )
+  );
+  const restored = createAnalyzer();
+  restored.importSystemState(bundle.analyzer);
+
+  assert.strictEqual(serialize(restored.exportSystemState()), serialize(state));
+  assert.deepStrictEqual(bundle.chatHistory, chatHistory);
+  assert.ok(restored.themeStorage.documents.get("doc-1").themes instanceof Set);
+  assert.strictEqual(
+    SessionStore.fileNameFor(bundle),
+    "grid-notes.session.json"
+  );
+});
+
+test("bundles from a newer format are refused", () => {
+  const bundle = SessionStore.createBundle("Later", { analyzer: {} });
+  bundle.version = 2;
+
+  assert.throws(
+    () => SessionStore.parseBundle(JSON.stringify(bundle)),
+    /newer version/
+  );
+  assert.throws(() => SessionStore.parseBundle("{"), /not valid JSON/);
+});
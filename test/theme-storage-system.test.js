@@ -0,0 +1,133 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const ThemeStorageSystem = require("../theme-storage-system.js");
+
+/**
+ * Three documents: "Grid Stability" in all of them, "Battery Storage" in
+ * the first two and "Wind Power" in the last one
+ */
+function createStorage() {
+  const storage = new ThemeStorageSystem();
+  const docIds = ["Grid", "Storage", "Wind"].map((title) =>
+    storage.addDocument(title, `${title} notes`)
+  );
+  const grid = storage.addTheme("Grid Stability");
+  const battery = storage.addTheme("Battery Storage");
+  const wind = storage.addTheme("Wind Power");
+  docIds.forEach((docId) => storage.linkDocumentToTheme(docId, grid));
+  storage.linkDocumentToTheme(docIds[0], battery);
+  storage.linkDocumentToTheme(docIds[1], battery);
+  storage.linkDocumentToTheme(docIds[2], wind);
+  return { storage, docIds, grid, battery, wind };
+}
+
+function sharedThemes(storage) {
+  return storage
+    .getSharedThemes(2)
+    .map((theme) => [theme.label, theme.sharedBy]);
+}
+
+function connectivity(storage) {
+  return storage
+    .getDocumentConnectivityMap()
+    .map(({ source, target, sharedThemes }) => [source, target, sharedThemes])
+    .sort((a, b) => a.join().localeCompare(b.join()));
+}
+
+test("removing a document cleans up every index", () => {
+  const { storage, docIds, grid, battery, wind } = createStorage();
+  // Warm the connection cache so stale strengths would show up
+  connectivity(storage);
+
+  const removed = storage.removeDocument(docIds[1]);
+
+  assert.deepStrictEqual(removed.removedThemes, []);
+  assert.strictEqual(storage.themesByDocument.has(docIds[1]), false);
+  assert.deepStrictEqual(Array.from(storage.documentsByTheme.get(grid)), [
+    docIds[0],
+    docIds[2],
+  ]);
+  assert.deepStrictEqual(Array.from(storage.documentsByTheme.get(battery)), [
+    docIds[0],
+  ]);
+  assert.deepStrictEqual(sharedThemes(storage), [
+    ["Grid Stability", [docIds[0], docIds[2]]],
+  ]);
+  assert.deepStrictEqual(connectivity(storage), [
+    [docIds[0], docIds[2], ["Grid Stability"]],
+  ]);
+
+  // The last document using a theme takes it along
+  assert.deepStrictEqual(storage.removeDocument(docIds[2]).removedThemes, [
+    wind,
+  ]);
+  assert.strictEqual(storage.themes.has(wind), false);
+  assert.strictEqual(storage.documentsByTheme.has(wind), false);
+  assert.deepStrictEqual(sharedThemes(storage), []);
+  assert.deepStrictEqual(connectivity(storage), []);
+});
+
+test("updating a document replaces its links", () => {
+  const { storage, docIds, grid, battery, wind } = createStorage();
+  connectivity(storage);
+
+  const removed = storage.updateDocumentContent(docIds[2], "Storage notes");
+  storage.linkDocumentToTheme(docIds[2], battery);
+
+  assert.deepStrictEqual(removed.removedThemes, [wind]);
+  assert.deepStrictEqual(Array.from(storage.themesByDocument.get(docIds[2])), [
+    battery,
+  ]);
+  assert.deepStrictEqual(Array.from(storage.documentsByTheme.get(grid)), [
+    docIds[0],
+    docIds[1],
+  ]);
+  assert.deepStrictEqual(sharedThemes(storage), [
+    ["Battery Storage", docIds],
+    ["Grid Stability", [docIds[0], docIds[1]]],
+  ]);
+  assert.deepStrictEqual(connectivity(storage), [
+    [docIds[0], docIds[1], ["Grid Stability", "Battery Storage"]],
+    [docIds[0], docIds[2], ["Battery Storage"]],
+    [docIds[1], docIds[2], ["Battery Storage"]],
+  ]);
+});
+
+test("relationships filter by type, theme and stating document", () => {
+  const { storage, docIds, grid, battery, wind } = createStorage();
+  const relationship = (source, target, type, strength, documents) =>
+    storage.addThemeRelationship(source, target, type, { strength, documents });
+
+  const conflict = relationship(wind, grid, "contradictory", 0.9, [docIds[2]]);
+  // The same undirected pair the other way round merges into one
+  assert.strictEqual(
+    relationship(grid, wind, "contradicts", 0.4, [docIds[0]]),
+    conflict
+  );
+  const support = relationship(battery, grid, "supports", 0.7, [docIds[0]]);
+  const causes = relationship(wind, battery, "causal", 0.5, [docIds[1]]);
+  assert.strictEqual(relationship(grid, wind, "unrelated", 0.5), null);
+
+  const ids = (options) =>
+    storage.getThemeRelationships(options).map(({ id }) => id);
+  assert.deepStrictEqual(ids(), [conflict, support, causes]);
+  assert.deepStrictEqual(ids({ types: ["contradicts"] }), [conflict]);
+  assert.deepStrictEqual(ids({ types: ["supports", "causes"] }), [
+    support,
+    causes,
+  ]);
+  assert.deepStrictEqual(ids({ themeId: battery }), [support, causes]);
+  assert.deepStrictEqual(ids({ documentIds: [docIds[0]] }), [
+    conflict,
+    support,
+  ]);
+  assert.deepStrictEqual(
+    ids({ types: ["contradicts"], documentIds: [docIds[1]] }),
+    []
+  );
+
+  const [merged] = storage.getThemeRelationships({ types: ["contradicts"] });
+  assert.strictEqual(merged.strength, 0.9);
+  assert.deepStrictEqual(Array.from(merged.documents), [docIds[2], docIds[0]]);
+});
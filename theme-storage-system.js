@@ -7,6 +7,15 @@
  * - Efficient relationship indexing
  * - Weighted scoring for document connections
  * - Fast lookup capabilities
+ * - Removal and update of documents with orphan cleanup
+ * - Evidence spans (verbatim quotes with offsets) on every link
+ * - Per-document wording of definitions, for a cross-document glossary
+ * - Typed theme-to-theme relationships (supports, contradicts, extends,
+ *   causes, similar) and conceptual clusters from extraction
+ * - Theme hierarchy (parent/child) with ancestor, descendant and rollup
+ *   queries
+ * - Communities of documents and themes (community-detector.js) with
+ *   stable IDs and names
  */
 
 class ThemeStorageSystem {
@@ -29,9 +38,72 @@ class ThemeStorageSystem {
     // Connection strength cache
     this.connectionStrengths = new Map(); // "doc1|doc2" -> strength score
 
+    // Extracted structure between themes
+    this.themeRelationships = new Map(); // "type|source|target" -> Relationship
+    this.conceptualClusters = new Map(); // clusterId -> Cluster
+
+    // Theme hierarchy (a theme may have several parents)
+    this.themeHierarchy = new Map(); // "parent|child" -> HierarchyLink
+    this.childThemes = new Map(); // themeId -> Set<child themeId>
+    this.parentThemes = new Map(); // themeId -> Set<parent themeId>
+
+    // Communities detected over the document-theme graph
+    this.communities = new Map(); // communityId -> Community
+    this.communityByMember = new Map(); // docId or themeId -> communityId
+    this.communityModularity = 0;
+    this.nextCommunityId = 1;
+
+    // Label similarity at which two themes are treated as the same theme
+    this.themeSimilarityThreshold = 0.8;
+
+    // Evidence spans kept per document-theme or document-definition link
+    this.maxEvidencePerLink = 3;
+
     this.nextId = 1;
   }
 
+  /**
+   * Relationship types between themes. Directed types read
+   * "source <type> target"; the others are stored once per pair.
+   */
+  static get RELATIONSHIP_TYPES() {
+    return {
+      supports: { label: "Supports", directed: true },
+      contradicts: { label: "Contradicts", directed: false },
+      extends: { label: "Extends", directed: true },
+      causes: { label: "Causes", directed: true },
+      similar: { label: "Similar", directed: false },
+    };
+  }
+
+  /**
+   * Names older prompts and models use for the types above
+   */
+  static get RELATIONSHIP_ALIASES() {
+    return {
+      supporting: "supports",
+      support: "supports",
+      contradictory: "contradicts",
+      contradiction: "contradicts",
+      conflicting: "contradicts",
+      hierarchical: "extends",
+      extension: "extends",
+      causal: "causes",
+      identical: "similar",
+    };
+  }
+
+  /**
+   * Canonical relationship type for a name, or null if it isn't one
+   */
+  static normalizeRelationshipType(type) {
+    const name = String(type || "")
+      .toLowerCase()
+      .trim();
+    if (ThemeStorageSystem.RELATIONSHIP_TYPES[name]) return name;
+    return ThemeStorageSystem.RELATIONSHIP_ALIASES[name] || null;
+  }
+
   /**
    * Add a document to the storage system
    */
@@ -121,13 +193,37 @@ class ThemeStorageSystem {
   }
 
   /**
-   * Link a document to a theme
+   * Link a document to a theme. `evidence` is a list of spans
+   * { start, end, quote, source } in the document's content (see
+   * evidence-locator.js). `role` is "subtheme" for themes the document
+   * only mentions as a subtheme of another theme.
    */
-  linkDocumentToTheme(docId, themeId, confidence = 1.0, context = "") {
+  linkDocumentToTheme(
+    docId,
+    themeId,
+    confidence = 1.0,
+    context = "",
+    evidence = [],
+    role = "theme"
+  ) {
     if (!this.documents.has(docId) || !this.themes.has(themeId)) {
       throw new Error("Document or theme not found");
     }
 
+    const linkKey = `${docId}-${themeId}`;
+    if (!this.linkMetadata) this.linkMetadata = new Map();
+
+    // Already linked (e.g. a theme merged from several chunks, or also listed
+    // as a shared concept): keep the strongest confidence, don't double count
+    const existingLink = this.linkMetadata.get(linkKey);
+    if (existingLink && this.themesByDocument.get(docId).has(themeId)) {
+      existingLink.confidence = Math.max(existingLink.confidence, confidence);
+      if (context && !existingLink.context) existingLink.context = context;
+      if (role === "theme") existingLink.role = "theme";
+      this.mergeEvidence(existingLink, evidence);
+      return;
+    }
+
     // Add bidirectional links
     this.themesByDocument.get(docId).add(themeId);
     this.documentsByTheme.get(themeId).add(docId);
@@ -141,26 +237,62 @@ class ThemeStorageSystem {
     theme.frequency++;
 
     // Store link metadata
-    const linkKey = `${docId}-${themeId}`;
-    if (!this.linkMetadata) this.linkMetadata = new Map();
-    this.linkMetadata.set(linkKey, {
+    const link = {
       confidence,
       context,
+      role,
+      evidence: [],
       createdAt: new Date(),
-    });
+    };
+    this.mergeEvidence(link, evidence);
+    this.linkMetadata.set(linkKey, link);
 
     // Invalidate connection cache for affected documents
     this.invalidateConnectionCache(docId);
   }
 
   /**
-   * Link a document to a definition
+   * Link a document to a definition, with optional evidence spans.
+   * `details` holds this document's own wording of the definition
+   * ({ definition, context, type }), since documents can define a term
+   * differently.
    */
-  linkDocumentToDefinition(docId, definitionId, confidence = 1.0) {
+  linkDocumentToDefinition(
+    docId,
+    definitionId,
+    confidence = 1.0,
+    evidence = [],
+    details = {}
+  ) {
     if (!this.documents.has(docId) || !this.definitions.has(definitionId)) {
       throw new Error("Document or definition not found");
     }
 
+    const linkKey = `${docId}-${definitionId}`;
+    if (!this.linkMetadata) this.linkMetadata = new Map();
+
+    // Already linked: don't double count
+    if (this.definitionsByDocument.get(docId).has(definitionId)) {
+      const existingLink = this.linkMetadata.get(linkKey);
+      if (existingLink) {
+        this.mergeEvidence(existingLink, evidence);
+        existingLink.definition =
+          existingLink.definition || details.definition?.trim() || "";
+      }
+      return;
+    }
+
+    const link = {
+      confidence,
+      definition: details.definition?.trim() || "",
+      context: details.context || "",
+      type: details.type || null,
+      evidence: [],
+      createdAt: new Date(),
+    };
+    this.mergeEvidence(link, evidence);
+    this.linkMetadata.set(linkKey, link);
+
     this.definitionsByDocument.get(docId).add(definitionId);
     this.documentsByDefinition.get(definitionId).add(docId);
 
@@ -174,6 +306,755 @@ class ThemeStorageSystem {
     this.invalidateConnectionCache(docId);
   }
 
+  /**
+   * Add evidence spans to a link. Quotes win over label mentions;
+   * overlapping spans are kept once, in document order.
+   */
+  mergeEvidence(link, evidence = []) {
+    const spans = [...(link.evidence || []), ...evidence];
+    const hasQuotes = spans.some((span) => span.source !== "mention");
+    const kept = [];
+    spans.forEach((span) => {
+      if (hasQuotes && span.source === "mention") return;
+      if (kept.length >= this.maxEvidencePerLink) return;
+      if (
+        kept.some((other) => other.start < span.end && span.start < other.end)
+      ) {
+        return;
+      }
+      kept.push(span);
+    });
+    link.evidence = kept.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Evidence spans for a document's link to a theme or definition
+   */
+  getEvidence(docId, itemId) {
+    return this.linkMetadata?.get(`${docId}-${itemId}`)?.evidence || [];
+  }
+
+  /**
+   * Themes and definitions two documents share, with the evidence for each
+   * side: [{ id, kind, label, source, target }] where source and target are
+   * the spans in docId1 and docId2
+   */
+  getConnectionEvidence(docId1, docId2) {
+    const doc1 = this.documents.get(docId1);
+    const doc2 = this.documents.get(docId2);
+    if (!doc1 || !doc2) return [];
+
+    const shared = [];
+    doc1.themes.forEach((themeId) => {
+      if (!doc2.themes.has(themeId)) return;
+      shared.push({
+        id: themeId,
+        kind: "theme",
+        label: this.themes.get(themeId)?.label,
+        source: this.getEvidence(docId1, themeId),
+        target: this.getEvidence(docId2, themeId),
+      });
+    });
+    doc1.definitions.forEach((definitionId) => {
+      if (!doc2.definitions.has(definitionId)) return;
+      shared.push({
+        id: definitionId,
+        kind: "definition",
+        label: this.definitions.get(definitionId)?.term,
+        source: this.getEvidence(docId1, definitionId),
+        target: this.getEvidence(docId2, definitionId),
+      });
+    });
+    return shared;
+  }
+
+  /**
+   * Defined terms, sorted by term, with the definition each document gives
+   * (falling back to the first definition seen for links stored without
+   * one). Limited to documentIds when given.
+   */
+  getGlossary(documentIds = null) {
+    const included = documentIds ? new Set(documentIds) : null;
+
+    return Array.from(this.definitions.values())
+      .map((def) => ({
+        id: def.id,
+        term: def.term,
+        importance: def.importance,
+        variants: Array.from(def.documents)
+          .filter((docId) => !included || included.has(docId))
+          .map((docId) => {
+            const link = this.linkMetadata?.get(`${docId}-${def.id}`);
+            return {
+              documentId: docId,
+              title: this.documents.get(docId)?.title,
+              definition: link?.definition || def.definition,
+              context: link?.context || "",
+              type: link?.type || null,
+            };
+          }),
+      }))
+      .filter((entry) => entry.variants.length > 0)
+      .sort((a, b) => a.term.localeCompare(b.term));
+  }
+
+  /**
+   * Drop evidence spans whose text no longer matches the document content
+   * (e.g. an imported state edited by hand). Returns how many were dropped.
+   */
+  verifyEvidence() {
+    let dropped = 0;
+    this.documents.forEach((doc, docId) => {
+      [...doc.themes, ...doc.definitions].forEach((itemId) => {
+        const link = this.linkMetadata?.get(`${docId}-${itemId}`);
+        if (!link?.evidence) return;
+
+        const valid = link.evidence.filter(
+          (span) =>
+            (doc.content || "").slice(span.start, span.end) === span.quote
+        );
+        dropped += link.evidence.length - valid.length;
+        link.evidence = valid;
+      });
+    });
+    return dropped;
+  }
+
+  /**
+   * Theme id for a label as stored by addTheme (exact or similar label),
+   * or null if no such theme exists
+   */
+  findThemeId(label) {
+    if (typeof label !== "string" || !label.trim()) return null;
+
+    const normalizedLabel = this.normalizeText(label);
+    const themeId = `theme-${normalizedLabel.replace(/\s+/g, "-")}`;
+    if (this.themes.has(themeId)) return themeId;
+    return this.findSimilarTheme(label, normalizedLabel)?.id || null;
+  }
+
+  /**
+   * Add a typed relationship between two themes, or merge it into the
+   * existing one (highest strength, first explanation, all documents).
+   * Returns the relationship id, or null for an unknown type or theme.
+   */
+  addThemeRelationship(sourceId, targetId, type, details = {}) {
+    const relationType = ThemeStorageSystem.normalizeRelationshipType(type);
+    if (
+      !relationType ||
+      sourceId === targetId ||
+      !this.themes.has(sourceId) ||
+      !this.themes.has(targetId)
+    ) {
+      return null;
+    }
+
+    // Undirected relationships are stored once per pair
+    const { directed } = ThemeStorageSystem.RELATIONSHIP_TYPES[relationType];
+    if (!directed && sourceId > targetId) {
+      [sourceId, targetId] = [targetId, sourceId];
+    }
+
+    const id = `${relationType}|${sourceId}|${targetId}`;
+    const strength = Math.max(0, Math.min(1, details.strength ?? 0.5));
+    const documents = (details.documents || []).filter((docId) =>
+      this.documents.has(docId)
+    );
+
+    const existing = this.themeRelationships.get(id);
+    if (existing) {
+      existing.strength = Math.max(existing.strength, strength);
+      existing.explanation = existing.explanation || details.explanation || "";
+      documents.forEach((docId) => existing.documents.add(docId));
+      return id;
+    }
+
+    this.themeRelationships.set(id, {
+      id,
+      type: relationType,
+      directed,
+      source: sourceId,
+      target: targetId,
+      strength,
+      explanation: details.explanation || "",
+      documents: new Set(documents),
+      createdAt: new Date(),
+    });
+    return id;
+  }
+
+  /**
+   * Relationships, strongest first, optionally limited to some types, to
+   * the ones touching a theme, or to the ones stated by given documents
+   */
+  getThemeRelationships(options = {}) {
+    const { types = null, themeId = null, documentIds = null } = options;
+    const inDocuments = documentIds ? new Set(documentIds) : null;
+
+    return Array.from(this.themeRelationships.values())
+      .filter(
+        (relationship) =>
+          (!types || types.includes(relationship.type)) &&
+          (!themeId ||
+            relationship.source === themeId ||
+            relationship.target === themeId) &&
+          (!inDocuments ||
+            Array.from(relationship.documents).some((docId) =>
+              inDocuments.has(docId)
+            ))
+      )
+      .sort((a, b) => b.strength - a.strength);
+  }
+
+  /**
+   * Add a conceptual cluster (a named group of themes), merged by name
+   */
+  addConceptualCluster(name, themeIds, documentIds = [], cohesion = 0.5) {
+    const normalizedName = this.normalizeText(name || "");
+    const themes = themeIds.filter((themeId) => this.themes.has(themeId));
+    if (!normalizedName || new Set(themes).size < 2) return null;
+
+    const id = `cluster-${normalizedName.replace(/\s+/g, "-")}`;
+    const cluster = this.conceptualClusters.get(id) || {
+      id,
+      name: name.trim(),
+      themes: new Set(),
+      documents: new Set(),
+      cohesion: 0,
+      createdAt: new Date(),
+    };
+    themes.forEach((themeId) => cluster.themes.add(themeId));
+    documentIds
+      .filter((docId) => this.documents.has(docId))
+      .forEach((docId) => cluster.documents.add(docId));
+    cluster.cohesion = Math.max(cluster.cohesion, cohesion);
+
+    this.conceptualClusters.set(id, cluster);
+    return id;
+  }
+
+  /**
+   * Forget the relationships, clusters and subtheme links a document
+   * stated, and its community. Relationships and subtheme links no
+   * remaining document states are removed.
+   */
+  removeDocumentStructure(docId) {
+    for (const [id, relationship] of this.themeRelationships) {
+      if (
+        relationship.documents.delete(docId) &&
+        relationship.documents.size === 0
+      ) {
+        this.themeRelationships.delete(id);
+      }
+    }
+
+    for (const cluster of this.conceptualClusters.values()) {
+      cluster.documents.delete(docId);
+    }
+    this.removeCommunityMember(docId);
+
+    // Subtheme links only exist because some document listed them
+    for (const link of Array.from(this.themeHierarchy.values())) {
+      if (
+        link.documents.delete(docId) &&
+        link.documents.size === 0 &&
+        link.source === "extracted"
+      ) {
+        this.removeThemeHierarchyLink(link.parent, link.child);
+      }
+    }
+  }
+
+  /**
+   * Make childId a subtheme of parentId. `source` is "extracted" (listed as
+   * a subtheme by the model, tied to documentId) or "semantic" (inferred
+   * from labels and embeddings); extracted links win when both exist.
+   * Returns false for unknown themes or a link that would create a cycle.
+   */
+  addThemeHierarchyLink(
+    parentId,
+    childId,
+    source = "extracted",
+    documentId = null
+  ) {
+    if (
+      parentId === childId ||
+      !this.themes.has(parentId) ||
+      !this.themes.has(childId) ||
+      this.getDescendants(childId).includes(parentId)
+    ) {
+      return false;
+    }
+
+    const id = `${parentId}|${childId}`;
+    let link = this.themeHierarchy.get(id);
+    if (!link) {
+      link = {
+        id,
+        parent: parentId,
+        child: childId,
+        source,
+        documents: new Set(),
+        createdAt: new Date(),
+      };
+      this.themeHierarchy.set(id, link);
+      if (!this.childThemes.has(parentId)) {
+        this.childThemes.set(parentId, new Set());
+      }
+      if (!this.parentThemes.has(childId)) {
+        this.parentThemes.set(childId, new Set());
+      }
+      this.childThemes.get(parentId).add(childId);
+      this.parentThemes.get(childId).add(parentId);
+    } else if (source === "extracted") {
+      link.source = "extracted";
+    }
+
+    if (documentId && this.documents.has(documentId)) {
+      link.documents.add(documentId);
+    }
+    return true;
+  }
+
+  removeThemeHierarchyLink(parentId, childId) {
+    if (!this.themeHierarchy.delete(`${parentId}|${childId}`)) return false;
+
+    this.childThemes.get(parentId)?.delete(childId);
+    this.parentThemes.get(childId)?.delete(parentId);
+    if (this.childThemes.get(parentId)?.size === 0) {
+      this.childThemes.delete(parentId);
+    }
+    if (this.parentThemes.get(childId)?.size === 0) {
+      this.parentThemes.delete(childId);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every hierarchy link from one source, e.g. before the semantic
+   * hierarchy is recomputed
+   */
+  clearThemeHierarchy(source) {
+    for (const link of Array.from(this.themeHierarchy.values())) {
+      if (link.source === source) {
+        this.removeThemeHierarchyLink(link.parent, link.child);
+      }
+    }
+  }
+
+  getParents(themeId) {
+    return Array.from(this.parentThemes.get(themeId) || []);
+  }
+
+  getChildren(themeId) {
+    return Array.from(this.childThemes.get(themeId) || []);
+  }
+
+  /**
+   * All themes above a theme, nearest first
+   */
+  getAncestors(themeId) {
+    return this.walkHierarchy(themeId, this.parentThemes);
+  }
+
+  /**
+   * All themes below a theme, nearest first
+   */
+  getDescendants(themeId) {
+    return this.walkHierarchy(themeId, this.childThemes);
+  }
+
+  walkHierarchy(themeId, edges) {
+    const found = [];
+    const seen = new Set([themeId]);
+    const queue = [themeId];
+    while (queue.length > 0) {
+      for (const nextId of edges.get(queue.shift()) || []) {
+        if (seen.has(nextId)) continue;
+        seen.add(nextId);
+        found.push(nextId);
+        queue.push(nextId);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Documents matching a theme when a document linked to any of its
+   * descendants also counts as matching it
+   */
+  getRollupDocuments(themeId) {
+    const documents = new Set(this.documentsByTheme.get(themeId) || []);
+    this.getDescendants(themeId).forEach((descendantId) => {
+      (this.documentsByTheme.get(descendantId) || []).forEach((docId) =>
+        documents.add(docId)
+      );
+    });
+    return documents;
+  }
+
+  /**
+   * Whether a document has a theme, or (with rollup) one of its subthemes
+   */
+  documentMatchesTheme(docId, themeId, rollup = true) {
+    if (this.themesByDocument.get(docId)?.has(themeId)) return true;
+    return (
+      rollup &&
+      this.getDescendants(themeId).some((descendantId) =>
+        this.themesByDocument.get(docId)?.has(descendantId)
+      )
+    );
+  }
+
+  /**
+   * Themes with their direct and rolled-up document counts, biggest rollup
+   * first. Limited to documentIds when given.
+   */
+  getThemeRollup(documentIds = null) {
+    const included = documentIds ? new Set(documentIds) : null;
+    const count = (docIds) =>
+      Array.from(docIds).filter((docId) => !included || included.has(docId))
+        .length;
+
+    return Array.from(this.themes.values())
+      .map((theme) => ({
+        themeId: theme.id,
+        label: theme.label,
+        documentCount: count(this.documentsByTheme.get(theme.id) || []),
+        rollupCount: count(this.getRollupDocuments(theme.id)),
+        descendantCount: this.getDescendants(theme.id).length,
+      }))
+      .filter((entry) => entry.rollupCount > 0)
+      .sort(
+        (a, b) =>
+          b.rollupCount - a.rollupCount || a.label.localeCompare(b.label)
+      );
+  }
+
+  /**
+   * The hierarchy as nested { id, label, category, documentCount,
+   * rollupCount, children } objects. Roots are the themes without parents;
+   * a theme with several parents appears under each of them. Limited to
+   * themes with documents in documentIds when given.
+   */
+  getThemeTree(documentIds = null) {
+    const counts = new Map(
+      this.getThemeRollup(documentIds).map((entry) => [entry.themeId, entry])
+    );
+
+    const build = (themeId, path) => {
+      const theme = this.themes.get(themeId);
+      const entry = counts.get(themeId);
+      return {
+        id: themeId,
+        label: theme.label,
+        category: theme.category,
+        documentCount: entry.documentCount,
+        rollupCount: entry.rollupCount,
+        children: this.getChildren(themeId)
+          .filter((childId) => counts.has(childId) && !path.has(childId))
+          .map((childId) => build(childId, new Set([...path, childId])))
+          .sort(
+            (a, b) =>
+              b.rollupCount - a.rollupCount || a.label.localeCompare(b.label)
+          ),
+      };
+    };
+
+    return Array.from(counts.keys())
+      .filter((themeId) =>
+        this.getParents(themeId).every((parentId) => !counts.has(parentId))
+      )
+      .map((themeId) => build(themeId, new Set([themeId])))
+      .sort(
+        (a, b) =>
+          b.children.length - a.children.length ||
+          b.rollupCount - a.rollupCount ||
+          a.label.localeCompare(b.label)
+      );
+  }
+
+  /**
+   * Replace the communities. Entries are { id, name, nameSource,
+   * keywords, documents, themes }; an entry without an id (a community not
+   * matched to an earlier one) gets the next free "community-N". Returns
+   * the stored communities.
+   */
+  setCommunities(communities, modularity = 0) {
+    const previous = this.communities;
+    this.communityModularity = modularity;
+    this.communities = new Map();
+    this.communityByMember = new Map();
+
+    communities.forEach((entry) => {
+      const id = entry.id || `community-${this.nextCommunityId++}`;
+      const community = {
+        id,
+        name: entry.name || id,
+        nameSource: entry.nameSource || "keywords",
+        keywords: entry.keywords || [],
+        documents: new Set(entry.documents || []),
+        themes: new Set(entry.themes || []),
+        createdAt: previous.get(id)?.createdAt || entry.createdAt || new Date(),
+      };
+      this.communities.set(id, community);
+      community.documents.forEach((docId) =>
+        this.communityByMember.set(docId, id)
+      );
+      community.themes.forEach((themeId) =>
+        this.communityByMember.set(themeId, id)
+      );
+    });
+
+    return this.getCommunities();
+  }
+
+  /**
+   * Communities, biggest first
+   */
+  getCommunities() {
+    return Array.from(this.communities.values()).sort(
+      (a, b) =>
+        b.documents.size + b.themes.size - (a.documents.size + a.themes.size)
+    );
+  }
+
+  /**
+   * Key of a document or theme that survives a full re-analysis, where ids
+   * can change: the document title or the normalized theme label
+   */
+  getMemberKey(id) {
+    if (this.documents.has(id)) return `doc:${this.documents.get(id).title}`;
+    if (this.themes.has(id)) {
+      return `theme:${this.themes.get(id).normalizedLabel}`;
+    }
+    return id;
+  }
+
+  /**
+   * Community of a document or theme, or null
+   */
+  getCommunityOf(memberId) {
+    return this.communities.get(this.communityByMember.get(memberId)) || null;
+  }
+
+  renameCommunity(id, name, nameSource = "user") {
+    const community = this.communities.get(id);
+    if (!community || !name?.trim()) return false;
+
+    community.name = name.trim();
+    community.nameSource = nameSource;
+    return true;
+  }
+
+  removeCommunityMember(memberId) {
+    const community = this.getCommunityOf(memberId);
+    if (!community) return;
+
+    community.documents.delete(memberId);
+    community.themes.delete(memberId);
+    this.communityByMember.delete(memberId);
+    if (community.documents.size + community.themes.size === 0) {
+      this.communities.delete(community.id);
+    }
+  }
+
+  /**
+   * Drop the relationships and cluster memberships of a removed theme
+   */
+  removeThemeStructure(themeId) {
+    for (const [id, relationship] of this.themeRelationships) {
+      if (relationship.source === themeId || relationship.target === themeId) {
+        this.themeRelationships.delete(id);
+      }
+    }
+
+    for (const [id, cluster] of this.conceptualClusters) {
+      cluster.themes.delete(themeId);
+      if (cluster.themes.size < 2) this.conceptualClusters.delete(id);
+    }
+
+    this.getParents(themeId).forEach((parentId) =>
+      this.removeThemeHierarchyLink(parentId, themeId)
+    );
+    this.getChildren(themeId).forEach((childId) =>
+      this.removeThemeHierarchyLink(themeId, childId)
+    );
+    this.removeCommunityMember(themeId);
+  }
+
+  /**
+   * Remove the link between a document and a theme. A theme left without
+   * documents is removed unless `removeOrphan` is false.
+   * Returns true if a link was removed.
+   */
+  unlinkDocumentFromTheme(docId, themeId, removeOrphan = true) {
+    const docThemes = this.themesByDocument.get(docId);
+    if (!docThemes || !docThemes.has(themeId)) return false;
+
+    docThemes.delete(themeId);
+    this.documentsByTheme.get(themeId)?.delete(docId);
+    this.documents.get(docId).themes.delete(themeId);
+    this.linkMetadata?.delete(`${docId}-${themeId}`);
+
+    const theme = this.themes.get(themeId);
+    if (theme) {
+      theme.documents.delete(docId);
+      theme.frequency = Math.max(0, theme.frequency - 1);
+
+      if (removeOrphan && theme.documents.size === 0) {
+        this.removeTheme(themeId);
+      }
+    }
+
+    this.invalidateConnectionCache(docId);
+    return true;
+  }
+
+  /**
+   * Remove the link between a document and a definition. A definition left
+   * without documents is removed unless `removeOrphan` is false.
+   */
+  unlinkDocumentFromDefinition(docId, definitionId, removeOrphan = true) {
+    const docDefinitions = this.definitionsByDocument.get(docId);
+    if (!docDefinitions || !docDefinitions.has(definitionId)) return false;
+
+    docDefinitions.delete(definitionId);
+    this.documentsByDefinition.get(definitionId)?.delete(docId);
+    this.documents.get(docId).definitions.delete(definitionId);
+    this.linkMetadata?.delete(`${docId}-${definitionId}`);
+
+    const def = this.definitions.get(definitionId);
+    if (def) {
+      def.documents.delete(docId);
+      def.frequency = Math.max(0, def.frequency - 1);
+
+      if (removeOrphan && def.documents.size === 0) {
+        this.removeDefinition(definitionId);
+      }
+    }
+
+    this.invalidateConnectionCache(docId);
+    return true;
+  }
+
+  /**
+   * Remove a theme, its links and every reference to it
+   */
+  removeTheme(themeId) {
+    const theme = this.themes.get(themeId);
+    if (!theme) return false;
+
+    for (const docId of Array.from(theme.documents)) {
+      this.unlinkDocumentFromTheme(docId, themeId, false);
+    }
+
+    for (const relatedId of theme.relatedThemes) {
+      this.themes.get(relatedId)?.relatedThemes.delete(themeId);
+    }
+
+    for (const [groupId, group] of this.themeGroups) {
+      group.delete(themeId);
+      if (group.size === 0) this.themeGroups.delete(groupId);
+    }
+
+    for (const key of Array.from(this.similarityCache.keys())) {
+      if (key.split("|").includes(themeId)) {
+        this.similarityCache.delete(key);
+      }
+    }
+
+    this.removeThemeStructure(themeId);
+    this.themes.delete(themeId);
+    this.documentsByTheme.delete(themeId);
+    return true;
+  }
+
+  /**
+   * Remove a definition and its links
+   */
+  removeDefinition(definitionId) {
+    const def = this.definitions.get(definitionId);
+    if (!def) return false;
+
+    for (const docId of Array.from(def.documents)) {
+      this.unlinkDocumentFromDefinition(docId, definitionId, false);
+    }
+
+    this.definitions.delete(definitionId);
+    this.documentsByDefinition.delete(definitionId);
+    return true;
+  }
+
+  /**
+   * Unlink every theme and definition from a document, removing the ones
+   * no other document uses, and forget the relationships it stated.
+   * Returns the ids that were garbage-collected.
+   */
+  clearDocumentLinks(docId) {
+    const removedThemes = [];
+    const removedDefinitions = [];
+
+    this.removeDocumentStructure(docId);
+
+    for (const themeId of Array.from(this.themesByDocument.get(docId) || [])) {
+      this.unlinkDocumentFromTheme(docId, themeId);
+      if (!this.themes.has(themeId)) removedThemes.push(themeId);
+    }
+
+    for (const definitionId of Array.from(
+      this.definitionsByDocument.get(docId) || []
+    )) {
+      this.unlinkDocumentFromDefinition(docId, definitionId);
+      if (!this.definitions.has(definitionId)) {
+        removedDefinitions.push(definitionId);
+      }
+    }
+
+    return { removedThemes, removedDefinitions };
+  }
+
+  /**
+   * Remove a document and clean up every index that references it.
+   * Returns null if the document doesn't exist.
+   */
+  removeDocument(docId) {
+    if (!this.documents.has(docId)) return null;
+
+    const removed = this.clearDocumentLinks(docId);
+
+    this.documents.delete(docId);
+    this.themesByDocument.delete(docId);
+    this.definitionsByDocument.delete(docId);
+    this.invalidateConnectionCache(docId);
+
+    return { documentId: docId, ...removed };
+  }
+
+  /**
+   * Replace a document's content (and optionally title/metadata). Its theme
+   * and definition links are cleared since they describe the old content;
+   * the caller re-links from a fresh extraction.
+   */
+  updateDocumentContent(docId, content, updates = {}) {
+    const doc = this.documents.get(docId);
+    if (!doc) {
+      throw new Error("Document not found");
+    }
+
+    const removed = this.clearDocumentLinks(docId);
+
+    doc.content = content;
+    if (updates.title) doc.title = updates.title;
+    if (updates.metadata) {
+      doc.metadata = { ...doc.metadata, ...updates.metadata };
+    }
+    doc.summary = "";
+    doc.updatedAt = new Date();
+
+    return { documentId: docId, ...removed };
+  }
+
   /**
    * Find documents that share themes with a given document
    */
@@ -184,10 +1065,12 @@ class ThemeStorageSystem {
     const docDefinitions = this.definitionsByDocument.get(docId);
     const relatedDocs = new Map(); // docId -> { sharedThemes, sharedDefinitions, score }
 
-    // Find documents sharing themes
+    // Find documents sharing themes (subthemes only place a theme in the
+    // hierarchy, they don't connect documents)
     for (const themeId of docThemes) {
-      const docsWithTheme = this.documentsByTheme.get(themeId);
-      for (const otherDocId of docsWithTheme) {
+      if (this.isSubthemeLink(docId, themeId)) continue;
+
+      for (const otherDocId of this.getThemeDocuments(themeId)) {
         if (otherDocId === docId) continue;
 
         if (!relatedDocs.has(otherDocId)) {
@@ -256,21 +1139,42 @@ class ThemeStorageSystem {
   }
 
   /**
-   * Get all themes shared by multiple documents
+   * Get all themes shared by multiple documents. Documents that only list
+   * a theme as a subtheme don't count unless includeSubthemes is set.
    */
-  getSharedThemes(minDocuments = 2) {
+  getSharedThemes(minDocuments = 2, includeSubthemes = false) {
     return Array.from(this.themes.values())
-      .filter((theme) => theme.documents.size >= minDocuments)
       .map((theme) => ({
+        theme,
+        sharedBy: this.getThemeDocuments(theme.id, includeSubthemes),
+      }))
+      .filter(({ sharedBy }) => sharedBy.length >= minDocuments)
+      .map(({ theme, sharedBy }) => ({
         ...theme,
-        documents: Array.from(theme.documents).map((id) =>
-          this.documents.get(id)
-        ),
-        sharedBy: Array.from(theme.documents),
+        documents: sharedBy.map((id) => this.documents.get(id)),
+        sharedBy,
       }))
       .sort((a, b) => b.documents.length - a.documents.length);
   }
 
+  /**
+   * Whether a document lists a theme only as a subtheme of another theme
+   */
+  isSubthemeLink(docId, themeId) {
+    return this.linkMetadata?.get(`${docId}-${themeId}`)?.role === "subtheme";
+  }
+
+  /**
+   * Ids of the documents linked to a theme. Subtheme links count for the
+   * hierarchy and rollups (getRollupDocuments) but not for sharing a theme,
+   * unless includeSubthemes is set.
+   */
+  getThemeDocuments(themeId, includeSubthemes = false) {
+    return Array.from(this.documentsByTheme.get(themeId) || []).filter(
+      (docId) => includeSubthemes || !this.isSubthemeLink(docId, themeId)
+    );
+  }
+
   /**
    * Get document connectivity map for graph visualization
    */
@@ -337,7 +1241,7 @@ class ThemeStorageSystem {
   }
 
   findSimilarTheme(label, normalizedLabel) {
-    const threshold = 0.8;
+    const threshold = this.themeSimilarityThreshold;
 
     for (const theme of this.themes.values()) {
       const similarity = this.calculateSimilarity(
@@ -382,8 +1286,8 @@ class ThemeStorageSystem {
 
   invalidateConnectionCache(docId) {
     // Remove cached connection strengths involving this document
-    for (const key of this.connectionStrengths.keys()) {
-      if (key.includes(docId)) {
+    for (const key of Array.from(this.connectionStrengths.keys())) {
+      if (key.split("|").includes(docId)) {
         this.connectionStrengths.delete(key);
       }
     }
@@ -439,62 +1343,189 @@ class ThemeStorageSystem {
   }
 
   // Export/import functionality
+
+  /**
+   * Export to a JSON-safe object (Sets become arrays, Maps become entry
+   * lists) that import() restores losslessly
+   */
   export() {
+    const setEntries = (map) =>
+      Array.from(map.entries()).map(([k, v]) => [k, Array.from(v)]);
+
     return {
-      documents: Array.from(this.documents.entries()),
-      themes: Array.from(this.themes.entries()),
-      definitions: Array.from(this.definitions.entries()),
+      documents: Array.from(this.documents.entries()).map(([id, doc]) => [
+        id,
+        {
+          ...doc,
+          themes: Array.from(doc.themes),
+          definitions: Array.from(doc.definitions),
+        },
+      ]),
+      themes: Array.from(this.themes.entries()).map(([id, theme]) => [
+        id,
+        {
+          ...theme,
+          documents: Array.from(theme.documents),
+          relatedThemes: Array.from(theme.relatedThemes),
+        },
+      ]),
+      definitions: Array.from(this.definitions.entries()).map(([id, def]) => [
+        id,
+        { ...def, documents: Array.from(def.documents) },
+      ]),
       indices: {
-        themesByDocument: Array.from(this.themesByDocument.entries()).map(
-          ([k, v]) => [k, Array.from(v)]
-        ),
-        documentsByTheme: Array.from(this.documentsByTheme.entries()).map(
-          ([k, v]) => [k, Array.from(v)]
-        ),
-        definitionsByDocument: Array.from(
-          this.definitionsByDocument.entries()
-        ).map(([k, v]) => [k, Array.from(v)]),
-        documentsByDefinition: Array.from(
-          this.documentsByDefinition.entries()
-        ).map(([k, v]) => [k, Array.from(v)]),
+        themesByDocument: setEntries(this.themesByDocument),
+        documentsByTheme: setEntries(this.documentsByTheme),
+        definitionsByDocument: setEntries(this.definitionsByDocument),
+        documentsByDefinition: setEntries(this.documentsByDefinition),
       },
+      linkMetadata: Array.from((this.linkMetadata || new Map()).entries()),
+      themeRelationships: Array.from(this.themeRelationships.entries()).map(
+        ([id, relationship]) => [
+          id,
+          { ...relationship, documents: Array.from(relationship.documents) },
+        ]
+      ),
+      conceptualClusters: Array.from(this.conceptualClusters.entries()).map(
+        ([id, cluster]) => [
+          id,
+          {
+            ...cluster,
+            themes: Array.from(cluster.themes),
+            documents: Array.from(cluster.documents),
+          },
+        ]
+      ),
+      themeHierarchy: Array.from(this.themeHierarchy.values()).map((link) => ({
+        ...link,
+        documents: Array.from(link.documents),
+      })),
+      communities: Array.from(this.communities.values()).map((community) => ({
+        ...community,
+        documents: Array.from(community.documents),
+        themes: Array.from(community.themes),
+      })),
+      themeGroups: setEntries(this.themeGroups),
+      similarityCache: Array.from(this.similarityCache.entries()),
+      connectionStrengths: Array.from(this.connectionStrengths.entries()),
       metadata: {
+        version: 2,
         nextId: this.nextId,
+        nextCommunityId: this.nextCommunityId,
+        communityModularity: this.communityModularity,
+        themeSimilarityThreshold: this.themeSimilarityThreshold,
         exportedAt: new Date(),
       },
     };
   }
 
   import(data) {
-    // Clear existing data
-    this.documents.clear();
-    this.themes.clear();
-    this.definitions.clear();
-    this.themesByDocument.clear();
-    this.documentsByTheme.clear();
-    this.definitionsByDocument.clear();
-    this.documentsByDefinition.clear();
-
-    // Import data
-    this.documents = new Map(data.documents);
-    this.themes = new Map(data.themes);
-    this.definitions = new Map(data.definitions);
-
-    // Rebuild indices
-    data.indices.themesByDocument.forEach(([k, v]) => {
-      this.themesByDocument.set(k, new Set(v));
-    });
-    data.indices.documentsByTheme.forEach(([k, v]) => {
-      this.documentsByTheme.set(k, new Set(v));
-    });
-    data.indices.definitionsByDocument.forEach(([k, v]) => {
-      this.definitionsByDocument.set(k, new Set(v));
-    });
-    data.indices.documentsByDefinition.forEach(([k, v]) => {
-      this.documentsByDefinition.set(k, new Set(v));
+    const toDate = (value) => (value ? new Date(value) : value);
+    const setMap = (entries = []) =>
+      new Map(entries.map(([k, v]) => [k, new Set(v)]));
+
+    // Rebuild indices (the source of truth for the Sets on each object)
+    this.themesByDocument = setMap(data.indices.themesByDocument);
+    this.documentsByTheme = setMap(data.indices.documentsByTheme);
+    this.definitionsByDocument = setMap(data.indices.definitionsByDocument);
+    this.documentsByDefinition = setMap(data.indices.documentsByDefinition);
+
+    // Import data. Older exports stored the object Sets as-is, which JSON
+    // turns into {}, so they are always rebuilt from the indices.
+    this.documents = new Map(
+      data.documents.map(([id, doc]) => [
+        id,
+        {
+          ...doc,
+          addedAt: toDate(doc.addedAt),
+          updatedAt: toDate(doc.updatedAt),
+          metadata: {
+            ...doc.metadata,
+            extractedAt: toDate(doc.metadata?.extractedAt),
+          },
+          themes: new Set(this.themesByDocument.get(id) || []),
+          definitions: new Set(this.definitionsByDocument.get(id) || []),
+        },
+      ])
+    );
+    this.themes = new Map(
+      data.themes.map(([id, theme]) => [
+        id,
+        {
+          ...theme,
+          createdAt: toDate(theme.createdAt),
+          documents: new Set(this.documentsByTheme.get(id) || []),
+          relatedThemes: new Set(
+            Array.isArray(theme.relatedThemes) ? theme.relatedThemes : []
+          ),
+        },
+      ])
+    );
+    this.definitions = new Map(
+      data.definitions.map(([id, def]) => [
+        id,
+        {
+          ...def,
+          createdAt: toDate(def.createdAt),
+          documents: new Set(this.documentsByDefinition.get(id) || []),
+        },
+      ])
+    );
+
+    this.linkMetadata = new Map(
+      (data.linkMetadata || []).map(([key, link]) => [
+        key,
+        { ...link, createdAt: toDate(link.createdAt) },
+      ])
+    );
+    this.themeRelationships = new Map(
+      (data.themeRelationships || []).map(([id, relationship]) => [
+        id,
+        {
+          ...relationship,
+          documents: new Set(relationship.documents),
+          createdAt: toDate(relationship.createdAt),
+        },
+      ])
+    );
+    this.conceptualClusters = new Map(
+      (data.conceptualClusters || []).map(([id, cluster]) => [
+        id,
+        {
+          ...cluster,
+          themes: new Set(cluster.themes),
+          documents: new Set(cluster.documents),
+          createdAt: toDate(cluster.createdAt),
+        },
+      ])
+    );
+    this.themeHierarchy = new Map();
+    this.childThemes = new Map();
+    this.parentThemes = new Map();
+    (data.themeHierarchy || []).forEach((link) => {
+      if (this.addThemeHierarchyLink(link.parent, link.child, link.source)) {
+        const stored = this.themeHierarchy.get(`${link.parent}|${link.child}`);
+        stored.documents = new Set(link.documents);
+        stored.createdAt = toDate(link.createdAt);
+      }
     });
+    this.nextCommunityId = data.metadata.nextCommunityId || 1;
+    this.communities = new Map();
+    this.setCommunities(
+      (data.communities || []).map((community) => ({
+        ...community,
+        createdAt: toDate(community.createdAt),
+      })),
+      data.metadata.communityModularity || 0
+    );
+    this.themeGroups = setMap(data.themeGroups);
+    this.similarityCache = new Map(data.similarityCache || []);
+    this.connectionStrengths = new Map(data.connectionStrengths || []);
 
     this.nextId = data.metadata.nextId || 1;
+    if (data.metadata.themeSimilarityThreshold) {
+      this.themeSimilarityThreshold = data.metadata.themeSimilarityThreshold;
+    }
   }
 }
 
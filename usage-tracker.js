@@ -0,0 +1,169 @@
+/**
+ * Usage Tracker
+ *
+ * Records the token usage the model APIs report and turns it into an
+ * estimated cost:
+ * - Per call, per stage (extraction, reconciliation, embeddings, naming,
+ *   highlight, chat), per model and for the whole session
+ * - Prices from LLMProvider.PRICES, overridable with a custom table
+ *   (USD per million tokens)
+ * - Listeners for live displays
+ * - Token estimates for text that hasn't been sent yet (pre-flight)
+ */
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.prices = { ...LLMProvider.PRICES, ...(options.prices || {}) };
+    this.maxCalls = options.maxCalls || 500;
+    this.listeners = new Set();
+    this.reset();
+  }
+
+  reset() {
+    this.calls = []; // most recent last, at most maxCalls
+    this.totals = UsageTracker.emptyTotals();
+    this.byStage = {};
+    this.byModel = {};
+    this.startedAt = new Date().toISOString();
+    this.notify();
+  }
+
+  static emptyTotals() {
+    return {
+      calls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+      unpricedCalls: 0,
+    };
+  }
+
+  /**
+   * Record one API call. Returns its estimated cost (null if unpriced).
+   *
+   * @param {string} stage - pipeline stage, e.g. "extraction" or "chat"
+   * @param {string} model - model reported by the API
+   * @param {object} usage - { promptTokens, completionTokens }
+   */
+  record(stage, model, usage = {}) {
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const cost = this.estimateCost(model, { promptTokens, completionTokens });
+
+    const add = (totals) => {
+      totals.calls++;
+      totals.promptTokens += promptTokens;
+      totals.completionTokens += completionTokens;
+      if (cost === null) {
+        totals.unpricedCalls++;
+      } else {
+        totals.cost += cost;
+      }
+    };
+    const modelKey = model || "unknown";
+    if (!this.byStage[stage]) this.byStage[stage] = UsageTracker.emptyTotals();
+    if (!this.byModel[modelKey]) {
+      this.byModel[modelKey] = UsageTracker.emptyTotals();
+    }
+    add(this.totals);
+    add(this.byStage[stage]);
+    add(this.byModel[modelKey]);
+
+    this.calls.push({
+      time: new Date().toISOString(),
+      stage,
+      model: modelKey,
+      promptTokens,
+      completionTokens,
+      cost,
+    });
+    if (this.calls.length > this.maxCalls) {
+      this.calls.splice(0, this.calls.length - this.maxCalls);
+    }
+
+    this.notify();
+    return cost;
+  }
+
+  estimateCost(model, usage) {
+    return LLMProvider.estimateCost(model, usage, this.prices);
+  }
+
+  /**
+   * Rough token count for text not yet sent (about 4 characters per token
+   * for English prose)
+   */
+  static estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+
+  getStats() {
+    return {
+      ...this.totals,
+      totalTokens: this.totals.promptTokens + this.totals.completionTokens,
+      byStage: JSON.parse(JSON.stringify(this.byStage)),
+      byModel: JSON.parse(JSON.stringify(this.byModel)),
+      startedAt: this.startedAt,
+      recentCalls: this.calls.slice(-20),
+    };
+  }
+
+  /**
+   * Current totals, to pass to since() later
+   */
+  mark() {
+    return { ...this.totals };
+  }
+
+  /**
+   * Usage recorded after a mark() (e.g. for one analysis run)
+   */
+  since(mark) {
+    const result = {};
+    Object.keys(this.totals).forEach((key) => {
+      result[key] = this.totals[key] - (mark?.[key] || 0);
+    });
+    return result;
+  }
+
+  /**
+   * Call listener(stats) after every change; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    if (!this.listeners?.size) return;
+    const stats = this.getStats();
+    this.listeners.forEach((listener) => listener(stats));
+  }
+
+  export() {
+    return {
+      totals: this.totals,
+      byStage: this.byStage,
+      byModel: this.byModel,
+      calls: this.calls,
+      startedAt: this.startedAt,
+    };
+  }
+
+  import(data) {
+    if (!data) return;
+    this.totals = { ...UsageTracker.emptyTotals(), ...data.totals };
+    this.byStage = data.byStage || {};
+    this.byModel = data.byModel || {};
+    this.calls = data.calls || [];
+    this.startedAt = data.startedAt || new Date().toISOString();
+    this.notify();
+  }
+}
+
+// Export for use in other modules
+if (typeof window !== "undefined") {
+  window.UsageTracker = UsageTracker;
+} else if (typeof module !== "undefined") {
+  module.exports = UsageTracker;
+}